@@ -0,0 +1,104 @@
+/**
+ * Service worker: offline app shell
+ *
+ * - Build assets (/_next/static, icons) never change under the same URL,
+ *   so they're served from the cache first
+ * - Pages are fetched from the network and cached as they load, so the last
+ *   opened list (and the start page) still open without network.
+ *   The list's data itself is cached by the app in IndexedDB (see localDb.js).
+ * - API routes and other origins (Supabase) are left alone
+ *
+ * Bump CACHE_NAME to drop everything cached by an older version.
+ */
+
+const CACHE_NAME = 'shopping-list-v1'
+
+// Cached on install so the app opens from the home screen straight away
+const APP_SHELL = [
+  '/',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+]
+
+const isImmutable = (url) => url.pathname.startsWith('/_next/static/') || url.pathname.startsWith('/icons/')
+
+// ============ LIFECYCLE ============
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  )
+})
+
+/**
+ * The page sends the URLs it loaded before the worker took control
+ * (its own page and scripts), so they're available offline too
+ */
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'cache-urls') return
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => Promise.all(
+      event.data.urls.map(url => cache.add(url).catch(() => {}))  // Best effort
+    ))
+  )
+})
+
+// ============ REQUESTS ============
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+/**
+ * Fresh from the network when possible, else the cached copy.
+ * A page that was never cached falls back to the start page, which
+ * takes the user to their last list.
+ */
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME)
+      cache.put(request, response.clone())
+    }
+    return response
+  } catch (error) {
+    // Pages vary on Next.js router headers, which differ between a visit and a reload
+    const cached = await caches.match(request, { ignoreVary: true })
+    if (cached) return cached
+    if (request.mode === 'navigate') {
+      const shell = await caches.match('/', { ignoreVary: true })
+      if (shell) return shell
+    }
+    throw error
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+  if (url.pathname.startsWith('/api/')) return
+
+  event.respondWith(isImmutable(url) ? cacheFirst(request) : networkFirst(request))
+})
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server'
+import { handleApi, openList, readJson, validateCategoryName, validateCategoryFields, toApiCategory, ApiError } from '../../../../../../lib/api'
+import { categoryUpdate } from '../../../../../../lib/syncQueue'
+
+/**
+ * The category named in the URL (hidden ones included)
+ * Next.js has already decoded the name ("Garden%20%26%20Outdoor" -> "Garden & Outdoor")
+ */
+const findCategory = async (list, name) => {
+  const { categoryRows } = await list.load()
+  const category = categoryRows.find(row => row.name === name)
+  if (!category) throw new ApiError(404, 'not_found', 'Category not found')
+  return { category, categoryRows }
+}
+
+/**
+ * PATCH /api/lists/:listId/categories/:name
+ *
+ * Rename a category (its items move along), change its colour or icon, or hide it:
+ *   { "name": "Garden & Outdoor", "color": "green", "icon": "flower", "hidden": false }
+ * Every field is optional; "color" and "icon" can be null.
+ */
+export const PATCH = handleApi(async (request, { params }) => {
+  const { listId, name } = await params
+  const list = await openList(request, listId, { write: true })
+  const body = await readJson(request)
+  const changes = validateCategoryFields(body, { allowed: ['name'] })
+  const { category, categoryRows } = await findCategory(list, name)
+
+  const from = category.name
+  const to = body.name === undefined ? from : validateCategoryName(body.name)
+  if (to !== from) {
+    if (categoryRows.some(row => row.name === to)) throw new ApiError(409, 'conflict', `A category called "${to}" already exists`)
+
+    try {
+      await list.send('renameCategory', { from, to })
+    } catch (error) {
+      // Created elsewhere in the meantime - the database function refuses
+      if (/already exists/i.test(error.message || '')) throw new ApiError(409, 'conflict', error.message)
+      throw error
+    }
+  }
+
+  if (Object.keys(changes).length > 0) {
+    // Changed or deleted by someone else at the same time
+    const result = await list.send('updateCategory', categoryUpdate({ ...category, name: to }, changes))
+    if (result.status !== 'done') throw new ApiError(409, 'conflict', result.reason)
+  }
+  return NextResponse.json({ category: toApiCategory({ ...category, ...changes, name: to }) })
+})
+
+/**
+ * DELETE /api/lists/:listId/categories/:name
+ *
+ * Moves the category and its items to the list's Trash
+ */
+export const DELETE = handleApi(async (request, { params }) => {
+  const { listId, name } = await params
+  const list = await openList(request, listId, { write: true })
+  const { category } = await findCategory(list, name)
+
+  await list.send('deleteCategory', { name: category.name })
+  return new NextResponse(null, { status: 204 })
+})
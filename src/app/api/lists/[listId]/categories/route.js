@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server'
+import { handleApi, openList, readJson, validateCategoryName, toApiCategory, ApiError } from '../../../../../lib/api'
+import { generateId } from '../../../../../lib/syncQueue'
+
+/**
+ * GET /api/lists/:listId/categories
+ *
+ * The list's categories in the app's order, hidden ones included;
+ * `default` marks the ones from the starter template:
+ *   { categories: [{ name, default, color, icon, hidden }] }
+ */
+export const GET = handleApi(async (request, { params }) => {
+  const { listId } = await params
+  const list = await openList(request, listId)
+  const { categoryRows } = await list.load()
+  return NextResponse.json({ categories: categoryRows.map(toApiCategory) })
+})
+
+/**
+ * POST /api/lists/:listId/categories
+ *
+ * Add a category: { "name": "Garden" }
+ */
+export const POST = handleApi(async (request, { params }) => {
+  const { listId } = await params
+  const list = await openList(request, listId, { write: true })
+  const { name: value, ...rest } = await readJson(request)
+  if (Object.keys(rest).length > 0) throw new ApiError(400, 'invalid_request', `Unknown fields: ${Object.keys(rest).join(', ')}`)
+  const name = validateCategoryName(value)
+
+  const { categoryRows } = await list.load()
+  if (categoryRows.some(category => category.name === name)) {
+    throw new ApiError(409, 'conflict', `A category called "${name}" already exists`)
+  }
+
+  const category = {
+    id: generateId(),
+    name,
+    list_id: listId,
+    user_id: list.userId,
+    created_at: new Date().toISOString()
+  }
+  await list.send('addCategory', { category })
+  return NextResponse.json({ category: toApiCategory(category) }, { status: 201 })
+})
@@ -0,0 +1,65 @@
+import { NextResponse } from 'next/server'
+import { handleApi, openList, readJson, validateItemFields, toApiItem, ApiError } from '../../../../../../lib/api'
+import { itemUpdate } from '../../../../../../lib/syncQueue'
+
+/**
+ * The live item with this id, or a 404
+ */
+const findItem = async (list, itemId) => {
+  const { items, categories } = await list.load()
+  const item = items.find(row => row.id === itemId)
+  if (!item) throw new ApiError(404, 'not_found', 'Item not found')
+  return { item, categories }
+}
+
+/**
+ * GET /api/lists/:listId/items/:itemId
+ */
+export const GET = handleApi(async (request, { params }) => {
+  const { listId, itemId } = await params
+  const list = await openList(request, listId)
+  const { item } = await findItem(list, itemId)
+  return NextResponse.json({ item: toApiItem(item) })
+})
+
+/**
+ * PATCH /api/lists/:listId/items/:itemId
+ *
+ * Change any of name, category, quantity, unit, note, price, needed, bought and
+ * unavailable (the store didn't have it), e.g. { "needed": true } to put it on the next trip
+ */
+export const PATCH = handleApi(async (request, { params }) => {
+  const { listId, itemId } = await params
+  const list = await openList(request, listId, { write: true })
+  const changes = validateItemFields(await readJson(request))
+  if (Object.keys(changes).length === 0) throw new ApiError(400, 'invalid_request', 'Nothing to change')
+
+  const { item, categories } = await findItem(list, itemId)
+  if (changes.category && !categories.includes(changes.category)) {
+    throw new ApiError(400, 'invalid_request', `Unknown category "${changes.category}"`)
+  }
+  if ('needed' in changes) changes.auto_needed = false  // Set by hand now, like toggling it in the app
+  if (changes.needed === false) Object.assign(changes, { bought: false, unavailable: false, unavailable_store: null })  // Only items on the trip can be bought
+  if (changes.bought) changes.unavailable = false  // Bought after all
+  if (changes.unavailable) changes.bought = false
+
+  const result = await list.send('updateItem', itemUpdate(item, changes))
+  if (result.notice?.key === 'sync.overridden') throw new ApiError(409, 'conflict', result.reason)
+  if (result.status !== 'done') throw new ApiError(404, 'not_found', 'Item not found')
+
+  return NextResponse.json({ item: toApiItem({ ...item, ...changes }) })
+})
+
+/**
+ * DELETE /api/lists/:listId/items/:itemId
+ *
+ * Moves the item to the list's Trash, where it can be restored from the app
+ */
+export const DELETE = handleApi(async (request, { params }) => {
+  const { listId, itemId } = await params
+  const list = await openList(request, listId, { write: true })
+  const { item } = await findItem(list, itemId)
+
+  await list.send('deleteItem', { id: item.id })
+  return new NextResponse(null, { status: 204 })
+})
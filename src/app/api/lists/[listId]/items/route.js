@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server'
+import { handleApi, openList, readJson, validateItemFields, toApiItem, ApiError } from '../../../../../lib/api'
+import { generateId, itemUpdate } from '../../../../../lib/syncQueue'
+import { parseItemInput } from '../../../../../lib/parseItem'
+import { guessCategory } from '../../../../../lib/categoryGuess'
+
+/**
+ * GET /api/lists/:listId/items
+ *
+ * The list's items (not those in the Trash), by category and name:
+ *   { items: [{ id, name, category, quantity, unit, note, price, needed, bought, unavailable, unavailable_store, created_at }] }
+ * Optional query parameters: ?needed=true|false and ?category=<name>
+ */
+export const GET = handleApi(async (request, { params }) => {
+  const { listId } = await params
+  const list = await openList(request, listId)
+  const { items } = await list.load()
+
+  const search = new URL(request.url).searchParams
+  const needed = search.get('needed')
+  if (needed !== null && needed !== 'true' && needed !== 'false') {
+    throw new ApiError(400, 'invalid_request', '"needed" must be true or false')
+  }
+  const category = search.get('category')
+
+  const matching = items
+    .filter(item => needed === null || Boolean(item.needed) === (needed === 'true'))
+    .filter(item => category === null || item.category === category)
+    .sort((a, b) => a.category.localeCompare(b.category) || a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+
+  return NextResponse.json({ items: matching.map(toApiItem) })
+})
+
+/**
+ * POST /api/lists/:listId/items
+ *
+ * Add an item, as needed unless "needed": false is sent. Either give the
+ * fields ({ "name": "milk", "quantity": 2, "unit": "l" }) or free text like
+ * the app's input ({ "text": "2 l milk, organic" }); fields win over the text.
+ * Without a category one is guessed from the name, like the quick-add bar does.
+ * An item of that name already in the category is updated instead of added
+ * twice (200 instead of 201).
+ */
+export const POST = handleApi(async (request, { params }) => {
+  const { listId } = await params
+  const list = await openList(request, listId, { write: true })
+  const body = await readJson(request)
+
+  if (body.text !== undefined && typeof body.text !== 'string') {
+    throw new ApiError(400, 'invalid_request', '"text" must be a string')
+  }
+  const parsed = body.text ? parseItemInput(body.text) : {}
+  const fields = validateItemFields(body, { allowed: ['text'] })
+  const name = fields.name || parsed.name
+  if (!name) throw new ApiError(400, 'invalid_request', 'Give the item a "name" (or "text")')
+
+  const { items, categories } = await list.load()
+  if (fields.category && !categories.includes(fields.category)) {
+    throw new ApiError(400, 'invalid_request', `Unknown category "${fields.category}"`)
+  }
+  const category = fields.category || guessCategory(name, { items, categories }).category || categories[0]
+  if (!category) throw new ApiError(400, 'invalid_request', 'The list has no categories - add one first')
+
+  const details = {
+    quantity: parsed.quantity ?? null,
+    unit: parsed.unit ?? null,
+    note: parsed.note ?? null,
+    ...fields
+  }
+  const item = {
+    id: generateId(),
+    name,
+    quantity: details.quantity,
+    unit: details.unit,
+    note: details.note,
+    price: details.price ?? null,
+    category,
+    needed: details.needed ?? true,
+    bought: Boolean(details.needed ?? true) && Boolean(details.bought),  // Only items on the trip can be bought
+    unavailable: Boolean(details.needed ?? true) && !details.bought && Boolean(details.unavailable),  // Likewise, and never both
+    list_id: listId,
+    user_id: list.userId,
+    created_at: new Date().toISOString()
+  }
+
+  const result = await list.send('addItem', { item })
+  if (result.status === 'done') return NextResponse.json({ item: toApiItem(item) }, { status: 201 })
+  if (!result.mergedInto) throw new ApiError(409, 'conflict', result.reason)
+
+  // Already on the list: mark it (with anything new that was sent) instead
+  const changes = {
+    needed: item.needed,
+    auto_needed: false,  // Set by hand now, like toggling it in the app
+    ...(details.quantity !== null && { quantity: details.quantity, unit: details.unit }),
+    ...(details.note !== null && { note: details.note }),
+    ...(details.price !== undefined && details.price !== null && { price: details.price })
+  }
+  const { items: current } = await list.load()
+  const existing = current.find(row => row.id === result.mergedInto)
+  if (!existing) throw new ApiError(409, 'conflict', result.reason)
+
+  // Sent with the row's version, so a change made meanwhile isn't overwritten
+  const update = await list.send('updateItem', itemUpdate(existing, changes))
+  if (update.status !== 'done') throw new ApiError(409, 'conflict', update.reason)
+
+  return NextResponse.json({ item: toApiItem({ ...existing, ...changes }) }, { status: 200 })
+})
@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server'
+import { handleApi, authenticate } from '../../../lib/api'
+import { getSupabaseAdmin } from '../../../lib/supabaseAdmin'
+
+/**
+ * GET /api/lists
+ *
+ * The lists the token's user is a member of (archived ones included, marked):
+ *   { lists: [{ id, name, role, archived }] }
+ */
+export const GET = handleApi(async (request) => {
+  const { userId } = await authenticate(request)
+
+  const { data, error } = await getSupabaseAdmin()
+    .from('list_members')
+    .select('role, lists (id, name, archived_at)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+
+  const lists = (data || [])
+    .filter(row => row.lists)
+    .map(row => ({ id: row.lists.id, name: row.lists.name, role: row.role, archived: Boolean(row.lists.archived_at) }))
+  return NextResponse.json({ lists })
+})
@@ -0,0 +1,64 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import { useSession } from '../../../lib/useSession'
+import { acceptInvitation } from '../../../lib/lists'
+import { useTranslation } from '../../../lib/useTranslation'
+import AuthForm from '../../../components/AuthForm'
+
+/**
+ * Invitation Link Page
+ *
+ * Opened from a shared invite link (/invite/<token>).
+ * Signed-out visitors sign in first and are sent back here;
+ * signed-in users join the list and continue to it.
+ */
+export default function InvitePage() {
+  const { token } = useParams()
+  const router = useRouter()
+  const { session, loading } = useSession()
+  const { t } = useTranslation()
+  const [error, setError] = useState(null)  // '' when there is no message to show
+
+  useEffect(() => {
+    if (!session || !token) return
+
+    acceptInvitation(token)
+      .then(listId => router.replace(`/lists/${listId}`))
+      .catch((error) => {
+        console.error('Error accepting invitation:', error)
+        setError(error.message || '')
+      })
+  }, [session, token, router])
+
+  if (!loading && !session) {
+    return (
+      <AuthForm
+        subtitle={t('auth.subtitleInvite')}
+        redirectTo={window.location.href}
+      />
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+        {error !== null ? (
+          <>
+            <h1 className="text-xl font-bold text-gray-800 mb-2">{t('invite.notAccepted')}</h1>
+            <p className="text-gray-600 mb-6">{error || t('invite.failed')}</p>
+            <button
+              onClick={() => router.replace('/')}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              {t('invite.goToList')}
+            </button>
+          </>
+        ) : (
+          <div className="text-xl text-gray-600">{t('invite.joining')}</div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,17 +1,36 @@
 import { Inter } from 'next/font/google'
 import './globals.css'
+import LocaleProvider from '../components/LocaleProvider'
+import ServiceWorkerRegistration from '../components/ServiceWorkerRegistration'
 
 const inter = Inter({ subsets: ['latin'] })
 
 export const metadata = {
   title: 'Shopping List App',
   description: 'A modern shopping list application',
+  // Installed on the home screen (the manifest is in manifest.js)
+  appleWebApp: {
+    capable: true,
+    title: 'Shopping List',
+    statusBarStyle: 'default',
+  },
+  icons: {
+    apple: '/icons/apple-touch-icon.png',
+  },
 }
 
+export const viewport = {
+  themeColor: '#4f46e5',
+}
+
+// lang and dir are set to the user's language once the app has loaded (see LocaleProvider)
 export default function RootLayout({ children }) {
   return (
-    <html lang="en">
-      <body className={inter.className}>{children}</body>
+    <html lang="en" dir="ltr" suppressHydrationWarning>
+      <body className={inter.className}>
+        <LocaleProvider>{children}</LocaleProvider>
+        <ServiceWorkerRegistration />
+      </body>
     </html>
   )
 }
\ No newline at end of file
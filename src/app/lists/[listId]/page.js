@@ -0,0 +1,53 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import { useSession } from '../../../lib/useSession'
+import { useTranslation } from '../../../lib/useTranslation'
+import { GUEST_LIST_ID, GUEST_SESSION } from '../../../lib/guest'
+import ShoppingList from '../../../components/ShoppingList'
+import AuthForm from '../../../components/AuthForm'
+
+/**
+ * List Page
+ *
+ * Shows one specific list (/lists/<id>), so every list can be bookmarked.
+ * /lists/guest is the local list of someone without an account (see guest.js).
+ */
+export default function ListPage() {
+  const router = useRouter()
+  const { listId } = useParams()
+  const { session, loading } = useSession()
+  const { t } = useTranslation()
+  const [signingIn, setSigningIn] = useState(false)  // Guest chose to sign in
+
+  const guest = listId === GUEST_LIST_ID
+
+  // A guest who signed in goes home, where the guest list is moved into the account
+  useEffect(() => {
+    if (guest && session) router.replace('/')
+  }, [guest, session, router])
+
+  if (loading || (guest && session)) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <div className="text-xl text-gray-600">{t('common.loading')}</div>
+      </div>
+    )
+  }
+
+  if (guest && !signingIn) {
+    return <ShoppingList key={listId} session={GUEST_SESSION} listId={listId} guest onSignIn={() => setSigningIn(true)} />
+  }
+
+  if (guest) {
+    return <AuthForm subtitle={t('auth.subtitleGuest')} onCancel={() => setSigningIn(false)} />
+  }
+
+  if (!session) {
+    return <AuthForm redirectTo={window.location.href} />
+  }
+
+  // Keyed by list so switching lists starts with fresh UI state
+  return <ShoppingList key={listId} session={session} listId={listId} />
+}
@@ -0,0 +1,21 @@
+/**
+ * Web app manifest (served as /manifest.webmanifest)
+ * Lets phones install the app on the home screen and open it full screen.
+ */
+export default function manifest() {
+  return {
+    name: 'Shopping List App',
+    short_name: 'Shopping List',
+    description: 'A modern shopping list application',
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    background_color: '#eff6ff',
+    theme_color: '#4f46e5',
+    icons: [
+      { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+      { src: '/icons/icon-maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+    ]
+  }
+}
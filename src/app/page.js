@@ -1,43 +1,55 @@
 'use client'
 
-import { useState, useEffect } from 'react'
-import { supabase } from '../lib/supabase'
-import ShoppingList from '../components/ShoppingList'
+import { useEffect, useRef } from 'react'
+import { useRouter } from 'next/navigation'
+import { useSession } from '../lib/useSession'
+import { useTranslation } from '../lib/useTranslation'
+import { resolveActiveList } from '../lib/lists'
+import { createSupabaseRepository } from '../lib/listRepository'
+import { GUEST_LIST_ID, hasGuestData, migrateGuestList } from '../lib/guest'
 import AuthForm from '../components/AuthForm'
 
 export default function Home() {
-  const [session, setSession] = useState(null)
-  const [loading, setLoading] = useState(true)
+  const router = useRouter()
+  const { session, loading } = useSession()
+  const { t } = useTranslation()
 
+  // The latest t, for naming a first list; the language can still change after
+  // the list is opened, and opening it again could create a second one
+  const tRef = useRef(t)
   useEffect(() => {
-    // Get initial session
-    supabase.auth.getSession().then(({ data: { session } }) => {
-      setSession(session)
-      setLoading(false)
-    })
-
-    // Listen for auth changes
-    const {
-      data: { subscription },
-    } = supabase.auth.onAuthStateChange((_event, session) => {
-      setSession(session)
-      setLoading(false)
-    })
-
-    return () => subscription.unsubscribe()
-  }, [])
-
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
-        <div className="text-xl text-gray-600">Loading...</div>
-      </div>
-    )
-  }
+    tRef.current = t
+  }, [t])
+
+  // Open the last used list (or create the first one) so its URL can be bookmarked
+  useEffect(() => {
+    if (!session?.user?.id) return
+
+    const openActiveList = async () => {
+      const list = await resolveActiveList(session.user.id, tRef.current('lists.defaultName'))
+
+      // Signed in after using the app as a guest: bring the guest list along
+      if (hasGuestData()) {
+        try {
+          await migrateGuestList(createSupabaseRepository(), { listId: list.id, userId: session.user.id })
+        } catch (error) {
+          console.error('Error moving the guest list into the account:', error)  // Kept locally, tried again next time
+        }
+      }
+
+      router.replace(`/lists/${list.id}`)
+    }
+
+    openActiveList().catch(error => console.error('Error opening list:', error))
+  }, [session?.user?.id, router])
 
-  if (!session) {
-    return <AuthForm />
+  if (!loading && !session) {
+    return <AuthForm onGuest={() => router.push(`/lists/${GUEST_LIST_ID}`)} />
   }
 
-  return <ShoppingList session={session} />
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+      <div className="text-xl text-gray-600">{t('common.loading')}</div>
+    </div>
+  )
 }
\ No newline at end of file
@@ -0,0 +1,180 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { X, KeyRound, Trash2, Copy, Check } from 'lucide-react'
+import { fetchAccessTokens, createAccessToken, revokeAccessToken } from '../lib/accessTokens'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * AccessTokensDialog Component
+ *
+ * Personal access tokens for the REST API (/api/lists/...):
+ * - Create a named token; it is shown once, right after creating it
+ * - See when each token was last used and revoke the ones no longer needed
+ * A token acts as the user on every list they're a member of, with their role.
+ */
+export default function AccessTokensDialog({ session, onClose }) {
+  const { t, rich, locale } = useTranslation()
+
+  // ============ STATE MANAGEMENT ============
+
+  const [tokens, setTokens] = useState([])
+  const [name, setName] = useState('')
+  const [newToken, setNewToken] = useState(null)  // Only available until the dialog closes
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)  // A message id, or the server's own message
+
+  // ============ DATA LOADING ============
+
+  const refresh = async () => {
+    try {
+      setTokens(await fetchAccessTokens())
+    } catch (error) {
+      console.error('Error loading access tokens:', error)
+      setError('tokens.loadFailed')
+    }
+  }
+
+  useEffect(() => {
+    refresh()
+  }, [])
+
+  // ============ ACTIONS ============
+
+  const create = async () => {
+    const tokenName = name.trim()
+    if (!tokenName) {
+      setError('tokens.nameRequired')
+      return
+    }
+
+    setError(null)
+    try {
+      setNewToken(await createAccessToken(session.user.id, tokenName))
+      setCopied(false)
+      setName('')
+      await refresh()
+    } catch (error) {
+      console.error('Could not create access token', error)
+      setError(error.message || 'tokens.createFailed')
+    }
+  }
+
+  const revoke = async (token) => {
+    if (!confirm(t('tokens.revokeConfirm', { name: token.name }))) return
+
+    setError(null)
+    try {
+      await revokeAccessToken(token.id)
+      await refresh()
+    } catch (error) {
+      console.error('Could not revoke access token', error)
+      setError(error.message || 'tokens.revokeFailed')
+    }
+  }
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      // Clipboard access can be denied; the token can still be selected and copied by hand
+    }
+  }
+
+  // ============ RENDER ============
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('tokens.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <p className="text-xs text-gray-500 mb-4">
+          {rich('tokens.hint', { header: <code className="bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code> })}
+        </p>
+
+        {error && (
+          <p className="text-sm text-red-600 mb-3">{t(error)}</p>
+        )}
+
+        {/* ============ NEW TOKEN ============ */}
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            placeholder={t('tokens.namePlaceholder')}
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && create()}
+            className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          />
+          <button
+            onClick={create}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium flex items-center gap-1"
+          >
+            <KeyRound size={14} />
+            {t('tokens.create')}
+          </button>
+        </div>
+
+        {/* Shown once - only its hash is stored */}
+        {newToken && (
+          <div className="mb-5 p-3 bg-green-50 border border-green-200 rounded-lg">
+            <p className="text-xs text-green-800 mb-2">
+              {t('tokens.copyNow')}
+            </p>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs bg-white border border-green-200 rounded px-2 py-1 break-all select-all">{newToken}</code>
+              <button
+                onClick={copyToken}
+                className="p-1 text-gray-500 hover:text-green-700 transition-colors"
+                title={t('tokens.copy')}
+              >
+                {copied ? <Check size={14} /> : <Copy size={14} />}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* ============ EXISTING TOKENS ============ */}
+        <h3 className="text-sm font-medium text-gray-700 mb-2">{t('tokens.yours')}</h3>
+        {tokens.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('tokens.none')}</p>
+        ) : (
+          <div className="space-y-1.5">
+            {tokens.map(token => (
+              <div key={token.id} className="flex items-center gap-2 text-sm">
+                <div className="flex-1 min-w-0">
+                  <div className="truncate text-gray-800">{token.name}</div>
+                  <div className="text-xs text-gray-500">
+                    <code>{token.token_prefix}…</code>
+                    {' · '}
+                    {token.last_used_at
+                      ? t('tokens.lastUsed', { date: new Date(token.last_used_at).toLocaleDateString(locale) })
+                      : t('tokens.neverUsed')}
+                  </div>
+                </div>
+                <button
+                  onClick={() => revoke(token)}
+                  className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                  title={t('tokens.revoke')}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
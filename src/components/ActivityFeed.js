@@ -0,0 +1,71 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Activity, ChevronDown, ChevronRight } from 'lucide-react'
+import { formatTimeAgo } from '../lib/activity'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * ActivityFeed Component
+ *
+ * Who changed what in the list, newest first: items added, removed, marked as
+ * needed or bought, categories added or deleted, and trips finished.
+ * Collapsed, it shows the latest change only; click to see the rest.
+ */
+export default function ActivityFeed({ activity, userId }) {
+  const { t, locale } = useTranslation()
+
+  // ============ STATE MANAGEMENT ============
+
+  const [expanded, setExpanded] = useState(false)
+  const [now, setNow] = useState(() => Date.now())  // Keeps "5 minutes ago" up to date
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  if (activity.length === 0) return null
+
+  // ============ HELPERS ============
+
+  // Members are named by the start of their email; the current user is "You"
+  const actorName = (entry) => {
+    if (entry.actor_id === userId) return t('activity.you')
+    return entry.actor_email?.split('@')[0] || t('activity.someone')
+  }
+
+  const subject = (entry) => entry.action.startsWith('category') ? categoryLabel(entry.name, locale) : entry.name
+
+  const renderEntry = (entry) => (
+    <div key={entry.id} className="flex items-baseline gap-1.5 text-xs min-w-0">
+      <span className="font-medium text-gray-700 shrink-0">{actorName(entry)} ·</span>
+      <span className="text-gray-500 shrink-0">{t(`activity.${entry.action}`)}</span>
+      {entry.name && <span className="text-gray-800 truncate">{subject(entry)}</span>}
+      <span className="ms-auto text-gray-400 shrink-0">{formatTimeAgo(entry.created_at, locale, now)}</span>
+    </div>
+  )
+
+  // ============ RENDER ============
+
+  return (
+    <div className="bg-white rounded-xl p-3 mb-4 border border-gray-200">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-1.5 text-sm font-medium text-gray-700"
+        title={t(expanded ? 'activity.hide' : 'activity.show')}
+      >
+        <Activity size={14} />
+        {t('activity.title')}
+        <span className="ms-auto text-gray-400">
+          {expanded ? <ChevronDown size={16} /> : <ChevronRight size={16} className="rtl:rotate-180" />}
+        </span>
+      </button>
+
+      <div className="mt-2 space-y-1">
+        {(expanded ? activity : activity.slice(0, 1)).map(renderEntry)}
+      </div>
+    </div>
+  )
+}
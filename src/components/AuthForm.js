@@ -3,14 +3,61 @@
 import { Auth } from '@supabase/auth-ui-react'
 import { ThemeSupa } from '@supabase/auth-ui-shared'
 import { supabase } from '../lib/supabase'
+import { useTranslation } from '../lib/useTranslation'
+import LanguagePicker from './LanguagePicker'
+
+/**
+ * The texts of the Supabase sign-in form, in the user's language
+ */
+const authLabels = (t) => {
+  const fields = {
+    email_label: t('auth.email'),
+    email_input_placeholder: t('auth.emailPlaceholder'),
+    password_input_placeholder: t('auth.passwordPlaceholder')
+  }
+  return {
+    sign_in: {
+      ...fields,
+      password_label: t('auth.password'),
+      button_label: t('auth.signIn'),
+      loading_button_label: t('auth.signingIn'),
+      social_provider_text: t('auth.signInWith'),
+      link_text: t('auth.haveAccount')
+    },
+    sign_up: {
+      ...fields,
+      password_label: t('auth.createPassword'),
+      button_label: t('auth.signUp'),
+      loading_button_label: t('auth.signingUp'),
+      social_provider_text: t('auth.signInWith'),
+      link_text: t('auth.noAccount'),
+      confirmation_text: t('auth.signUpConfirmation')
+    },
+    forgotten_password: {
+      ...fields,
+      button_label: t('auth.sendReset'),
+      loading_button_label: t('auth.sendingReset'),
+      link_text: t('auth.forgotPassword'),
+      confirmation_text: t('auth.resetConfirmation')
+    }
+  }
+}
+
+/**
+ * Sign-in screen
+ * `redirectTo` is where OAuth and magic-link logins return to (the app root by default)
+ * `onGuest` adds a way to try the app without an account; `onCancel` a way back to it
+ */
+export default function AuthForm({ subtitle, redirectTo, onGuest, onCancel }) {
+  const { t } = useTranslation()
 
-export default function AuthForm() {
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
       <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+        <LanguagePicker className="justify-end mb-2" />
         <div className="text-center mb-8">
-          <h1 className="text-3xl font-bold text-gray-800 mb-2">🛒 Shopping List</h1>
-          <p className="text-gray-600">Sign in to manage your shopping lists</p>
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">🛒 {t('app.title')}</h1>
+          <p className="text-gray-600">{subtitle || t('auth.subtitle')}</p>
         </div>
         
         <Auth
@@ -26,9 +73,34 @@ export default function AuthForm() {
               }
             }
           }}
+          localization={{ variables: authLabels(t) }}
           providers={['google', 'github']}
-          redirectTo={`${window.location.origin}/`}
+          redirectTo={redirectTo || `${window.location.origin}/`}
         />
+
+        {onGuest && (
+          <div className="mt-6 pt-6 border-t border-gray-100 text-center">
+            <button
+              onClick={onGuest}
+              className="text-sm font-medium text-blue-600 hover:text-blue-800 transition-colors"
+            >
+              {t('auth.continueAsGuest')}
+            </button>
+            <p className="text-xs text-gray-500 mt-1">
+              {t('auth.guestHint')}
+            </p>
+          </div>
+        )}
+        {onCancel && (
+          <div className="mt-6 text-center">
+            <button
+              onClick={onCancel}
+              className="text-sm text-gray-500 hover:text-gray-700 transition-colors"
+            >
+              {t('auth.backToGuest')}
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,72 @@
+'use client'
+
+import { useState } from 'react'
+import { X } from 'lucide-react'
+import { parsePrice, formatPrice } from '../lib/prices'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * BudgetDialog Component
+ *
+ * Lets the list owner set (or remove) a monthly budget for the list.
+ * Shows what has been spent on this month's recorded trips so far.
+ */
+export default function BudgetDialog({ list, spentThisMonth, onSave, onClose }) {
+  const { t } = useTranslation()
+  const [value, setValue] = useState(list.monthly_budget ?? '')
+
+  const save = () => {
+    const budget = parsePrice(value)
+    onSave(budget > 0 ? budget : null)
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-sm w-full">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('budget.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <input
+          type="text"
+          inputMode="decimal"
+          placeholder={t('budget.placeholder')}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          className="w-full px-4 py-2 mb-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+          autoFocus
+        />
+        {spentThisMonth !== null && (
+          <p className="text-xs text-gray-500 mb-4">
+            {t('budget.spent', { amount: formatPrice(spentThisMonth) })}
+          </p>
+        )}
+
+        <div className="flex gap-3">
+          {list.monthly_budget && (
+            <button
+              onClick={() => onSave(null)}
+              className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium text-sm"
+            >
+              {t('budget.remove')}
+            </button>
+          )}
+          <button
+            onClick={save}
+            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm"
+          >
+            {t('common.save')}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,170 @@
+'use client'
+
+import { useState } from 'react'
+import { X, Pencil, Trash2, Eye, EyeOff, RotateCcw } from 'lucide-react'
+import { CATEGORY_COLORS, CATEGORY_ICONS, categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+import CategoryIcon from './CategoryIcon'
+
+/**
+ * CategoriesDialog Component
+ *
+ * Edit every category of the list, the starter ones included:
+ * - Rename, hide/show or delete (deleting asks for confirmation in the list)
+ * - Pick a colour and an icon, shown in the category's header
+ * - Restore the default categories that were deleted or hidden
+ * Hidden categories keep their items; they're just left out of the list and pickers.
+ */
+export default function CategoriesDialog({ categories, items, canRestoreDefaults, onRename, onUpdate, onDelete, onRestoreDefaults, onClose }) {
+  const { t, locale } = useTranslation()
+
+  // ============ STATE MANAGEMENT ============
+
+  const [expanded, setExpanded] = useState(null)  // Name of the category whose colour and icon are being picked
+  const [renaming, setRenaming] = useState(null)  // Name of the category being renamed
+  const [renameValue, setRenameValue] = useState('')
+
+  const itemCount = (name) => items.filter(item => item.category === name).length
+
+  // ============ ACTIONS ============
+
+  const startRename = (category) => {
+    setRenaming(category.name)
+    setRenameValue(categoryLabel(category.name, locale))
+  }
+
+  const finishRename = () => {
+    const from = renaming
+    setRenaming(null)
+    if (renameValue.trim()) onRename(from, renameValue)
+  }
+
+  // ============ RENDER ============
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-xl font-bold text-gray-800">{t('categories.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">{t('categories.hint')}</p>
+
+        <div className="space-y-1 mb-4">
+          {categories.map(category => {
+            const isExpanded = expanded === category.name
+            return (
+              <div key={category.id} className="border border-gray-200 rounded-md">
+                <div className="flex items-center gap-1.5 px-2 py-1.5">
+                  <button
+                    onClick={() => setExpanded(isExpanded ? null : category.name)}
+                    className="p-1 rounded hover:bg-gray-100"
+                    title={t('categories.customise')}
+                  >
+                    <CategoryIcon icon={category.icon} color={category.color} />
+                  </button>
+
+                  {renaming === category.name ? (
+                    <input
+                      type="text"
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') finishRename()
+                        if (e.key === 'Escape') setRenaming(null)
+                      }}
+                      onBlur={() => setRenaming(null)}
+                      className="flex-1 min-w-0 px-2 py-0.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
+                      autoFocus
+                    />
+                  ) : (
+                    <div className={`flex-1 min-w-0 text-sm ${category.hidden ? 'text-gray-400' : 'text-gray-800'}`}>
+                      <span className="truncate">{categoryLabel(category.name, locale)}</span>
+                      <span className="ms-1.5 text-xs text-gray-400">
+                        {category.hidden && `${t('categories.hidden')} · `}{t('categories.items', { count: itemCount(category.name) })}
+                      </span>
+                    </div>
+                  )}
+
+                  <button
+                    onClick={() => startRename(category)}
+                    className="p-1 text-gray-400 hover:text-blue-500 transition-colors"
+                    title={t('category.rename')}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => onUpdate(category.name, { hidden: !category.hidden })}
+                    className="p-1 text-gray-400 hover:text-gray-700 transition-colors"
+                    title={t(category.hidden ? 'categories.show' : 'categories.hide')}
+                  >
+                    {category.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                  </button>
+                  <button
+                    onClick={() => onDelete(category.name)}
+                    className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                    title={t('category.delete')}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+
+                {/* Colour and icon choices */}
+                {isExpanded && (
+                  <div className="border-t border-gray-100 px-2 py-2 space-y-2">
+                    <div>
+                      <p className="text-xs text-gray-500 mb-1">{t('categories.color')}</p>
+                      <div className="flex flex-wrap gap-1">
+                        {CATEGORY_COLORS.map(color => (
+                          <button
+                            key={color}
+                            onClick={() => onUpdate(category.name, { color })}
+                            className={`p-1 rounded ${category.color === color ? 'bg-gray-200' : 'hover:bg-gray-100'}`}
+                            title={t(`color.${color}`)}
+                          >
+                            <CategoryIcon icon={category.icon} color={color} />
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                    <div>
+                      <p className="text-xs text-gray-500 mb-1">{t('categories.icon')}</p>
+                      <div className="flex flex-wrap gap-1">
+                        {CATEGORY_ICONS.map(icon => (
+                          <button
+                            key={icon}
+                            onClick={() => onUpdate(category.name, { icon })}
+                            className={`p-1 rounded ${category.icon === icon ? 'bg-gray-200' : 'hover:bg-gray-100'}`}
+                          >
+                            <CategoryIcon icon={icon} color={category.color} />
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {/* ============ RESTORE DEFAULTS ============ */}
+        <button
+          onClick={onRestoreDefaults}
+          disabled={!canRestoreDefaults}
+          className="w-full px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:hover:bg-gray-100"
+        >
+          <RotateCcw size={14} />
+          {t('categories.restoreDefaults')}
+        </button>
+        <p className="text-xs text-gray-500 mt-1 text-center">{t('categories.restoreHint')}</p>
+      </div>
+    </div>
+  )
+}
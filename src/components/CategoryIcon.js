@@ -0,0 +1,53 @@
+'use client'
+
+import {
+  Tag, Milk, Croissant, Apple, Carrot, Snowflake, Wheat, SprayCan, Beef, Fish,
+  Cookie, Coffee, Wine, Baby, PawPrint, Pill, Shirt, Hammer, Flower2
+} from 'lucide-react'
+
+// Icon ids (CATEGORY_ICONS in categories.js) -> icons
+const ICONS = {
+  'tag': Tag,
+  'milk': Milk,
+  'croissant': Croissant,
+  'apple': Apple,
+  'carrot': Carrot,
+  'snowflake': Snowflake,
+  'wheat': Wheat,
+  'spray-can': SprayCan,
+  'beef': Beef,
+  'fish': Fish,
+  'cookie': Cookie,
+  'coffee': Coffee,
+  'wine': Wine,
+  'baby': Baby,
+  'paw-print': PawPrint,
+  'pill': Pill,
+  'shirt': Shirt,
+  'hammer': Hammer,
+  'flower': Flower2
+}
+
+// Colour ids (CATEGORY_COLORS in categories.js) -> text colour classes
+const COLORS = {
+  gray: 'text-gray-500',
+  red: 'text-red-500',
+  orange: 'text-orange-500',
+  amber: 'text-amber-500',
+  green: 'text-green-600',
+  teal: 'text-teal-500',
+  sky: 'text-sky-500',
+  blue: 'text-blue-500',
+  violet: 'text-violet-500',
+  pink: 'text-pink-500'
+}
+
+/**
+ * CategoryIcon Component
+ *
+ * The icon of a category in its colour; a grey tag for categories without one
+ */
+export default function CategoryIcon({ icon, color, size = 16, className = '' }) {
+  const Icon = ICONS[icon] || Tag
+  return <Icon size={size} className={`shrink-0 ${COLORS[color] || 'text-gray-400'} ${className}`} />
+}
@@ -0,0 +1,82 @@
+'use client'
+
+import { useState } from 'react'
+import { X, FileJson, FileSpreadsheet, Copy, Check } from 'lucide-react'
+import { exportJson, exportCsv, exportText, downloadFile, exportFileName } from '../lib/importExport'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * ExportDialog Component
+ *
+ * Get the current list out of the app:
+ * - Download everything as JSON or CSV
+ * - Copy the needed items as text, grouped by category, to paste into a chat
+ */
+export default function ExportDialog({ list, categories, items, onClose }) {
+  const { t, locale } = useTranslation()
+  const [copied, setCopied] = useState(false)
+  const text = exportText(categories, items, locale)
+
+  const copyText = async () => {
+    try {
+      await navigator.clipboard.writeText(text)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      // Clipboard access can be denied; the text is shown below to copy by hand
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('export.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {/* ============ FILES ============ */}
+        <p className="text-sm text-gray-600 mb-2">{t('export.filesHint')}</p>
+        <div className="flex gap-2 mb-5">
+          <button
+            onClick={() => downloadFile(exportFileName(list, 'json'), exportJson(list, categories, items), 'application/json')}
+            className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium"
+          >
+            <FileJson size={16} />
+            JSON
+          </button>
+          <button
+            onClick={() => downloadFile(exportFileName(list, 'csv'), exportCsv(items), 'text/csv')}
+            className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium"
+          >
+            <FileSpreadsheet size={16} />
+            CSV
+          </button>
+        </div>
+
+        {/* ============ COPY AS TEXT ============ */}
+        <p className="text-sm text-gray-600 mb-2">{t('export.textHint')}</p>
+        {text ? (
+          <>
+            <pre className="text-xs text-gray-700 bg-gray-50 border border-gray-200 rounded-lg p-2 mb-2 max-h-48 overflow-y-auto whitespace-pre-wrap">{text}</pre>
+            <button
+              onClick={copyText}
+              className="w-full flex items-center justify-center gap-1.5 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium"
+            >
+              {copied ? <Check size={16} /> : <Copy size={16} />}
+              {copied ? t('export.copied') : t('export.copy')}
+            </button>
+          </>
+        ) : (
+          <p className="text-xs text-gray-500">{t('export.nothingNeeded')}</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,150 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { X, ChevronDown, ChevronRight, Check, Store, RotateCcw, PackageX } from 'lucide-react'
+import { fetchTrips, summarizeTrip } from '../lib/trips'
+import { formatQuantity } from '../lib/parseItem'
+import { formatPrice } from '../lib/prices'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * HistoryDialog Component
+ *
+ * Past shopping trips of the list, newest first (recorded by Reset).
+ * Each trip can be expanded to see what was bought and what was left,
+ * and its items can be put back on the list for the next trip.
+ */
+export default function HistoryDialog({ listId, canModify, onReAdd, onClose }) {
+  const { t, locale } = useTranslation()
+  const [trips, setTrips] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)  // Message id
+  const [expandedId, setExpandedId] = useState(null)
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setTrips(await fetchTrips(listId))
+      } catch (error) {
+        console.error('Error fetching trips:', error)
+        setError('history.loadFailed')
+      } finally {
+        setLoading(false)
+      }
+    }
+    load()
+  }, [listId])
+
+  /**
+   * "Sat 12 Oct 2026, 18:40"
+   */
+  const formatDate = (value) => new Date(value).toLocaleString(locale, {
+    weekday: 'short', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  })
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('history.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{t(error)}</p>}
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-6">{t('common.loading')}</p>
+        ) : trips.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            {t('history.empty')}
+          </p>
+        ) : (
+          <div className="space-y-1.5">
+            {trips.map(trip => {
+              const { needed, bought, unbought, unavailable, spent } = summarizeTrip(trip)
+              const isExpanded = expandedId === trip.id
+              const unboughtItems = trip.items.filter(item => !item.bought)
+
+              return (
+                <div key={trip.id} className="border border-gray-200 rounded-lg">
+                  {/* ============ TRIP SUMMARY ============ */}
+                  <button
+                    onClick={() => setExpandedId(isExpanded ? null : trip.id)}
+                    className="w-full flex items-start gap-2 px-3 py-2 text-start"
+                  >
+                    {isExpanded ? <ChevronDown size={16} className="mt-0.5" /> : <ChevronRight size={16} className="mt-0.5 rtl:rotate-180" />}
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-800">{formatDate(trip.finished_at)}</p>
+                      <p className="text-xs text-gray-500 flex items-center gap-1">
+                        {trip.store_name && (
+                          <>
+                            <Store size={11} />
+                            <span className="truncate">{trip.store_name}</span>
+                            <span>·</span>
+                          </>
+                        )}
+                        <span>
+                          {t('history.bought', { bought, needed })}{unbought > 0 && `, ${t('history.left', { count: unbought })}`}
+                          {unavailable > 0 && ` (${t('history.unavailable', { count: unavailable })})`}
+                          {spent > 0 && ` · ${formatPrice(spent)}`}
+                        </span>
+                      </p>
+                    </div>
+                  </button>
+
+                  {/* ============ TRIP DETAILS ============ */}
+                  {isExpanded && (
+                    <div className="border-t border-gray-100 px-3 py-2">
+                      <ul className="space-y-0.5 mb-2">
+                        {trip.items.map(item => (
+                          <li key={item.item_id} className="flex items-center gap-1.5 text-xs">
+                            {item.bought
+                              ? <Check size={12} className="text-green-600 flex-shrink-0" />
+                              : item.unavailable
+                                ? <PackageX size={12} className="text-amber-500 flex-shrink-0" />  // The store didn't have it
+                                : <X size={12} className="text-red-400 flex-shrink-0" />}
+                            <span className={item.bought ? 'text-gray-700' : 'text-gray-500'}>
+                              {formatQuantity(item) && `${formatQuantity(item)} `}{item.name}
+                            </span>
+                            <span className="text-gray-400 truncate">· {categoryLabel(item.category, locale)}</span>
+                          </li>
+                        ))}
+                      </ul>
+
+                      {canModify && trip.items.length > 0 && (
+                        <div className="flex gap-1.5">
+                          <button
+                            onClick={() => onReAdd(trip.items)}
+                            className="flex-1 px-2.5 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium flex items-center justify-center gap-1"
+                          >
+                            <RotateCcw size={12} />
+                            {t('history.addAll')}
+                          </button>
+                          {unboughtItems.length > 0 && unboughtItems.length < trip.items.length && (
+                            <button
+                              onClick={() => onReAdd(unboughtItems)}
+                              className="flex-1 px-2.5 py-1.5 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium"
+                            >
+                              {t('history.addLeft', { count: unboughtItems.length })}
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,221 @@
+'use client'
+
+import { useState } from 'react'
+import { X, Upload } from 'lucide-react'
+import { parseImport, findDuplicate } from '../lib/importExport'
+import { formatQuantity } from '../lib/parseItem'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+// Mapping value meaning "create the source category in this list"
+const NEW_CATEGORY = '__new__'
+
+/**
+ * ImportDialog Component
+ *
+ * Bring items into the current list from JSON or CSV exports, or from a pasted
+ * list with one item per line. Before anything is imported the user sees a preview:
+ * - which list category each source category goes to (or creates a new one)
+ * - which rows duplicate items already on the list; those are skipped by default
+ *   and, when ticked, mark the existing item as needed instead of adding it twice
+ */
+export default function ImportDialog({ categories, items, onImport, onClose }) {
+  const { t, locale } = useTranslation()
+  const label = (category) => categoryLabel(category, locale)
+
+  // ============ STATE MANAGEMENT ============
+
+  const [text, setText] = useState('')
+  const [parsed, setParsed] = useState(null)        // { format, rows, categories } once previewed
+  const [mapping, setMapping] = useState({})        // source category ('' = none) -> list category or NEW_CATEGORY
+  const [choices, setChoices] = useState({})        // row index -> included, where the user overrode the default
+  const [error, setError] = useState(null)
+
+  // ============ PARSING ============
+
+  /**
+   * Guess where a source category goes: the same name in the list, else a new category
+   */
+  const defaultMapping = (source) => {
+    if (!source) return categories[0]
+    const match = categories.find(category => category.toLowerCase() === source.toLowerCase())
+    return match || NEW_CATEGORY
+  }
+
+  const preview = () => {
+    setError(null)
+    try {
+      const result = parseImport(text)
+      if (result.rows.length === 0) {
+        setError(t('import.noItems'))
+        return
+      }
+
+      const sources = [...new Set(result.rows.map(row => row.category || ''))]
+      setMapping(Object.fromEntries(sources.map(source => [source, defaultMapping(source)])))
+      setChoices({})
+      setParsed(result)
+    } catch (error) {
+      setError(t('import.unreadable', { message: error.message }))
+    }
+  }
+
+  const readFile = async (file) => {
+    if (!file) return
+    setText(await file.text())
+    setParsed(null)
+  }
+
+  // ============ PREVIEW ============
+
+  /**
+   * The list category a row ends up in
+   */
+  const targetCategory = (row) => {
+    const target = mapping[row.category || '']
+    return target === NEW_CATEGORY ? row.category : target
+  }
+
+  const entries = (parsed?.rows || []).map((row, index) => {
+    const category = targetCategory(row)
+    const duplicate = findDuplicate(items, row.name, category)
+    return { index, row, category, duplicate, included: choices[index] ?? !duplicate }
+  })
+  const included = entries.filter(entry => entry.included)
+
+  const runImport = () => {
+    const newCategories = Object.entries(mapping)
+      .filter(([source, target]) => target === NEW_CATEGORY && source)
+      .map(([source]) => source)
+      .filter(source => included.some(entry => entry.category === source))
+
+    onImport({
+      newCategories,
+      entries: included.map(({ row, category, duplicate }) => ({ row, category, duplicate }))
+    })
+  }
+
+  // ============ RENDER ============
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('import.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {!parsed ? (
+          /* ============ SOURCE ============ */
+          <>
+            <p className="text-sm text-gray-600 mb-2">
+              {t('import.hint')}
+            </p>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={8}
+              placeholder={t('import.placeholder')}
+              className="w-full px-3 py-2 mb-2 text-sm font-mono border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+            />
+            <div className="flex gap-2">
+              <label className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm font-medium cursor-pointer">
+                <Upload size={16} />
+                {t('import.chooseFile')}
+                <input
+                  type="file"
+                  accept=".json,.csv,.txt,application/json,text/csv,text/plain"
+                  onChange={(e) => readFile(e.target.files[0])}
+                  className="hidden"
+                />
+              </label>
+              <button
+                onClick={preview}
+                disabled={!text.trim()}
+                className="flex-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                {t('import.preview')}
+              </button>
+            </div>
+          </>
+        ) : (
+          /* ============ PREVIEW ============ */
+          <>
+            <p className="text-xs text-gray-500 mb-3">
+              {t('import.readAs', { format: parsed.format.toUpperCase(), count: parsed.rows.length })}
+            </p>
+
+            {/* Category mapping */}
+            <h3 className="text-sm font-medium text-gray-700 mb-1">{t('import.categories')}</h3>
+            <div className="space-y-1 mb-4">
+              {Object.keys(mapping).map(source => (
+                <div key={source} className="flex items-center gap-2 text-sm">
+                  <span className="flex-1 truncate text-gray-700">{source ? label(source) : t('import.noCategory')}</span>
+                  <span className="text-gray-400">→</span>
+                  <select
+                    value={mapping[source]}
+                    onChange={(e) => setMapping({ ...mapping, [source]: e.target.value })}
+                    className="flex-1 min-w-0 px-1.5 py-1 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+                  >
+                    {source && !categories.includes(source) && (
+                      <option value={NEW_CATEGORY}>{t('import.newCategory', { name: source })}</option>
+                    )}
+                    {categories.map(category => <option key={category} value={category}>{label(category)}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {/* Items */}
+            <h3 className="text-sm font-medium text-gray-700 mb-1">{t('import.items')}</h3>
+            <div className="space-y-0.5 mb-4 max-h-64 overflow-y-auto">
+              {entries.map(({ index, row, category, duplicate, included }) => (
+                <label key={index} className="flex items-center gap-2 px-1 py-0.5 text-sm rounded hover:bg-gray-50">
+                  <input
+                    type="checkbox"
+                    checked={included}
+                    onChange={(e) => setChoices({ ...choices, [index]: e.target.checked })}
+                  />
+                  <span className="flex-1 min-w-0 truncate text-gray-800">
+                    {formatQuantity(row) && <span className="text-blue-700">{formatQuantity(row)} </span>}
+                    {row.name}
+                    <span className="text-xs text-gray-400"> · {label(category)}</span>
+                  </span>
+                  {duplicate && (
+                    <span className="flex-shrink-0 px-1.5 py-0.5 bg-amber-100 text-amber-800 rounded text-xs" title={t('import.duplicateTitle')}>
+                      {t('import.duplicate')}
+                    </span>
+                  )}
+                </label>
+              ))}
+            </div>
+
+            <div className="flex gap-2">
+              <button
+                onClick={() => setParsed(null)}
+                className="flex-1 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium"
+              >
+                {t('import.back')}
+              </button>
+              <button
+                onClick={runImport}
+                disabled={included.length === 0}
+                className="flex-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                {t('import.action', { count: included.length })}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
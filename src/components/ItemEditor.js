@@ -0,0 +1,199 @@
+'use client'
+
+import { useState } from 'react'
+import { COMMON_UNITS, normalizeUnit } from '../lib/parseItem'
+import { parsePrice } from '../lib/prices'
+import { sameRecurrence } from '../lib/recurrence'
+import { categoryLabel } from '../lib/categories'
+import { weekdayNames } from '../lib/i18n'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * ItemEditor Component
+ *
+ * Inline form for editing an item's name, quantity, unit, note and price in Plan Mode,
+ * its recurrence rule, and for moving it to another category.
+ * Calls onSave with only the fields that changed.
+ */
+export default function ItemEditor({ item, categories, onSave, onCancel }) {
+  const { t, rich, locale } = useTranslation()
+  const [name, setName] = useState(item.name)
+  const [quantity, setQuantity] = useState(item.quantity ?? '')
+  const [unit, setUnit] = useState(item.unit || '')
+  const [note, setNote] = useState(item.note || '')
+  const [price, setPrice] = useState(item.price ?? '')
+  const [category, setCategory] = useState(item.category)
+
+  // Recurrence rule: '' (never), 'trip', 'interval' or 'weekly'
+  const [repeatType, setRepeatType] = useState(item.recurrence?.type || '')
+  const [repeatDays, setRepeatDays] = useState(item.recurrence?.days || 7)
+  const [repeatWeekday, setRepeatWeekday] = useState(item.recurrence?.weekday ?? new Date().getDay())
+
+  /**
+   * The rule as chosen in the form, or null for "never"
+   */
+  const buildRecurrence = () => {
+    if (repeatType === 'trip') return { type: 'trip' }
+    if (repeatType === 'interval') return { type: 'interval', days: Math.max(1, Math.round(Number(repeatDays)) || 1) }
+    if (repeatType === 'weekly') return { type: 'weekly', weekday: Number(repeatWeekday) }
+    return null
+  }
+
+  /**
+   * Validate and collect the changed fields
+   */
+  const save = () => {
+    if (!name.trim()) return  // An item needs a name
+
+    const parsedQuantity = quantity === '' ? null : Number(String(quantity).replace(',', '.'))
+    const values = {
+      name: name.trim(),
+      quantity: parsedQuantity > 0 ? parsedQuantity : null,
+      unit: parsedQuantity > 0 ? (normalizeUnit(unit) || unit.trim() || null) : null,
+      note: note.trim() || null,
+      price: parsePrice(price),
+      category
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(values).filter(([field, value]) => value !== (item[field] ?? null))
+    )
+
+    // A new rule starts counting from today
+    const recurrence = buildRecurrence()
+    if (!sameRecurrence(recurrence, item.recurrence)) {
+      changes.recurrence = recurrence
+      changes.recurrence_anchor = recurrence ? new Date().toISOString() : null
+      if (!recurrence) changes.auto_needed = false
+    }
+    if (Object.keys(changes).length > 0) {
+      onSave(changes)
+    } else {
+      onCancel()
+    }
+  }
+
+  const handleKey = (e) => {
+    if (e.key === 'Enter') save()
+    if (e.key === 'Escape') onCancel()
+  }
+
+  return (
+    <div className="bg-gray-50 rounded-md border border-blue-200 p-2 space-y-1.5">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={handleKey}
+        placeholder={t('editor.name')}
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        autoFocus
+      />
+      <div className="flex gap-1.5">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          onKeyDown={handleKey}
+          placeholder={t('editor.quantity')}
+          className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        {/* Free text with suggestions, so unusual units still work */}
+        <input
+          type="text"
+          list="item-units"
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          onKeyDown={handleKey}
+          placeholder={t('editor.unit')}
+          className="w-24 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        <datalist id="item-units">
+          {COMMON_UNITS.map(option => <option key={option} value={option} />)}
+        </datalist>
+        {/* Price paid last time, for the trip estimate */}
+        <input
+          type="text"
+          inputMode="decimal"
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+          onKeyDown={handleKey}
+          placeholder={t('editor.price')}
+          className="w-20 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onKeyDown={handleKey}
+          placeholder={t('editor.note')}
+          className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+      </div>
+      {/* Recurrence: the item marks itself as needed again */}
+      <div className="flex gap-1.5 items-center text-xs text-gray-600">
+        {t('editor.repeat')}
+        <select
+          value={repeatType}
+          onChange={(e) => setRepeatType(e.target.value)}
+          className="px-1.5 py-1 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+        >
+          <option value="">{t('editor.repeatNever')}</option>
+          <option value="trip">{t('editor.repeatTrip')}</option>
+          <option value="interval">{t('editor.repeatInterval')}</option>
+          <option value="weekly">{t('editor.repeatWeekly')}</option>
+        </select>
+        {repeatType === 'interval' && rich('editor.everyDays', {
+          count: Number(repeatDays) || 0,
+          days: (
+            <input
+              type="number"
+              min="1"
+              value={repeatDays}
+              onChange={(e) => setRepeatDays(e.target.value)}
+              onKeyDown={handleKey}
+              className="w-14 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+            />
+          )
+        })}
+        {repeatType === 'weekly' && rich('editor.onWeekday', {
+          weekday: (
+            <select
+              value={repeatWeekday}
+              onChange={(e) => setRepeatWeekday(e.target.value)}
+              className="px-1.5 py-1 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+            >
+              {weekdayNames(locale).map((day, index) => <option key={day} value={index}>{day}</option>)}
+            </select>
+          )
+        })}
+      </div>
+      <div className="flex gap-1.5 items-center justify-end">
+        <label className="flex-1 flex items-center gap-1.5 min-w-0 text-xs text-gray-600">
+          {t('editor.moveTo')}
+          <select
+            value={category}
+            onChange={(e) => setCategory(e.target.value)}
+            className="flex-1 min-w-0 px-1.5 py-1 text-sm border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+          >
+            {categories.map(option => <option key={option} value={option}>{categoryLabel(option, locale)}</option>)}
+          </select>
+        </label>
+        <button
+          onClick={onCancel}
+          className="px-2.5 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium"
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          onClick={save}
+          className="px-2.5 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium"
+        >
+          {t('common.save')}
+        </button>
+      </div>
+    </div>
+  )
+}
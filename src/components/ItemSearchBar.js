@@ -0,0 +1,64 @@
+'use client'
+
+import { Search, X } from 'lucide-react'
+import { ITEM_FILTERS } from '../lib/search'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * ItemSearchBar Component
+ *
+ * Search box and filter chips for Plan Mode. Matching happens in the parent
+ * (see search.js); this only edits the query and the active filter and tells
+ * how many items match.
+ */
+export default function ItemSearchBar({ query, filter, matchCount, onQueryChange, onFilterChange }) {
+  const { t } = useTranslation()
+  const active = Boolean(query.trim()) || filter !== null
+
+  return (
+    <div className="mb-4">
+      <div className="relative">
+        <Search size={14} className="absolute start-2.5 top-1/2 -translate-y-1/2 text-gray-400" />
+        <input
+          type="search"
+          placeholder={t('search.placeholder')}
+          value={query}
+          onChange={(e) => onQueryChange(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && onQueryChange('')}
+          className="w-full ps-8 pe-8 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        {query && (
+          <button
+            onClick={() => onQueryChange('')}
+            className="absolute end-2 top-1/2 -translate-y-1/2 p-0.5 text-gray-400 hover:text-gray-600"
+            title={t('search.clearQuery')}
+          >
+            <X size={14} />
+          </button>
+        )}
+      </div>
+
+      {/* ============ FILTER CHIPS ============ */}
+      <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+        {ITEM_FILTERS.map(option => (
+          <button
+            key={option}
+            onClick={() => onFilterChange(filter === option ? null : option)}
+            className={`px-2 py-0.5 rounded-full text-xs font-medium transition-colors ${
+              filter === option
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {t(`search.filter.${option}`)}
+          </button>
+        ))}
+        {active && (
+          <span className="text-xs text-gray-500 ms-auto">
+            {t('search.matches', { count: matchCount })}
+          </span>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,30 @@
+'use client'
+
+import { Languages } from 'lucide-react'
+import { LOCALES } from '../lib/i18n'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * LanguagePicker Component
+ *
+ * Compact language menu; the choice is saved for the user (see LocaleProvider)
+ */
+export default function LanguagePicker({ className = '' }) {
+  const { t, locale, setLocale } = useTranslation()
+
+  return (
+    <label className={`flex items-center gap-1 text-xs text-gray-600 ${className}`} title={t('language.label')}>
+      <Languages size={14} />
+      <select
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="bg-transparent hover:text-gray-800 outline-none cursor-pointer"
+        aria-label={t('language.label')}
+      >
+        {Object.entries(LOCALES).map(([code, { name }]) => (
+          <option key={code} value={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
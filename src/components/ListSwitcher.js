@@ -0,0 +1,233 @@
+'use client'
+
+import { useState } from 'react'
+import { ChevronDown, Check, Plus, Pencil, Archive, ArchiveRestore, Users, Download, Upload } from 'lucide-react'
+import { canManageMembers } from '../lib/lists'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * ListSwitcher Component
+ *
+ * The list name in the header doubles as a dropdown for:
+ * - Switching between the user's lists (shared lists are marked)
+ * - Creating a new named list
+ * - Renaming and archiving the current list (owner only)
+ * - Exporting the current list, and importing items into it (editors)
+ * - Restoring archived lists
+ * Actions whose handler is left out (onCreate, onRename, onArchive) are hidden, e.g. for guests.
+ */
+export default function ListSwitcher({ lists, currentList, onSelect, onCreate, onRename, onArchive, onExport, onImport }) {
+  const { t } = useTranslation()
+
+  // ============ STATE MANAGEMENT ============
+
+  const [open, setOpen] = useState(false)
+  const [showArchived, setShowArchived] = useState(false)
+
+  // Inline forms inside the dropdown
+  const [newListName, setNewListName] = useState('')
+  const [renaming, setRenaming] = useState(false)
+  const [renameValue, setRenameValue] = useState('')
+
+  const activeLists = lists.filter(list => !list.archived_at)
+  const archivedLists = lists.filter(list => list.archived_at)
+  const isOwner = canManageMembers(currentList?.role)
+
+  // ============ ACTIONS ============
+
+  const close = () => {
+    setOpen(false)
+    setRenaming(false)
+    setShowArchived(false)
+  }
+
+  const select = (listId) => {
+    close()
+    if (listId !== currentList?.id) onSelect(listId)
+  }
+
+  const create = () => {
+    const name = newListName.trim()
+    if (!name) return
+    setNewListName('')
+    close()
+    onCreate(name)
+  }
+
+  const startRename = () => {
+    setRenameValue(currentList.name)
+    setRenaming(true)
+  }
+
+  const rename = () => {
+    const name = renameValue.trim()
+    if (!name || name === currentList.name) {
+      setRenaming(false)
+      return
+    }
+    close()
+    onRename(name)
+  }
+
+  // ============ RENDER ============
+
+  return (
+    <div className="relative inline-block">
+      <button
+        onClick={() => open ? close() : setOpen(true)}
+        className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800 transition-colors"
+      >
+        <span className="font-medium truncate max-w-[12rem]">{currentList?.name || t('lists.select')}</span>
+        <ChevronDown size={14} />
+      </button>
+
+      {open && (
+        <>
+          {/* Invisible backdrop closes the dropdown on outside clicks */}
+          <div className="fixed inset-0 z-10" onClick={close} />
+
+          <div className="absolute start-0 mt-1 w-64 bg-white rounded-xl shadow-xl border border-gray-200 z-20 p-2">
+
+            {/* ============ LISTS ============ */}
+            <div className="max-h-60 overflow-y-auto">
+              {activeLists.map(list => (
+                <button
+                  key={list.id}
+                  onClick={() => select(list.id)}
+                  className="w-full flex items-center gap-2 px-2 py-1.5 rounded-md hover:bg-gray-100 text-start text-sm text-gray-800"
+                >
+                  <span className="w-4 flex-shrink-0">
+                    {list.id === currentList?.id && <Check size={14} className="text-blue-600" />}
+                  </span>
+                  <span className="flex-1 truncate">{list.name}</span>
+                  {/* Lists owned by someone else show the user's role */}
+                  {list.role !== 'owner' && (
+                    <span className="flex items-center gap-0.5 text-xs text-gray-500">
+                      <Users size={12} />
+                      {t(`roles.${list.role}`)}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {/* ============ CURRENT LIST ACTIONS (owner only) ============ */}
+            {isOwner && (onRename || onArchive) && (
+              <div className="border-t border-gray-100 mt-2 pt-2">
+                {onRename && (renaming ? (
+                  <div className="flex gap-1.5 px-1">
+                    <input
+                      type="text"
+                      value={renameValue}
+                      onChange={(e) => setRenameValue(e.target.value)}
+                      onKeyPress={(e) => e.key === 'Enter' && rename()}
+                      className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                      autoFocus
+                    />
+                    <button
+                      onClick={rename}
+                      className="px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium"
+                    >
+                      {t('common.save')}
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={startRename}
+                    className="w-full flex items-center gap-2 px-2 py-1.5 rounded-md hover:bg-gray-100 text-start text-sm text-gray-700"
+                  >
+                    <Pencil size={14} />
+                    {t('lists.rename', { name: currentList.name })}
+                  </button>
+                ))}
+                {onArchive && !currentList.archived_at && (
+                  <button
+                    onClick={() => { close(); onArchive(currentList.id, true) }}
+                    className="w-full flex items-center gap-2 px-2 py-1.5 rounded-md hover:bg-gray-100 text-start text-sm text-gray-700"
+                  >
+                    <Archive size={14} />
+                    {t('lists.archive')}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* ============ IMPORT / EXPORT ============ */}
+            {currentList && (
+              <div className="border-t border-gray-100 mt-2 pt-2">
+                <button
+                  onClick={() => { close(); onExport() }}
+                  className="w-full flex items-center gap-2 px-2 py-1.5 rounded-md hover:bg-gray-100 text-start text-sm text-gray-700"
+                >
+                  <Download size={14} />
+                  {t('lists.export')}
+                </button>
+                {onImport && (
+                  <button
+                    onClick={() => { close(); onImport() }}
+                    className="w-full flex items-center gap-2 px-2 py-1.5 rounded-md hover:bg-gray-100 text-start text-sm text-gray-700"
+                  >
+                    <Upload size={14} />
+                    {t('lists.import')}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {/* ============ NEW LIST ============ */}
+            {onCreate && (
+              <div className="border-t border-gray-100 mt-2 pt-2 flex gap-1.5 px-1">
+                <input
+                  type="text"
+                  placeholder={t('lists.newPlaceholder')}
+                  value={newListName}
+                  onChange={(e) => setNewListName(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && create()}
+                  className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                />
+                <button
+                  onClick={create}
+                  className="px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center"
+                  title={t('lists.create')}
+                >
+                  <Plus size={14} />
+                </button>
+              </div>
+            )}
+
+            {/* ============ ARCHIVED LISTS ============ */}
+            {archivedLists.length > 0 && (
+              <div className="border-t border-gray-100 mt-2 pt-2">
+                <button
+                  onClick={() => setShowArchived(!showArchived)}
+                  className="w-full px-2 py-1 text-start text-xs text-gray-500 hover:text-gray-700"
+                >
+                  {t(showArchived ? 'lists.hideArchived' : 'lists.showArchived', { count: archivedLists.length })}
+                </button>
+                {showArchived && archivedLists.map(list => (
+                  <div key={list.id} className="flex items-center gap-2 px-2 py-1 text-sm text-gray-500">
+                    <button
+                      onClick={() => select(list.id)}
+                      className="flex-1 truncate text-start hover:text-gray-700"
+                    >
+                      {list.name}
+                    </button>
+                    {list.role === 'owner' && (
+                      <button
+                        onClick={() => { close(); onArchive(list.id, false) }}
+                        className="p-1 text-gray-400 hover:text-blue-500 transition-colors"
+                        title={t('lists.restore')}
+                      >
+                        <ArchiveRestore size={14} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
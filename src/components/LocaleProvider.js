@@ -0,0 +1,63 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { useSession } from '../lib/useSession'
+import { LocaleContext } from '../lib/useTranslation'
+import { DEFAULT_LOCALE, isLocale, detectLocale, loadLocale, saveLocale, localeDirection } from '../lib/i18n'
+import { fetchUserSettings, saveUserSettings } from '../lib/userSettings'
+
+/**
+ * LocaleProvider Component
+ *
+ * Picks the language of the app and keeps <html lang dir> in step with it:
+ * the signed-in user's setting, else the last choice on this device, else
+ * the browser's language. Changing it saves it for the user (and the device).
+ */
+export default function LocaleProvider({ children }) {
+  const { session } = useSession()
+  const userId = session?.user?.id
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE)  // Until the browser tells us more
+
+  // This device's choice, or the browser's language
+  useEffect(() => {
+    setLocaleState(loadLocale() || detectLocale())
+  }, [])
+
+  // The user's own setting wins once signed in
+  useEffect(() => {
+    if (!userId) return
+
+    fetchUserSettings(userId)
+      .then(settings => {
+        if (!isLocale(settings.locale)) return
+        setLocaleState(settings.locale)
+        saveLocale(settings.locale)
+      })
+      .catch(error => console.error('Error fetching settings:', error))
+  }, [userId])
+
+  // Right-to-left languages flip the whole layout
+  useEffect(() => {
+    document.documentElement.lang = locale
+    document.documentElement.dir = localeDirection(locale)
+  }, [locale])
+
+  const setLocale = async (value) => {
+    if (!isLocale(value)) return
+    setLocaleState(value)
+    saveLocale(value)
+    if (!userId) return
+
+    try {
+      await saveUserSettings(userId, { locale: value })
+    } catch (error) {
+      console.error('Error saving language:', error)  // Still used on this device
+    }
+  }
+
+  return (
+    <LocaleContext.Provider value={{ locale, setLocale }}>
+      {children}
+    </LocaleContext.Provider>
+  )
+}
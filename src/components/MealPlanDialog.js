@@ -0,0 +1,340 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { X, Plus, Pencil, Trash2, ShoppingCart } from 'lucide-react'
+import {
+  PLAN_DAYS,
+  fetchRecipes,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  fetchMealPlan,
+  addMeal,
+  updateMeal,
+  removeMeal,
+  clearMealPlan,
+  shoppingFromPlan
+} from '../lib/recipes'
+import { weekdayNames } from '../lib/i18n'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+import { formatQuantity } from '../lib/parseItem'
+import RecipeEditor from './RecipeEditor'
+
+/**
+ * MealPlanDialog Component
+ *
+ * Recipes and the week's meal plan of a list:
+ * - Week:    put recipes on days, optionally for more or fewer people
+ * - Recipes: add, edit and delete recipes and their ingredients
+ * - Shop:    preview the ingredients of the whole plan, merged, and add the
+ *            ticked ones to the list as needed
+ */
+export default function MealPlanDialog({ listId, userId, categories, items, memory, onShop, onClose }) {
+  const { t, locale } = useTranslation()
+  const weekdays = weekdayNames(locale)
+
+  // ============ STATE MANAGEMENT ============
+
+  const [recipes, setRecipes] = useState([])
+  const [meals, setMeals] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [view, setView] = useState('week')        // 'week' | 'recipes' | 'shop'
+  const [editing, setEditing] = useState(null)    // Recipe being edited, or {} for a new one
+  const [choices, setChoices] = useState({})      // Shop preview: index -> included, where the user overrode it
+  const [error, setError] = useState(null)
+
+  // ============ LOADING ============
+
+  const load = useCallback(async () => {
+    const [loadedRecipes, loadedMeals] = await Promise.all([fetchRecipes(listId), fetchMealPlan(listId)])
+    setRecipes(loadedRecipes)
+    setMeals(loadedMeals)
+  }, [listId])
+
+  useEffect(() => {
+    load()
+      .catch(error => {
+        console.error('Error fetching meal plan:', error)
+        setError(t('meals.loadFailed'))
+      })
+      .finally(() => setLoading(false))
+  }, [load, t])
+
+  /**
+   * Run a database action, show its error in the dialog and reload
+   */
+  const run = async (action, message) => {
+    setError(null)
+    try {
+      await action()
+      await load()
+      return true
+    } catch (error) {
+      console.error(message, error)
+      setError(error.message || message)
+      return false
+    }
+  }
+
+  // ============ RECIPES ============
+
+  const saveRecipe = async (recipe) => {
+    const duplicate = recipes.find(other =>
+      other.id !== editing.id && other.name.toLowerCase() === recipe.name.toLowerCase()
+    )
+    if (duplicate) {
+      setError(t('meals.recipeExists', { name: recipe.name }))
+      return
+    }
+
+    const saved = await run(
+      () => editing.id ? updateRecipe(editing.id, recipe) : createRecipe(listId, userId, recipe),
+      t('meals.saveFailed')
+    )
+    if (saved) setEditing(null)
+  }
+
+  const removeRecipe = (recipe) => {
+    if (!window.confirm(t('meals.deleteConfirm', { name: recipe.name }))) return
+    run(() => deleteRecipe(recipe.id), t('meals.deleteFailed'))
+  }
+
+  // ============ SHOPPING PREVIEW ============
+
+  const entries = shoppingFromPlan(meals, recipes, items).map((entry, index) => ({
+    ...entry,
+    index,
+    included: choices[index] ?? true
+  }))
+  const included = entries.filter(entry => entry.included)
+
+  const openShop = () => {
+    setChoices({})
+    setView('shop')
+  }
+
+  // ============ RENDER ============
+
+  const recipeById = (id) => recipes.find(recipe => recipe.id === id)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('meals.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {/* ============ TABS ============ */}
+        {!editing && (
+          <div className="flex gap-1.5 mb-4">
+            {['week', 'recipes'].map(value => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                className={`px-2.5 py-1 rounded-md text-xs font-medium transition-colors ${
+                  view === value || (view === 'shop' && value === 'week')
+                    ? 'bg-orange-500 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {t(`meals.tab.${value}`)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500 text-center py-4">{t('common.loading')}</p>
+        ) : editing ? (
+          /* ============ RECIPE EDITOR ============ */
+          <RecipeEditor
+            recipe={editing.id ? editing : null}
+            categories={categories}
+            items={items}
+            memory={memory}
+            onSave={saveRecipe}
+            onCancel={() => setEditing(null)}
+          />
+        ) : view === 'recipes' ? (
+          /* ============ RECIPES ============ */
+          <>
+            <div className="space-y-1 mb-4">
+              {recipes.length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-2">{t('meals.noRecipes')}</p>
+              )}
+              {recipes.map(recipe => (
+                <div key={recipe.id} className="flex items-center gap-2 border border-gray-200 rounded-md px-2 py-1.5">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-800 truncate">{recipe.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {t('meals.ingredients', { count: recipe.ingredients.length })}
+                      {recipe.servings && ` · ${t('meals.serves', { count: recipe.servings })}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setEditing(recipe)}
+                    className="p-1 text-gray-400 hover:text-gray-700 transition-colors"
+                    title={t('meals.editRecipe')}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => removeRecipe(recipe)}
+                    className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                    title={t('meals.deleteRecipe')}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => setEditing({})}
+              className="w-full flex items-center justify-center gap-1.5 px-4 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium"
+            >
+              <Plus size={16} />
+              {t('meals.newRecipe')}
+            </button>
+          </>
+        ) : view === 'week' ? (
+          /* ============ WEEK ============ */
+          <>
+            {recipes.length === 0 && (
+              <p className="text-xs text-gray-500 mb-3">{t('meals.addRecipeFirst')}</p>
+            )}
+            <div className="space-y-2 mb-4">
+              {PLAN_DAYS.map(day => {
+                const dayMeals = meals.filter(meal => meal.weekday === day && recipeById(meal.recipe_id))
+                return (
+                  <div key={day} className="border border-gray-200 rounded-md px-2 py-1.5">
+                    <div className="flex items-center gap-2">
+                      <span className="flex-1 text-sm font-medium text-gray-700">{weekdays[day]}</span>
+                      {recipes.length > 0 && (
+                        <select
+                          value=""
+                          onChange={(e) => e.target.value && run(() => addMeal(listId, e.target.value, day), t('meals.planFailed'))}
+                          className="w-32 px-1.5 py-0.5 text-xs border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-orange-500 outline-none"
+                        >
+                          <option value="">{t('meals.addMeal')}</option>
+                          {recipes.map(recipe => <option key={recipe.id} value={recipe.id}>{recipe.name}</option>)}
+                        </select>
+                      )}
+                    </div>
+                    {dayMeals.map(meal => {
+                      const recipe = recipeById(meal.recipe_id)
+                      return (
+                        <div key={meal.id} className="flex items-center gap-2 ps-2 mt-1 text-sm text-gray-800">
+                          <span className="flex-1 min-w-0 truncate">{recipe.name}</span>
+                          {/* Servings only make sense for recipes that say how many they serve */}
+                          {recipe.servings && (
+                            <label className="flex items-center gap-1 text-xs text-gray-500">
+                              {t('meals.for')}
+                              <input
+                                type="number"
+                                min="1"
+                                defaultValue={meal.servings || recipe.servings}
+                                onBlur={(e) => {
+                                  const count = parseInt(e.target.value, 10)
+                                  const servings = count > 0 && count !== recipe.servings ? count : null
+                                  if (servings !== meal.servings) run(() => updateMeal(meal.id, { servings }), t('meals.servingsFailed'))
+                                }}
+                                className="w-12 px-1 py-0.5 text-xs border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 outline-none"
+                              />
+                            </label>
+                          )}
+                          <button
+                            onClick={() => run(() => removeMeal(meal.id), t('meals.removeFailed'))}
+                            className="p-0.5 text-gray-400 hover:text-red-500 transition-colors"
+                            title={t('meals.removeMeal')}
+                          >
+                            <X size={14} />
+                          </button>
+                        </div>
+                      )
+                    })}
+                  </div>
+                )
+              })}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => window.confirm(t('meals.clearConfirm')) && run(() => clearMealPlan(listId), t('meals.clearFailed'))}
+                disabled={meals.length === 0}
+                className="flex-1 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                {t('meals.clearWeek')}
+              </button>
+              <button
+                onClick={openShop}
+                disabled={meals.length === 0}
+                className="flex-1 flex items-center justify-center gap-1.5 px-3 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                <ShoppingCart size={16} />
+                {t('meals.shop')}
+              </button>
+            </div>
+          </>
+        ) : (
+          /* ============ SHOP PREVIEW ============ */
+          <>
+            <p className="text-xs text-gray-500 mb-2">
+              {t('meals.shopHint', { count: meals.length })}
+            </p>
+            <div className="space-y-0.5 mb-4 max-h-72 overflow-y-auto">
+              {entries.length === 0 && (
+                <p className="text-sm text-gray-500 text-center py-2">{t('meals.noIngredients')}</p>
+              )}
+              {entries.map(entry => (
+                <label key={entry.index} className="flex items-center gap-2 px-1 py-0.5 text-sm rounded hover:bg-gray-50">
+                  <input
+                    type="checkbox"
+                    checked={entry.included}
+                    onChange={(e) => setChoices({ ...choices, [entry.index]: e.target.checked })}
+                  />
+                  <span className="flex-1 min-w-0">
+                    <span className="block truncate text-gray-800">
+                      {formatQuantity(entry) && <span className="text-blue-700">{formatQuantity(entry)} </span>}
+                      {entry.name}
+                      {entry.note && <span className="text-xs text-gray-500"> ({entry.note})</span>}
+                    </span>
+                    <span className="block truncate text-xs text-gray-400">{categoryLabel(entry.category, locale)} · {entry.recipes.join(', ')}</span>
+                  </span>
+                  {entry.existing && (
+                    <span className="flex-shrink-0 px-1.5 py-0.5 bg-amber-100 text-amber-800 rounded text-xs">
+                      {entry.existing.needed ? t('meals.alreadyNeeded') : t('meals.onList')}
+                    </span>
+                  )}
+                </label>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setView('week')}
+                className="flex-1 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium"
+              >
+                {t('import.back')}
+              </button>
+              <button
+                onClick={() => onShop(included)}
+                disabled={included.length === 0}
+                className="flex-1 px-3 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium disabled:opacity-50"
+              >
+                {t('meals.addItems', { count: included.length })}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
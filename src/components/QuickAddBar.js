@@ -0,0 +1,89 @@
+'use client'
+
+import { useState } from 'react'
+import { Plus, Sparkles } from 'lucide-react'
+import { parseItemInput } from '../lib/parseItem'
+import { guessCategory } from '../lib/categoryGuess'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * QuickAddBar Component
+ *
+ * One field at the top of the list for adding what you need without looking
+ * for the right category card. The category is guessed while typing (see
+ * categoryGuess.js) and can be changed before saving. Typing the name of an
+ * item that's already on the list marks that item as needed instead, even
+ * when it's in a hidden category (the hint says so, since it won't show up).
+ */
+export default function QuickAddBar({ categories, items, memory, onAdd }) {
+  const { t, rich, locale } = useTranslation()
+  const [text, setText] = useState('')
+  const [override, setOverride] = useState(null)  // Category picked by hand, wins over the guess
+
+  const parsed = parseItemInput(text)
+  // Same name anywhere on the list, preferring a category that is shown
+  const matches = parsed.name ? items.filter(item => item.name.toLowerCase() === parsed.name.toLowerCase()) : []
+  const existing = matches.find(item => categories.includes(item.category)) || matches[0] || null
+  const existingHidden = Boolean(existing) && !categories.includes(existing.category)
+  const guess = guessCategory(parsed.name, { items, memory, categories })
+  const category = override || guess.category || categories[0]
+
+  const submit = () => {
+    if (!parsed.name) return
+    onAdd({ ...parsed, category, existing })
+    setText('')
+    setOverride(null)
+  }
+
+  return (
+    <div className="bg-blue-50 rounded-xl p-2 mb-4 border border-blue-200">
+      <div className="flex gap-1.5">
+        <input
+          type="text"
+          placeholder={t('quickAdd.placeholder')}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value)
+            if (!e.target.value.trim()) setOverride(null)
+          }}
+          onKeyPress={(e) => e.key === 'Enter' && submit()}
+          className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+        />
+        <button
+          onClick={submit}
+          disabled={!parsed.name}
+          className="px-2.5 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center gap-1 text-xs font-medium flex-shrink-0 disabled:opacity-50"
+        >
+          <Plus size={14} />
+          {t('common.add')}
+        </button>
+      </div>
+
+      {/* Where it will go: the existing item, or the (overridable) guessed category */}
+      {parsed.name && (
+        <div className="flex items-center gap-1.5 mt-1.5 px-1 text-xs text-gray-600">
+          {existing ? (
+            <span>
+              {rich(existingHidden ? 'quickAdd.existingHidden' : existing.needed ? 'quickAdd.existingNeeded' : 'quickAdd.existingMark', {
+                category: <strong>{categoryLabel(existing.category, locale)}</strong>
+              })}
+            </span>
+          ) : (
+            <>
+              {!override && guess.source && <Sparkles size={12} className="text-blue-500" />}
+              <span>{t('quickAdd.category')}</span>
+              <select
+                value={category}
+                onChange={(e) => setOverride(e.target.value)}
+                className="px-1.5 py-0.5 text-xs border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-blue-500 outline-none"
+              >
+                {categories.map(option => <option key={option} value={option}>{categoryLabel(option, locale)}</option>)}
+              </select>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
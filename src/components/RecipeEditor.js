@@ -0,0 +1,137 @@
+'use client'
+
+import { useState } from 'react'
+import { Plus, X } from 'lucide-react'
+import { parseItemInput, formatQuantity } from '../lib/parseItem'
+import { guessCategory } from '../lib/categoryGuess'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * RecipeEditor Component
+ *
+ * Name, servings and ingredients of a recipe, shown inside the meal plan dialog.
+ * Ingredients are typed like list items ("500 g flour", "milk (oat)") and get
+ * a category guessed the same way as the quick-add bar; it can be changed per row.
+ */
+export default function RecipeEditor({ recipe, categories, items, memory, onSave, onCancel }) {
+  const { t, locale } = useTranslation()
+  const [name, setName] = useState(recipe?.name || '')
+  const [servings, setServings] = useState(recipe?.servings ? String(recipe.servings) : '')
+  const [ingredients, setIngredients] = useState(recipe?.ingredients || [])
+  const [ingredientInput, setIngredientInput] = useState('')
+
+  const addIngredient = () => {
+    const parsed = parseItemInput(ingredientInput)
+    if (!parsed.name) return
+    const { category } = guessCategory(parsed.name, { items, memory, categories })
+    setIngredients([...ingredients, { ...parsed, category: category || categories[0] }])
+    setIngredientInput('')
+  }
+
+  const changeCategory = (index, category) => {
+    setIngredients(ingredients.map((ingredient, position) => position === index ? { ...ingredient, category } : ingredient))
+  }
+
+  const save = () => {
+    if (!name.trim()) return
+    const count = parseInt(servings, 10)
+    onSave({
+      name: name.trim(),
+      servings: count > 0 ? count : null,
+      ingredients
+    })
+  }
+
+  return (
+    <div>
+      <div className="flex gap-2 mb-3">
+        <input
+          type="text"
+          placeholder={t('recipe.name')}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          autoFocus
+          className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent outline-none"
+        />
+        <input
+          type="number"
+          min="1"
+          placeholder={t('recipe.serves')}
+          value={servings}
+          onChange={(e) => setServings(e.target.value)}
+          className="w-20 px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent outline-none"
+          title={t('recipe.servesTitle')}
+        />
+      </div>
+
+      {/* ============ INGREDIENTS ============ */}
+      <h3 className="text-sm font-medium text-gray-700 mb-1">{t('recipe.ingredients')}</h3>
+      <div className="space-y-1 mb-2">
+        {ingredients.length === 0 && (
+          <p className="text-xs text-gray-500">{t('recipe.noIngredients')}</p>
+        )}
+        {ingredients.map((ingredient, index) => (
+          <div key={index} className="flex items-center gap-2 text-sm">
+            <span className="flex-1 min-w-0 truncate text-gray-800">
+              {formatQuantity(ingredient) && <span className="text-blue-700">{formatQuantity(ingredient)} </span>}
+              {ingredient.name}
+              {ingredient.note && <span className="text-xs text-gray-500"> ({ingredient.note})</span>}
+            </span>
+            <select
+              value={ingredient.category}
+              onChange={(e) => changeCategory(index, e.target.value)}
+              className="w-32 px-1.5 py-0.5 text-xs border border-gray-300 rounded-md bg-white focus:ring-2 focus:ring-orange-500 outline-none"
+            >
+              {!categories.includes(ingredient.category) && (
+                <option value={ingredient.category}>{categoryLabel(ingredient.category, locale)}</option>
+              )}
+              {categories.map(category => <option key={category} value={category}>{categoryLabel(category, locale)}</option>)}
+            </select>
+            <button
+              onClick={() => setIngredients(ingredients.filter((_ingredient, position) => position !== index))}
+              className="p-0.5 text-gray-400 hover:text-red-500 transition-colors"
+              title={t('recipe.removeIngredient')}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          placeholder={t('recipe.ingredientPlaceholder')}
+          value={ingredientInput}
+          onChange={(e) => setIngredientInput(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && addIngredient()}
+          className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-orange-500 focus:border-transparent outline-none"
+        />
+        <button
+          onClick={addIngredient}
+          className="px-2.5 py-1.5 bg-orange-500 text-white rounded-md hover:bg-orange-600 transition-colors flex items-center"
+          title={t('recipe.addIngredient')}
+        >
+          <Plus size={14} />
+        </button>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          onClick={onCancel}
+          className="flex-1 px-3 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors text-sm font-medium"
+        >
+          {t('common.cancel')}
+        </button>
+        <button
+          onClick={save}
+          disabled={!name.trim()}
+          className="flex-1 px-3 py-2 bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors text-sm font-medium disabled:opacity-50"
+        >
+          {t('recipe.save')}
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,31 @@
+'use client'
+
+import { useEffect } from 'react'
+
+/**
+ * ServiceWorkerRegistration Component
+ *
+ * Installs the service worker (public/sw.js) that keeps the app shell
+ * available offline. Production builds only: in development it would
+ * serve stale pages over hot reloading.
+ */
+export default function ServiceWorkerRegistration() {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+
+    // Hand over what this page loaded before the worker was there to cache it
+    const cacheLoadedUrls = (worker) => {
+      const urls = performance.getEntriesByType('resource')
+        .map(entry => entry.name)
+        .filter(url => new URL(url).origin === location.origin && !new URL(url).pathname.startsWith('/api/'))
+      worker?.postMessage({ type: 'cache-urls', urls: [location.href, ...urls] })
+    }
+
+    navigator.serviceWorker.register('/sw.js')
+      .then(() => navigator.serviceWorker.ready)
+      .then(registration => cacheLoadedUrls(registration.active))
+      .catch(error => console.error('Error registering service worker:', error))
+  }, [])
+
+  return null
+}
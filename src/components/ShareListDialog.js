@@ -0,0 +1,259 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { X, Link2, Mail, Trash2, Copy, Check } from 'lucide-react'
+import {
+  INVITABLE_ROLES,
+  canManageMembers,
+  fetchMembers,
+  updateMemberRole,
+  removeMember,
+  fetchInvitations,
+  createInvitation,
+  revokeInvitation,
+  getInviteLink
+} from '../lib/lists'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * ShareListDialog Component
+ *
+ * Modal for sharing a list with other people:
+ * - Shows every member and their role
+ * - Owners can change roles, remove members, invite by email or create invite links
+ * - Everyone else sees the member list read-only and can leave the list
+ */
+export default function ShareListDialog({ session, list, onClose, onLeft }) {
+  const { t } = useTranslation()
+
+  // ============ STATE MANAGEMENT ============
+
+  const [members, setMembers] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState('editor')
+  const [copiedToken, setCopiedToken] = useState(null)  // Token whose link was just copied
+  const [error, setError] = useState(null)
+
+  const isOwner = canManageMembers(list.role)
+
+  // ============ DATA LOADING ============
+
+  /**
+   * Load members, and outstanding invitations when the user may manage them
+   */
+  const refresh = useCallback(async () => {
+    try {
+      const [memberRows, invitationRows] = await Promise.all([
+        fetchMembers(list.id),
+        isOwner ? fetchInvitations(list.id) : Promise.resolve([])
+      ])
+      setMembers(memberRows)
+      setInvitations(invitationRows)
+    } catch (error) {
+      console.error('Error loading members:', error)
+      setError(t('share.loadFailed'))
+    }
+  }, [list.id, isOwner, t])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // ============ ACTIONS ============
+
+  /**
+   * Run an action, show its error in the dialog and reload afterwards
+   */
+  const run = async (action, message) => {
+    setError(null)
+    try {
+      await action()
+      await refresh()
+    } catch (error) {
+      console.error(message, error)
+      setError(error.message || message)
+    }
+  }
+
+  const inviteByEmail = () => {
+    const email = inviteEmail.trim()
+    if (!email.includes('@')) {
+      setError(t('share.invalidEmail'))
+      return
+    }
+    if (members.some(member => member.email?.toLowerCase() === email.toLowerCase())) {
+      setError(t('share.alreadyMember', { email }))
+      return
+    }
+
+    run(async () => {
+      await createInvitation({ listId: list.id, invitedBy: session.user.id, role: inviteRole, email })
+      setInviteEmail('')
+    }, t('share.inviteFailed'))
+  }
+
+  const createLink = () => {
+    run(async () => {
+      const invitation = await createInvitation({ listId: list.id, invitedBy: session.user.id, role: inviteRole })
+      await copyLink(invitation.token)
+    }, t('share.linkFailed'))
+  }
+
+  /**
+   * Copy an invite link to the clipboard and briefly show a checkmark
+   */
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(token))
+      setCopiedToken(token)
+      setTimeout(() => setCopiedToken(null), 2000)
+    } catch {
+      // Clipboard access can be denied; the link is still shown in the list below
+    }
+  }
+
+  const leaveList = () => {
+    run(async () => {
+      await removeMember(list.id, session.user.id)
+      onLeft()
+    }, t('share.leaveFailed'))
+  }
+
+  // ============ RENDER ============
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('share.title', { name: list.name })}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && (
+          <p className="text-sm text-red-600 mb-3">{error}</p>
+        )}
+
+        {/* ============ MEMBERS ============ */}
+        <h3 className="text-sm font-medium text-gray-700 mb-2">{t('share.members')}</h3>
+        <div className="space-y-1.5 mb-5">
+          {members.map(member => (
+            <div key={member.user_id} className="flex items-center gap-2 text-sm">
+              <span className="flex-1 truncate text-gray-800">
+                {member.email || t('share.unknownUser')}
+                {member.user_id === session.user.id && <span className="text-gray-500"> {t('share.you')}</span>}
+              </span>
+              {/* Owners can change everyone's role except their own */}
+              {isOwner && member.role !== 'owner' ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) => run(() => updateMemberRole(list.id, member.user_id, e.target.value), t('share.roleFailed'))}
+                    className="px-2 py-1 border border-gray-300 rounded-md text-xs"
+                  >
+                    {INVITABLE_ROLES.map(role => <option key={role} value={role}>{t(`roles.${role}`)}</option>)}
+                  </select>
+                  <button
+                    onClick={() => run(() => removeMember(list.id, member.user_id), t('share.removeFailed'))}
+                    className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                    title={t('share.removeMember')}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </>
+              ) : (
+                <span className="text-xs text-gray-500">{t(`roles.${member.role}`)}</span>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* ============ INVITE (owner only) ============ */}
+        {isOwner && (
+          <>
+            <h3 className="text-sm font-medium text-gray-700 mb-2">{t('share.invite')}</h3>
+            <div className="flex gap-2 mb-2">
+              <input
+                type="email"
+                placeholder={t('share.emailPlaceholder')}
+                value={inviteEmail}
+                onChange={(e) => setInviteEmail(e.target.value)}
+                onKeyPress={(e) => e.key === 'Enter' && inviteByEmail()}
+                className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+              />
+              <select
+                value={inviteRole}
+                onChange={(e) => setInviteRole(e.target.value)}
+                className="px-2 py-1.5 border border-gray-300 rounded-md text-xs"
+              >
+                {INVITABLE_ROLES.map(role => <option key={role} value={role}>{t(`roles.${role}`)}</option>)}
+              </select>
+            </div>
+            <div className="flex gap-2 mb-5">
+              <button
+                onClick={inviteByEmail}
+                className="flex-1 px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium flex items-center justify-center gap-1"
+              >
+                <Mail size={14} />
+                {t('share.inviteByEmail')}
+              </button>
+              <button
+                onClick={createLink}
+                className="flex-1 px-3 py-1.5 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium flex items-center justify-center gap-1"
+              >
+                <Link2 size={14} />
+                {t('share.copyLink')}
+              </button>
+            </div>
+
+            {/* Outstanding invitations with copy/revoke */}
+            {invitations.length > 0 && (
+              <>
+                <h3 className="text-sm font-medium text-gray-700 mb-2">{t('share.pending')}</h3>
+                <div className="space-y-1.5">
+                  {invitations.map(invitation => (
+                    <div key={invitation.id} className="flex items-center gap-2 text-sm">
+                      <span className="flex-1 truncate text-gray-600">
+                        {invitation.email || t('share.inviteLink')} · {t(`roles.${invitation.role}`)}
+                      </span>
+                      <button
+                        onClick={() => copyLink(invitation.token)}
+                        className="p-1 text-gray-400 hover:text-blue-500 transition-colors"
+                        title={t('share.copy')}
+                      >
+                        {copiedToken === invitation.token ? <Check size={14} /> : <Copy size={14} />}
+                      </button>
+                      <button
+                        onClick={() => run(() => revokeInvitation(invitation.id), t('share.revokeFailed'))}
+                        className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                        title={t('share.revoke')}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        )}
+
+        {/* ============ LEAVE (non-owners) ============ */}
+        {!isOwner && (
+          <button
+            onClick={leaveList}
+            className="w-full px-4 py-2 bg-red-50 text-red-600 rounded-lg hover:bg-red-100 transition-colors text-sm font-medium"
+          >
+            {t('share.leave')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
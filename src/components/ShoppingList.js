@@ -1,39 +1,160 @@
 'use client'
 
-import { useState, useEffect } from 'react'
-import { Plus, Check, ChevronDown, ChevronRight, Trash2, ShoppingCart, Home, LogOut, X } from 'lucide-react'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { useRouter } from 'next/navigation'
+import { Plus, Check, ChevronDown, ChevronRight, Trash2, ShoppingCart, Home, LogOut, LogIn, X, Users, Eye, ArchiveRestore, Pencil, Store, History, Repeat, UtensilsCrossed, KeyRound, Tags, PackageX } from 'lucide-react'
 import { supabase } from '../lib/supabase'
+import {
+  canEdit,
+  canManageMembers,
+  fetchMemberships,
+  fetchPendingInvitations,
+  acceptInvitation,
+  createList,
+  renameList,
+  setListArchived,
+  setListBudget,
+  rememberActiveList,
+  loadStoreMode,
+  saveStoreMode
+} from '../lib/lists'
+import { useListData } from '../lib/useListData'
+import { generateId, isNetworkError, itemUpdate, categoryUpdate } from '../lib/syncQueue'
+import { parseItemInput, formatQuantity } from '../lib/parseItem'
+import { fetchStores, loadSelectedStore, saveSelectedStore, orderCategories, orderItems } from '../lib/stores'
+import { TRASH_RETENTION_DAYS, trashCutoff } from '../lib/trash'
+import { createTripRecord, summarizeTrip, fetchSpentSince, fetchTrips } from '../lib/trips'
+import { parsePrice, formatPrice, sumPrices, startOfMonth } from '../lib/prices'
+import { describeRecurrence, dueChanges, recursEveryTrip } from '../lib/recurrence'
+import { suggestItems, loadDismissedSuggestions, saveDismissedSuggestions } from '../lib/suggestions'
+import { loadCategoryMemory, rememberCategory } from '../lib/categoryGuess'
+import { itemMatchesQuery, itemMatchesFilter } from '../lib/search'
+import { categoryNames, categoryLabel, resolveCategoryName, restoreDefaultsChanges } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+import { GUEST_LIST, getGuestRepository, fetchGuestTrips } from '../lib/guest'
+import ShareListDialog from './ShareListDialog'
+import ListSwitcher from './ListSwitcher'
+import SyncStatus from './SyncStatus'
+import ItemEditor from './ItemEditor'
+import StorePicker from './StorePicker'
+import StoreLayoutDialog from './StoreLayoutDialog'
+import UndoToast from './UndoToast'
+import TrashDialog from './TrashDialog'
+import HistoryDialog from './HistoryDialog'
+import BudgetDialog from './BudgetDialog'
+import ExportDialog from './ExportDialog'
+import ImportDialog from './ImportDialog'
+import SuggestionsPanel from './SuggestionsPanel'
+import ActivityFeed from './ActivityFeed'
+import QuickAddBar from './QuickAddBar'
+import MealPlanDialog from './MealPlanDialog'
+import ItemSearchBar from './ItemSearchBar'
+import AccessTokensDialog from './AccessTokensDialog'
+import LanguagePicker from './LanguagePicker'
+import CategoriesDialog from './CategoriesDialog'
+import CategoryIcon from './CategoryIcon'
 
 /**
  * ShoppingList Component
  * 
  * This is the main shopping list application that allows users to:
  * - Create and manage shopping items organized by categories
+ * - Quick-add what you need from one field; the category is guessed and learned
+ * - Search all items (typos and accents forgiven) and filter by needed / not needed / recently added
+ * - Give items a quantity, unit and note ("2 kg apples, organic" is parsed on entry)
  * - Toggle between "Plan Mode" (adding/organizing items) and "Store Mode" (checking off items while shopping)
- * - Add custom categories beyond the default ones
- * - Delete custom categories (with confirmation)
+ * - Order Store Mode by a store's aisle layout (store profiles, picked when entering Store Mode)
+ * - Mark items the store didn't have in Store Mode; Reset keeps them needed for the next trip
+ * - Customise the categories: add, rename, hide or delete any of them (with confirmation),
+ *   give them a colour and icon, and restore the default ones
+ * - Remember what items cost: running total while shopping, estimate and monthly budget while planning
+ * - Export the list (JSON, CSV, text for chats) and import items with a preview
+ * - Recurring items (every trip / every N days / weekly) mark themselves as needed
+ * - Record each trip on Reset and look back at (or repeat) past trips in History
+ * - Suggest items that are due again, based on how often past trips bought them
+ * - Keep recipes, plan them on days of the week and shop for the whole plan at once
+ * - Undo deletes, or restore them later from the Trash (purged after a retention period)
  * - Real-time sync across devices using Supabase
+ * - Share the list with other people (owner / editor / viewer)
+ * - See who changed what in the activity feed; items others just changed are highlighted
+ * - Keep several named lists and switch between them (each has its own URL: /lists/<id>)
+ * - Work offline: changes apply instantly and sync when the connection returns
+ * - Personal access tokens for the REST API (scripts, assistants, other apps)
+ * - Guest mode: try the app without an account (kept in this browser, merged in on sign-in)
+ * - Use the app in English, French or Hebrew (right to left); starter categories are translated
  * 
  * MULTI-USER SUPPORT:
- * Currently, each user has their own separate shopping list (filtered by user_id).
- * Multiple users CANNOT share the same list - each authenticated user sees only their own items.
- * To enable sharing, you would need to implement a "shared lists" feature with permissions.
+ * Items and categories belong to a list, not to a user (filtered by list_id).
+ * Every member of the list sees and edits the same items in real time.
+ * Viewers get a read-only list: they can follow Store Mode progress but can't change anything.
+ * Permissions are enforced by row level security; the UI only hides what a role can't do.
+ *
+ * GUEST MODE:
+ * With `guest`, the list is stored locally (see guest.js) and everything that
+ * needs an account - sharing, other lists, stores, recipes, budget, history - is hidden.
+ * `onSignIn` then replaces the Sign Out button.
  */
-export default function ShoppingList({ session }) {
+export default function ShoppingList({ session, listId, guest = false, onSignIn }) {
+  const router = useRouter()
+  const { t, rich, locale } = useTranslation()
+
   // ============ STATE MANAGEMENT ============
   
-  // Core data arrays
-  const [items, setItems] = useState([])        // All shopping items for this user
-  const [categories, setCategories] = useState([])  // All available categories (default + custom)
+  // Every list the user is a member of: [{ id, name, owner_id, archived_at, role }]
+  const [lists, setLists] = useState([])
+  const [listNotFound, setListNotFound] = useState(false)  // The URL points at a list the user can't open
+
+  // The list being shown (from the URL); the guest list is named in the user's language
+  const shownList = lists.find(candidate => candidate.id === listId) || null
+  const list = guest && shownList ? { ...shownList, name: t('guest.listName') } : shownList
+
+  // Who the activity feed names for changes made here; the same object across
+  // renders, since useListData restarts the list's sync when it changes
+  const actor = useMemo(
+    () => guest ? null : { id: session.user.id, email: session.user.email },
+    [guest, session.user.id, session.user.email]
+  )
+
+  // Core data - items and category rows of this list, kept in sync by useListData
+  // (cached offline, local changes applied immediately and queued for the server)
+  const {
+    items,                              // All shopping items in this list
+    categories: categoryRows,           // Category rows of this list (hidden ones included)
+    trash,                              // Deleted items and categories: { items, categories }
+    loading: dataLoading,
+    online,
+    cachedOnly,                         // Showing the cached copy, the server unreachable since opening
+    syncing,
+    pendingCount,
+    pendingItemIds,                     // Items with changes that haven't reached the server yet
+    notices,
+    dismissNotice,
+    activity,                           // Who changed what, newest first (not kept for guests)
+    highlighted,                        // Ids of items just changed on another device
+    mutate
+  } = useListData(listId, guest ? getGuestRepository() : undefined, actor)  // undefined: Supabase
   
   // UI state for adding new items to each category
   const [newItemInputs, setNewItemInputs] = useState({})  // Object: {categoryName: inputValue}
+
+  // Categories this user filed item names under, to guess categories in the quick-add bar
+  const [categoryMemory, setCategoryMemory] = useState(() => loadCategoryMemory(session.user.id))
+
+  // UI state for inline editing of an item's details (Plan Mode)
+  const [editingItemId, setEditingItemId] = useState(null)
   
   // UI state for category collapsing/expanding
   const [collapsedCategories, setCollapsedCategories] = useState(new Set())  // Set of collapsed category names
   
   // Main mode toggle: Plan Mode (organizing) vs Store Mode (shopping)
-  const [storeMode, setStoreMode] = useState(false)
+  // Remembered per list, so e.g. the hardware store list can stay in Store Mode
+  const [storeMode, setStoreMode] = useState(() => loadStoreMode(listId))
+
+  // Store profiles with their aisle order, and the one picked for this trip
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(() => loadSelectedStore(listId))
+  const [showStorePicker, setShowStorePicker] = useState(false)
+  const [showStoreLayout, setShowStoreLayout] = useState(false)
   
   // UI state for adding new categories
   const [showAddCategory, setShowAddCategory] = useState(false)
@@ -41,239 +162,512 @@ export default function ShoppingList({ session }) {
   
   // UI state for category deletion confirmation
   const [categoryToDelete, setCategoryToDelete] = useState(null)
+
+  // UI state for editing the categories (colour, icon, hiding, restoring defaults)
+  const [showCategories, setShowCategories] = useState(false)
+
+  // UI state for undoing the last delete: { id, message, undo } or null
+  const [undoAction, setUndoAction] = useState(null)
+  const [showTrash, setShowTrash] = useState(false)
+
+  // UI state for the past trips screen
+  const [showHistory, setShowHistory] = useState(false)
+
+  // Prices: inline price entry in Store Mode, and the monthly budget
+  const [priceEditingId, setPriceEditingId] = useState(null)
+  const [priceValue, setPriceValue] = useState('')
+  const [spentThisMonth, setSpentThisMonth] = useState(null)  // Total of this month's recorded trips, null until known
+  const [showBudget, setShowBudget] = useState(false)
+
+  // Past trips, for purchase-frequency suggestions, and suggestions dismissed on this device
+  const [pastTrips, setPastTrips] = useState([])
+  const [dismissedSuggestions, setDismissedSuggestions] = useState(() => loadDismissedSuggestions(listId))
+
+  // Ticks now and then so recurring items that fall due while the app is open get marked
+  const [recurrenceTick, setRecurrenceTick] = useState(() => Date.now())
+
+  // Search and filter chips (Plan Mode)
+  const [searchQuery, setSearchQuery] = useState('')
+  const [itemFilter, setItemFilter] = useState(null)  // null | 'needed' | 'not-needed' | 'recent'
+
+  // UI state for recipes and the meal plan
+  const [showMealPlan, setShowMealPlan] = useState(false)
+
+  // UI state for import/export
+  const [showImport, setShowImport] = useState(false)
+  const [showExport, setShowExport] = useState(false)
+
+  // UI state for renaming a category in its header
+  const [renamingCategory, setRenamingCategory] = useState(null)  // Name of the category being renamed
+  const [renameValue, setRenameValue] = useState('')
+
+  // UI state for dragging items between categories (Plan Mode)
+  const [draggedItemId, setDraggedItemId] = useState(null)
+  const [dropCategory, setDropCategory] = useState(null)  // Category card currently under the dragged item
   
-  // Loading state for initial data fetch
+  // UI state for sharing
+  const [showShare, setShowShare] = useState(false)
+  const [pendingInvitations, setPendingInvitations] = useState([])  // Invitations addressed to this user's email
+
+  // UI state for the REST API's access tokens
+  const [showAccessTokens, setShowAccessTokens] = useState(false)
+
+  // Loading state for the user's lists
   const [loading, setLoading] = useState(true)
 
-  // ============ DEFAULT CATEGORIES ============
-  // These categories are always available to all users
-  const defaultCategories = [
-    'Refrigerated items', 'Bread', 'Fruit/Veggie', 'Frozen', 'Bulk', 'Household items'
-  ]
+  // Viewers can look but not touch; nor can anyone while the list is only the
+  // cached copy from an offline start, which may be out of date
+  const canModify = canEdit(list?.role) && !cachedOnly
+
+  // ============ CATEGORIES ============
+
+  // The categories shown: the list's rows that aren't hidden, in order (see categories.js)
+  const categories = categoryNames(categoryRows, items)
+
+  // The row of a category, for its colour and icon (null for items without one)
+  const categoryRow = (category) => categoryRows.find(row => row.name === category) || null
+
+  // What a category is called in the user's language
+  const label = (category) => categoryLabel(category, locale)
 
   // ============ DATABASE OPERATIONS ============
 
   /**
-   * Fetch all shopping items for the current user from Supabase
-   * Items are filtered by user_id to ensure users only see their own items
+   * Fetch every list the user is a member of, including their role in each
+   * Also re-run on membership changes, so role changes and removals apply immediately
+   * A guest only has their local list
    */
-  const fetchItems = async () => {
-    try {
-      const { data, error } = await supabase
-        .from('shopping_items')           // Table name
-        .select('*')                      // Get all columns
-        .eq('user_id', session.user.id)   // Filter: only this user's items
-        .order('created_at', { ascending: true })  // Sort by creation time
-
-      if (error) throw error
-      setItems(data || [])
-    } catch (error) {
-      console.error('Error fetching items:', error)
+  const fetchLists = useCallback(async () => {
+    if (guest) {
+      setLists([GUEST_LIST])
+      setLoading(false)
+      return
     }
-  }
 
-  /**
-   * Fetch custom categories created by the current user
-   * Combines with default categories to create the full category list
-   */
-  const fetchCategories = async () => {
     try {
-      const { data, error } = await supabase
-        .from('categories')               // Table name for custom categories
-        .select('*')                      // Get all columns
-        .eq('user_id', session.user.id)   // Filter: only this user's categories
-        .order('created_at', { ascending: true })
-
-      if (error) throw error
-      
-      // Extract just the category names from the database results
-      const userCategories = data?.map(cat => cat.name) || []
-      
-      // Combine default categories with user's custom categories (avoiding duplicates)
-      const allCategories = [...defaultCategories, ...userCategories.filter(cat => !defaultCategories.includes(cat))]
-      setCategories(allCategories)
+      const memberships = await fetchMemberships(session.user.id)
+      setLists(memberships)
+
+      if (memberships.some(membership => membership.id === listId)) {
+        rememberActiveList(listId)  // Reopen this list next time the app starts at /
+      } else {
+        setListNotFound(true)
+      }
     } catch (error) {
-      console.error('Error fetching categories:', error)
-      // Fallback to just default categories if database fails
-      setCategories(defaultCategories)
+      console.error('Error fetching lists:', error)
     }
-  }
+    setLoading(false)
+  }, [guest, session.user.id, listId])
 
   // ============ COMPONENT INITIALIZATION ============
 
   /**
-   * Load initial data when component mounts or user changes
-   * This runs once when the component first loads
+   * Load the user's lists when the user changes
+   * Also looks for invitations sent to the user's email
    */
   useEffect(() => {
-    const initializeData = async () => {
+    const initializeLists = async () => {
       setLoading(true)
-      // Load both items and categories in parallel for better performance
-      await Promise.all([fetchItems(), fetchCategories()])
-      setLoading(false)
+      await fetchLists()
+      if (guest) return  // Nobody can invite a guest
+      try {
+        setPendingInvitations(await fetchPendingInvitations(session.user.email))
+      } catch (error) {
+        console.error('Error fetching invitations:', error)
+      }
     }
 
     // Only initialize if we have a valid user session
-    if (session?.user?.id) {
-      initializeData()
+    if (session.user.id) {
+      initializeLists()
     }
-  }, [session?.user?.id])  // Re-run if user changes
+  }, [session.user.id, session.user.email, guest, fetchLists])  // Re-run if user changes
 
   // ============ REAL-TIME SUBSCRIPTIONS ============
 
   /**
-   * Set up real-time listeners for database changes
-   * This ensures the UI updates immediately when data changes in the database
-   * (useful for multi-device sync or if data changes elsewhere)
+   * Set up real-time listeners for membership and list changes
+   * (items and categories are handled by useListData)
    */
   useEffect(() => {
-    if (!session?.user?.id) return
-
-    // Listen for changes to shopping_items table
-    const itemsSubscription = supabase
-      .channel('shopping_items_changes')    // Unique channel name
-      .on('postgres_changes', 
-        { 
-          event: '*',                       // Listen to all events (INSERT, UPDATE, DELETE)
-          schema: 'public',                 // Database schema
-          table: 'shopping_items',          // Table to watch
-          filter: `user_id=eq.${session.user.id}`  // Only changes for this user
+    if (!list?.id || guest) return
+
+    // Listen for membership changes, so a new role (or removal) applies immediately
+    const membersSubscription = supabase
+      .channel(`list_members_changes:${list.id}`)
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'list_members',
+          filter: `list_id=eq.${list.id}`
         },
         () => {
-          // When any change occurs, refresh the items list
-          fetchItems()
+          fetchLists()
         }
       )
       .subscribe()
 
-    // Listen for changes to categories table
-    const categoriesSubscription = supabase
-      .channel('categories_changes')
-      .on('postgres_changes', 
-        { 
-          event: '*', 
-          schema: 'public', 
-          table: 'categories',
-          filter: `user_id=eq.${session.user.id}`
+    // Listen for renames and archiving of this list by other members
+    const listSubscription = supabase
+      .channel(`lists_changes:${list.id}`)
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'lists',
+          filter: `id=eq.${list.id}`
         },
         () => {
-          // When any change occurs, refresh the categories list
-          fetchCategories()
+          fetchLists()
         }
       )
       .subscribe()
 
-    // Cleanup: unsubscribe when component unmounts or user changes
+    // Cleanup: unsubscribe when component unmounts or the list changes
     return () => {
-      itemsSubscription.unsubscribe()
-      categoriesSubscription.unsubscribe()
+      membersSubscription.unsubscribe()
+      listSubscription.unsubscribe()
     }
-  }, [session?.user?.id])
+  }, [list?.id, guest, fetchLists])
 
-  // ============ CATEGORY MANAGEMENT ============
+  // ============ LIST MANAGEMENT ============
 
   /**
-   * Add a new custom category to the database
-   * The category will be available for this user only
+   * Open another list by navigating to its URL
    */
-  const addCategory = async () => {
-    // Validation: must have text and not already exist
-    if (!newCategoryName.trim() || categories.includes(newCategoryName.trim())) return
+  const openList = (id) => {
+    router.push(`/lists/${id}`)
+  }
 
+  /**
+   * Create a new named list and open it
+   */
+  const handleCreateList = async (name) => {
     try {
-      const { error } = await supabase
-        .from('categories')
-        .insert([{
-          name: newCategoryName.trim(),
-          user_id: session.user.id        // Associate with current user
-        }])
-
-      if (error) throw error
-
-      // Reset form and refresh data
-      setNewCategoryName('')
-      setShowAddCategory(false)
-      await fetchCategories()
+      const newList = await createList(session.user.id, name)
+      openList(newList.id)
     } catch (error) {
-      console.error('Error adding category:', error)
+      console.error('Error creating list:', error)
     }
   }
 
   /**
-   * Delete a custom category and all its items
-   * Only custom categories can be deleted (not default ones)
+   * Rename the current list (owner only)
    */
-  const deleteCategory = async (categoryName) => {
-    // Prevent deletion of default categories
-    if (defaultCategories.includes(categoryName)) {
-      alert('Default categories cannot be deleted')
-      return
+  const handleRenameList = async (name) => {
+    try {
+      await renameList(list.id, name)
+      await fetchLists()
+    } catch (error) {
+      console.error('Error renaming list:', error)
+    }
+  }
+
+  /**
+   * Set or remove the monthly budget of the current list (owner only)
+   */
+  const handleSetBudget = async (budget) => {
+    setShowBudget(false)
+    try {
+      await setListBudget(list.id, budget)
+      await fetchLists()
+    } catch (error) {
+      console.error('Error saving budget:', error)
+    }
+  }
+
+  /**
+   * Load what this month's recorded trips cost, for the budget
+   */
+  useEffect(() => {
+    if (guest) return  // No budget without an account
+
+    const loadSpending = async () => {
+      try {
+        setSpentThisMonth(await fetchSpentSince(listId, startOfMonth()))
+      } catch (error) {
+        if (!isNetworkError(error)) console.error('Error fetching spending:', error)
+      }
+    }
+    loadSpending()
+  }, [listId, guest])
+
+  /**
+   * Archive or restore a list (owner only)
+   * Archiving the current list moves on to another one
+   */
+  const handleArchiveList = async (id, archived) => {
+    try {
+      await setListArchived(id, archived)
+      if (archived && id === list?.id) {
+        router.push('/')  // Home picks the next list that isn't archived
+      } else {
+        await fetchLists()
+      }
+    } catch (error) {
+      console.error('Error archiving list:', error)
+    }
+  }
+
+  /**
+   * Switch between Plan and Store Mode and remember it for this list
+   */
+  const changeStoreMode = (value) => {
+    setStoreMode(value)
+    saveStoreMode(listId, value)
+  }
+
+  // ============ STORE PROFILES ============
+
+  /**
+   * Load the store profiles of this list
+   */
+  const loadStores = useCallback(async () => {
+    try {
+      setStores(await fetchStores(listId))
+    } catch (error) {
+      console.error('Error fetching stores:', error)
     }
+  }, [listId])
+
+  useEffect(() => {
+    if (!guest) loadStores()  // Store profiles need an account
+  }, [guest, loadStores])
+
+  /**
+   * Mode toggle button: entering Store Mode asks which store we're in
+   * (only when the list has store profiles)
+   */
+  const toggleStoreMode = () => {
+    if (!storeMode && stores.length > 0) {
+      setShowStorePicker(true)
+    } else {
+      changeStoreMode(!storeMode)
+    }
+  }
+
+  /**
+   * Store picked in the picker (null = no particular store)
+   */
+  const pickStore = (storeId) => {
+    setSelectedStoreId(storeId)
+    saveSelectedStore(listId, storeId)
+    setShowStorePicker(false)
+    changeStoreMode(true)
+  }
+
+  // The store whose aisle order Store Mode follows
+  const activeStore = storeMode ? stores.find(store => store.id === selectedStoreId) || null : null
 
+  // ============ SHARING ============
+
+  /**
+   * Accept an invitation from the banner and switch to the joined list
+   */
+  const acceptPendingInvitation = async (invitation) => {
     try {
-      // First, delete all items in this category
-      const { error: itemsError } = await supabase
-        .from('shopping_items')
-        .delete()
-        .eq('category', categoryName)
-        .eq('user_id', session.user.id)
-
-      if (itemsError) throw itemsError
-
-      // Then, delete the category itself
-      const { error: categoryError } = await supabase
-        .from('categories')
-        .delete()
-        .eq('name', categoryName)
-        .eq('user_id', session.user.id)
-
-      if (categoryError) throw categoryError
-
-      // Reset confirmation state and refresh data
-      setCategoryToDelete(null)
-      await Promise.all([fetchItems(), fetchCategories()])
+      const joinedListId = await acceptInvitation(invitation.token)
+      setPendingInvitations(pendingInvitations.filter(pending => pending.id !== invitation.id))
+      openList(joinedListId)
     } catch (error) {
-      console.error('Error deleting category:', error)
-      setCategoryToDelete(null)
+      console.error('Error accepting invitation:', error)
+    }
+  }
+
+  /**
+   * Called after the user left the active list from the share dialog
+   */
+  const handleLeftList = () => {
+    setShowShare(false)
+    router.push('/')  // Home picks another list
+  }
+
+  // ============ CATEGORY MANAGEMENT ============
+  // All changes go through mutate(): the UI updates immediately and the change
+  // is queued for the server, so everything keeps working offline
+
+  /**
+   * Make sure a category is on the list, e.g. before items are filed under it:
+   * added when it's missing, shown again when it was hidden
+   * The category is shared with every member of the list
+   */
+  const ensureCategory = async (name) => {
+    const row = categoryRow(name)
+    if (row?.hidden) {
+      await mutate('updateCategory', categoryUpdate(row, { hidden: false }))
+    } else if (!row) {
+      await mutate('addCategory', {
+        category: {
+          id: generateId(),
+          name,
+          list_id: list.id,               // Associate with the active list
+          user_id: session.user.id,       // Remember who created it
+          created_at: new Date().toISOString()
+        }
+      })
+    }
+  }
+
+  /**
+   * Add a new category (or show a hidden one of that name again)
+   */
+  const addCategory = async () => {
+    // Validation: must be allowed to edit, have text and not already exist (in any language)
+    const name = resolveCategoryName(newCategoryName)
+    if (!canModify || !name || categories.includes(name)) return
+
+    await ensureCategory(name)
+
+    // Reset form
+    setNewCategoryName('')
+    setShowAddCategory(false)
+  }
+
+  /**
+   * Move a category and all its items to the Trash
+   */
+  const deleteCategory = async (categoryName) => {
+    if (!canModify) return
+
+    setCategoryToDelete(null)  // Close the confirmation dialog
+    await mutate('deleteCategory', { name: categoryName })
+
+    // Undo restores the category with exactly the items deleted along with it
+    setUndoAction({
+      id: generateId(),
+      message: t('undo.deleted', { name: label(categoryName) }),
+      undo: () => {
+        const deleted = trashRef.current.categories.find(category => category.name === categoryName)
+        if (deleted) restoreCategory(deleted)
+      }
+    })
+  }
+
+  /**
+   * Start renaming a category in its header
+   */
+  const startRenameCategory = (categoryName) => {
+    setRenamingCategory(categoryName)
+    setRenameValue(label(categoryName))
+  }
+
+  /**
+   * Rename a category to what was typed (a starter category's name in any language counts as that category)
+   * Its items move along with it in the same database transaction
+   */
+  const renameCategory = async (from, value) => {
+    const to = resolveCategoryName(value)
+    if (!canModify || !to || to === from) return
+
+    if (categories.includes(to) || categoryRow(to)) {
+      alert(t('category.exists', { name: value.trim() }))
+      return
     }
+
+    // Carry the local UI state of the category over to its new name
+    if (collapsedCategories.has(from)) {
+      setCollapsedCategories(new Set([...collapsedCategories].map(name => name === from ? to : name)))
+    }
+    setNewItemInputs({ ...newItemInputs, [to]: newItemInputs[from] || '' })
+
+    // Store layouts refer to categories by name; the server renames them there too
+    setStores(stores.map(store => ({
+      ...store,
+      category_order: (store.category_order || []).map(name => name === from ? to : name)
+    })))
+
+    await mutate('renameCategory', { from, to })
   }
 
   /**
-   * Check if a category can be deleted (is not a default category)
+   * Change the colour, icon or visibility of a category: { color }, { icon } or { hidden }
    */
-  const canDeleteCategory = (categoryName) => {
-    return !defaultCategories.includes(categoryName)
+  const updateCategory = async (categoryName, changes) => {
+    const row = categoryRow(categoryName)
+    if (!row || !canModify) return
+    await mutate('updateCategory', categoryUpdate(row, changes))
+  }
+
+  // What "restore defaults" would do: add the missing starter categories and show hidden ones
+  const restoreDefaults = () => restoreDefaultsChanges(categoryRows, { listId: list.id, userId: session.user.id })
+
+  /**
+   * Bring back the starter categories that were deleted or hidden
+   */
+  const restoreDefaultCategories = async () => {
+    if (!canModify) return
+    for (const { type, payload } of restoreDefaults()) {
+      await mutate(type, payload)
+    }
   }
 
   // ============ ITEM MANAGEMENT ============
 
   /**
    * Add a new item to a specific category
+   * The input is parsed into name, quantity, unit and note ("2 kg apples, organic")
    * New items start as not needed and not bought
    */
   const addItem = async (category) => {
     const inputValue = newItemInputs[category] || ''
-    if (!inputValue.trim()) return  // Don't add empty items
+    const { name, quantity, unit, note } = parseItemInput(inputValue)
+    if (!canModify || !name) return  // Don't add empty items
+
+    // Clear the input field for this category
+    setNewItemInputs({ ...newItemInputs, [category]: '' })
+
+    await mutate('addItem', {
+      item: {
+        id: generateId(),   // Generated here so follow-up changes work before it reaches the server
+        name,
+        quantity,           // Optional details, null when not typed
+        unit,
+        note,
+        category: category,
+        needed: false,      // New items start as "not needed"
+        bought: false,      // New items start as "not bought"
+        list_id: list.id,   // Associate with the active list
+        user_id: session.user.id,  // Remember who added it
+        created_at: new Date().toISOString()
+      }
+    })
+  }
 
-    try {
-      const { error } = await supabase
-        .from('shopping_items')
-        .insert([{
-          name: inputValue.trim(),
-          category: category,
-          needed: false,      // New items start as "not needed"
-          bought: false,      // New items start as "not bought"
-          user_id: session.user.id  // Associate with current user
-        }])
-
-      if (error) throw error
-
-      // Clear the input field for this category and refresh data
-      setNewItemInputs({ ...newItemInputs, [category]: '' })
-      await fetchItems()
-    } catch (error) {
-      console.error('Error adding item:', error)
+  /**
+   * Add an item from the quick-add bar as needed for the next trip
+   * If an item of that name exists it's marked as needed (with any new quantity) instead
+   */
+  const quickAddItem = async ({ name, quantity, unit, note, category, existing }) => {
+    if (!canModify) return
+
+    if (existing) {
+      const changes = {
+        needed: true,
+        ...(quantity !== null && { quantity, unit }),
+        ...(note && { note })
+      }
+      await mutate('updateItem', itemUpdate(existing, changes))
+      return
     }
+
+    learnCategory(name, category)  // Guessed or picked by hand, it's where the user wants it
+
+    await mutate('addItem', {
+      item: {
+        id: generateId(),
+        name,
+        quantity,
+        unit,
+        note,
+        category,
+        needed: true,       // Quick add is for things you need
+        bought: false,
+        list_id: list.id,
+        user_id: session.user.id,
+        created_at: new Date().toISOString()
+      }
+    })
   }
 
   /**
@@ -290,20 +684,26 @@ export default function ShoppingList({ session }) {
    */
   const toggleNeeded = async (id) => {
     const item = items.find(item => item.id === id)
-    if (!item) return
+    if (!item || !canModify) return
+
+    // Queued as an explicit value so a later replay sets the same state
+    // Toggling by hand means it's no longer "added by schedule", and an item
+    // no longer needed drops its "not at <store>" tag
+    await mutate('updateItem', itemUpdate(item, {
+      needed: !item.needed,
+      ...(item.auto_needed && { auto_needed: false }),
+      ...(item.needed && (item.unavailable || item.unavailable_store) && { unavailable: false, unavailable_store: null })
+    }))
+  }
 
-    try {
-      const { error } = await supabase
-        .from('shopping_items')
-        .update({ needed: !item.needed })  // Flip the needed status
-        .eq('id', id)                      // Which item to update
-        .eq('user_id', session.user.id)    // Security: only update user's own items
-
-      if (error) throw error
-      await fetchItems()  // Refresh to show the change
-    } catch (error) {
-      console.error('Error updating item:', error)
-    }
+  /**
+   * Skip one occurrence of a recurring item: it comes back at the next one
+   */
+  const skipOccurrence = async (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item || !canModify) return
+
+    await mutate('updateItem', itemUpdate(item, { needed: false, auto_needed: false }))
   }
 
   /**
@@ -312,58 +712,367 @@ export default function ShoppingList({ session }) {
    */
   const toggleBought = async (id) => {
     const item = items.find(item => item.id === id)
-    if (!item) return
+    if (!item || !canModify) return
 
-    try {
-      const { error } = await supabase
-        .from('shopping_items')
-        .update({ bought: !item.bought })  // Flip the bought status
-        .eq('id', id)
-        .eq('user_id', session.user.id)
-
-      if (error) throw error
-      await fetchItems()
-    } catch (error) {
-      console.error('Error updating item:', error)
-    }
+    await mutate('updateItem', itemUpdate(item, { bought: !item.bought, ...(item.unavailable && { unavailable: false }) }))
+  }
+
+  /**
+   * Toggle whether the store is out of an item (or it's skipped this time)
+   * Used in Store Mode - Reset keeps such items needed for the next trip
+   */
+  const toggleUnavailable = async (id) => {
+    const item = items.find(item => item.id === id)
+    if (!item || !canModify) return
+
+    await mutate('updateItem', itemUpdate(item, { unavailable: !item.unavailable, ...(item.bought && { bought: false }) }))
+  }
+
+  /**
+   * Save changes made in the inline item editor (name, quantity, unit, note, category)
+   */
+  const updateItemDetails = async (id, changes) => {
+    setEditingItemId(null)
+    const item = items.find(item => item.id === id)
+    if (!item || !canModify) return
+
+    if (changes.category) learnCategory(changes.name || item.name, changes.category)
+    await mutate('updateItem', itemUpdate(item, changes))
+  }
+
+  /**
+   * Remember where the user files an item name, for quick-add guesses
+   */
+  const learnCategory = (name, category) => {
+    if (!name) return
+    setCategoryMemory(memory => rememberCategory(session.user.id, memory, name, category))
+  }
+
+  /**
+   * Save the price typed into an item's price field in Store Mode
+   * The price stays on the item, so it's remembered for the next trip
+   */
+  const saveItemPrice = async (id) => {
+    setPriceEditingId(null)
+    const item = items.find(item => item.id === id)
+    const price = parsePrice(priceValue)
+    if (!item || !canModify || price === (item.price ?? null)) return
+
+    await mutate('updateItem', itemUpdate(item, { price }))
+  }
+
+  /**
+   * Move an item to another category (drag-and-drop or the editor's "Move to…")
+   */
+  const moveItem = async (id, category) => {
+    const item = items.find(item => item.id === id)
+    if (!item || !canModify || item.category === category) return
+
+    learnCategory(item.name, category)
+    await mutate('updateItem', itemUpdate(item, { category }))
   }
 
   /**
-   * Permanently delete an item from the database
+   * Move an item to the Trash
    * Only available in Plan Mode to prevent accidental deletion while shopping
    */
   const deleteItem = async (id) => {
-    try {
-      const { error } = await supabase
-        .from('shopping_items')
-        .delete()                        // Delete operation
-        .eq('id', id)
-        .eq('user_id', session.user.id)  // Security: only delete user's own items
-
-      if (error) throw error
-      await fetchItems()
-    } catch (error) {
-      console.error('Error deleting item:', error)
+    const item = items.find(item => item.id === id)
+    if (!item || !canModify) return
+
+    await mutate('deleteItem', { id })
+    setUndoAction({
+      id: generateId(),
+      message: t('undo.deleted', { name: item.name }),
+      undo: () => mutate('restoreItem', { id })
+    })
+  }
+
+  /**
+   * Add the items confirmed in the import preview
+   * New categories are created first; rows that duplicate an existing item
+   * mark that item as needed instead of adding it again
+   */
+  const importItems = async ({ newCategories, entries }) => {
+    if (!canModify) return
+    setShowImport(false)
+
+    for (const name of newCategories) {
+      await ensureCategory(name)
+    }
+
+    const seen = new Set()  // The same item twice in one import is only added once
+    for (const { row, category, duplicate } of entries) {
+      const key = `${category}\n${row.name.toLowerCase()}`
+      if (seen.has(key)) continue
+      seen.add(key)
+
+      if (duplicate) {
+        if (row.needed && !duplicate.needed) await mutate('updateItem', itemUpdate(duplicate, { needed: true }))
+        continue
+      }
+
+      await mutate('addItem', {
+        item: {
+          id: generateId(),
+          name: row.name,
+          quantity: row.quantity,
+          unit: row.unit,
+          note: row.note,
+          price: row.price,
+          category,
+          needed: row.needed,
+          bought: row.needed && row.bought,  // Only items on the trip can be bought
+          list_id: list.id,
+          user_id: session.user.id,
+          created_at: new Date().toISOString()
+        }
+      })
+    }
+  }
+
+  // ============ SUGGESTIONS ============
+
+  /**
+   * Load past trips; their bought items drive the suggestions
+   */
+  useEffect(() => {
+    const loadTrips = async () => {
+      try {
+        setPastTrips(await (guest ? fetchGuestTrips() : fetchTrips(listId)))
+      } catch (error) {
+        console.error('Error fetching trips:', error)
+      }
+    }
+    loadTrips()
+  }, [listId, guest])
+
+  const suggestions = suggestItems(items, pastTrips, dismissedSuggestions)
+
+  const addSuggestion = async (item) => {
+    if (!canModify) return
+    await mutate('updateItem', itemUpdate(item, { needed: true }))
+  }
+
+  /**
+   * Hide a suggestion until the item is bought again
+   */
+  const dismissSuggestion = ({ item, lastBought }) => {
+    const dismissed = { ...dismissedSuggestions, [item.id]: lastBought }
+    setDismissedSuggestions(dismissed)
+    saveDismissedSuggestions(listId, dismissed)
+  }
+
+  // ============ RECURRING ITEMS ============
+
+  /**
+   * Mark recurring items as needed once their next occurrence has passed
+   * Runs when the list loads and then every few minutes. Several members doing
+   * this at once is harmless: they all write the same values.
+   */
+  useEffect(() => {
+    const timer = setInterval(() => setRecurrenceTick(Date.now()), 5 * 60 * 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  // Items being marked as due whose change isn't queued yet (mutate() waits for IndexedDB)
+  const markingDueRef = useRef(new Set())
+
+  useEffect(() => {
+    if (dataLoading || !canModify) return
+
+    // Items with a change on its way are left alone, so a re-run can't send the same change twice
+    const now = new Date(recurrenceTick)
+    items.forEach(item => {
+      if (pendingItemIds.has(item.id) || markingDueRef.current.has(item.id)) return
+      const changes = dueChanges(item, now)
+      if (!changes) return
+
+      markingDueRef.current.add(item.id)
+      mutate('updateItem', itemUpdate(item, changes)).finally(() => markingDueRef.current.delete(item.id))
+    })
+  }, [dataLoading, canModify, items, pendingItemIds, recurrenceTick, mutate])
+
+  // ============ TRASH ============
+
+  // Latest Trash contents for the undo callbacks, which outlive the render that created them
+  const trashRef = useRef(trash)
+  trashRef.current = trash
+
+  /**
+   * Restore an item from the Trash
+   * If its category was deleted too, the category comes back (without its other items)
+   */
+  const restoreItem = async (item, categoryDeleted) => {
+    if (!canModify) return
+
+    // Not if a category of that name was added since: the item goes back into that one
+    const category = categoryDeleted && !categoryRow(item.category) && trash.categories.find(row => row.name === item.category)
+    if (category) await mutate('restoreCategory', { id: category.id, name: category.name, deletedAt: null })
+    await mutate('restoreItem', { id: item.id })
+  }
+
+  /**
+   * Restore a category together with the items that were deleted along with it
+   */
+  const restoreCategory = async (category) => {
+    if (!canModify) return
+
+    // Category names are unique, so one added since under the same name has to go first
+    if (categoryRow(category.name)) {
+      alert(t('trash.nameTaken', { name: label(category.name) }))
+      return
     }
+    await mutate('restoreCategory', { id: category.id, name: category.name, deletedAt: category.deleted_at })
+  }
+
+  const purgeItem = async (item) => {
+    if (!canModify) return
+    await mutate('purgeItem', { id: item.id })
+  }
+
+  const purgeCategory = async (category) => {
+    if (!canModify) return
+    await mutate('purgeCategory', { name: category.name })
   }
 
+  /**
+   * Permanently delete everything in the Trash
+   */
+  const emptyTrash = async () => {
+    if (!canModify || !confirm(t('trash.emptyConfirm'))) return
+    await mutate('emptyTrash', { before: new Date().toISOString() })
+  }
+
+  // Set while a purge is being queued, so a Trash update meanwhile doesn't queue another
+  const purgingTrashRef = useRef(false)
+
+  /**
+   * Purge things that have been in the Trash longer than the retention period
+   * Done by whichever editor has the list open when they expire
+   */
+  useEffect(() => {
+    if (dataLoading || !canModify || purgingTrashRef.current) return
+
+    const cutoff = trashCutoff()
+    const expired = [...trash.items, ...trash.categories].some(row => Date.parse(row.deleted_at) <= Date.parse(cutoff))
+    if (!expired) return
+
+    purgingTrashRef.current = true
+    mutate('emptyTrash', { before: cutoff }).finally(() => { purgingTrashRef.current = false })
+  }, [dataLoading, canModify, trash, mutate])
+
   /**
    * Reset all items after a shopping trip
-   * Sets all items to needed=false and bought=false, then returns to Plan Mode
+   * Archives the trip (store, what was needed and bought) for the History screen,
+   * sets the trip's items to needed=false and bought=false, then returns to Plan Mode
+   * Items the store didn't have stay needed, tagged with the store's name
+   * Only the items on this trip are reset, so items someone else marked
+   * as needed while we were offline stay needed
    */
   const resetShopping = async () => {
-    try {
-      const { error } = await supabase
-        .from('shopping_items')
-        .update({ needed: false, bought: false })  // Reset all flags
-        .eq('user_id', session.user.id)            // For all user's items
+    if (!canModify) return
+
+    const trip = createTripRecord({ listId: list.id, userId: session.user.id, store: activeStore, items })
+    const itemIds = trip.items.map(item => item.item_id)
+    const recurringIds = items.filter(recursEveryTrip).map(item => item.id)  // Back on the list straight away
+    const carriedIds = trip.items.filter(item => item.unavailable && !item.bought).map(item => item.item_id)
+    setSpentThisMonth(spent => spent === null ? spent : spent + summarizeTrip(trip).spent)
+    setPastTrips(trips => [trip, ...trips])  // Counts towards suggestions straight away
+    changeStoreMode(false)  // Return to Plan Mode
+    await mutate('resetTrip', {
+      itemIds,
+      recurringIds,
+      carriedIds,
+      carriedStore: activeStore?.name || null,
+      trip: itemIds.length > 0 ? trip : null  // Nothing to archive for an empty trip
+    })
+  }
 
-      if (error) throw error
+  /**
+   * Put the items of a past trip back on the list as needed
+   * Items still on the list (same id, or same name in the same category) are
+   * marked as needed; the rest are added again, recreating their category if it's gone
+   */
+  const reAddTripItems = async (tripItems) => {
+    if (!canModify) return
+    setShowHistory(false)
+
+    const knownCategories = new Set(categories)
+    for (const tripItem of tripItems) {
+      const existing = items.find(item => item.id === tripItem.item_id) ||
+        items.find(item =>
+          item.category === tripItem.category && item.name.toLowerCase() === tripItem.name.toLowerCase()
+        )
+
+      if (existing) {
+        if (!existing.needed) await mutate('updateItem', itemUpdate(existing, { needed: true }))
+        continue
+      }
+
+      if (!knownCategories.has(tripItem.category)) {
+        knownCategories.add(tripItem.category)
+        await ensureCategory(tripItem.category)
+      }
+
+      await mutate('addItem', {
+        item: {
+          id: generateId(),
+          name: tripItem.name,
+          quantity: tripItem.quantity,
+          unit: tripItem.unit,
+          note: tripItem.note,
+          price: tripItem.price ?? null,
+          category: tripItem.category,
+          needed: true,
+          bought: false,
+          list_id: list.id,
+          user_id: session.user.id,
+          created_at: new Date().toISOString()
+        }
+      })
+    }
+  }
 
-      setStoreMode(false)  // Return to Plan Mode
-      await fetchItems()
-    } catch (error) {
-      console.error('Error resetting shopping:', error)
+  // ============ MEAL PLAN ============
+
+  /**
+   * Add the ingredients ticked in the meal plan's shopping preview as needed items
+   * Ingredients matching an item on the list update that item (amounts are
+   * already merged by shoppingFromPlan); the rest are added, recreating their
+   * category if it's gone
+   */
+  const shopForMealPlan = async (entries) => {
+    if (!canModify) return
+    setShowMealPlan(false)
+
+    const knownCategories = new Set(categories)
+    for (const { name, category, quantity, unit, note, existing } of entries) {
+      if (existing) {
+        await mutate('updateItem', itemUpdate(existing, { needed: true, quantity, unit, note }))
+        continue
+      }
+
+      if (!knownCategories.has(category)) {
+        knownCategories.add(category)
+        await ensureCategory(category)
+      }
+
+      await mutate('addItem', {
+        item: {
+          id: generateId(),
+          name,
+          quantity,
+          unit,
+          note,
+          category,
+          needed: true,
+          bought: false,
+          list_id: list.id,
+          user_id: session.user.id,
+          created_at: new Date().toISOString()
+        }
+      })
     }
   }
 
@@ -395,10 +1104,13 @@ export default function ShoppingList({ session }) {
 
   // ============ DATA FILTERING AND SORTING ============
 
+  // Whether the search box or a filter chip narrows the list down (Plan Mode only)
+  const searching = !storeMode && (searchQuery.trim() !== '' || itemFilter !== null)
+
   /**
    * Get all items for a specific category, filtered by current mode
    * In Store Mode: only show items that are marked as "needed"
-   * In Plan Mode: show all items in the category
+   * In Plan Mode: show all items in the category that match the search and filter
    * Items are always sorted alphabetically for consistent ordering
    */
   const getItemsByCategory = (category) => {
@@ -407,18 +1119,25 @@ export default function ShoppingList({ session }) {
       // Store Mode: only show items marked as needed (your shopping list for today)
       filteredItems = items.filter(item => item.category === category && item.needed)
     } else {
-      // Plan Mode: show all items in this category
-      filteredItems = items.filter(item => item.category === category)
+      // Plan Mode: show all items in this category (narrowed down while searching)
+      filteredItems = items.filter(item =>
+        item.category === category &&
+        itemMatchesQuery(item, searchQuery) &&
+        itemMatchesFilter(item, itemFilter)
+      )
     }
     
     // Sort items alphabetically by name (case-insensitive)
     // This ensures consistent ordering regardless of when items were added
-    return filteredItems.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()))
+    const sortedItems = filteredItems.sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase(), locale))
+
+    // In a store with a picking order, follow it (items without a position stay alphabetical, last)
+    return orderItems(sortedItems, activeStore)
   }
 
   /**
    * Calculate completion statistics for a category
-   * Returns different stats depending on current mode
+   * Returns different stats depending on current mode (and the active search)
    */
   const getCategoryStats = (category) => {
     const categoryItems = getItemsByCategory(category)
@@ -451,27 +1170,73 @@ export default function ShoppingList({ session }) {
     return items.filter(item => item.needed && item.bought).length
   }
 
+  /**
+   * Count items the store didn't have on this trip
+   * Used for the summary display in Store Mode
+   */
+  const getUnavailableItemsCount = () => {
+    return items.filter(item => item.needed && item.unavailable && !item.bought).length
+  }
+
+  // ============ PRICES AND BUDGET ============
+
+  // Running total of what's in the cart (Store Mode)
+  const tripTotal = sumPrices(items.filter(item => item.needed && item.bought))
+
+  // Estimated cost of the items still to buy (Plan Mode)
+  const tripEstimate = sumPrices(items.filter(item => item.needed && !item.bought))
+
+  // What's left of this month's budget, if the list has one
+  const budgetLeft = list?.monthly_budget && spentThisMonth !== null
+    ? Number(list.monthly_budget) - spentThisMonth
+    : null
+  const overBudget = budgetLeft !== null && tripEstimate.total > budgetLeft
+
   // ============ CATEGORY VISIBILITY ============
 
   /**
    * Determine which categories should be shown
-   * In Store Mode: only show categories that have items marked as needed
-   * In Plan Mode: show all categories (so you can add items to empty ones)
+   * In Store Mode: only show categories that have items marked as needed,
+   * in the aisle order of the selected store
+   * In Plan Mode: show all categories (so you can add items to empty ones),
+   * or only those with matching items while searching
    */
-  const visibleCategories = categories.filter(category => {
+  const visibleCategories = orderCategories(categories, activeStore).filter(category => {
     const categoryItems = getItemsByCategory(category)
-    return categoryItems.length > 0 || !storeMode
+    return categoryItems.length > 0 || (!storeMode && !searching)
   })
 
+  // Items found by the search and filter, across all categories
+  const matchCount = searching
+    ? visibleCategories.reduce((count, category) => count + getItemsByCategory(category).length, 0)
+    : 0
+
   // ============ LOADING STATE ============
 
   /**
    * Show loading screen while initial data is being fetched
    */
-  if (loading) {
+  if (listNotFound) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          <h1 className="text-xl font-bold text-gray-800 mb-2">{t('list.notFoundTitle')}</h1>
+          <p className="text-gray-600 mb-6">{t('list.notFoundText')}</p>
+          <button
+            onClick={() => router.push('/')}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+          >
+            {t('list.goToLists')}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (loading || dataLoading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
-        <div className="text-xl text-gray-600">Loading your shopping list...</div>
+        <div className="text-xl text-gray-600">{t('list.loading')}</div>
       </div>
     )
   }
@@ -489,28 +1254,83 @@ export default function ShoppingList({ session }) {
             {/* App title and user info */}
             <div>
               <h1 className="text-3xl font-bold text-gray-800">
-                🛒 Shopping List
+                🛒 {t('app.title')}
               </h1>
-              <p className="text-sm text-gray-600 mt-1">
-                Welcome, {session.user.email}
-              </p>
+              <div className="mt-1 flex items-center">
+                {/* List name doubles as the list switcher */}
+                <ListSwitcher
+                  lists={guest ? [list].filter(Boolean) : lists}
+                  currentList={list}
+                  onSelect={openList}
+                  onCreate={guest ? null : handleCreateList}   // Guests have just the one local list
+                  onRename={guest ? null : handleRenameList}
+                  onArchive={guest ? null : handleArchiveList}
+                  onExport={() => setShowExport(true)}
+                  onImport={canModify ? () => setShowImport(true) : null}
+                />
+                {/* A badge explains why nothing is editable (viewer, or offline copy - see SyncStatus) */}
+                {list && !canModify && (
+                  <span className="ms-2 inline-flex items-center gap-1 px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">
+                    <Eye size={12} />
+                    {t('list.viewOnly')}
+                  </span>
+                )}
+              </div>
             </div>
             
             {/* Control buttons - responsive design with flex-wrap for mobile */}
             <div className="flex items-center gap-1.5 flex-wrap">
               
-              {/* Sign out button - hides text on small screens to save space */}
-              <button
-                onClick={signOut}
-                className="px-2 py-1.5 text-gray-600 hover:text-gray-800 transition-colors flex items-center gap-1 text-xs"
-              >
-                <LogOut size={14} />
-                <span className="hidden sm:inline">Sign Out</span>
-              </button>
+              {/* Share button - opens member management and invitations */}
+              {list && !guest && (
+                <button
+                  onClick={() => setShowShare(true)}
+                  className="px-2 py-1.5 text-gray-600 hover:text-gray-800 transition-colors flex items-center gap-1 text-xs"
+                >
+                  <Users size={14} />
+                  <span className="hidden sm:inline">{t('header.share')}</span>
+                </button>
+              )}
+              
+              {/* Access tokens for the REST API */}
+              {!guest && (
+                <button
+                  onClick={() => setShowAccessTokens(true)}
+                  title={t('header.accessTokens')}
+                  className="px-2 py-1.5 text-gray-600 hover:text-gray-800 transition-colors flex items-center gap-1 text-xs"
+                >
+                  <KeyRound size={14} />
+                  <span className="hidden sm:inline">{t('header.api')}</span>
+                </button>
+              )}
+
+              {/* Language of the app */}
+              <LanguagePicker className="px-2 py-1.5" />
+
+              {/* Sign out button (sign in for guests) - hides text on small screens to save space */}
+              {guest ? (
+                <button
+                  onClick={onSignIn}
+                  title={t('header.signInTitle')}
+                  className="px-2 py-1.5 text-blue-600 hover:text-blue-800 transition-colors flex items-center gap-1 text-xs font-medium"
+                >
+                  <LogIn size={14} />
+                  <span className="hidden sm:inline">{t('header.signIn')}</span>
+                </button>
+              ) : (
+                <button
+                  onClick={signOut}
+                  title={t('header.signedInAs', { email: session.user.email })}
+                  className="px-2 py-1.5 text-gray-600 hover:text-gray-800 transition-colors flex items-center gap-1 text-xs"
+                >
+                  <LogOut size={14} />
+                  <span className="hidden sm:inline">{t('header.signOut')}</span>
+                </button>
+              )}
               
               {/* Mode Toggle Button - switches between Plan and Store modes */}
               <button
-                onClick={() => setStoreMode(!storeMode)}
+                onClick={toggleStoreMode}
                 className={`flex items-center gap-1.5 px-2.5 py-1.5 rounded-md font-medium transition-all duration-200 text-xs ${
                   storeMode 
                     ? 'bg-gray-200 text-gray-700 hover:bg-gray-300'    // Green when in Store Mode
@@ -518,11 +1338,85 @@ export default function ShoppingList({ session }) {
                 }`}
               >
                 {storeMode ? <Home size={16} /> : <ShoppingCart size={16} />}
-                <span className="hidden xs:inline">{storeMode ? 'Store' : 'Plan'}</span>
+                <span className="hidden xs:inline">{storeMode ? t('mode.store') : t('mode.plan')}</span>
               </button>
             </div>
           </div>
 
+          {/* ============ BUDGET WARNING ============ */}
+          {!storeMode && overBudget && (
+            <div className="px-3 py-2 mb-3 bg-red-50 border border-red-200 rounded-lg text-xs text-red-700">
+              {t('budget.overWarning', { estimate: formatPrice(tripEstimate.total), left: formatPrice(Math.max(0, budgetLeft)) })}
+            </div>
+          )}
+
+          {/* ============ SYNC STATUS ============ */}
+          <SyncStatus
+            online={online}
+            cachedOnly={cachedOnly}
+            syncing={syncing}
+            pendingCount={pendingCount}
+            notices={notices}
+            onDismissNotice={dismissNotice}
+          />
+
+          {/* ============ GUEST NOTICE ============ */}
+          {guest && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-2 mb-3 flex items-center gap-2 text-sm">
+              <span className="flex-1 text-gray-700">
+                {t('guest.notice')}
+              </span>
+              <button
+                onClick={onSignIn}
+                className="px-2.5 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium"
+              >
+                {t('guest.signIn')}
+              </button>
+            </div>
+          )}
+
+          {/* ============ ARCHIVED LIST NOTICE ============ */}
+          {list?.archived_at && (
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-2 mb-3 flex items-center gap-2 text-sm">
+              <span className="flex-1 text-gray-700">{t('list.archived')}</span>
+              {canManageMembers(list.role) && (
+                <button
+                  onClick={() => handleArchiveList(list.id, false)}
+                  className="px-2.5 py-1 bg-amber-600 text-white rounded-md hover:bg-amber-700 transition-colors text-xs font-medium flex items-center gap-1"
+                >
+                  <ArchiveRestore size={12} />
+                  {t('list.restore')}
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* ============ PENDING INVITATIONS ============ */}
+          {/* Invitations sent to this user's email, shown until accepted or dismissed */}
+          {pendingInvitations.map(invitation => (
+            <div key={invitation.id} className="bg-blue-50 border border-blue-200 rounded-lg p-2 mb-3 flex items-center gap-2 text-sm">
+              <span className="flex-1 text-gray-700">
+                {rich('invitations.invited', {
+                  list: <strong>{invitation.lists?.name || t('invitations.sharedList')}</strong>,
+                  role: t(`roles.${invitation.role}`)
+                })}
+              </span>
+              <button
+                onClick={() => acceptPendingInvitation(invitation)}
+                className="px-2.5 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors text-xs font-medium"
+              >
+                {t('invitations.join')}
+              </button>
+              <button
+                onClick={() => setPendingInvitations(pendingInvitations.filter(pending => pending.id !== invitation.id))}
+                className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                title={t('common.dismiss')}
+              >
+                <X size={14} />
+              </button>
+            </div>
+          ))}
+
           {/* ============ SUMMARY STATS BAR ============ */}
           <div className="bg-gray-50 rounded-lg p-2 mb-3">
             {storeMode ? (
@@ -530,46 +1424,182 @@ export default function ShoppingList({ session }) {
               <div className="flex justify-between items-center">
                 <div className="flex gap-6 text-sm">
                   <span className="text-green-600 font-medium">
-                    ✓ {getBoughtItemsCount()} bought
+                    ✓ {t('store.bought', { count: getBoughtItemsCount() })}
                   </span>
                   <span className="text-blue-600 font-medium">
-                    🛒 {getNeededItemsCount()} remaining
+                    🛒 {t('store.remaining', { count: getNeededItemsCount() - getUnavailableItemsCount() })}
                   </span>
+                  {/* Out of stock or skipped: they stay on the list after Reset */}
+                  {getUnavailableItemsCount() > 0 && (
+                    <span className="text-amber-600 font-medium" title={t('store.unavailableTitle')}>
+                      ⊘ {t('store.unavailable', { count: getUnavailableItemsCount() })}
+                    </span>
+                  )}
+                  {/* Running total of the items in the cart that have a price */}
+                  {tripTotal.total > 0 && (
+                    <span className="text-gray-700 font-medium" title={t('store.totalTitle')}>
+                      {formatPrice(tripTotal.total)}
+                    </span>
+                  )}
+                  {/* Current store - tap to switch to another store's aisle order */}
+                  {stores.length > 0 && (
+                    <button
+                      onClick={() => setShowStorePicker(true)}
+                      className="flex items-center gap-1 text-gray-500 hover:text-gray-700 text-xs"
+                    >
+                      <Store size={12} />
+                      {activeStore?.name || t('store.anyStore')}
+                    </button>
+                  )}
                 </div>
-                <button
-                  onClick={resetShopping}
-                  className="px-2.5 py-1.5 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors text-xs font-medium"
-                >
-                  Reset
-                </button>
+                {canModify && (
+                  <button
+                    onClick={resetShopping}
+                    className="px-2.5 py-1.5 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors text-xs font-medium"
+                  >
+                    {t('store.reset')}
+                  </button>
+                )}
               </div>
             ) : (
               // Plan Mode: Show items needed and Add Category button
               <div className="flex justify-between items-center">
                 <div className="text-sm text-gray-600">
-                  <span className="font-medium text-blue-600">{getNeededItemsCount()}</span> items needed for next trip
+                  <span className="font-medium text-blue-600">{getNeededItemsCount()}</span> {t('plan.itemsNeeded', { count: getNeededItemsCount() })}
+                  {/* Estimate from the prices paid last time, and the monthly budget */}
+                  <div className="text-xs text-gray-500">
+                    {tripEstimate.total > 0 && (
+                      <span>
+                        ≈ {formatPrice(tripEstimate.total)}
+                        {tripEstimate.missing > 0 && ` ${t('plan.withoutPrice', { count: tripEstimate.missing })}`}
+                      </span>
+                    )}
+                    {budgetLeft !== null && (
+                      <span className={overBudget ? 'text-red-600' : ''}>
+                        {tripEstimate.total > 0 && ' · '}{t('plan.budgetLeft', { amount: formatPrice(budgetLeft) })}
+                      </span>
+                    )}
+                    {canManageMembers(list?.role) && !guest && (
+                      <button
+                        onClick={() => setShowBudget(true)}
+                        className="ms-1 underline hover:text-gray-700"
+                      >
+                        {list?.monthly_budget ? t('plan.budget') : t('plan.setBudget')}
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div className="flex gap-1.5">
+                  {/* Past trips - everyone can look back */}
+                  {!guest && (
+                    <button
+                      onClick={() => setShowHistory(true)}
+                      className="px-2.5 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium flex items-center gap-1"
+                      title={t('plan.historyTitle')}
+                    >
+                      <History size={12} />
+                      <span className="hidden sm:inline">{t('plan.history')}</span>
+                    </button>
+                  )}
+                  {canModify && (
+                    <>
+                      {/* Recipes and store profiles are kept on the server */}
+                      {!guest && (
+                        <>
+                          <button
+                            onClick={() => setShowMealPlan(true)}
+                            className="px-2.5 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium flex items-center gap-1"
+                            title={t('plan.mealsTitle')}
+                          >
+                            <UtensilsCrossed size={12} />
+                            <span className="hidden sm:inline">{t('plan.meals')}</span>
+                          </button>
+                          <button
+                            onClick={() => setShowStoreLayout(true)}
+                            className="px-2.5 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium flex items-center gap-1"
+                            title={t('plan.storesTitle')}
+                          >
+                            <Store size={12} />
+                            <span className="hidden sm:inline">{t('plan.stores')}</span>
+                          </button>
+                        </>
+                      )}
+                      <button
+                        onClick={() => setShowCategories(true)}
+                        className="px-2.5 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium flex items-center gap-1"
+                        title={t('plan.categoriesTitle')}
+                      >
+                        <Tags size={12} />
+                        <span className="hidden sm:inline">{t('plan.categories')}</span>
+                      </button>
+                      <button
+                        onClick={() => setShowTrash(true)}
+                        className="px-2.5 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors text-xs font-medium flex items-center gap-1"
+                        title={t('plan.trash')}
+                      >
+                        <Trash2 size={12} />
+                        <span className="hidden sm:inline">{t('plan.trash')}</span>
+                        {trash.items.length + trash.categories.length > 0 && (
+                          <span>({trash.items.length + trash.categories.length})</span>
+                        )}
+                      </button>
+                      <button
+                        onClick={() => setShowAddCategory(true)}
+                        className="px-2.5 py-1 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors text-xs font-medium flex items-center gap-1"
+                      >
+                        <Plus size={12} />
+                        {t('plan.addCategory')}
+                      </button>
+                    </>
+                  )}
                 </div>
-                <button
-                  onClick={() => setShowAddCategory(true)}
-                  className="px-2.5 py-1 bg-purple-600 text-white rounded-md hover:bg-purple-700 transition-colors text-xs font-medium flex items-center gap-1"
-                >
-                  <Plus size={12} />
-                  Add Category
-                </button>
               </div>
             )}
           </div>
 
+          {/* ============ SEARCH AND FILTERS ============ */}
+          {!storeMode && (
+            <ItemSearchBar
+              query={searchQuery}
+              filter={itemFilter}
+              matchCount={matchCount}
+              onQueryChange={setSearchQuery}
+              onFilterChange={setItemFilter}
+            />
+          )}
+
+          {/* ============ QUICK ADD ============ */}
+          {!storeMode && canModify && (
+            <QuickAddBar
+              categories={categories}
+              items={items}
+              memory={categoryMemory}
+              onAdd={quickAddItem}
+            />
+          )}
+
+          {/* ============ SUGGESTIONS ============ */}
+          {!storeMode && canModify && suggestions.length > 0 && (
+            <SuggestionsPanel
+              suggestions={suggestions}
+              onAdd={addSuggestion}
+              onDismiss={dismissSuggestion}
+            />
+          )}
+
+          {/* ============ ACTIVITY FEED ============ */}
+          {!guest && <ActivityFeed activity={activity} userId={session.user.id} />}
+
           {/* ============ ADD CATEGORY FORM ============ */}
           {/* Only shown when user clicks "Add Category" and in Plan Mode */}
-          {showAddCategory && !storeMode && (
+          {showAddCategory && !storeMode && canModify && (
             <div className="bg-purple-50 rounded-xl p-3 mb-4 border-2 border-dashed border-purple-200">
-              <h3 className="text-base font-medium text-gray-700 mb-2">Add New Category</h3>
+              <h3 className="text-base font-medium text-gray-700 mb-2">{t('category.addTitle')}</h3>
               <div className="flex gap-3">
                 {/* Text input for new category name */}
                 <input
                   type="text"
-                  placeholder="Enter category name"
+                  placeholder={t('category.namePlaceholder')}
                   value={newCategoryName}
                   onChange={(e) => setNewCategoryName(e.target.value)}
                   className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none"
@@ -581,7 +1611,7 @@ export default function ShoppingList({ session }) {
                   onClick={addCategory}
                   className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors font-medium"
                 >
-                  Add
+                  {t('common.add')}
                 </button>
                 {/* Cancel button */}
                 <button
@@ -591,7 +1621,7 @@ export default function ShoppingList({ session }) {
                   }}
                   className="px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors font-medium"
                 >
-                  Cancel
+                  {t('common.cancel')}
                 </button>
               </div>
             </div>
@@ -602,26 +1632,65 @@ export default function ShoppingList({ session }) {
             {visibleCategories.map(category => {
               const categoryItems = getItemsByCategory(category)  // Get items for this category
               const { completed, total } = getCategoryStats(category)  // Get completion stats
-              const isCollapsed = collapsedCategories.has(category)  // Check if category is collapsed
+              const isCollapsed = collapsedCategories.has(category) && !searching  // Matches are shown even in collapsed categories
               
               return (
-                <div key={category} className="border border-gray-200 rounded-xl overflow-hidden">
+                <div
+                  key={category}
+                  className={`border rounded-xl overflow-hidden transition-colors ${
+                    dropCategory === category ? 'border-blue-400 ring-2 ring-blue-200' : 'border-gray-200'
+                  }`}
+                  // Drop target for items dragged from other categories (Plan Mode)
+                  onDragOver={(e) => {
+                    if (!draggedItemId) return
+                    e.preventDefault()  // Allow dropping here
+                    if (dropCategory !== category) setDropCategory(category)
+                  }}
+                  onDragLeave={(e) => {
+                    if (!e.currentTarget.contains(e.relatedTarget)) setDropCategory(null)
+                  }}
+                  onDrop={(e) => {
+                    e.preventDefault()
+                    moveItem(draggedItemId, category)
+                    setDraggedItemId(null)
+                    setDropCategory(null)
+                  }}
+                >
                   
                   {/* ============ CATEGORY HEADER ============ */}
                   <div className="w-full px-3 py-2.5 bg-gray-50 hover:bg-gray-100 transition-colors flex items-center justify-between">
-                    {/* Left side: expand/collapse button and category name */}
-                    <button
-                      onClick={() => toggleCategory(category)}
-                      className="flex items-center gap-2.5 flex-1 text-left"
-                    >
-                      {isCollapsed ? <ChevronRight size={18} /> : <ChevronDown size={18} />}
-                      <span className="font-medium text-gray-800 text-sm">{category}</span>
-                    </button>
+                    {/* Left side: expand/collapse button and category name (or its rename field) */}
+                    {renamingCategory === category ? (
+                      <input
+                        type="text"
+                        value={renameValue}
+                        onChange={(e) => setRenameValue(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            setRenamingCategory(null)
+                            renameCategory(category, renameValue)
+                          }
+                          if (e.key === 'Escape') setRenamingCategory(null)
+                        }}
+                        onBlur={() => setRenamingCategory(null)}
+                        className="flex-1 min-w-0 me-2 px-2 py-1 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+                        autoFocus
+                      />
+                    ) : (
+                      <button
+                        onClick={() => toggleCategory(category)}
+                        className="flex items-center gap-2.5 flex-1 text-start"
+                      >
+                        {isCollapsed ? <ChevronRight size={18} className="rtl:rotate-180" /> : <ChevronDown size={18} />}
+                        <CategoryIcon icon={categoryRow(category)?.icon} color={categoryRow(category)?.color} />
+                        <span className="font-medium text-gray-800 text-sm">{label(category)}</span>
+                      </button>
+                    )}
                     
-                    {/* Right side: completion stats, progress bar, and delete button */}
+                    {/* Right side: completion stats, progress bar, rename and delete buttons */}
                     <div className="flex items-center gap-2">
                       <span className="text-xs text-gray-600">
-                        {storeMode ? `${completed}/${total} bought` : `${completed}/${total} needed`}
+                        {t(storeMode ? 'category.boughtStats' : 'category.neededStats', { completed, total })}
                       </span>
                       {/* Progress bar - only show if there are items */}
                       {total > 0 && (
@@ -634,12 +1703,22 @@ export default function ShoppingList({ session }) {
                           />
                         </div>
                       )}
-                      {/* Delete category button - only show for custom categories in Plan Mode */}
-                      {!storeMode && canDeleteCategory(category) && (
+                      {/* Rename category button - Plan Mode, for those who may edit */}
+                      {!storeMode && canModify && (
+                        <button
+                          onClick={() => startRenameCategory(category)}
+                          className="p-1 text-gray-400 hover:text-blue-500 transition-colors ms-1"
+                          title={t('category.rename')}
+                        >
+                          <Pencil size={14} />
+                        </button>
+                      )}
+                      {/* Delete category button - Plan Mode, for those who may edit */}
+                      {!storeMode && canModify && (
                         <button
                           onClick={() => setCategoryToDelete(category)}
-                          className="p-1 text-gray-400 hover:text-red-500 transition-colors ml-1"
-                          title="Delete category"
+                          className="p-1 text-gray-400 hover:text-red-500 transition-colors ms-1"
+                          title={t('category.delete')}
                         >
                           <Trash2 size={14} />
                         </button>
@@ -653,13 +1732,13 @@ export default function ShoppingList({ session }) {
                       
                       {/* ============ ADD NEW ITEM FORM ============ */}
                       {/* Only shown in Plan Mode - you don't add items while shopping */}
-                      {!storeMode && (
+                      {!storeMode && canModify && (
                         <div className="bg-blue-50 rounded-lg p-1.5 border-2 border-dashed border-blue-200 mb-2.5">
                           <div className="flex gap-1.5">
                             {/* Text input for new item name */}
                             <input
                               type="text"
-                              placeholder={`Add item to ${category}`}
+                              placeholder={t('category.addItemPlaceholder', { category: label(category) })}
                               value={newItemInputs[category] || ''}  // Get current input value for this category
                               onChange={(e) => updateNewItemInput(category, e.target.value)}
                               className="flex-1 px-2.5 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
@@ -671,21 +1750,47 @@ export default function ShoppingList({ session }) {
                               className="px-2.5 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors flex items-center gap-1 text-xs font-medium flex-shrink-0"
                             >
                               <Plus size={14} />
-                              <span className="hidden xs:inline">Add</span>  {/* Hide text on very small screens */}
+                              <span className="hidden xs:inline">{t('common.add')}</span>  {/* Hide text on very small screens */}
                             </button>
                           </div>
                         </div>
                       )}
                       
                       {/* ============ EXISTING ITEMS LIST ============ */}
-                      {categoryItems.map(item => (
+                      {categoryItems.map(item => editingItemId === item.id && !storeMode ? (
+                        // Inline editor replaces the row while editing (Plan Mode only)
+                        <ItemEditor
+                          key={item.id}
+                          item={item}
+                          categories={categories}
+                          onSave={(changes) => updateItemDetails(item.id, changes)}
+                          onCancel={() => setEditingItemId(null)}
+                        />
+                      ) : (
                         <div
                           key={item.id}
+                          // Plan Mode: drag the row onto another category card to move it there
+                          draggable={!storeMode && canModify}
+                          onDragStart={(e) => {
+                            e.dataTransfer.effectAllowed = 'move'
+                            e.dataTransfer.setData('text/plain', item.name)  // Required by Firefox to start a drag
+                            setDraggedItemId(item.id)
+                          }}
+                          onDragEnd={() => {
+                            setDraggedItemId(null)
+                            setDropCategory(null)
+                          }}
                           className={`flex items-center gap-2 rounded-md border transition-all duration-200 ${
+                            draggedItemId === item.id ? 'opacity-50' : ''
+                          } ${
+                            highlighted.has(item.id) ? 'ring-2 ring-amber-300' : ''  // Just changed on another device
+                          } ${
                             storeMode 
                               ? (item.bought 
                                   ? 'bg-green-50 border-green-200 opacity-75'      // Bought items: green and faded
-                                  : 'bg-white border-gray-200 hover:border-green-300')  // Unbought items: white with green hover
+                                  : item.unavailable
+                                    ? 'bg-amber-50 border-amber-200 opacity-75'    // Unavailable items: amber and faded
+                                    : 'bg-white border-gray-200 hover:border-green-300')  // Unbought items: white with green hover
                               : (item.needed 
                                   ? 'bg-blue-50 border-blue-200'                   // Needed items: blue background
                                   : 'bg-white border-gray-200 hover:border-blue-300')   // Unneeded items: white with blue hover
@@ -693,9 +1798,10 @@ export default function ShoppingList({ session }) {
                         >
                           
                           {/* ============ CHECKBOX ============ */}
-                          <div className="flex-shrink-0 pl-2">  {/* Container with left padding to move checkbox away from edge */}
+                          <div className="flex-shrink-0 ps-2">  {/* Container with left padding to move checkbox away from edge */}
                             <button
                               onClick={() => storeMode ? toggleBought(item.id) : toggleNeeded(item.id)}
+                              disabled={!canModify}
                               className={`w-5 h-5 rounded-full border-2 flex items-center justify-center transition-all duration-200 ${
                                 storeMode
                                   ? (item.bought
@@ -715,21 +1821,116 @@ export default function ShoppingList({ session }) {
                           {/* Large clickable area for mobile-friendly checking */}
                           <button
                             onClick={() => storeMode ? toggleBought(item.id) : toggleNeeded(item.id)}
-                            className={`flex-1 text-left px-3 py-2 ${
+                            disabled={!canModify}
+                            className={`flex-1 text-start px-3 py-2 ${
                               storeMode 
-                                ? (item.bought ? 'line-through text-gray-500' : 'text-gray-800')  // Strike through bought items
+                                ? (item.bought ? 'line-through text-gray-500' : item.unavailable ? 'text-gray-500' : 'text-gray-800')  // Strike through bought items
                                 : 'text-gray-800'
                             } text-sm`}
                           >
-                            {item.name}
+                            <span className="flex items-baseline gap-2">
+                              {/* Quantity: big and bold in Store Mode so it's readable at a glance */}
+                              {formatQuantity(item) && (
+                                <span className={storeMode
+                                  ? 'text-base font-bold text-green-700 whitespace-nowrap'
+                                  : 'text-xs font-medium text-blue-700 bg-blue-100 rounded px-1 whitespace-nowrap'
+                                }>
+                                  {formatQuantity(item)}
+                                </span>
+                              )}
+                              <span>{item.name}</span>
+                              {/* Recurring items: highlighted when the schedule put them on the list */}
+                              {item.recurrence && (
+                                <span title={describeRecurrence(item.recurrence, locale)}>
+                                  <Repeat size={12} className={item.auto_needed && item.needed ? 'text-blue-500' : 'text-gray-400'} />
+                                </span>
+                              )}
+                              {/* Carried over from a trip where the store didn't have it */}
+                              {!storeMode && item.needed && item.unavailable_store && (
+                                <span className="text-xs text-amber-700 bg-amber-100 rounded px-1 whitespace-nowrap">
+                                  {t('item.notAtStore', { store: item.unavailable_store })}
+                                </span>
+                              )}
+                            </span>
+                            {item.note && (
+                              <span className="block text-xs text-gray-500 mt-0.5">{item.note}</span>
+                            )}
                           </button>
                           
+                          {/* ============ SKIP (recurring items) ============ */}
+                          {/* Plan Mode: don't buy it this time; the schedule brings it back next time */}
+                          {!storeMode && canModify && item.auto_needed && item.needed && (
+                            <button
+                              onClick={() => skipOccurrence(item.id)}
+                              className="flex-shrink-0 px-1.5 py-0.5 text-xs text-blue-600 hover:text-blue-800 hover:bg-blue-100 rounded transition-colors"
+                              title={t('item.skipTitle')}
+                            >
+                              {t('item.skip')}
+                            </button>
+                          )}
+
+                          {/* ============ UNAVAILABLE ============ */}
+                          {/* Store Mode: out of stock or skipped - stays on the list for the next trip */}
+                          {storeMode && canModify && !item.bought && (
+                            <button
+                              onClick={() => toggleUnavailable(item.id)}
+                              className={`flex-shrink-0 p-1 rounded-md transition-colors ${
+                                item.unavailable ? 'text-amber-600 bg-amber-100' : 'text-gray-400 hover:text-amber-600 hover:bg-amber-50'
+                              }`}
+                              title={t(item.unavailable ? 'item.availableTitle' : 'item.unavailableTitle')}
+                            >
+                              <PackageX size={14} />
+                            </button>
+                          )}
+
+                          {/* ============ PRICE ============ */}
+                          {/* Store Mode: tap to enter what it cost; Plan Mode: shown for reference */}
+                          {storeMode && canModify && priceEditingId === item.id ? (
+                            <input
+                              type="text"
+                              inputMode="decimal"
+                              value={priceValue}
+                              onChange={(e) => setPriceValue(e.target.value)}
+                              onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                              onBlur={() => saveItemPrice(item.id)}  // Saved when leaving the field
+                              placeholder={t('item.pricePlaceholder')}
+                              className="w-16 me-2 px-1.5 py-1 text-xs border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none"
+                              autoFocus
+                            />
+                          ) : storeMode && canModify ? (
+                            <button
+                              onClick={() => {
+                                setPriceEditingId(item.id)
+                                setPriceValue(item.price ?? '')
+                              }}
+                              className="flex-shrink-0 me-2 px-1.5 py-1 text-xs text-gray-500 hover:text-green-700 rounded-md hover:bg-green-50 transition-colors"
+                              title={t('item.priceTitle')}
+                            >
+                              {item.price !== null && item.price !== undefined ? formatPrice(item.price) : t('item.addPrice')}
+                            </button>
+                          ) : item.price !== null && item.price !== undefined && (
+                            <span className="flex-shrink-0 text-xs text-gray-400 pe-1">{formatPrice(item.price)}</span>
+                          )}
+
+                          {/* ============ EDIT BUTTON ============ */}
+                          {/* Plan Mode only - opens the inline editor for quantity, unit and note */}
+                          {!storeMode && canModify && (
+                            <button
+                              onClick={() => setEditingItemId(item.id)}
+                              className="flex-shrink-0 p-2 -me-2 text-gray-400 hover:text-blue-500 transition-colors"
+                              title={t('item.edit')}
+                            >
+                              <Pencil size={14} />
+                            </button>
+                          )}
+                          
                           {/* ============ DELETE BUTTON ============ */}
                           {/* Only shown in Plan Mode - prevent accidental deletion while shopping */}
-                          {!storeMode && (
+                          {!storeMode && canModify && (
                             <button
                               onClick={() => deleteItem(item.id)}
                               className="flex-shrink-0 p-2 text-gray-400 hover:text-red-500 transition-colors"
+                              title={t('item.delete')}
                             >
                               <Trash2 size={14} />
                             </button>
@@ -741,7 +1942,7 @@ export default function ShoppingList({ session }) {
                       {categoryItems.length === 0 && (
                         <div className="text-center py-4 text-gray-500">
                           <p className="text-sm">
-                            {storeMode ? `No items needed from ${category}` : `No items in ${category} yet`}
+                            {t(storeMode ? 'category.emptyStore' : 'category.emptyPlan', { category: label(category) })}
                           </p>
                         </div>
                       )}
@@ -752,29 +1953,183 @@ export default function ShoppingList({ session }) {
             })}
           </div>
 
+          {/* ============ NO SEARCH RESULTS ============ */}
+          {searching && visibleCategories.length === 0 && (
+            <div className="text-center py-12 text-gray-500">
+              <p className="text-lg">{t('search.noMatch')}</p>
+              <button
+                onClick={() => {
+                  setSearchQuery('')
+                  setItemFilter(null)
+                }}
+                className="text-sm underline hover:text-gray-700"
+              >
+                {t('search.clear')}
+              </button>
+            </div>
+          )}
+
           {/* ============ COMPLETELY EMPTY STATE ============ */}
           {/* Shown when there are no visible categories at all */}
-          {visibleCategories.length === 0 && (
+          {!searching && visibleCategories.length === 0 && (
             <div className="text-center py-12 text-gray-500">
               <div className="text-6xl mb-4">
                 {storeMode ? '🛍️' : '📝'}
               </div>
               <p className="text-lg">
-                {storeMode ? 'No items to buy today!' : 'Your shopping list is empty'}
+                {storeMode ? t('empty.storeTitle') : t('empty.planTitle')}
               </p>
               <p className="text-sm">
-                {storeMode ? 'Mark some items as needed in Plan Mode' : 'Add some items to get started!'}
+                {storeMode ? t('empty.storeHint') : t('empty.planHint')}
               </p>
             </div>
           )}
         </div>
 
+        {/* ============ STORE PICKER (entering Store Mode) ============ */}
+        {showStorePicker && (
+          <StorePicker
+            stores={stores}
+            selectedStoreId={selectedStoreId}
+            canModify={canModify}
+            onPick={pickStore}
+            onManage={() => {
+              setShowStorePicker(false)
+              setShowStoreLayout(true)
+            }}
+            onClose={() => setShowStorePicker(false)}
+          />
+        )}
+
+        {/* ============ STORE LAYOUT DIALOG ============ */}
+        {showStoreLayout && canModify && (
+          <StoreLayoutDialog
+            listId={listId}
+            stores={stores}
+            categories={categories}
+            items={items}
+            initialStoreId={selectedStoreId}
+            onClose={() => setShowStoreLayout(false)}
+            onChanged={loadStores}
+          />
+        )}
+
+        {/* ============ MEAL PLAN DIALOG ============ */}
+        {showMealPlan && canModify && (
+          <MealPlanDialog
+            listId={listId}
+            userId={session.user.id}
+            categories={categories}
+            items={items}
+            memory={categoryMemory}
+            onShop={shopForMealPlan}
+            onClose={() => setShowMealPlan(false)}
+          />
+        )}
+
+        {/* ============ IMPORT / EXPORT DIALOGS ============ */}
+        {showExport && (
+          <ExportDialog
+            list={list}
+            categories={categories}
+            items={items}
+            onClose={() => setShowExport(false)}
+          />
+        )}
+        {showImport && canModify && (
+          <ImportDialog
+            categories={categories}
+            items={items}
+            onImport={importItems}
+            onClose={() => setShowImport(false)}
+          />
+        )}
+
+        {/* ============ BUDGET DIALOG ============ */}
+        {showBudget && list && (
+          <BudgetDialog
+            list={list}
+            spentThisMonth={spentThisMonth}
+            onSave={handleSetBudget}
+            onClose={() => setShowBudget(false)}
+          />
+        )}
+
+        {/* ============ HISTORY DIALOG ============ */}
+        {showHistory && (
+          <HistoryDialog
+            listId={listId}
+            canModify={canModify}
+            onReAdd={reAddTripItems}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
+        {/* ============ CATEGORIES DIALOG ============ */}
+        {showCategories && canModify && (
+          <CategoriesDialog
+            categories={categoryRows}
+            items={items}
+            canRestoreDefaults={restoreDefaults().length > 0}
+            onRename={renameCategory}
+            onUpdate={updateCategory}
+            onDelete={setCategoryToDelete}
+            onRestoreDefaults={restoreDefaultCategories}
+            onClose={() => setShowCategories(false)}
+          />
+        )}
+
+        {/* ============ TRASH DIALOG ============ */}
+        {showTrash && (
+          <TrashDialog
+            trash={trash}
+            canModify={canModify}
+            onRestoreItem={restoreItem}
+            onRestoreCategory={restoreCategory}
+            onPurgeItem={purgeItem}
+            onPurgeCategory={purgeCategory}
+            onEmpty={emptyTrash}
+            onClose={() => setShowTrash(false)}
+          />
+        )}
+
+        {/* ============ UNDO TOAST (after a delete) ============ */}
+        {undoAction && (
+          <UndoToast
+            key={undoAction.id}  // A new delete restarts the timer
+            message={undoAction.message}
+            onUndo={() => {
+              undoAction.undo()
+              setUndoAction(null)
+            }}
+            onDismiss={() => setUndoAction(null)}
+          />
+        )}
+
+        {/* ============ SHARE LIST DIALOG ============ */}
+        {showShare && list && (
+          <ShareListDialog
+            session={session}
+            list={list}
+            onClose={() => setShowShare(false)}
+            onLeft={handleLeftList}
+          />
+        )}
+
+        {/* ============ ACCESS TOKENS DIALOG ============ */}
+        {showAccessTokens && (
+          <AccessTokensDialog
+            session={session}
+            onClose={() => setShowAccessTokens(false)}
+          />
+        )}
+
         {/* ============ DELETE CATEGORY CONFIRMATION DIALOG ============ */}
         {categoryToDelete && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
             <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full">
               <div className="flex items-center justify-between mb-4">
-                <h2 className="text-xl font-bold text-gray-800">Delete Category</h2>
+                <h2 className="text-xl font-bold text-gray-800">{t('category.deleteTitle')}</h2>
                 <button
                   onClick={() => setCategoryToDelete(null)}
                   className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
@@ -785,10 +2140,10 @@ export default function ShoppingList({ session }) {
               
               <div className="mb-6">
                 <p className="text-gray-600 mb-2">
-                  Are you sure you want to delete the category <strong>&quot;{categoryToDelete}&quot;</strong>?
+                  {rich('category.deleteConfirm', { name: <strong>&quot;{label(categoryToDelete)}&quot;</strong> })}
                 </p>
                 <p className="text-sm text-red-600">
-                  This will permanently delete the category and all items in it. This action cannot be undone.
+                  {t('category.deleteNote', { count: TRASH_RETENTION_DAYS })}
                 </p>
               </div>
               
@@ -797,13 +2152,13 @@ export default function ShoppingList({ session }) {
                   onClick={() => setCategoryToDelete(null)}
                   className="px-4 py-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 transition-colors font-medium"
                 >
-                  Cancel
+                  {t('common.cancel')}
                 </button>
                 <button
                   onClick={() => deleteCategory(categoryToDelete)}
                   className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium"
                 >
-                  Delete Category
+                  {t('category.deleteAction')}
                 </button>
               </div>
             </div>
@@ -0,0 +1,263 @@
+'use client'
+
+import { useState } from 'react'
+import { X, ArrowUp, ArrowDown, ChevronDown, ChevronRight, Plus, Trash2 } from 'lucide-react'
+import { createStore, updateStore, deleteStore, orderCategories, orderItems, moveEntry } from '../lib/stores'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * StoreLayoutDialog Component
+ *
+ * Manage store profiles and the aisle order of each one:
+ * - Add, rename and delete stores
+ * - Move categories up/down into the order you walk through the shop
+ * - Optionally expand a category and put its items in picking order
+ */
+export default function StoreLayoutDialog({ listId, stores, categories, items, initialStoreId, onClose, onChanged }) {
+  const { t, locale } = useTranslation()
+
+  // ============ STATE MANAGEMENT ============
+
+  const [selectedId, setSelectedId] = useState(initialStoreId || stores[0]?.id || null)
+  const selectedStore = stores.find(store => store.id === selectedId) || null
+
+  // Draft order being edited; saved explicitly with "Save order"
+  const [categoryOrder, setCategoryOrder] = useState(() => orderCategories(categories, selectedStore))
+  const [itemOrder, setItemOrder] = useState(() => selectedStore?.item_order || [])
+  const [expandedCategory, setExpandedCategory] = useState(null)
+
+  const [newStoreName, setNewStoreName] = useState('')
+  const [storeName, setStoreName] = useState(selectedStore?.name || '')
+  const [error, setError] = useState(null)
+
+  // ============ HELPERS ============
+
+  /**
+   * Switch the editor to another store and load its order into the draft
+   */
+  const selectStore = (store) => {
+    setSelectedId(store?.id || null)
+    setStoreName(store?.name || '')
+    setCategoryOrder(orderCategories(categories, store))
+    setItemOrder(store?.item_order || [])
+    setExpandedCategory(null)
+  }
+
+  /**
+   * Items of a category in the draft picking order
+   */
+  const categoryItems = (category) => {
+    const alphabetical = items
+      .filter(item => item.category === category)
+      .sort((a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase(), locale))
+    return orderItems(alphabetical, { item_order: itemOrder })
+  }
+
+  /**
+   * Move an item within its category; the whole category's order is written
+   * into the item order so the result is stable
+   */
+  const moveItem = (category, index, direction) => {
+    const reordered = moveEntry(categoryItems(category), index, direction).map(item => item.id)
+    const others = itemOrder.filter(id => !reordered.includes(id))
+    setItemOrder([...others, ...reordered])
+  }
+
+  /**
+   * Run a database action, show its error in the dialog and refresh the parent
+   */
+  const run = async (action, message) => {
+    setError(null)
+    try {
+      const result = await action()
+      await onChanged()
+      return result
+    } catch (error) {
+      console.error(message, error)
+      setError(error.message || message)
+    }
+  }
+
+  // ============ ACTIONS ============
+
+  const addStore = async () => {
+    const name = newStoreName.trim()
+    if (!name) return
+    if (stores.some(store => store.name.toLowerCase() === name.toLowerCase())) {
+      setError(t('stores.exists', { name }))
+      return
+    }
+
+    const store = await run(() => createStore(listId, name, categories), t('stores.addFailed'))
+    if (store) {
+      setNewStoreName('')
+      selectStore(store)
+    }
+  }
+
+  const saveOrder = () => {
+    const trimmedName = storeName.trim() || selectedStore.name
+    run(() => updateStore(selectedStore.id, {
+      name: trimmedName,
+      category_order: categoryOrder,
+      item_order: itemOrder
+    }), t('stores.saveFailed'))
+  }
+
+  const removeStore = async () => {
+    await run(() => deleteStore(selectedStore.id), t('stores.deleteFailed'))
+    selectStore(stores.find(store => store.id !== selectedStore.id) || null)
+  }
+
+  // ============ RENDER ============
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('stores.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {/* ============ STORE TABS ============ */}
+        <div className="flex flex-wrap gap-1.5 mb-3">
+          {stores.map(store => (
+            <button
+              key={store.id}
+              onClick={() => selectStore(store)}
+              className={`px-2.5 py-1 rounded-md text-xs font-medium transition-colors ${
+                store.id === selectedId
+                  ? 'bg-green-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {store.name}
+            </button>
+          ))}
+        </div>
+
+        {/* ============ NEW STORE ============ */}
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            placeholder={t('stores.newPlaceholder')}
+            value={newStoreName}
+            onChange={(e) => setNewStoreName(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && addStore()}
+            className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none"
+          />
+          <button
+            onClick={addStore}
+            className="px-2.5 py-1.5 bg-green-600 text-white rounded-md hover:bg-green-700 transition-colors flex items-center"
+            title={t('stores.add')}
+          >
+            <Plus size={14} />
+          </button>
+        </div>
+
+        {/* ============ AISLE ORDER ============ */}
+        {selectedStore ? (
+          <>
+            <div className="flex gap-2 mb-2">
+              <input
+                type="text"
+                value={storeName}
+                onChange={(e) => setStoreName(e.target.value)}
+                className="flex-1 min-w-0 px-3 py-1.5 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-green-500 focus:border-transparent outline-none"
+              />
+              <button
+                onClick={removeStore}
+                className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                title={t('stores.delete')}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">{t('stores.orderHint')}</p>
+
+            <div className="space-y-1 mb-4">
+              {categoryOrder.map((category, index) => {
+                const isExpanded = expandedCategory === category
+                const itemsInOrder = isExpanded ? categoryItems(category) : []
+                return (
+                  <div key={category} className="border border-gray-200 rounded-md">
+                    <div className="flex items-center gap-1 px-2 py-1">
+                      <button
+                        onClick={() => setExpandedCategory(isExpanded ? null : category)}
+                        className="flex-1 flex items-center gap-1.5 text-start text-sm text-gray-800"
+                        title={t('stores.orderItems')}
+                      >
+                        {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} className="rtl:rotate-180" />}
+                        {categoryLabel(category, locale)}
+                      </button>
+                      <button
+                        onClick={() => setCategoryOrder(moveEntry(categoryOrder, index, -1))}
+                        disabled={index === 0}
+                        className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      >
+                        <ArrowUp size={14} />
+                      </button>
+                      <button
+                        onClick={() => setCategoryOrder(moveEntry(categoryOrder, index, 1))}
+                        disabled={index === categoryOrder.length - 1}
+                        className="p-1 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                      >
+                        <ArrowDown size={14} />
+                      </button>
+                    </div>
+
+                    {/* Optional item order within the category */}
+                    {isExpanded && (
+                      <div className="border-t border-gray-100 px-2 py-1 space-y-0.5">
+                        {itemsInOrder.length === 0 && (
+                          <p className="text-xs text-gray-500 py-1">{t('stores.noItems', { category: categoryLabel(category, locale) })}</p>
+                        )}
+                        {itemsInOrder.map((item, itemIndex) => (
+                          <div key={item.id} className="flex items-center gap-1 ps-5 text-xs text-gray-700">
+                            <span className="flex-1 truncate">{item.name}</span>
+                            <button
+                              onClick={() => moveItem(category, itemIndex, -1)}
+                              disabled={itemIndex === 0}
+                              className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                            >
+                              <ArrowUp size={12} />
+                            </button>
+                            <button
+                              onClick={() => moveItem(category, itemIndex, 1)}
+                              disabled={itemIndex === itemsInOrder.length - 1}
+                              className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30"
+                            >
+                              <ArrowDown size={12} />
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )
+              })}
+            </div>
+
+            <button
+              onClick={saveOrder}
+              className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm font-medium"
+            >
+              {t('stores.saveOrder')}
+            </button>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500 text-center py-4">{t('stores.empty')}</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+'use client'
+
+import { X, Store, Settings } from 'lucide-react'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * StorePicker Component
+ *
+ * Shown when entering Store Mode on a list that has store profiles,
+ * so the screen follows the route through the shop you're in.
+ */
+export default function StorePicker({ stores, selectedStoreId, canModify, onPick, onManage, onClose }) {
+  const { t } = useTranslation()
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-sm w-full">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">{t('stores.which')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="space-y-1.5 mb-4">
+          {stores.map(store => (
+            <button
+              key={store.id}
+              onClick={() => onPick(store.id)}
+              className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg border text-start text-sm transition-colors ${
+                store.id === selectedStoreId
+                  ? 'bg-green-50 border-green-300 text-green-800'   // Last used store
+                  : 'bg-white border-gray-200 hover:border-green-300 text-gray-800'
+              }`}
+            >
+              <Store size={16} />
+              {store.name}
+            </button>
+          ))}
+          {/* Default category order, no particular shop */}
+          <button
+            onClick={() => onPick(null)}
+            className="w-full px-3 py-2 rounded-lg border border-dashed border-gray-300 text-start text-sm text-gray-600 hover:border-gray-400"
+          >
+            {t('stores.none')}
+          </button>
+        </div>
+
+        {canModify && (
+          <button
+            onClick={onManage}
+            className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+          >
+            <Settings size={12} />
+            {t('stores.manage')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,49 @@
+'use client'
+
+import { Plus, X, Lightbulb } from 'lucide-react'
+import { describeSuggestion } from '../lib/suggestions'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * SuggestionsPanel Component
+ *
+ * "Suggested for this trip" in Plan Mode: items that are due again based on
+ * how often they were bought on past trips. One tap adds an item to the trip,
+ * the cross dismisses the suggestion until the item is bought again.
+ */
+export default function SuggestionsPanel({ suggestions, onAdd, onDismiss }) {
+  const { t, locale } = useTranslation()
+
+  return (
+    <div className="bg-amber-50 rounded-xl p-3 mb-4 border border-amber-200">
+      <h3 className="flex items-center gap-1.5 text-sm font-medium text-amber-900 mb-2">
+        <Lightbulb size={14} />
+        {t('suggestions.title')}
+      </h3>
+      <div className="space-y-1">
+        {suggestions.map(suggestion => (
+          <div key={suggestion.item.id} className="flex items-center gap-2 bg-white rounded-md border border-amber-100 px-2 py-1">
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-gray-800 truncate">{suggestion.item.name}</p>
+              <p className="text-xs text-gray-500 truncate">{describeSuggestion(suggestion, locale)}</p>
+            </div>
+            <button
+              onClick={() => onAdd(suggestion.item)}
+              className="p-1.5 text-amber-700 hover:text-amber-900 hover:bg-amber-100 rounded transition-colors"
+              title={t('suggestions.add')}
+            >
+              <Plus size={16} />
+            </button>
+            <button
+              onClick={() => onDismiss(suggestion)}
+              className="p-1.5 text-gray-400 hover:text-gray-600 transition-colors"
+              title={t('suggestions.dismiss')}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
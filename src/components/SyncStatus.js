@@ -0,0 +1,54 @@
+'use client'
+
+import { CloudOff, RefreshCw, AlertTriangle, X } from 'lucide-react'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * SyncStatus Component
+ *
+ * Small indicator in the header showing whether changes are waiting to sync:
+ * - Offline: changes are kept on this device and synced later
+ * - Offline copy: the app was opened offline, so the cached list is shown read-only
+ * - Syncing / pending: changes are on their way to the server
+ * Also lists changes the server rejected and that were therefore rolled back
+ * (e.g. the item was deleted by someone else meanwhile), so nothing fails silently.
+ */
+export default function SyncStatus({ online, cachedOnly, syncing, pendingCount, notices, onDismissNotice }) {
+  const { t } = useTranslation()
+
+  return (
+    <>
+      {/* ============ STATUS BADGE ============ */}
+      {!online ? (
+        <div className="flex items-center gap-1.5 px-2 py-1 mb-3 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800">
+          <CloudOff size={14} />
+          <span>
+            {t(cachedOnly ? 'sync.offlineCopy' : 'sync.offline')}{pendingCount > 0 && ` · ${t('sync.pendingOffline', { count: pendingCount })}`}
+          </span>
+        </div>
+      ) : pendingCount > 0 && (
+        <div className="flex items-center gap-1.5 px-2 py-1 mb-3 bg-blue-50 border border-blue-200 rounded-lg text-xs text-blue-800">
+          <RefreshCw size={14} className={syncing ? 'animate-spin' : ''} />
+          <span>
+            {syncing ? t('sync.syncing') : t('sync.pending')} · {t('sync.changes', { count: pendingCount })}
+          </span>
+        </div>
+      )}
+
+      {/* ============ SYNC CONFLICT NOTICES ============ */}
+      {notices.map(notice => (
+        <div key={notice.id} className="flex items-center gap-1.5 px-2 py-1 mb-3 bg-red-50 border border-red-200 rounded-lg text-xs text-red-700">
+          <AlertTriangle size={14} className="flex-shrink-0" />
+          <span className="flex-1">{t('sync.undone', { message: notice.key ? t(notice.key, notice.params) : notice.message })}</span>
+          <button
+            onClick={() => onDismissNotice(notice.id)}
+            className="p-0.5 text-red-400 hover:text-red-600 transition-colors"
+            title={t('common.dismiss')}
+          >
+            <X size={12} />
+          </button>
+        </div>
+      ))}
+    </>
+  )
+}
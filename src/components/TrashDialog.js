@@ -0,0 +1,92 @@
+'use client'
+
+import { X, Trash2, ArchiveRestore, Folder } from 'lucide-react'
+import { TRASH_RETENTION_DAYS, daysLeft, groupTrash } from '../lib/trash'
+import { categoryLabel } from '../lib/categories'
+import { useTranslation } from '../lib/useTranslation'
+
+/**
+ * TrashDialog Component
+ *
+ * Lists deleted items and categories, newest first. Each can be restored or
+ * deleted permanently; everything is purged automatically after
+ * TRASH_RETENTION_DAYS days. Viewers can look but not restore.
+ */
+export default function TrashDialog({ trash, canModify, onRestoreItem, onRestoreCategory, onPurgeItem, onPurgeCategory, onEmpty, onClose }) {
+  const { t, locale } = useTranslation()
+  const entries = groupTrash(trash)
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-1">
+          <h2 className="text-xl font-bold text-gray-800">{t('trash.title')}</h2>
+          <button
+            onClick={onClose}
+            title={t('common.close')}
+            className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <X size={20} />
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mb-4">
+          {t('trash.hint', { count: TRASH_RETENTION_DAYS })}
+        </p>
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">{t('trash.empty')}</p>
+        ) : (
+          <div className="space-y-1.5 mb-4">
+            {entries.map(entry => {
+              const isCategory = entry.type === 'category'
+              const key = isCategory ? `category:${entry.category.id}` : entry.item.id
+              return (
+                <div key={key} className="flex items-center gap-2 px-3 py-2 border border-gray-200 rounded-lg">
+                  {isCategory && <Folder size={16} className="text-gray-400 flex-shrink-0" />}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm text-gray-800 truncate">
+                      {isCategory ? entry.category.name : entry.item.name}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {isCategory
+                        ? t('trash.categoryWith', { count: entry.items.length })
+                        : categoryLabel(entry.item.category, locale)}
+                      {` · ${t('trash.daysLeft', { count: daysLeft(entry.deletedAt) })}`}
+                    </p>
+                  </div>
+                  {canModify && (
+                    <>
+                      <button
+                        onClick={() => isCategory ? onRestoreCategory(entry.category) : onRestoreItem(entry.item, entry.categoryDeleted)}
+                        className="p-1.5 text-gray-400 hover:text-blue-600 transition-colors"
+                        title={t('trash.restore')}
+                      >
+                        <ArchiveRestore size={16} />
+                      </button>
+                      <button
+                        onClick={() => isCategory ? onPurgeCategory(entry.category) : onPurgeItem(entry.item)}
+                        className="p-1.5 text-gray-400 hover:text-red-500 transition-colors"
+                        title={t('trash.purge')}
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+
+        {canModify && entries.length > 0 && (
+          <button
+            onClick={onEmpty}
+            className="w-full px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-sm font-medium"
+          >
+            {t('trash.emptyAction')}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
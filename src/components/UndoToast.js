@@ -0,0 +1,53 @@
+'use client'
+
+import { useEffect, useRef } from 'react'
+import { Undo2, X } from 'lucide-react'
+import { useTranslation } from '../lib/useTranslation'
+
+// How long the Undo button stays available
+const UNDO_TIMEOUT_MS = 6000
+
+/**
+ * UndoToast Component
+ *
+ * Short-lived message at the bottom of the screen after something was deleted,
+ * with an Undo button. Disappears by itself after a few seconds; the deleted
+ * things can still be restored from the Trash afterwards.
+ */
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  const { t } = useTranslation()
+
+  // The latest onDismiss, for the timer started on mount
+  const onDismissRef = useRef(onDismiss)
+  useEffect(() => {
+    onDismissRef.current = onDismiss
+  }, [onDismiss])
+
+  // Hide after the timeout (the parent remounts the toast for every new delete)
+  useEffect(() => {
+    const timer = setTimeout(() => onDismissRef.current(), UNDO_TIMEOUT_MS)
+    return () => clearTimeout(timer)
+  }, [])
+
+  return (
+    <div className="fixed bottom-4 inset-x-0 flex justify-center px-4 z-40">
+      <div className="flex items-center gap-3 max-w-md w-full px-4 py-2.5 bg-gray-800 text-white rounded-lg shadow-lg text-sm">
+        <span className="flex-1 truncate">{message}</span>
+        <button
+          onClick={onUndo}
+          className="flex items-center gap-1 font-medium text-blue-300 hover:text-blue-200 transition-colors"
+        >
+          <Undo2 size={14} />
+          {t('undo.action')}
+        </button>
+        <button
+          onClick={onDismiss}
+          className="p-0.5 text-gray-400 hover:text-gray-200 transition-colors"
+          title={t('common.dismiss')}
+        >
+          <X size={14} />
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,79 @@
+import { supabase } from './supabase'
+
+/**
+ * Personal Access Tokens
+ *
+ * A token lets scripts and other devices use the REST API (src/app/api) as
+ * the user who created it: "Authorization: Bearer slt_...". Tokens are
+ * generated in the browser; only their SHA-256 hash is stored, so a token
+ * can't be shown again after it's created. Revoking deletes it.
+ */
+
+export const TOKEN_PREFIX = 'slt_'
+
+// Characters of the token kept in the database to recognise it in the list
+const VISIBLE_PREFIX_LENGTH = TOKEN_PREFIX.length + 6
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+/**
+ * A new random token: "slt_" followed by 64 hex characters
+ */
+export const generateAccessToken = () => {
+  const bytes = new Uint8Array(32)
+  crypto.getRandomValues(bytes)
+  return `${TOKEN_PREFIX}${toHex(bytes)}`
+}
+
+/**
+ * SHA-256 of a token, hex encoded (works in the browser and in route handlers)
+ */
+export const hashAccessToken = async (token) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))
+  return toHex(new Uint8Array(digest))
+}
+
+// ============ DATABASE OPERATIONS ============
+
+/**
+ * The signed-in user's tokens, newest first (without the tokens themselves)
+ */
+export const fetchAccessTokens = async () => {
+  const { data, error } = await supabase
+    .from('access_tokens')
+    .select('id, name, token_prefix, created_at, last_used_at')
+    .order('created_at', { ascending: false })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Create a token for the user; resolves with the token itself, to be shown once
+ */
+export const createAccessToken = async (userId, name) => {
+  const token = generateAccessToken()
+  const { error } = await supabase
+    .from('access_tokens')
+    .insert([{
+      user_id: userId,
+      name,
+      token_hash: await hashAccessToken(token),
+      token_prefix: token.slice(0, VISIBLE_PREFIX_LENGTH)
+    }])
+
+  if (error) throw error
+  return token
+}
+
+/**
+ * Revoke a token; requests using it fail from now on
+ */
+export const revokeAccessToken = async (tokenId) => {
+  const { error } = await supabase
+    .from('access_tokens')
+    .delete()
+    .eq('id', tokenId)
+
+  if (error) throw error
+}
@@ -0,0 +1,117 @@
+import { generateId } from './syncQueue'
+
+/**
+ * Activity Feed
+ *
+ * Who changed what in a shared list. Changes made through the sync queue
+ * carry activity entries (withActivity), which are recorded once the server
+ * has accepted the change and reach the other members through realtime.
+ * An entry (a row of the activity table):
+ *   { id, list_id, actor_id, actor_email, device_id, action, item_id, name, created_at }
+ * `name` is the item's or category's name at the time, or the store of a
+ * finished trip; `item_id` is set for item actions, so the item can be
+ * highlighted on the other devices. `device_id` tells apart the devices
+ * (app sessions) of the same user; null for changes made through the API.
+ * Changes the app makes by itself, like recurring items coming due, aren't
+ * anyone's doing and stay out of the feed.
+ */
+
+// How many entries the feed keeps
+export const ACTIVITY_LIMIT = 50
+
+// How long an item stays highlighted after it was changed on another device
+export const HIGHLIGHT_MS = 4000
+
+// ============ RECORDING ============
+
+/**
+ * The action an item update is about, if the feed shows it
+ * (needed wins when both change, e.g. taking an item off the list)
+ */
+const itemUpdateAction = (changes) => {
+  if (changes.auto_needed) return null  // Due again (see recurrence.js), not marked by the user
+  if ('needed' in changes) return changes.needed ? 'itemNeeded' : 'itemUnneeded'
+  if ('bought' in changes) return changes.bought ? 'itemBought' : 'itemUnbought'
+  return null
+}
+
+/**
+ * What a mutation did, as entries without actor and time: [{ action, item_id, name }]
+ * `items` are the list's items before the change (for the names of updated ones)
+ */
+const describeMutation = ({ type, payload }, items) => {
+  const itemEntry = (action, id) => {
+    const item = items.find(row => row.id === id)
+    return action && item ? [{ action, item_id: id, name: item.name }] : []
+  }
+
+  switch (type) {
+    case 'addItem':
+      return [{ action: 'itemAdded', item_id: payload.item.id, name: payload.item.name }]
+    case 'updateItem':
+      return itemEntry(itemUpdateAction(payload.changes), payload.id)
+    case 'deleteItem':
+      return itemEntry('itemRemoved', payload.id)
+    case 'resetTrip':
+      return [{ action: 'tripReset', name: payload.trip?.store_name || null }]
+    case 'addCategory':
+      return [{ action: 'categoryAdded', name: payload.category.name }]
+    case 'deleteCategory':
+      return [{ action: 'categoryDeleted', name: payload.name }]
+    default:
+      return []
+  }
+}
+
+/**
+ * A mutation with the activity entries of the change it makes, by `actor`
+ * ({ id, email, deviceId }); unchanged without an actor or for changes the feed doesn't show.
+ * Entries are stamped with the mutation's time, so a replay keeps when it happened.
+ */
+export const withActivity = (mutation, items, actor) => {
+  if (!actor) return mutation
+  const entries = describeMutation(mutation, items)
+  if (entries.length === 0) return mutation
+
+  return {
+    ...mutation,
+    activity: entries.map(entry => ({
+      id: generateId(),
+      list_id: mutation.listId,
+      actor_id: actor.id,
+      actor_email: actor.email || null,
+      device_id: actor.deviceId || null,
+      item_id: null,
+      ...entry,
+      created_at: mutation.createdAt
+    }))
+  }
+}
+
+// ============ FEED ============
+
+/**
+ * Add entries to a feed: newest first, each entry once, at most ACTIVITY_LIMIT
+ */
+export const addActivity = (feed, entries) => {
+  const ids = new Set(entries.map(entry => entry.id))
+  return [...entries, ...feed.filter(entry => !ids.has(entry.id))]
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+    .slice(0, ACTIVITY_LIMIT)
+}
+
+const TIME_UNITS = [
+  ['day', 86400],
+  ['hour', 3600],
+  ['minute', 60]
+]
+
+/**
+ * "5 minutes ago", "yesterday"... in the given language; "now" under a minute
+ */
+export const formatTimeAgo = (time, locale, now = Date.now()) => {
+  const seconds = (Date.parse(time) - now) / 1000
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' })
+  const [unit, size] = TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1]
+  return format.format(unit === 'second' ? 0 : Math.round(seconds / size), unit)
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import { withActivity, addActivity, formatTimeAgo, ACTIVITY_LIMIT } from './activity'
+import { createMutation } from './syncQueue'
+
+const LIST_ID = 'list-1'
+const ACTOR = { id: 'user-1', email: 'anna@example.com', deviceId: 'device-1' }
+
+const milk = { id: 'item-1', name: 'Milk', needed: false, bought: false }
+
+const actions = (type, payload, items = [milk]) =>
+  (withActivity(createMutation(LIST_ID, type, payload), items, ACTOR).activity || []).map(entry => [entry.action, entry.name])
+
+// ============ RECORDING ============
+
+describe('withActivity', () => {
+  it('describes the changes the feed shows', () => {
+    expect(actions('addItem', { item: { id: 'item-2', name: 'Eggs' } })).toEqual([['itemAdded', 'Eggs']])
+    expect(actions('updateItem', { id: milk.id, changes: { needed: true } })).toEqual([['itemNeeded', 'Milk']])
+    expect(actions('updateItem', { id: milk.id, changes: { needed: false, bought: false } })).toEqual([['itemUnneeded', 'Milk']])
+    expect(actions('updateItem', { id: milk.id, changes: { bought: true, unavailable: false } })).toEqual([['itemBought', 'Milk']])
+    expect(actions('deleteItem', { id: milk.id })).toEqual([['itemRemoved', 'Milk']])
+    expect(actions('resetTrip', { itemIds: [milk.id], trip: { store_name: 'Corner shop' } })).toEqual([['tripReset', 'Corner shop']])
+    expect(actions('addCategory', { category: { name: 'Snacks' } })).toEqual([['categoryAdded', 'Snacks']])
+    expect(actions('deleteCategory', { name: 'Snacks' })).toEqual([['categoryDeleted', 'Snacks']])
+  })
+
+  it('leaves out other changes', () => {
+    expect(actions('updateItem', { id: milk.id, changes: { price: 1.2 } })).toEqual([])
+    expect(actions('updateItem', { id: 'gone', changes: { needed: true } })).toEqual([])
+    expect(actions('renameCategory', { from: 'Snacks', to: 'Treats' })).toEqual([])
+  })
+
+  it('leaves out recurring items coming due, which nobody marked', () => {
+    expect(actions('updateItem', { id: milk.id, changes: { needed: true, auto_needed: true, recurrence_anchor: '2026-10-19T00:00:00.000Z' } })).toEqual([])
+  })
+
+  it('stamps entries with the actor and the time of the change', () => {
+    const mutation = createMutation(LIST_ID, 'deleteItem', { id: milk.id })
+    const [entry] = withActivity(mutation, [milk], ACTOR).activity
+
+    expect(entry).toMatchObject({
+      list_id: LIST_ID,
+      actor_id: 'user-1',
+      actor_email: 'anna@example.com',
+      device_id: 'device-1',
+      item_id: milk.id,
+      created_at: mutation.createdAt
+    })
+    expect(entry.id).toBeTruthy()
+  })
+
+  it('records nothing without an actor', () => {
+    const mutation = createMutation(LIST_ID, 'deleteItem', { id: milk.id })
+    expect(withActivity(mutation, [milk], null)).toBe(mutation)
+  })
+})
+
+// ============ FEED ============
+
+describe('addActivity', () => {
+  const entry = (id, minute) => ({ id, created_at: `2026-10-19T08:${String(minute).padStart(2, '0')}:00.000Z` })
+
+  it('keeps the feed newest first, each entry once', () => {
+    const feed = addActivity([entry('b', 5), entry('a', 1)], [entry('c', 3), entry('b', 5)])
+    expect(feed.map(row => row.id)).toEqual(['b', 'c', 'a'])
+  })
+
+  it('keeps the most recent entries only', () => {
+    const entries = Array.from({ length: ACTIVITY_LIMIT + 5 }, (_, index) => entry(`e${index}`, index))
+    const feed = addActivity([], entries)
+
+    expect(feed).toHaveLength(ACTIVITY_LIMIT)
+    expect(feed[0].id).toBe(`e${ACTIVITY_LIMIT + 4}`)
+  })
+})
+
+describe('formatTimeAgo', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z')
+
+  it('says how long ago something happened', () => {
+    expect(formatTimeAgo('2026-10-19T11:59:40Z', 'en', now)).toBe('now')
+    expect(formatTimeAgo('2026-10-19T11:55:00Z', 'en', now)).toBe('5 minutes ago')
+    expect(formatTimeAgo('2026-10-19T09:00:00Z', 'en', now)).toBe('3 hours ago')
+    expect(formatTimeAgo('2026-10-18T10:00:00Z', 'en', now)).toBe('yesterday')
+  })
+})
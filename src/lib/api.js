@@ -0,0 +1,281 @@
+import { NextResponse } from 'next/server'
+import { getSupabaseAdmin } from './supabaseAdmin'
+import { createSupabaseRepository } from './listRepository'
+import { createMutation, sendMutation } from './syncQueue'
+import { withActivity } from './activity'
+import { TOKEN_PREFIX, hashAccessToken } from './accessTokens'
+import { canEdit } from './lists'
+import { CATEGORY_COLORS, CATEGORY_ICONS, categoryNames, isDefaultCategory, resolveCategoryName } from './categories'
+import { normalizeUnit } from './parseItem'
+
+/**
+ * REST API Helpers
+ *
+ * Shared by the route handlers under src/app/api:
+ * - Authentication with personal access tokens ("Authorization: Bearer slt_...")
+ * - List membership checks (the service role client bypasses row level security)
+ * - Request validation
+ * - JSON error responses: { error: { code, message } } with a matching status
+ * Changes go through the same mutations as the app (syncQueue.js), so an API
+ * request behaves exactly like the same change made on a device.
+ */
+
+// ============ ERRORS ============
+
+/**
+ * An error that becomes a JSON error response
+ */
+export class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message)
+    this.status = status
+    this.code = code
+  }
+}
+
+/**
+ * Wrap a route handler so thrown ApiErrors (and unexpected errors) become JSON responses
+ */
+export const handleApi = (handler) => async (request, context) => {
+  try {
+    return await handler(request, context)
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return NextResponse.json({ error: { code: error.code, message: error.message } }, { status: error.status })
+    }
+    console.error('API error:', error)
+    return NextResponse.json({ error: { code: 'internal', message: 'Something went wrong' } }, { status: 500 })
+  }
+}
+
+// ============ AUTHENTICATION ============
+
+/**
+ * The user behind the request's access token: { userId }
+ */
+export const authenticate = async (request) => {
+  const header = request.headers.get('authorization') || ''
+  const token = header.match(/^Bearer\s+(\S+)$/i)?.[1]
+  if (!token) throw new ApiError(401, 'unauthorized', 'Missing access token (Authorization: Bearer <token>)')
+  if (!token.startsWith(TOKEN_PREFIX)) throw new ApiError(401, 'unauthorized', 'Invalid access token')
+
+  const admin = getSupabaseAdmin()
+  const { data, error } = await admin
+    .from('access_tokens')
+    .select('id, user_id')
+    .eq('token_hash', await hashAccessToken(token))
+    .maybeSingle()
+
+  if (error) throw error
+  if (!data) throw new ApiError(401, 'unauthorized', 'Invalid or revoked access token')
+
+  // Not critical - only shown next to the token in the app
+  await admin.from('access_tokens').update({ last_used_at: new Date().toISOString() }).eq('id', data.id)
+
+  return { userId: data.user_id }
+}
+
+/**
+ * Authenticate the request and check the user's role in a list
+ * `write` requires an editor or owner. Lists the user isn't a member of are
+ * reported as not found, so their existence isn't revealed.
+ * Resolves with { userId, listId, role, repository, load(), send(type, payload) }:
+ * - load() fetches the live items, the names of the categories shown in the
+ *   app and the live category rows (hidden ones included)
+ * - send() makes a change through the sync queue's mutations, recorded in the
+ *   list's activity feed as made by the user
+ */
+export const openList = async (request, listId, { write = false } = {}) => {
+  const { userId } = await authenticate(request)
+
+  const { data, error } = await getSupabaseAdmin()
+    .from('list_members')
+    .select('role, email')
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error && error.code !== '22P02') throw error  // 22P02: listId isn't a uuid
+  if (!data) throw new ApiError(404, 'not_found', 'List not found')
+  if (write && !canEdit(data.role)) throw new ApiError(403, 'forbidden', 'You can view this list but not change it')
+
+  const repository = createSupabaseRepository(getSupabaseAdmin())
+  return {
+    userId,
+    listId,
+    role: data.role,
+    repository,
+    load: async () => {
+      const { items, categories } = await repository.fetchList(listId)
+      const liveItems = items.filter(item => !item.deleted_at)
+      return {
+        items: liveItems,
+        categories: categoryNames(categories, liveItems),
+        categoryRows: categories.filter(category => !category.deleted_at)
+      }
+    },
+    send: async (type, payload) => {
+      // Changes to an item are described in the feed by the item's name
+      const item = payload.id && await repository.fetchItem(listId, payload.id)
+      const mutation = withActivity(createMutation(listId, type, payload), item ? [item] : [], { id: userId, email: data.email })
+      return sendMutation(repository, mutation)
+    }
+  }
+}
+
+// ============ REQUESTS ============
+
+/**
+ * The JSON object in a request body
+ */
+export const readJson = async (request) => {
+  let body
+  try {
+    body = await request.json()
+  } catch {
+    throw new ApiError(400, 'invalid_json', 'The request body must be JSON')
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ApiError(400, 'invalid_json', 'The request body must be a JSON object')
+  }
+  return body
+}
+
+// ============ VALIDATION ============
+
+const invalid = (message) => new ApiError(400, 'invalid_request', message)
+
+const NAME_MAX_LENGTH = 200
+const NOTE_MAX_LENGTH = 500
+
+// Item fields the API accepts, with their validation
+const ITEM_FIELDS = {
+  name: (value) => {
+    if (typeof value !== 'string' || !value.trim()) throw invalid('"name" must be a non-empty string')
+    if (value.trim().length > NAME_MAX_LENGTH) throw invalid(`"name" can be at most ${NAME_MAX_LENGTH} characters`)
+    return value.trim()
+  },
+  category: (value) => {
+    if (typeof value !== 'string' || !value.trim()) throw invalid('"category" must be a non-empty string')
+    return resolveCategoryName(value)  // Starter categories can be named in any language
+  },
+  quantity: (value) => {
+    if (value === null) return null
+    if (typeof value !== 'number' || !(value > 0)) throw invalid('"quantity" must be a positive number or null')
+    return value
+  },
+  unit: (value) => {
+    if (value === null) return null
+    if (typeof value !== 'string') throw invalid('"unit" must be a string or null')
+    return normalizeUnit(value.trim()) || value.trim() || null  // "Kilos" -> "kg"; unknown units are kept
+  },
+  note: (value) => {
+    if (value === null) return null
+    if (typeof value !== 'string') throw invalid('"note" must be a string or null')
+    if (value.length > NOTE_MAX_LENGTH) throw invalid(`"note" can be at most ${NOTE_MAX_LENGTH} characters`)
+    return value.trim() || null
+  },
+  price: (value) => {
+    if (value === null) return null
+    if (typeof value !== 'number' || !(value >= 0)) throw invalid('"price" must be a number (0 or more) or null')
+    return value
+  },
+  needed: (value) => {
+    if (typeof value !== 'boolean') throw invalid('"needed" must be true or false')
+    return value
+  },
+  bought: (value) => {
+    if (typeof value !== 'boolean') throw invalid('"bought" must be true or false')
+    return value
+  },
+  unavailable: (value) => {
+    if (typeof value !== 'boolean') throw invalid('"unavailable" must be true or false')
+    return value
+  }
+}
+
+/**
+ * Validate the item fields of a request body; returns only the fields given
+ * `allowed` lists further keys that the caller handles itself (e.g. "text")
+ */
+export const validateItemFields = (body, { allowed = [] } = {}) => {
+  const unknown = Object.keys(body).filter(key => !(key in ITEM_FIELDS) && !allowed.includes(key))
+  if (unknown.length > 0) throw invalid(`Unknown ${unknown.length === 1 ? 'field' : 'fields'}: ${unknown.join(', ')}`)
+
+  return Object.fromEntries(
+    Object.entries(body)
+      .filter(([key]) => key in ITEM_FIELDS)
+      .map(([key, value]) => [key, ITEM_FIELDS[key](value)])
+  )
+}
+
+/**
+ * Validate a category name from a request body or the URL
+ */
+export const validateCategoryName = (value) => {
+  const name = ITEM_FIELDS.category(value)
+  if (name.length > NAME_MAX_LENGTH) throw invalid(`Category names can be at most ${NAME_MAX_LENGTH} characters`)
+  return name
+}
+
+// Category fields the API accepts besides the name, with their validation
+const CATEGORY_FIELDS = {
+  color: (value) => {
+    if (value !== null && !CATEGORY_COLORS.includes(value)) throw invalid(`"color" must be null or one of: ${CATEGORY_COLORS.join(', ')}`)
+    return value
+  },
+  icon: (value) => {
+    if (value !== null && !CATEGORY_ICONS.includes(value)) throw invalid(`"icon" must be null or one of: ${CATEGORY_ICONS.join(', ')}`)
+    return value
+  },
+  hidden: (value) => {
+    if (typeof value !== 'boolean') throw invalid('"hidden" must be true or false')
+    return value
+  }
+}
+
+/**
+ * Validate the colour, icon and visibility of a category in a request body; returns only the fields given
+ * `allowed` lists further keys that the caller handles itself (e.g. "name")
+ */
+export const validateCategoryFields = (body, { allowed = [] } = {}) => {
+  const unknown = Object.keys(body).filter(key => !(key in CATEGORY_FIELDS) && !allowed.includes(key))
+  if (unknown.length > 0) throw invalid(`Unknown ${unknown.length === 1 ? 'field' : 'fields'}: ${unknown.join(', ')}`)
+
+  return Object.fromEntries(
+    Object.entries(body)
+      .filter(([key]) => key in CATEGORY_FIELDS)
+      .map(([key, value]) => [key, CATEGORY_FIELDS[key](value)])
+  )
+}
+
+// ============ RESPONSES ============
+
+/**
+ * A category as the API returns it; `default` marks the starter categories
+ */
+export const toApiCategory = (category) => ({
+  name: category.name,
+  default: isDefaultCategory(category.name),
+  color: category.color || null,
+  icon: category.icon || null,
+  hidden: Boolean(category.hidden)
+})
+
+/**
+ * An item as the API returns it
+ */
+export const toApiItem = (item) => ({
+  id: item.id,
+  name: item.name,
+  category: item.category,
+  quantity: item.quantity ?? null,
+  unit: item.unit || null,
+  note: item.note || null,
+  price: item.price ?? null,
+  needed: Boolean(item.needed),
+  bought: Boolean(item.bought),
+  unavailable: Boolean(item.unavailable),
+  unavailable_store: item.unavailable_store || null,
+  created_at: item.created_at
+})
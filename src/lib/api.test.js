@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { ApiError, handleApi, authenticate, openList, readJson, validateItemFields, validateCategoryName, validateCategoryFields, toApiItem, toApiCategory } from './api'
+import { hashAccessToken } from './accessTokens'
+
+vi.mock('./supabase', () => ({ supabase: {} }))
+
+// A stand-in for the service role client: just enough of the query builder
+// for the token and membership lookups in api.js
+let rows
+vi.mock('./supabaseAdmin', () => ({
+  getSupabaseAdmin: () => ({
+    from: (table) => {
+      const filters = {}
+      const query = {
+        select: () => query,
+        update: () => query,
+        eq: (column, value) => {
+          filters[column] = value
+          return query
+        },
+        maybeSingle: async () => ({
+          data: rows[table].find(row => Object.entries(filters).every(([column, value]) => row[column] === value)) || null,
+          error: null
+        }),
+        then: (resolve) => resolve({ error: null })  // Updates
+      }
+      return query
+    }
+  })
+}))
+
+const TOKEN = 'slt_' + 'ab'.repeat(32)
+
+const request = (token = TOKEN, body) => new Request('http://localhost/api/lists', {
+  method: body === undefined ? 'GET' : 'POST',
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  body
+})
+
+beforeEach(async () => {
+  vi.restoreAllMocks()
+  rows = {
+    access_tokens: [{ id: 'token-1', user_id: 'user-1', token_hash: await hashAccessToken(TOKEN) }],
+    list_members: [
+      { list_id: 'list-1', user_id: 'user-1', role: 'editor' },
+      { list_id: 'list-2', user_id: 'user-1', role: 'viewer' }
+    ]
+  }
+})
+
+// ============ ERRORS ============
+
+describe('handleApi', () => {
+  it('turns ApiErrors into JSON error responses', async () => {
+    const handler = handleApi(async () => { throw new ApiError(404, 'not_found', 'List not found') })
+    const response = await handler(request())
+
+    expect(response.status).toBe(404)
+    expect(await response.json()).toEqual({ error: { code: 'not_found', message: 'List not found' } })
+  })
+
+  it('hides the details of unexpected errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const handler = handleApi(async () => { throw new Error('relation "items" does not exist') })
+    const response = await handler(request())
+
+    expect(response.status).toBe(500)
+    expect((await response.json()).error.code).toBe('internal')
+  })
+})
+
+// ============ AUTHENTICATION ============
+
+describe('authenticate', () => {
+  it('finds the user behind a token', async () => {
+    expect(await authenticate(request())).toEqual({ userId: 'user-1' })
+  })
+
+  it('rejects missing, malformed and unknown tokens', async () => {
+    await expect(authenticate(request(null))).rejects.toMatchObject({ status: 401 })
+    await expect(authenticate(request('abc'))).rejects.toMatchObject({ status: 401 })
+    await expect(authenticate(request('slt_' + 'cd'.repeat(32)))).rejects.toMatchObject({ status: 401 })
+  })
+})
+
+describe('openList', () => {
+  it('opens lists the user is a member of, with their role', async () => {
+    const list = await openList(request(), 'list-1', { write: true })
+    expect(list).toMatchObject({ userId: 'user-1', listId: 'list-1', role: 'editor' })
+  })
+
+  it('lets viewers read but not write', async () => {
+    await expect(openList(request(), 'list-2')).resolves.toMatchObject({ role: 'viewer' })
+    await expect(openList(request(), 'list-2', { write: true })).rejects.toMatchObject({ status: 403 })
+  })
+
+  it('reports other lists as not found', async () => {
+    await expect(openList(request(), 'list-3')).rejects.toMatchObject({ status: 404 })
+  })
+})
+
+// ============ REQUESTS ============
+
+describe('readJson', () => {
+  it('accepts JSON objects only', async () => {
+    expect(await readJson(request(TOKEN, '{"name":"milk"}'))).toEqual({ name: 'milk' })
+    await expect(readJson(request(TOKEN, 'milk'))).rejects.toMatchObject({ status: 400, code: 'invalid_json' })
+    await expect(readJson(request(TOKEN, '["milk"]'))).rejects.toMatchObject({ status: 400, code: 'invalid_json' })
+  })
+})
+
+describe('validateItemFields', () => {
+  it('returns the given fields, cleaned up', () => {
+    expect(validateItemFields({ name: '  milk ', quantity: 2, unit: 'Liters', note: ' ', needed: true }))
+      .toEqual({ name: 'milk', quantity: 2, unit: 'l', note: null, needed: true })
+  })
+
+  it('allows clearing optional fields', () => {
+    expect(validateItemFields({ quantity: null, unit: null, price: null }))
+      .toEqual({ quantity: null, unit: null, price: null })
+  })
+
+  it('rejects invalid values', () => {
+    expect(() => validateItemFields({ name: '' })).toThrow('"name"')
+    expect(() => validateItemFields({ quantity: 0 })).toThrow('"quantity"')
+    expect(() => validateItemFields({ price: -1 })).toThrow('"price"')
+    expect(() => validateItemFields({ needed: 'yes' })).toThrow('"needed"')
+  })
+
+  it('rejects unknown fields unless the caller handles them', () => {
+    expect(() => validateItemFields({ name: 'milk', list_id: 'x' })).toThrow('Unknown field: list_id')
+    expect(validateItemFields({ text: '2 l milk' }, { allowed: ['text'] })).toEqual({})
+  })
+})
+
+describe('validateCategoryName', () => {
+  it('trims names and rejects empty or overly long ones', () => {
+    expect(validateCategoryName(' Garden ')).toBe('Garden')
+    expect(() => validateCategoryName('  ')).toThrow(ApiError)
+    expect(() => validateCategoryName('x'.repeat(201))).toThrow(ApiError)
+  })
+})
+
+describe('validateCategoryFields', () => {
+  it('accepts known colours and icons, null to clear them, and hiding', () => {
+    expect(validateCategoryFields({ color: 'green', icon: null, hidden: true })).toEqual({ color: 'green', icon: null, hidden: true })
+    expect(validateCategoryFields({ name: 'Garden' }, { allowed: ['name'] })).toEqual({})
+  })
+
+  it('rejects other values and unknown fields', () => {
+    expect(() => validateCategoryFields({ color: '#ff0000' })).toThrow(ApiError)
+    expect(() => validateCategoryFields({ icon: 'rocket' })).toThrow(ApiError)
+    expect(() => validateCategoryFields({ hidden: 'yes' })).toThrow(ApiError)
+    expect(() => validateCategoryFields({ name: 'Garden' })).toThrow('Unknown field: name')
+  })
+})
+
+// ============ RESPONSES ============
+
+describe('toApiItem', () => {
+  it('returns only the public fields, with nulls for missing details', () => {
+    const item = { id: 'item-1', name: 'milk', category: 'Dairy', needed: 1, list_id: 'list-1', deleted_at: null, created_at: '2026-10-19T08:00:00Z' }
+    expect(toApiItem(item)).toEqual({
+      id: 'item-1',
+      name: 'milk',
+      category: 'Dairy',
+      quantity: null,
+      unit: null,
+      note: null,
+      price: null,
+      needed: true,
+      bought: false,
+      unavailable: false,
+      unavailable_store: null,
+      created_at: '2026-10-19T08:00:00Z'
+    })
+  })
+})
+
+describe('toApiCategory', () => {
+  it('marks the starter categories and fills in the defaults', () => {
+    expect(toApiCategory({ id: 'c-1', name: 'Bread', color: 'amber', icon: 'croissant', hidden: false, list_id: 'list-1' }))
+      .toEqual({ name: 'Bread', default: true, color: 'amber', icon: 'croissant', hidden: false })
+    expect(toApiCategory({ id: 'c-2', name: 'Garden' }))
+      .toEqual({ name: 'Garden', default: false, color: null, icon: null, hidden: false })
+  })
+})
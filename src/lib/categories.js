@@ -0,0 +1,119 @@
+import { LOCALES, translate } from './i18n'
+import { generateId, categoryUpdate } from './syncQueue'
+
+/**
+ * Categories
+ *
+ * Every category of a list is a row in the categories table, so each one can
+ * be renamed, given a colour and icon, hidden or deleted. New lists start with
+ * the starter template below; "restore defaults" brings its categories back.
+ *
+ * Items refer to a category by name. The starter categories are named by
+ * their stable id - the original English name - whatever the language of the
+ * app. Only the label shown for them is translated (messages
+ * "defaultCategory.<key>"), and a typed or imported label in any language
+ * maps back to the same category.
+ */
+
+// ============ STARTER TEMPLATE ============
+
+// The categories a new list starts with: stable id, message key, colour and icon
+const STARTER_TEMPLATE = [
+  { name: 'Refrigerated items', key: 'refrigerated', color: 'sky', icon: 'milk' },
+  { name: 'Bread', key: 'bread', color: 'amber', icon: 'croissant' },
+  { name: 'Fruit/Veggie', key: 'produce', color: 'green', icon: 'apple' },
+  { name: 'Frozen', key: 'frozen', color: 'teal', icon: 'snowflake' },
+  { name: 'Bulk', key: 'bulk', color: 'orange', icon: 'wheat' },
+  { name: 'Household items', key: 'household', color: 'violet', icon: 'spray-can' }
+]
+
+export const DEFAULT_CATEGORIES = STARTER_TEMPLATE.map(category => category.name)
+
+export const isDefaultCategory = (name) => DEFAULT_CATEGORIES.includes(name)
+
+// Colours and icons a category can have (see CategoryIcon for how they look)
+export const CATEGORY_COLORS = ['gray', 'red', 'orange', 'amber', 'green', 'teal', 'sky', 'blue', 'violet', 'pink']
+
+export const CATEGORY_ICONS = [
+  'tag', 'milk', 'croissant', 'apple', 'carrot', 'snowflake', 'wheat', 'spray-can', 'beef', 'fish',
+  'cookie', 'coffee', 'wine', 'baby', 'paw-print', 'pill', 'shirt', 'hammer', 'flower'
+]
+
+/**
+ * Category rows for a new list, from the starter template
+ * Slightly staggered creation times keep them in template order.
+ */
+export const starterCategories = ({ listId, userId, now = Date.now() }) =>
+  STARTER_TEMPLATE.map(({ name, color, icon }, index) => ({
+    id: generateId(),
+    name,
+    color,
+    icon,
+    hidden: false,
+    list_id: listId,
+    user_id: userId,
+    created_at: new Date(now + index).toISOString()
+  }))
+
+/**
+ * The changes that bring back the starter categories of a list: [{ type, payload }]
+ * Missing (or trashed) ones are added again, hidden ones are shown again.
+ * Renamed or recoloured categories are left as they are.
+ */
+export const restoreDefaultsChanges = (rows, { listId, userId, now = Date.now() }) => {
+  const live = rows.filter(row => !row.deleted_at)
+  const missing = new Set(DEFAULT_CATEGORIES.filter(name => !live.some(row => row.name === name)))
+
+  return [
+    ...live
+      .filter(row => row.hidden && isDefaultCategory(row.name))
+      .map(row => ({ type: 'updateCategory', payload: categoryUpdate(row, { hidden: false }) })),
+    ...starterCategories({ listId, userId, now })
+      .filter(category => missing.has(category.name))
+      .map(category => ({ type: 'addCategory', payload: { category } }))
+  ]
+}
+
+// ============ NAMES ============
+
+/**
+ * The category names of a list in order: its live, shown category rows,
+ * followed by categories that live items are filed under without a row
+ * (e.g. rows that were never created), so no item is ever out of sight
+ */
+export const categoryNames = (rows, items = [], { includeHidden = false } = {}) => {
+  const live = rows.filter(row => !row.deleted_at)
+  const known = new Set(live.map(row => row.name))
+  return [...new Set([
+    ...live.filter(row => includeHidden || !row.hidden).map(row => row.name),
+    ...items.filter(item => !item.deleted_at && item.category && !known.has(item.category)).map(item => item.category)
+  ])]
+}
+
+// ============ LABELS ============
+
+/**
+ * The name to show for a category: translated for starter ones, as typed for the others
+ */
+export const categoryLabel = (name, locale) => {
+  const starter = STARTER_TEMPLATE.find(category => category.name === name)
+  return starter ? translate(locale, `defaultCategory.${starter.key}`) : name
+}
+
+/**
+ * The starter category a name stands for in any language ("Boulangerie" -> "Bread"), or null
+ */
+export const findDefaultCategory = (name) => {
+  const wanted = String(name ?? '').trim().toLowerCase()
+  if (!wanted) return null
+  return DEFAULT_CATEGORIES.find(id =>
+    id.toLowerCase() === wanted ||
+    Object.keys(LOCALES).some(locale => categoryLabel(id, locale).toLowerCase() === wanted)
+  ) || null
+}
+
+/**
+ * The category a typed or imported name refers to: a starter one in any
+ * language, or the name itself (trimmed) for the others
+ */
+export const resolveCategoryName = (name) => findDefaultCategory(name) || String(name ?? '').trim()
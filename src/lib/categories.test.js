@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_CATEGORIES, starterCategories, restoreDefaultsChanges, categoryNames } from './categories'
+
+const LIST_ID = 'list-1'
+const USER_ID = 'user-1'
+
+const category = (name, fields = {}) => ({ id: name, list_id: LIST_ID, name, hidden: false, deleted_at: null, ...fields })
+
+// ============ STARTER TEMPLATE ============
+
+describe('starterCategories', () => {
+  it('gives a new list the starter categories, in order', () => {
+    const rows = starterCategories({ listId: LIST_ID, userId: USER_ID, now: Date.parse('2026-10-19T08:00:00Z') })
+
+    expect(rows.map(row => row.name)).toEqual(DEFAULT_CATEGORIES)
+    expect(rows[0]).toMatchObject({ list_id: LIST_ID, user_id: USER_ID, color: 'sky', icon: 'milk', hidden: false })
+    expect([...rows].sort((a, b) => a.created_at.localeCompare(b.created_at))).toEqual(rows)
+  })
+})
+
+describe('restoreDefaultsChanges', () => {
+  it('adds missing starter categories and shows hidden ones', () => {
+    const rows = [
+      ...starterCategories({ listId: LIST_ID, userId: USER_ID }).filter(row => row.name !== 'Bulk' && row.name !== 'Frozen'),
+      category('Frozen', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    ].map(row => row.name === 'Bread' ? { ...row, hidden: true } : row)
+
+    const changes = restoreDefaultsChanges(rows, { listId: LIST_ID, userId: USER_ID })
+
+    expect(changes.map(({ type, payload }) => [type, payload.name || payload.category.name])).toEqual([
+      ['updateCategory', 'Bread'],
+      ['addCategory', 'Frozen'],
+      ['addCategory', 'Bulk']
+    ])
+    expect(changes[0].payload.changes).toEqual({ hidden: false })
+  })
+
+  it('has nothing to do for a list with all of them', () => {
+    const rows = [...starterCategories({ listId: LIST_ID, userId: USER_ID }), category('Garden', { hidden: true })]
+    expect(restoreDefaultsChanges(rows, { listId: LIST_ID, userId: USER_ID })).toEqual([])
+  })
+})
+
+// ============ NAMES ============
+
+describe('categoryNames', () => {
+  it('lists the live categories that are shown', () => {
+    const rows = [category('Bread'), category('Bulk', { hidden: true }), category('Snacks', { deleted_at: '2026-10-01T10:00:00.000Z' }), category('Garden')]
+
+    expect(categoryNames(rows)).toEqual(['Bread', 'Garden'])
+    expect(categoryNames(rows, [], { includeHidden: true })).toEqual(['Bread', 'Bulk', 'Garden'])
+  })
+
+  it('keeps items without a category row in sight, but not items of hidden categories', () => {
+    const items = [
+      { name: 'rice', category: 'Bulk', deleted_at: null },
+      { name: 'milk', category: 'Refrigerated items', deleted_at: null },
+      { name: 'chips', category: 'Snacks', deleted_at: '2026-10-01T10:00:00.000Z' }
+    ]
+
+    expect(categoryNames([category('Bread'), category('Bulk', { hidden: true })], items)).toEqual(['Bread', 'Refrigerated items'])
+  })
+})
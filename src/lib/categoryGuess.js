@@ -0,0 +1,136 @@
+/**
+ * Category Guessing
+ *
+ * Guesses the category of a newly typed item for the quick-add bar, in order of trust:
+ * 1. The same item already on the list                      (source: 'existing')
+ * 2. What this user filed the same name or word under before (source: 'learned')
+ * 3. A built-in keyword dictionary for the default categories (source: 'keyword'),
+ *    in English, French and Hebrew
+ * Only categories that exist on the list are ever suggested.
+ */
+
+// ============ KEYWORD DICTIONARY ============
+
+const KEYWORDS = {
+  'Refrigerated items': [
+    'milk', 'yoghurt', 'yogurt', 'cheese', 'butter', 'cream', 'egg', 'ham', 'salami', 'bacon', 'sausage',
+    'chicken', 'beef', 'pork', 'mince', 'fish', 'salmon', 'tofu', 'hummus', 'juice', 'margarine',
+    'quark', 'feta', 'mozzarella', 'cheddar', 'parmesan', 'kefir', 'custard', 'pesto',
+    'lait', 'yaourt', 'fromage', 'beurre', 'crème', 'oeuf', 'œuf', 'jambon', 'poulet', 'boeuf', 'bœuf',
+    'porc', 'poisson', 'saumon', 'jus',
+    'חלב', 'גבינה', 'חמאה', 'ביצים', 'יוגורט', 'שמנת', 'עוף', 'בשר', 'דג', 'סלמון', 'נקניק', 'מיץ'
+  ],
+  'Bread': [
+    'bread', 'baguette', 'roll', 'bun', 'bagel', 'croissant', 'toast', 'pita', 'tortilla', 'wrap',
+    'loaf', 'brioche', 'ciabatta', 'sourdough', 'muffin', 'crumpet', 'naan', 'rye', 'pretzel',
+    'pain', 'biscotte',
+    'לחם', 'פיתה', 'פיתות', 'לחמניה', 'לחמניות', 'חלה', 'בגט'
+  ],
+  'Fruit/Veggie': [
+    'apple', 'banana', 'orange', 'lemon', 'lime', 'pear', 'grape', 'berry', 'strawberry', 'blueberry',
+    'raspberry', 'melon', 'watermelon', 'peach', 'plum', 'kiwi', 'mango', 'pineapple', 'avocado',
+    'tomato', 'potato', 'onion', 'garlic', 'carrot', 'cucumber', 'lettuce', 'salad', 'spinach',
+    'pepper', 'zucchini', 'courgette', 'broccoli', 'cauliflower', 'cabbage', 'mushroom', 'celery',
+    'leek', 'ginger', 'herb', 'parsley', 'basil', 'coriander', 'cilantro', 'aubergine', 'eggplant', 'corn',
+    'pomme', 'banane', 'citron', 'poire', 'fraise', 'pêche', 'tomate', 'oignon', 'ail', 'carotte',
+    'concombre', 'salade', 'laitue', 'épinard', 'poivron', 'brocoli', 'chou', 'champignon', 'poireau',
+    'תפוח', 'תפוחים', 'בננה', 'בננות', 'תפוז', 'תפוזים', 'לימון', 'עגבניה', 'עגבניות', 'מלפפון',
+    'מלפפונים', 'בצל', 'שום', 'גזר', 'חסה', 'תפוחי', 'אבוקדו', 'פטרוזיליה'
+  ],
+  'Frozen': [
+    'frozen', 'ice', 'icecream', 'pizza', 'fries', 'chips', 'nugget', 'fishfinger', 'popsicle', 'sorbet',
+    'surgelé', 'surgelés', 'glace', 'frites',
+    'קפוא', 'קפואה', 'גלידה', 'פיצה', 'שלגון'
+  ],
+  'Bulk': [
+    'rice', 'pasta', 'spaghetti', 'noodle', 'flour', 'sugar', 'salt', 'oat', 'oatmeal', 'cereal', 'muesli',
+    'granola', 'bean', 'lentil', 'chickpea', 'nut', 'almond', 'walnut', 'peanut', 'seed', 'coffee',
+    'tea', 'cocoa', 'honey', 'jam', 'oil', 'vinegar', 'couscous', 'quinoa', 'polenta', 'raisin',
+    'riz', 'pâtes', 'farine', 'sucre', 'sel', 'céréales', 'café', 'thé', 'miel', 'confiture', 'huile',
+    'vinaigre', 'lentille', 'noix', 'amande',
+    'אורז', 'פסטה', 'קמח', 'סוכר', 'מלח', 'קפה', 'תה', 'דבש', 'ריבה', 'שמן', 'חומץ', 'עדשים', 'קוסקוס', 'אגוזים'
+  ],
+  'Household items': [
+    'toilet', 'paper', 'tissue', 'napkin', 'detergent', 'soap', 'dishwasher', 'sponge', 'bag', 'bin',
+    'foil', 'battery', 'batteries', 'bulb', 'shampoo', 'conditioner', 'toothpaste', 'toothbrush',
+    'deodorant', 'razor', 'cleaner', 'bleach', 'softener', 'towel', 'candle', 'wipes', 'diaper', 'nappy',
+    'papier', 'mouchoir', 'lessive', 'savon', 'éponge', 'sac', 'ampoule', 'pile', 'shampooing',
+    'dentifrice', 'déodorant', 'bougie', 'lingette', 'couche',
+    'נייר', 'טואלט', 'סבון', 'שמפו', 'מגבונים', 'חיתולים', 'אקונומיקה', 'ספוג', 'שקיות', 'סוללות', 'משחת'
+  ]
+}
+
+// ============ WORDS ============
+
+/**
+ * Lower-case words of an item name, with simple plurals folded ("tomatoes" -> "tomato")
+ */
+const wordsOf = (name) => name
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .flatMap(word => {
+    if (word.endsWith('ies')) return [word, `${word.slice(0, -3)}y`]
+    if (word.endsWith('oes') || word.endsWith('ches') || word.endsWith('shes')) return [word, word.slice(0, -2)]
+    if (word.endsWith('s') && word.length > 3) return [word, word.slice(0, -1)]
+    return [word]
+  })
+
+const normalizeName = (name) => name.trim().toLowerCase()
+
+// ============ LEARNED CATEGORIES ============
+
+const memoryKey = (userId) => `shopping-list:category-memory:${userId}`
+
+/**
+ * Categories this user picked for item names before: { name: category }
+ */
+export const loadCategoryMemory = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(memoryKey(userId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Remember that the user filed an item name under a category (returns the new memory)
+ */
+export const rememberCategory = (userId, memory, name, category) => {
+  const updated = { ...memory, [normalizeName(name)]: category }
+  try {
+    localStorage.setItem(memoryKey(userId), JSON.stringify(updated))
+  } catch {
+    // Not critical - the guess just doesn't improve on this device
+  }
+  return updated
+}
+
+// ============ GUESSING ============
+
+/**
+ * Guess the category for an item name: { category, source } or { category: null, source: null }
+ */
+export const guessCategory = (name, { items = [], memory = {}, categories = [] }) => {
+  const normalized = normalizeName(name)
+  const available = (category) => categories.includes(category)
+  if (!normalized) return { category: null, source: null }
+
+  // 1. The same item is already on the list
+  const existing = items.find(item => normalizeName(item.name) === normalized && available(item.category))
+  if (existing) return { category: existing.category, source: 'existing' }
+
+  // 2. Learned: the whole name, then any of its words
+  if (available(memory[normalized])) return { category: memory[normalized], source: 'learned' }
+  const words = wordsOf(normalized)
+  const learnedWord = words.find(word => available(memory[word]))
+  if (learnedWord) return { category: memory[learnedWord], source: 'learned' }
+
+  // 3. Built-in keywords; later words usually carry the meaning ("chocolate milk" is milk)
+  for (const word of [...words].reverse()) {
+    const match = Object.keys(KEYWORDS).find(category => available(category) && KEYWORDS[category].includes(word))
+    if (match) return { category: match, source: 'keyword' }
+  }
+
+  return { category: null, source: null }
+}
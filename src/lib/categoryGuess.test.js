@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest'
+import { guessCategory, loadCategoryMemory, rememberCategory } from './categoryGuess'
+
+// Local storage, as far as categoryGuess.js uses it
+const storage = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value))
+})
+
+const CATEGORIES = ['Refrigerated items', 'Bread', 'Fruit/Veggie', 'Frozen', 'Bulk', 'Household items', 'Deli']
+
+// ============ GUESSING ============
+
+describe('guessCategory', () => {
+  it('uses the category of the same item on the list first', () => {
+    const items = [{ name: 'Milk', category: 'Deli' }]
+
+    expect(guessCategory(' milk ', { items, categories: CATEGORIES })).toEqual({ category: 'Deli', source: 'existing' })
+  })
+
+  it('uses what the user filed the name or one of its words under before', () => {
+    const memory = { 'oat milk': 'Bulk', olives: 'Deli' }
+
+    expect(guessCategory('Oat milk', { memory, categories: CATEGORIES })).toEqual({ category: 'Bulk', source: 'learned' })
+    expect(guessCategory('green olives', { memory, categories: CATEGORIES })).toEqual({ category: 'Deli', source: 'learned' })
+  })
+
+  it('knows common items in English, French and Hebrew', () => {
+    expect(guessCategory('bananas', { categories: CATEGORIES })).toEqual({ category: 'Fruit/Veggie', source: 'keyword' })
+    expect(guessCategory('strawberries', { categories: CATEGORIES })).toMatchObject({ category: 'Fruit/Veggie' })
+    expect(guessCategory('Pain de mie', { categories: CATEGORIES })).toMatchObject({ category: 'Bread' })
+    expect(guessCategory('חלב', { categories: CATEGORIES })).toMatchObject({ category: 'Refrigerated items' })
+  })
+
+  it('goes by the last word that it knows', () => {
+    expect(guessCategory('chocolate milk', { categories: CATEGORIES })).toMatchObject({ category: 'Refrigerated items' })
+    expect(guessCategory('frozen pizza', { categories: CATEGORIES })).toMatchObject({ category: 'Frozen' })
+  })
+
+  it('only suggests categories the list has', () => {
+    const items = [{ name: 'milk', category: 'Dairy' }]
+
+    expect(guessCategory('milk', { items, memory: { milk: 'Dairy' }, categories: ['Bread'] })).toEqual({ category: null, source: null })
+  })
+
+  it('has no guess for unknown or empty names', () => {
+    expect(guessCategory('zzz', { categories: CATEGORIES })).toEqual({ category: null, source: null })
+    expect(guessCategory('  ', { categories: CATEGORIES })).toEqual({ category: null, source: null })
+  })
+})
+
+// ============ LEARNED CATEGORIES ============
+
+describe('category memory', () => {
+  it('remembers names per user, in lower case', () => {
+    const memory = rememberCategory('user-1', {}, ' Olives ', 'Deli')
+
+    expect(memory).toEqual({ olives: 'Deli' })
+    expect(loadCategoryMemory('user-1')).toEqual({ olives: 'Deli' })
+    expect(loadCategoryMemory('user-2')).toEqual({})
+  })
+})
@@ -0,0 +1,159 @@
+import { createMemoryRepository } from './memoryRepository'
+import { createMutation, sendMutation, generateId } from './syncQueue'
+import { isDefaultCategory, starterCategories } from './categories'
+
+/**
+ * Guest Mode
+ *
+ * Lets people try the app without an account. The guest's list lives only in
+ * this browser: an in-memory repository (see memoryRepository.js) saved to
+ * local storage after every change, so the normal list screen works unchanged.
+ * A new guest list starts with the starter categories, like a new account.
+ * When the guest signs in, their items and custom categories are merged into
+ * the account's list and the local copy is removed.
+ */
+
+export const GUEST_LIST_ID = 'guest'
+
+const GUEST_USER_ID = 'guest'
+const GUEST_KEY = 'shopping-list:guest'
+
+let guestRepository = null  // Created on first use, see getGuestRepository()
+
+/**
+ * The guest's only list, shaped like a membership from fetchMemberships()
+ */
+export const GUEST_LIST = { id: GUEST_LIST_ID, name: 'Guest list', role: 'owner', archived_at: null }
+
+/**
+ * A stand-in for the Supabase session while browsing as a guest
+ */
+export const GUEST_SESSION = { user: { id: GUEST_USER_ID, email: null } }
+
+// ============ LOCAL STORAGE ============
+
+/**
+ * The saved guest data: { items, categories, trips }, or null if there is none
+ */
+export const loadGuestData = () => {
+  try {
+    return JSON.parse(localStorage.getItem(GUEST_KEY))
+  } catch {
+    return null
+  }
+}
+
+const saveGuestData = (data) => {
+  try {
+    localStorage.setItem(GUEST_KEY, JSON.stringify(data))
+  } catch {
+    // Not critical - the guest list just won't survive a reload
+  }
+}
+
+export const clearGuestData = () => {
+  guestRepository = null  // A new guest starts from scratch
+  try {
+    localStorage.removeItem(GUEST_KEY)
+  } catch {
+    // Not critical - nothing else reads it once the guest has signed in
+  }
+}
+
+/**
+ * Whether there is anything worth moving into an account (the starter categories alone aren't)
+ */
+export const hasGuestData = () => {
+  const { items = [], categories = [] } = loadGuestData() || {}
+  return [...items, ...categories.filter(row => !isDefaultCategory(row.name))].some(row => !row.deleted_at)
+}
+
+// ============ REPOSITORY ============
+
+// Methods that change data; everything they do is saved afterwards
+const WRITES = [
+  'insertItem', 'updateItem', 'updateItems', 'deleteItem', 'trashCategoryItems', 'restoreCategoryItems', 'purgeTrashedItems',
+  'insertCategory', 'renameCategory', 'updateCategory', 'trashCategory', 'restoreCategory', 'purgeTrashedCategories',
+  'insertTrip', 'insertActivity'
+]
+
+/**
+ * The repository behind the guest list (one per page load, so useListData gets a stable one)
+ */
+export const getGuestRepository = () => {
+  if (guestRepository) return guestRepository
+
+  const memory = createMemoryRepository(loadGuestData() || {
+    categories: starterCategories({ listId: GUEST_LIST_ID, userId: GUEST_USER_ID })
+  })
+  const saved = Object.fromEntries(WRITES.map(method => [method, async (...args) => {
+    const result = await memory[method](...args)
+    saveGuestData(memory.inspect())
+    return result
+  }]))
+  guestRepository = { ...memory, ...saved }
+  return guestRepository
+}
+
+/**
+ * Past trips of the guest list, newest first (like fetchTrips)
+ */
+export const fetchGuestTrips = async () =>
+  getGuestRepository().inspect().trips.sort((a, b) => Date.parse(b.finished_at) - Date.parse(a.finished_at))
+
+// ============ MIGRATION ============
+
+/**
+ * Merge guest data into a list of the signed-in user
+ * Items use the same mutations as the app, so nothing is added twice: items
+ * already on the list are only marked as needed if the guest needed them.
+ * Categories that exist already are kept, and the account's Trash is left
+ * alone (the addCategory mutation would purge trashed categories of the same
+ * name). The guest's Trash and past trips stay behind.
+ * Safe to run again after a failure part way through.
+ * Resolves with { added, merged } item counts.
+ */
+export const mergeGuestData = async (repository, { listId, userId }, { items = [], categories = [] }) => {
+  const send = (type, payload) => sendMutation(repository, createMutation(listId, type, payload))
+  const now = new Date().toISOString()
+  let added = 0
+  let merged = 0
+
+  // Starter categories only come along when guest items are filed under them,
+  // so defaults the account removed from its list don't come back
+  const used = new Set(items.filter(row => !row.deleted_at).map(row => row.category))
+  const merging = categories.filter(row => !row.deleted_at && (!isDefaultCategory(row.name) || used.has(row.name)))
+
+  // Inserted as they are: does nothing when the list has a live category of that name
+  for (const { name, color = null, icon = null, hidden = false } of merging) {
+    await repository.insertCategory({ id: generateId(), name, color, icon, hidden, list_id: listId, user_id: userId, created_at: now })
+  }
+
+  for (const item of items.filter(row => !row.deleted_at)) {
+    const result = await send('addItem', {
+      item: { ...item, id: generateId(), list_id: listId, user_id: userId }
+    })
+
+    if (result.mergedInto) {
+      if (item.needed) await send('updateItem', { id: result.mergedInto, changes: { needed: true } })
+      merged++
+    } else {
+      added++
+    }
+  }
+
+  return { added, merged }
+}
+
+/**
+ * Move the saved guest list into the given list and forget it locally
+ * Failures leave the guest data in place, to try again on the next sign-in.
+ */
+export const migrateGuestList = async (repository, { listId, userId }) => {
+  const data = loadGuestData()
+  if (!data) return { added: 0, merged: 0 }
+
+  const result = await mergeGuestData(repository, { listId, userId }, data)
+  clearGuestData()
+  return result
+}
@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createMemoryRepository } from './memoryRepository'
+import { generateId } from './syncQueue'
+import { DEFAULT_CATEGORIES } from './categories'
+import {
+  GUEST_LIST_ID,
+  getGuestRepository,
+  loadGuestData,
+  clearGuestData,
+  hasGuestData,
+  mergeGuestData,
+  migrateGuestList
+} from './guest'
+
+// Local storage, as far as guest.js uses it
+const storage = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+})
+
+const LIST_ID = 'list-1'
+const USER_ID = 'user-1'
+
+const item = (name, fields = {}) => ({
+  id: generateId(),
+  list_id: GUEST_LIST_ID,
+  user_id: 'guest',
+  name,
+  category: 'Bread',
+  needed: false,
+  bought: false,
+  deleted_at: null,
+  ...fields
+})
+
+const category = (name, fields = {}) => ({
+  id: generateId(),
+  list_id: GUEST_LIST_ID,
+  user_id: 'guest',
+  name,
+  deleted_at: null,
+  ...fields
+})
+
+/**
+ * Live rows of the account's list, by name
+ */
+const liveRows = async (repository) => {
+  const { items, categories } = await repository.fetchList(LIST_ID)
+  return {
+    items: items.filter(row => !row.deleted_at),
+    categories: categories.filter(row => !row.deleted_at)
+  }
+}
+
+beforeEach(() => {
+  storage.clear()
+  clearGuestData()
+})
+
+// ============ GUEST REPOSITORY ============
+
+describe('guest repository', () => {
+  it('saves every change to local storage', async () => {
+    const bread = item('bread')
+    await getGuestRepository().insertItem(bread)
+    await getGuestRepository().updateItem(GUEST_LIST_ID, bread.id, { needed: true })
+
+    expect(loadGuestData().items).toEqual([{ ...bread, needed: true, version: 2 }])
+    expect(hasGuestData()).toBe(true)
+  })
+
+  it('starts from the saved data after a reload', async () => {
+    await getGuestRepository().insertCategory(category('Garden'))
+    const saved = loadGuestData()
+
+    clearGuestData()
+    storage.set('shopping-list:guest', JSON.stringify(saved))
+
+    const { categories } = await getGuestRepository().fetchList(GUEST_LIST_ID)
+    expect(categories.map(row => row.name)).toEqual([...DEFAULT_CATEGORIES, 'Garden'])
+  })
+
+  it('starts a new guest with the starter categories, which alone are nothing to migrate', async () => {
+    const { categories } = await getGuestRepository().fetchList(GUEST_LIST_ID)
+    expect(categories.map(row => row.name)).toEqual(DEFAULT_CATEGORIES)
+
+    await getGuestRepository().updateCategory(GUEST_LIST_ID, 'Bulk', { hidden: true })
+    expect(hasGuestData()).toBe(false)
+  })
+
+  it('has nothing to migrate when only the Trash has rows', async () => {
+    await getGuestRepository().insertItem(item('bread', { deleted_at: '2026-10-19T08:00:00Z' }))
+    expect(hasGuestData()).toBe(false)
+  })
+})
+
+// ============ MIGRATION ============
+
+describe('mergeGuestData', () => {
+  it('adds the guest items and categories to the list, as the user', async () => {
+    const repository = createMemoryRepository()
+    const guest = { items: [item('rake', { category: 'Garden', needed: true, quantity: 1 })], categories: [category('Garden')] }
+
+    expect(await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)).toEqual({ added: 1, merged: 0 })
+
+    const { items, categories } = await liveRows(repository)
+    expect(categories).toMatchObject([{ name: 'Garden', list_id: LIST_ID, user_id: USER_ID }])
+    expect(items).toMatchObject([{ name: 'rake', category: 'Garden', needed: true, quantity: 1, list_id: LIST_ID, user_id: USER_ID }])
+    expect(items[0].id).not.toBe(guest.items[0].id)
+  })
+
+  it('does not add items or categories the list has already', async () => {
+    const repository = createMemoryRepository({
+      items: [{ ...item('Bread'), list_id: LIST_ID }],
+      categories: [{ ...category('Garden'), list_id: LIST_ID }]
+    })
+    const guest = { items: [item('bread', { needed: true })], categories: [category('Garden')] }
+
+    expect(await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)).toEqual({ added: 0, merged: 1 })
+
+    const { items, categories } = await liveRows(repository)
+    expect(categories).toHaveLength(1)
+    expect(items).toMatchObject([{ name: 'Bread', needed: true }])  // Marked as needed, like the guest had it
+  })
+
+  it('keeps trashed categories of the same name in the Trash of the list', async () => {
+    const trashed = { ...category('Garden', { deleted_at: '2026-10-01T10:00:00.000Z' }), list_id: LIST_ID }
+    const repository = createMemoryRepository({ categories: [trashed] })
+    const guest = { items: [item('rake', { category: 'Garden' })], categories: [category('Garden')] }
+
+    await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)
+
+    const { categories } = await repository.fetchList(LIST_ID)
+    expect(categories.find(row => row.id === trashed.id)).toEqual(trashed)  // Still in the Trash
+    expect((await liveRows(repository)).categories).toMatchObject([{ name: 'Garden' }])
+  })
+
+  it('brings starter categories along only when guest items use them', async () => {
+    const repository = createMemoryRepository()
+    const guest = {
+      items: [item('baguette', { category: 'Bread' })],
+      categories: [category('Bread', { color: 'red', icon: 'wheat' }), category('Bulk')]
+    }
+
+    await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)
+
+    expect((await liveRows(repository)).categories).toMatchObject([{ name: 'Bread', color: 'red', icon: 'wheat' }])
+  })
+
+  it('leaves the Trash behind', async () => {
+    const repository = createMemoryRepository()
+    const deletedAt = '2026-10-19T08:00:00Z'
+    const guest = { items: [item('bread', { deleted_at: deletedAt })], categories: [category('Garden', { deleted_at: deletedAt })] }
+
+    await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)
+
+    expect(await liveRows(repository)).toEqual({ items: [], categories: [] })
+  })
+
+  it('can run again without adding anything twice', async () => {
+    const repository = createMemoryRepository()
+    const guest = { items: [item('bread'), item('milk', { category: 'Dairy' })], categories: [] }
+
+    await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)
+    expect(await mergeGuestData(repository, { listId: LIST_ID, userId: USER_ID }, guest)).toEqual({ added: 0, merged: 2 })
+    expect((await liveRows(repository)).items).toHaveLength(2)
+  })
+})
+
+describe('migrateGuestList', () => {
+  it('forgets the guest list once it is in the account', async () => {
+    await getGuestRepository().insertItem(item('bread'))
+    const repository = createMemoryRepository()
+
+    await migrateGuestList(repository, { listId: LIST_ID, userId: USER_ID })
+
+    expect((await liveRows(repository)).items).toMatchObject([{ name: 'bread' }])
+    expect(loadGuestData()).toBeNull()
+  })
+
+  it('keeps the guest list when the upload fails', async () => {
+    await getGuestRepository().insertItem(item('bread'))
+    const repository = createMemoryRepository()
+    repository.setOffline(true)
+
+    await expect(migrateGuestList(repository, { listId: LIST_ID, userId: USER_ID })).rejects.toThrow('Failed to fetch')
+    expect(hasGuestData()).toBe(true)
+  })
+})
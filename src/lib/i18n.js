@@ -0,0 +1,116 @@
+import en from './locales/en'
+import fr from './locales/fr'
+import he from './locales/he'
+
+/**
+ * Internationalisation
+ *
+ * UI text lives in one message file per language (src/lib/locales), keyed by
+ * dotted ids like "plan.itemsNeeded". Messages can contain {placeholders},
+ * and counted messages have one form per plural category of the language
+ * ({ one, two, other } - see Intl.PluralRules), picked by the `count` param.
+ * Anything missing from a translation falls back to English.
+ *
+ * Components get `t` and the current language from useTranslation().
+ */
+
+export const LOCALES = {
+  en: { name: 'English', dir: 'ltr' },
+  fr: { name: 'Français', dir: 'ltr' },
+  he: { name: 'עברית', dir: 'rtl' }
+}
+
+export const DEFAULT_LOCALE = 'en'
+
+export const MESSAGES = { en, fr, he }
+
+const LOCALE_KEY = 'shopping-list:locale'
+
+export const isLocale = (value) => Object.hasOwn(LOCALES, value || '')
+
+// ============ TRANSLATION ============
+
+const pluralRules = {}
+
+/**
+ * The plural category of a count in a language ("one", "two", "other", ...)
+ */
+const pluralCategory = (locale, count) => {
+  pluralRules[locale] ||= new Intl.PluralRules(locale)
+  return pluralRules[locale].select(count)
+}
+
+/**
+ * The text of a message in a language (English if it isn't translated), in the
+ * plural form for `count`; the id itself when there is no such message
+ */
+const messageText = (locale, key, count) => {
+  const message = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key]
+  if (message === undefined) return key
+  if (typeof message === 'string') return message
+  return message[pluralCategory(locale, count ?? 0)] ?? message.other
+}
+
+/**
+ * Translate a message id: translate('fr', 'plan.itemsNeeded', { count: 3 })
+ * Unknown ids come back as they are, so a missing message is easy to spot.
+ */
+export const translate = (locale, key, params = {}) =>
+  messageText(locale, key, params.count)
+    .replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder)
+
+/**
+ * Like translate(), but returns the pieces of the message with the params
+ * left as they are, so they can be rich (e.g. React elements)
+ */
+export const translateParts = (locale, key, params = {}) =>
+  messageText(locale, key, typeof params.count === 'number' ? params.count : undefined)
+    .split(/(\{\w+\})/)
+    .filter(Boolean)
+    .map(part => {
+      const name = part.match(/^\{(\w+)\}$/)?.[1]
+      return name && params[name] !== undefined ? params[name] : part
+    })
+
+/**
+ * Text direction of a language: 'ltr' or 'rtl'
+ */
+export const localeDirection = (locale) => LOCALES[locale]?.dir || 'ltr'
+
+/**
+ * Names of the days of the week, Sunday first ("Sunday" or "dimanche")
+ */
+export const weekdayNames = (locale, width = 'long') => {
+  const format = new Intl.DateTimeFormat(locale, { weekday: width })
+  return Array.from({ length: 7 }, (_, day) => format.format(new Date(2026, 0, 4 + day)))  // 4 Jan 2026 was a Sunday
+}
+
+// ============ PREFERENCE ============
+
+/**
+ * The language of this browser, if we have it ("fr-CA" -> "fr")
+ */
+export const detectLocale = () => {
+  const languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language]
+  return languages.map(language => language?.split('-')[0]).find(isLocale) || DEFAULT_LOCALE
+}
+
+/**
+ * The language last chosen on this device, or null
+ */
+export const loadLocale = () => {
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY)
+    return isLocale(saved) ? saved : null
+  } catch {
+    return null
+  }
+}
+
+export const saveLocale = (locale) => {
+  try {
+    localStorage.setItem(LOCALE_KEY, locale)
+  } catch {
+    // Not critical - the language is detected again next time
+  }
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { MESSAGES, translate, translateParts, localeDirection, weekdayNames } from './i18n'
+import { DEFAULT_CATEGORIES, categoryLabel, findDefaultCategory, resolveCategoryName } from './categories'
+import { describeRecurrence } from './recurrence'
+import { exportText, parseImport } from './importExport'
+import { guessCategory } from './categoryGuess'
+
+// ============ MESSAGES ============
+
+describe('message files', () => {
+  it('translate every English message', () => {
+    const ids = Object.keys(MESSAGES.en).sort()
+    expect(Object.keys(MESSAGES.fr).sort()).toEqual(ids)
+    expect(Object.keys(MESSAGES.he).sort()).toEqual(ids)
+  })
+})
+
+describe('translate', () => {
+  it('fills in placeholders', () => {
+    expect(translate('en', 'undo.deleted', { name: 'Milk' })).toBe('Deleted "Milk"')
+    expect(translate('fr', 'category.exists', { name: 'Jardin' })).toBe('La catégorie « Jardin » existe déjà')
+  })
+
+  it('picks the plural form of the language', () => {
+    expect(translate('en', 'search.matches', { count: 1 })).toBe('1 item')
+    expect(translate('en', 'search.matches', { count: 0 })).toBe('0 items')
+    expect(translate('fr', 'store.bought', { count: 0 })).toBe('0 acheté')
+    expect(translate('fr', 'store.bought', { count: 2 })).toBe('2 achetés')
+    expect(translate('he', 'recurrence.interval', { count: 2 })).toBe('כל יומיים')
+    expect(translate('he', 'recurrence.interval', { count: 5 })).toBe('כל 5 ימים')
+  })
+
+  it('falls back to English, then to the id', () => {
+    expect(translate('de', 'common.save')).toBe('Save')
+    expect(translate('fr', 'no.such.message')).toBe('no.such.message')
+  })
+
+  it('leaves placeholders without a param as they are', () => {
+    expect(translate('en', 'undo.deleted')).toBe('Deleted "{name}"')
+  })
+})
+
+describe('translateParts', () => {
+  it('keeps the params as they are, in the order of the language', () => {
+    const input = { type: 'input' }
+    expect(translateParts('en', 'editor.everyDays', { days: input, count: 3 })).toEqual(['every ', input, ' days'])
+    expect(translateParts('he', 'editor.everyDays', { days: input, count: 3 })).toEqual(['כל ', input, ' ימים'])
+  })
+})
+
+describe('dates and direction', () => {
+  it('knows which languages are written right to left', () => {
+    expect(localeDirection('he')).toBe('rtl')
+    expect(localeDirection('fr')).toBe('ltr')
+    expect(localeDirection('xx')).toBe('ltr')
+  })
+
+  it('names the days of the week from Sunday', () => {
+    expect(weekdayNames('en')[0]).toBe('Sunday')
+    expect(weekdayNames('fr')[1]).toBe('lundi')
+    expect(describeRecurrence({ type: 'weekly', weekday: 1 }, 'fr')).toBe('Chaque lundi')
+  })
+})
+
+// ============ CATEGORIES ============
+
+describe('default categories', () => {
+  it('show a translated label but keep their id', () => {
+    expect(categoryLabel('Bread', 'en')).toBe('Bread')
+    expect(categoryLabel('Bread', 'fr')).toBe('Boulangerie')
+    expect(categoryLabel('Garden', 'fr')).toBe('Garden')
+  })
+
+  it('are found from a label in any language', () => {
+    expect(findDefaultCategory('boulangerie')).toBe('Bread')
+    expect(findDefaultCategory(' קפואים ')).toBe('Frozen')
+    expect(findDefaultCategory('Garden')).toBeNull()
+    expect(resolveCategoryName('Surgelés')).toBe('Frozen')
+    expect(resolveCategoryName(' Garden ')).toBe('Garden')
+  })
+
+  it('round-trip through a text export in another language', () => {
+    const items = [{ name: 'baguette', quantity: 2, category: 'Bread', needed: true, bought: false }]
+    const text = exportText(DEFAULT_CATEGORIES, items, 'fr')
+    expect(text).toBe('Boulangerie:\n- 2× baguette')
+    expect(parseImport(text).rows).toMatchObject([{ name: 'baguette', category: 'Bread' }])
+  })
+
+  it('are guessed from French and Hebrew item names', () => {
+    expect(guessCategory('pain de mie', { categories: DEFAULT_CATEGORIES }).category).toBe('Bread')
+    expect(guessCategory('חלב 3%', { categories: DEFAULT_CATEGORIES }).category).toBe('Refrigerated items')
+  })
+})
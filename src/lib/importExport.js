@@ -0,0 +1,262 @@
+import { parseItemInput, formatQuantity } from './parseItem'
+import { parsePrice } from './prices'
+import { categoryLabel, resolveCategoryName } from './categories'
+
+/**
+ * Import and Export
+ *
+ * Lists can be exported as:
+ * - JSON: categories and items with all their fields (for backups and moving lists)
+ * - CSV:  one row per item, for spreadsheets
+ * - Text: only the needed items, grouped by category, for pasting into a chat
+ *
+ * Import accepts all three formats, plus a plain list with one item per line
+ * ("2 kg apples, organic" is parsed like the add-item field). Every format
+ * is read into the same row shape:
+ *   { name, category, quantity, unit, note, price, needed, bought }
+ * where `category` is null when the source didn't say. Default categories
+ * can be named in any language ("Boulangerie:" imports into Bread).
+ */
+
+// Item fields written to and read from JSON and CSV
+const CSV_COLUMNS = ['category', 'name', 'quantity', 'unit', 'note', 'price', 'needed', 'bought']
+
+// ============ EXPORT ============
+
+/**
+ * Export a list as JSON
+ */
+export const exportJson = (list, categories, items) => JSON.stringify({
+  format: 'shopping-list',
+  version: 1,
+  name: list?.name || null,
+  exported_at: new Date().toISOString(),
+  categories,
+  items: items.map(item => Object.fromEntries(CSV_COLUMNS.map(column => [column, item[column] ?? null])))
+}, null, 2)
+
+// Text starting with one of these runs as a formula in spreadsheets ("=HYPERLINK(...)")
+const FORMULA_START = /^[=+\-@\t\r]/
+
+/**
+ * Quote a CSV value when it contains a separator, quote or line break
+ * Text that a spreadsheet would run as a formula gets a leading ' (removed again on import)
+ */
+const csvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Export a list's items as CSV (header row first)
+ */
+export const exportCsv = (items) => [
+  CSV_COLUMNS.join(','),
+  ...items.map(item => CSV_COLUMNS.map(column => csvValue(item[column])).join(','))
+].join('\n')
+
+/**
+ * Export the needed items as text, grouped by category (headings in `locale`):
+ *   Bread:
+ *   - 2× baguette
+ *   - 500 g butter
+ */
+export const exportText = (categories, items, locale) => categories
+  .map(category => {
+    const needed = items.filter(item => item.category === category && item.needed && !item.bought)
+    if (needed.length === 0) return null
+    const lines = needed.map(item => {
+      // "3× lemons" rather than "×3 lemons", so the text imports back the same way
+      const quantity = item.unit || !formatQuantity(item) ? formatQuantity(item) : `${formatQuantity(item).slice(1)}×`
+      const note = item.note ? ` (${item.note})` : ''
+      return `- ${quantity ? `${quantity} ` : ''}${item.name}${note}`
+    })
+    return [`${categoryLabel(category, locale)}:`, ...lines].join('\n')
+  })
+  .filter(Boolean)
+  .join('\n\n')
+
+/**
+ * Let the browser download some text as a file
+ */
+export const downloadFile = (filename, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * File name for an export: "weekly-groceries-2026-10-19.csv"
+ */
+export const exportFileName = (list, extension) => {
+  const slug = (list?.name || 'shopping-list').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'shopping-list'
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.${extension}`
+}
+
+// ============ IMPORT ============
+
+/**
+ * Read "true"/"yes"/"1"/"x" (and real booleans) as true
+ */
+const parseFlag = (value) => value === true || /^(true|yes|y|1|x)$/i.test(String(value ?? '').trim())
+
+/**
+ * Bring an imported row into the common shape; null when it has no name
+ */
+const normalizeRow = (row) => {
+  const name = String(row.name ?? '').trim()
+  if (!name) return null
+
+  const quantity = row.quantity === '' || row.quantity === null || row.quantity === undefined
+    ? null
+    : Number(String(row.quantity).replace(',', '.'))
+
+  return {
+    name,
+    category: resolveCategoryName(row.category) || null,
+    quantity: quantity > 0 ? quantity : null,
+    unit: quantity > 0 ? String(row.unit ?? '').trim() || null : null,
+    note: String(row.note ?? '').trim() || null,
+    price: parsePrice(row.price),
+    needed: parseFlag(row.needed),
+    bought: parseFlag(row.bought)
+  }
+}
+
+/**
+ * Split CSV text into rows of fields (handles quoted fields with commas, quotes and line breaks)
+ */
+const parseCsvRows = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  row.push(field)
+  rows.push(row)
+
+  return rows.filter(fields => fields.some(value => value.trim()))
+}
+
+/**
+ * Parse JSON exported by this app (or a bare array of items)
+ */
+const parseJsonImport = (text) => {
+  const data = JSON.parse(text)
+  const rows = Array.isArray(data) ? data : data.items
+  if (!Array.isArray(rows)) throw new Error('The JSON has no items')
+
+  return {
+    rows: rows.map(row => typeof row === 'string' ? { name: row } : row).map(normalizeRow).filter(Boolean),
+    categories: Array.isArray(data.categories) ? data.categories.filter(name => typeof name === 'string').map(resolveCategoryName) : []
+  }
+}
+
+/**
+ * A CSV field without the ' that exportCsv puts before formula-like text
+ */
+const csvText = (field) => field?.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field
+
+/**
+ * Parse CSV with a header row; needs at least a "name" column
+ */
+const parseCsvImport = (text) => {
+  const [header, ...records] = parseCsvRows(text)
+  const columns = header.map(column => column.trim().toLowerCase())
+
+  return {
+    rows: records
+      .map(fields => Object.fromEntries(columns.map((column, index) => [column, csvText(fields[index])])))
+      .map(normalizeRow)
+      .filter(Boolean),
+    categories: []
+  }
+}
+
+/**
+ * Parse plain text: one item per line, with optional "Category:" heading lines
+ * (the format of the text export) and list bullets
+ */
+const parseTextImport = (text) => {
+  const rows = []
+  const categories = []
+  let category = null
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim()
+    if (!trimmed) return
+
+    // "Bread:" starts a category
+    const heading = trimmed.match(/^([^:]+):$/)
+    if (heading) {
+      category = resolveCategoryName(heading[1])
+      if (!categories.includes(category)) categories.push(category)
+      return
+    }
+
+    // Strip bullets and checkboxes: "- ", "* ", "• ", "[ ] ", "1. "
+    const entry = trimmed.replace(/^(?:[-*•]\s*|\d+[.)]\s+|\[[ xX]?\]\s*)/, '')
+    const { name, quantity, unit, note } = parseItemInput(entry)
+    if (name) rows.push({ name, category, quantity, unit, note, price: null, needed: true, bought: false })
+  })
+
+  return { rows, categories }
+}
+
+/**
+ * Detect the format of pasted or uploaded text and parse it
+ * Returns { format: 'json' | 'csv' | 'text', rows, categories }
+ * Throws when JSON is malformed.
+ */
+export const parseImport = (text) => {
+  const trimmed = (text || '').trim()
+  if (!trimmed) return { format: 'text', rows: [], categories: [] }
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return { format: 'json', ...parseJsonImport(trimmed) }
+  }
+
+  // CSV needs a header row with a "name" column
+  const firstLine = trimmed.split(/\r?\n/)[0].toLowerCase()
+  if (firstLine.includes(',') && firstLine.split(',').map(column => column.trim().replace(/"/g, '')).includes('name')) {
+    return { format: 'csv', ...parseCsvImport(trimmed) }
+  }
+
+  return { format: 'text', ...parseTextImport(trimmed) }
+}
+
+/**
+ * Find an existing item an imported row duplicates (same name in the same category)
+ */
+export const findDuplicate = (items, name, category) =>
+  items.find(item => item.category === category && item.name.toLowerCase() === name.toLowerCase()) || null
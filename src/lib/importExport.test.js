@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest'
+import { exportJson, exportCsv, exportText, parseImport, findDuplicate } from './importExport'
+
+const item = (name, fields = {}) => ({
+  id: name,
+  list_id: 'list-1',
+  category: 'Bread',
+  name,
+  quantity: null,
+  unit: null,
+  note: null,
+  price: null,
+  needed: true,
+  bought: false,
+  ...fields
+})
+
+const ITEMS = [
+  item('baguette', { quantity: 2 }),
+  item('butter', { category: 'Refrigerated items', quantity: 500, unit: 'g', note: 'salted, "Président"', price: 3.2 }),
+  item('rice', { category: 'Bulk', needed: false, price: 1.5 }),
+  item('milk', { category: 'Refrigerated items', quantity: 1.5, unit: 'l', bought: true })
+]
+
+// The fields every import format reads back
+const imported = ({ name, category, quantity, unit, note, price, needed, bought }) =>
+  ({ name, category, quantity, unit, note, price, needed, bought })
+
+// ============ JSON ============
+
+describe('JSON export and import', () => {
+  it('brings back every item with all its fields, and the categories', () => {
+    const categories = ['Refrigerated items', 'Bread', 'Bulk']
+    const result = parseImport(exportJson({ name: 'Weekly' }, categories, ITEMS))
+
+    expect(result.format).toBe('json')
+    expect(result.rows).toEqual(ITEMS.map(imported))
+    expect(result.categories).toEqual(categories)
+  })
+
+  it('reads a bare array of item names', () => {
+    const result = parseImport('["eggs", "flour"]')
+
+    expect(result.rows.map(row => row.name)).toEqual(['eggs', 'flour'])
+    expect(result.rows[0]).toMatchObject({ category: null, quantity: null, needed: false })
+  })
+
+  it('throws on malformed JSON', () => {
+    expect(() => parseImport('{ "items": ')).toThrow()
+  })
+})
+
+// ============ CSV ============
+
+describe('CSV export and import', () => {
+  it('brings back every item, with commas and quotes in values', () => {
+    const result = parseImport(exportCsv(ITEMS))
+
+    expect(result.format).toBe('csv')
+    expect(result.rows).toEqual(ITEMS.map(imported))
+  })
+
+  it('keeps spreadsheets from running values as formulas, and reads them back as typed', () => {
+    const risky = [
+      item('=HYPERLINK("http://example.com","milk")'),
+      item('+1 spare', { note: '@home' }),
+      item('-', { note: '-5% off', price: 2 })
+    ]
+    const csv = exportCsv(risky)
+
+    expect(csv.split('\n').slice(1).every(line => !/(^|,)"?[=+\-@]/.test(line))).toBe(true)
+    expect(csv).toContain(`"'=HYPERLINK(""http://example.com"",""milk"")"`)
+    expect(parseImport(csv).rows).toEqual(risky.map(imported))
+  })
+
+  it('keeps line breaks inside quoted values', () => {
+    const result = parseImport(exportCsv([item('cake', { note: 'chocolate\nfor Sunday' })]))
+
+    expect(result.rows).toHaveLength(1)
+    expect(result.rows[0].note).toBe('chocolate\nfor Sunday')
+  })
+
+  it('reads CSV with only some columns, in any order', () => {
+    const result = parseImport('Needed,Name,Category\nyes,croissant,Boulangerie\n,,\nno,jam,')
+
+    expect(result.rows).toEqual([
+      { name: 'croissant', category: 'Bread', quantity: null, unit: null, note: null, price: null, needed: true, bought: false },
+      { name: 'jam', category: null, quantity: null, unit: null, note: null, price: null, needed: false, bought: false }
+    ])
+  })
+})
+
+// ============ TEXT ============
+
+describe('text export and import', () => {
+  it('writes the needed items under their category headings', () => {
+    const text = exportText(['Bread', 'Refrigerated items', 'Bulk'], ITEMS, 'en')
+
+    expect(text).toBe([
+      'Bread:',
+      '- 2× baguette',
+      '',
+      'Refrigerated items:',
+      '- 500 g butter (salted, "Président")'
+    ].join('\n'))
+  })
+
+  it('brings back the needed items in their categories', () => {
+    const needed = [
+      item('baguette', { quantity: 2 }),
+      item('lemons', { category: 'Fruit/Veggie', quantity: 3 }),
+      item('cream', { category: 'Refrigerated items', quantity: 0.5, unit: 'l', note: 'for the soup' })
+    ]
+    const result = parseImport(exportText(['Bread', 'Fruit/Veggie', 'Refrigerated items'], needed, 'fr'))
+
+    expect(result.format).toBe('text')
+    expect(result.categories).toEqual(['Bread', 'Fruit/Veggie', 'Refrigerated items'])
+    expect(result.rows).toEqual(needed.map(imported))
+  })
+
+  it('reads a plain list with bullets and checkboxes', () => {
+    const result = parseImport('* 2 kg apples, organic\n[x] milk\n1. eggs x12')
+
+    expect(result.rows.map(row => [row.name, row.quantity, row.unit, row.note])).toEqual([
+      ['apples', 2, 'kg', 'organic'],
+      ['milk', null, null, null],
+      ['eggs', 12, null, null]
+    ])
+    expect(result.rows.every(row => row.category === null && row.needed)).toBe(true)
+  })
+
+  it('reads nothing from empty text', () => {
+    expect(parseImport('  \n ')).toEqual({ format: 'text', rows: [], categories: [] })
+  })
+})
+
+// ============ DUPLICATES ============
+
+describe('findDuplicate', () => {
+  it('finds an item of the same name in the same category, whatever the case', () => {
+    expect(findDuplicate(ITEMS, 'Baguette', 'Bread')).toBe(ITEMS[0])
+    expect(findDuplicate(ITEMS, 'baguette', 'Bulk')).toBeNull()
+  })
+})
@@ -0,0 +1,253 @@
+import { supabase } from './supabase'
+
+/**
+ * List Repository
+ *
+ * All reads and writes of a list's items and categories go through a
+ * repository, so the sync logic doesn't depend on Supabase directly.
+ * Two implementations share this interface:
+ * - createSupabaseRepository (below): the real database
+ * - createMemoryRepository (memoryRepository.js): in memory, for tests
+ *
+ * Interface (all async except subscribe; "live" means deleted_at is null).
+ * Items and categories carry a `version` the database bumps on every update;
+ * writes given a { version } only apply to a row still at that version.
+ *
+ *   fetchList(listId)                              -> { items, categories }
+ *
+ *   findLiveItem(listId, { name, category, excludeId })
+ *                                                  -> id of a live item with that name
+ *                                                     (case-insensitive) in the category, or null
+ *   fetchItem(listId, id)                          -> the item (live or trashed), or null
+ *   insertItem(item)                               - does nothing if the id exists
+ *   updateItem(listId, id, changes, { version })   -> whether the item exists (at that version)
+ *   updateItems(listId, ids, changes)
+ *   deleteItem(listId, id)                         - permanently
+ *   trashCategoryItems(listId, category, deletedAt)    - live items of the category
+ *   restoreCategoryItems(listId, category, deletedAt)  - items trashed at exactly deletedAt
+ *   purgeTrashedItems(listId, { category, before })    - trashed items, optionally only of a
+ *                                                        category or trashed at/before `before`
+ *
+ *   fetchCategory(listId, name)                    -> the live category with that name, or null
+ *   insertCategory(category)                       - does nothing if the id exists, or if a live
+ *                                                    category has that name (names are unique)
+ *   renameCategory(listId, from, to)               - moves items and store orders along; throws
+ *                                                    if a live category is called `to` already
+ *   updateCategory(listId, name, changes, { version })
+ *                                                  -> whether a live category has that name (at that version)
+ *   trashCategory(listId, name, deletedAt)
+ *   restoreCategory(listId, { id, name })          -> whether the trashed category exists; the row
+ *                                                    with that id (without one: those with that name).
+ *                                                    Throws if a live category has the name
+ *   purgeTrashedCategories(listId, { name, before })
+ *
+ *   insertTrip(trip)                               - does nothing if the id exists
+ *
+ *   insertActivity(entries)                        - activity feed entries (see activity.js);
+ *                                                    does nothing for ids that exist
+ *   fetchActivity(listId, { limit })               -> the most recent entries, newest first
+ *
+ *   subscribe(listId, { onChange, onStatus })      -> unsubscribe()
+ *     onChange(table, { eventType, new, old })     - 'shopping_items' or 'categories',
+ *                                                    INSERT / UPDATE / DELETE;
+ *                                                    'activity', INSERT only; `old` is the whole
+ *                                                    previous row (replica identity full)
+ *     onStatus(status)                             - 'SUBSCRIBED' when (re)connected
+ *
+ * Errors are thrown as received; isNetworkError (syncQueue.js) tells
+ * "try again later" apart from "the server said no".
+ */
+
+// Postgres error code for a duplicate key (e.g. a category name taken in the list)
+const UNIQUE_VIOLATION = '23505'
+
+/**
+ * Escape LIKE wildcards so ilike() does a plain case-insensitive comparison
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&')
+
+/**
+ * Throw the error of a Supabase result, if any, and return its data
+ */
+const check = ({ data, error }) => {
+  if (error) throw error
+  return data
+}
+
+/**
+ * Narrow a query on trashed rows down to a name/category and a cut-off time
+ */
+const trashedWhere = (query, column, value, before) => {
+  let filtered = query.not('deleted_at', 'is', null)
+  if (value !== undefined) filtered = filtered.eq(column, value)
+  if (before !== undefined) filtered = filtered.lte('deleted_at', before)
+  return filtered
+}
+
+/**
+ * Repository backed by Supabase
+ */
+export const createSupabaseRepository = (client = supabase) => ({
+  // ============ LIST ============
+
+  async fetchList(listId) {
+    const [items, categories] = await Promise.all([
+      client.from('shopping_items').select('*').eq('list_id', listId).order('created_at', { ascending: true }),
+      client.from('categories').select('*').eq('list_id', listId).order('created_at', { ascending: true })
+    ])
+    return { items: check(items) || [], categories: check(categories) || [] }
+  },
+
+  // ============ ITEMS ============
+
+  async findLiveItem(listId, { name, category, excludeId }) {
+    const rows = check(await client
+      .from('shopping_items')
+      .select('id')
+      .eq('list_id', listId)
+      .eq('category', category)
+      .ilike('name', escapeLike(name))
+      .is('deleted_at', null)
+      .neq('id', excludeId)
+      .limit(1))
+    return rows[0]?.id || null
+  },
+
+  async fetchItem(listId, id) {
+    return check(await client.from('shopping_items').select('*').eq('id', id).eq('list_id', listId).maybeSingle())
+  },
+
+  async insertItem(item) {
+    // ignoreDuplicates makes a replay after a lost response harmless
+    check(await client.from('shopping_items').upsert([item], { onConflict: 'id', ignoreDuplicates: true }))
+  },
+
+  async updateItem(listId, id, changes, { version } = {}) {
+    let query = client.from('shopping_items').update(changes).eq('id', id).eq('list_id', listId)
+    if (version !== undefined) query = query.eq('version', version)
+    const rows = check(await query.select('id'))
+    return rows.length > 0
+  },
+
+  async updateItems(listId, ids, changes) {
+    if (ids.length === 0) return
+    check(await client.from('shopping_items').update(changes).eq('list_id', listId).in('id', ids))
+  },
+
+  async deleteItem(listId, id) {
+    check(await client.from('shopping_items').delete().eq('id', id).eq('list_id', listId))
+  },
+
+  async trashCategoryItems(listId, category, deletedAt) {
+    check(await client
+      .from('shopping_items')
+      .update({ deleted_at: deletedAt })
+      .eq('category', category)
+      .eq('list_id', listId)
+      .is('deleted_at', null))
+  },
+
+  async restoreCategoryItems(listId, category, deletedAt) {
+    check(await client
+      .from('shopping_items')
+      .update({ deleted_at: null })
+      .eq('category', category)
+      .eq('list_id', listId)
+      .eq('deleted_at', deletedAt))
+  },
+
+  async purgeTrashedItems(listId, { category, before } = {}) {
+    const query = client.from('shopping_items').delete().eq('list_id', listId)
+    check(await trashedWhere(query, 'category', category, before))
+  },
+
+  // ============ CATEGORIES ============
+
+  async fetchCategory(listId, name) {
+    return check(await client
+      .from('categories')
+      .select('*')
+      .eq('list_id', listId)
+      .eq('name', name)
+      .is('deleted_at', null)
+      .maybeSingle())
+  },
+
+  async insertCategory(category) {
+    const { error } = await client.from('categories').upsert([category], { onConflict: 'id', ignoreDuplicates: true })
+    if (error && error.code !== UNIQUE_VIOLATION) throw error  // A live category of that name exists already
+  },
+
+  async renameCategory(listId, from, to) {
+    // One database function renames the category and its items atomically
+    check(await client.rpc('rename_category', { p_list_id: listId, p_old_name: from, p_new_name: to }))
+  },
+
+  async updateCategory(listId, name, changes, { version } = {}) {
+    let query = client.from('categories').update(changes).eq('name', name).eq('list_id', listId).is('deleted_at', null)
+    if (version !== undefined) query = query.eq('version', version)
+    const rows = check(await query.select('id'))
+    return rows.length > 0
+  },
+
+  async trashCategory(listId, name, deletedAt) {
+    check(await client
+      .from('categories')
+      .update({ deleted_at: deletedAt })
+      .eq('name', name)
+      .eq('list_id', listId)
+      .is('deleted_at', null))
+  },
+
+  async restoreCategory(listId, { id, name }) {
+    const query = client.from('categories').update({ deleted_at: null }).eq('list_id', listId).not('deleted_at', 'is', null)
+    const rows = check(await (id ? query.eq('id', id) : query.eq('name', name)).select('id'))
+    return rows.length > 0
+  },
+
+  async purgeTrashedCategories(listId, { name, before } = {}) {
+    const query = client.from('categories').delete().eq('list_id', listId)
+    check(await trashedWhere(query, 'name', name, before))
+  },
+
+  // ============ TRIPS ============
+
+  async insertTrip(trip) {
+    check(await client.from('trips').upsert([trip], { onConflict: 'id', ignoreDuplicates: true }))
+  },
+
+  // ============ ACTIVITY ============
+
+  async insertActivity(entries) {
+    check(await client.from('activity').upsert(entries, { onConflict: 'id', ignoreDuplicates: true }))
+  },
+
+  async fetchActivity(listId, { limit }) {
+    return check(await client
+      .from('activity')
+      .select('*')
+      .eq('list_id', listId)
+      .order('created_at', { ascending: false })
+      .limit(limit)) || []
+  },
+
+  // ============ REAL-TIME ============
+
+  subscribe(listId, { onChange, onStatus }) {
+    const channels = ['shopping_items', 'categories', 'activity'].map(table => client
+      .channel(`${table}_changes:${listId}`)  // Unique channel name per list
+      .on('postgres_changes',
+        {
+          event: '*',                       // INSERT, UPDATE and DELETE
+          schema: 'public',
+          table,
+          filter: `list_id=eq.${listId}`    // Only changes to this list
+        },
+        (payload) => onChange(table, payload)
+      )
+      // Reconnects are reported for the items channel only, so they're handled once
+      .subscribe(table === 'shopping_items' ? onStatus : undefined))
+
+    return () => channels.forEach(channel => channel.unsubscribe())
+  }
+})
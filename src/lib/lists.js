@@ -0,0 +1,306 @@
+import { supabase } from './supabase'
+import { readCache, writeCache } from './localDb'
+import { isNetworkError } from './syncQueue'
+import { starterCategories } from './categories'
+
+/**
+ * Shared Lists
+ *
+ * Items and categories belong to a list rather than to a single user.
+ * Every list has members, each with one of these roles:
+ * - owner:  full access, manages members and invitations
+ * - editor: can add, toggle and delete items and categories
+ * - viewer: read-only, but still sees Store Mode progress live
+ *
+ * Permissions are enforced by row level security in the database
+ * (see supabase/migrations); the helpers below only decide what the UI shows.
+ *
+ * A user can be a member of any number of named lists. Archived lists keep
+ * their items but are hidden from the list switcher.
+ */
+
+// ============ ROLES ============
+
+export const ROLES = ['owner', 'editor', 'viewer']
+
+// Roles that can be handed out through an invitation (there is only one owner)
+export const INVITABLE_ROLES = ['editor', 'viewer']
+
+/**
+ * Whether a role may change items and categories
+ */
+export const canEdit = (role) => role === 'owner' || role === 'editor'
+
+/**
+ * Whether a role may manage members and invitations
+ */
+export const canManageMembers = (role) => role === 'owner'
+
+// ============ ACTIVE LIST ============
+
+const ACTIVE_LIST_KEY = 'shopping-list:active-list'
+
+/**
+ * Remember which list the user last looked at on this device
+ */
+export const rememberActiveList = (listId) => {
+  try {
+    localStorage.setItem(ACTIVE_LIST_KEY, listId)
+  } catch {
+    // Storage can be unavailable (private mode); the first list is used instead
+  }
+}
+
+const getRememberedList = () => {
+  try {
+    return localStorage.getItem(ACTIVE_LIST_KEY)
+  } catch {
+    return null
+  }
+}
+
+// ============ PER-LIST PREFERENCES ============
+
+const storeModeKey = (listId) => `shopping-list:store-mode:${listId}`
+
+/**
+ * Whether a list was last left in Store Mode on this device
+ */
+export const loadStoreMode = (listId) => {
+  try {
+    return localStorage.getItem(storeModeKey(listId)) === 'true'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Remember the Plan/Store mode of a list on this device
+ */
+export const saveStoreMode = (listId, storeMode) => {
+  try {
+    localStorage.setItem(storeModeKey(listId), String(storeMode))
+  } catch {
+    // Not critical - the list simply opens in Plan Mode next time
+  }
+}
+
+// ============ LISTS AND MEMBERSHIP ============
+
+/**
+ * Fetch every list the user is a member of, together with their role
+ * Returns [{ id, name, owner_id, archived_at, role }] sorted by join date
+ * Offline, the memberships from the last successful fetch are returned instead
+ */
+export const fetchMemberships = async (userId) => {
+  const { data, error } = await supabase
+    .from('list_members')
+    .select('role, lists (id, name, owner_id, archived_at, monthly_budget)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    const cached = isNetworkError(error) && await readCache(`memberships:${userId}`)
+    if (cached) return cached
+    throw error
+  }
+
+  const memberships = (data || [])
+    .filter(row => row.lists)  // Skip rows whose list was deleted in the meantime
+    .map(row => ({ ...row.lists, role: row.role }))
+  await writeCache(`memberships:${userId}`, memberships)
+  return memberships
+}
+
+/**
+ * Create a new list with the starter categories (see categories.js), in one
+ * transaction (create_list); the database trigger makes the creator its owner
+ * `name` is in the user's language, e.g. t('lists.defaultName')
+ */
+export const createList = async (userId, name) => {
+  const { data, error } = await supabase.rpc('create_list', {
+    p_name: name,
+    p_categories: starterCategories({ listId: null, userId })
+  })
+
+  if (error) throw error
+  return { ...data, role: 'owner' }
+}
+
+/**
+ * Find the list to open for this user
+ * Prefers the list remembered on this device, falls back to the first
+ * list that isn't archived, and creates a new list called `defaultName`
+ * when there is none
+ */
+export const resolveActiveList = async (userId, defaultName) => {
+  const activeLists = (await fetchMemberships(userId)).filter(list => !list.archived_at)
+  if (activeLists.length === 0) {
+    const list = await createList(userId, defaultName)
+    rememberActiveList(list.id)
+    return list
+  }
+
+  const rememberedId = getRememberedList()
+  return activeLists.find(list => list.id === rememberedId) || activeLists[0]
+}
+
+/**
+ * Rename a list (owner only)
+ */
+export const renameList = async (listId, name) => {
+  const { error } = await supabase
+    .from('lists')
+    .update({ name })
+    .eq('id', listId)
+
+  if (error) throw error
+}
+
+/**
+ * Set or clear the monthly budget of a list (owner only)
+ */
+export const setListBudget = async (listId, monthlyBudget) => {
+  const { error } = await supabase
+    .from('lists')
+    .update({ monthly_budget: monthlyBudget })
+    .eq('id', listId)
+
+  if (error) throw error
+}
+
+/**
+ * Archive or restore a list (owner only)
+ * Archived lists keep their items but disappear from the switcher
+ */
+export const setListArchived = async (listId, archived) => {
+  const { error } = await supabase
+    .from('lists')
+    .update({ archived_at: archived ? new Date().toISOString() : null })
+    .eq('id', listId)
+
+  if (error) throw error
+}
+
+/**
+ * Fetch all members of a list
+ */
+export const fetchMembers = async (listId) => {
+  const { data, error } = await supabase
+    .from('list_members')
+    .select('*')
+    .eq('list_id', listId)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Change a member's role (owner only)
+ */
+export const updateMemberRole = async (listId, userId, role) => {
+  const { error } = await supabase
+    .from('list_members')
+    .update({ role })
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+
+  if (error) throw error
+}
+
+/**
+ * Remove a member from a list (owner only, or a member leaving)
+ */
+export const removeMember = async (listId, userId) => {
+  const { error } = await supabase
+    .from('list_members')
+    .delete()
+    .eq('list_id', listId)
+    .eq('user_id', userId)
+
+  if (error) throw error
+}
+
+// ============ INVITATIONS ============
+
+/**
+ * Build the link that accepts an invitation
+ */
+export const getInviteLink = (token) => `${window.location.origin}/invite/${token}`
+
+/**
+ * Create an invitation
+ * With an email it can only be accepted by that user (once);
+ * without one it is a shareable link that works until revoked
+ */
+export const createInvitation = async ({ listId, invitedBy, role, email = null }) => {
+  const { data, error } = await supabase
+    .from('list_invitations')
+    .insert([{
+      list_id: listId,
+      invited_by: invitedBy,
+      role,
+      email: email ? email.trim().toLowerCase() : null
+    }])
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Fetch the outstanding invitations of a list (owner only)
+ * Used email invitations are left out; link invitations stay until revoked
+ */
+export const fetchInvitations = async (listId) => {
+  const { data, error } = await supabase
+    .from('list_invitations')
+    .select('*')
+    .eq('list_id', listId)
+    .is('accepted_at', null)
+    .order('created_at', { ascending: true })
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Revoke an invitation so its link stops working
+ */
+export const revokeInvitation = async (invitationId) => {
+  const { error } = await supabase
+    .from('list_invitations')
+    .delete()
+    .eq('id', invitationId)
+
+  if (error) throw error
+}
+
+/**
+ * Fetch invitations addressed to this email that haven't been accepted yet
+ */
+export const fetchPendingInvitations = async (email) => {
+  if (!email) return []
+
+  const { data, error } = await supabase
+    .from('list_invitations')
+    .select('*, lists (name)')
+    .eq('email', email.toLowerCase())
+    .is('accepted_at', null)
+
+  if (error) throw error
+  return data || []
+}
+
+/**
+ * Accept an invitation and return the id of the list that was joined
+ */
+export const acceptInvitation = async (token) => {
+  const { data, error } = await supabase.rpc('accept_list_invitation', { p_token: token })
+
+  if (error) throw error
+  rememberActiveList(data)
+  return data
+}
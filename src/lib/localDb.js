@@ -0,0 +1,118 @@
+/**
+ * Local Database (IndexedDB)
+ *
+ * A tiny promise wrapper around IndexedDB used for offline support:
+ * - "cache":     last known server data, keyed by name (e.g. "list:<id>")
+ * - "mutations": changes made while offline, replayed in insertion order
+ *
+ * When IndexedDB is unavailable (server rendering, some private browsing modes)
+ * the same helpers fall back to memory, so the queue still works for the session.
+ */
+
+const DB_NAME = 'shopping-list'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+// In-memory stand-in used when IndexedDB can't be opened
+const memory = { cache: new Map(), mutations: [], seq: 0 }
+
+/**
+ * Open (and create/upgrade) the database once per page load
+ */
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains('cache')) {
+          db.createObjectStore('cache')
+        }
+        if (!db.objectStoreNames.contains('mutations')) {
+          // Auto-incrementing keys keep mutations in the order they were made
+          const mutations = db.createObjectStore('mutations', { keyPath: 'seq', autoIncrement: true })
+          mutations.createIndex('listId', 'listId')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => {
+        console.error('Error opening local database:', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Run a single request inside a transaction and resolve with its result
+ * `inMemory` performs the same operation on the fallback store
+ */
+const run = async (storeName, mode, makeRequest, inMemory) => {
+  const db = await openDb()
+  if (!db) return inMemory()
+
+  return new Promise((resolve) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = makeRequest(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => {
+      console.error(`Local database error (${storeName}):`, transaction.error)
+      resolve(inMemory())
+    }
+  })
+}
+
+// ============ CACHE ============
+
+/**
+ * Read a cached value (undefined when missing)
+ */
+export const readCache = (key) =>
+  run('cache', 'readonly', store => store.get(key), () => memory.cache.get(key))
+
+/**
+ * Store a value in the cache, replacing what was there
+ */
+export const writeCache = (key, value) =>
+  run('cache', 'readwrite', store => store.put(value, key), () => memory.cache.set(key, value))
+
+// ============ MUTATION QUEUE ============
+
+/**
+ * Append a mutation to the queue; resolves with its sequence number
+ */
+export const addMutation = (mutation) =>
+  run('mutations', 'readwrite', store => store.add(mutation), () => {
+    const seq = ++memory.seq
+    memory.mutations.push({ ...mutation, seq })
+    return seq
+  })
+
+/**
+ * All queued mutations of a list, oldest first
+ */
+export const getMutations = (listId) =>
+  run('mutations', 'readonly', store => store.index('listId').getAll(listId), () =>
+    memory.mutations.filter(mutation => mutation.listId === listId)
+  )
+
+/**
+ * Remove a mutation once it reached the server (or was discarded)
+ */
+export const removeMutation = (seq) =>
+  run('mutations', 'readwrite', store => store.delete(seq), () => {
+    memory.mutations = memory.mutations.filter(mutation => mutation.seq !== seq)
+  })
+
+/**
+ * Replace a queued mutation (e.g. after remapping ids during replay)
+ */
+export const updateMutation = (mutation) =>
+  run('mutations', 'readwrite', store => store.put(mutation), () => {
+    memory.mutations = memory.mutations.map(queued => queued.seq === mutation.seq ? mutation : queued)
+  })
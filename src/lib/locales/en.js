@@ -0,0 +1,423 @@
+/**
+ * English - the reference language: every message id exists here
+ * Counted messages: { one, other }
+ */
+const en = {
+  // ============ COMMON ============
+  'common.add': 'Add',
+  'common.cancel': 'Cancel',
+  'common.save': 'Save',
+  'common.close': 'Close',
+  'common.dismiss': 'Dismiss',
+  'common.loading': 'Loading...',
+
+  'app.title': 'Shopping List',
+  'language.label': 'Language',
+
+  'roles.owner': 'owner',
+  'roles.editor': 'editor',
+  'roles.viewer': 'viewer',
+
+  'defaultCategory.refrigerated': 'Refrigerated items',
+  'defaultCategory.bread': 'Bread',
+  'defaultCategory.produce': 'Fruit/Veggie',
+  'defaultCategory.frozen': 'Frozen',
+  'defaultCategory.bulk': 'Bulk',
+  'defaultCategory.household': 'Household items',
+
+  // ============ SHOPPING LIST ============
+  'list.notFoundTitle': 'List not found',
+  'list.notFoundText': 'This list doesn\'t exist or you are no longer a member.',
+  'list.goToLists': 'Go to my lists',
+  'list.loading': 'Loading your shopping list...',
+  'list.viewOnly': 'View only',
+  'list.archived': 'This list is archived.',
+  'list.restore': 'Restore',
+
+  'header.share': 'Share',
+  'header.accessTokens': 'Access tokens',
+  'header.api': 'API',
+  'header.signIn': 'Sign In',
+  'header.signInTitle': 'Sign in to keep this list in your account',
+  'header.signOut': 'Sign Out',
+  'header.signedInAs': 'Signed in as {email}',
+
+  'mode.store': 'Store',
+  'mode.plan': 'Plan',
+
+  'budget.overWarning': 'The planned trip (≈ {estimate}) is more than what\'s left of this month\'s budget ({left}).',
+
+  'guest.notice': 'You\'re using a guest list, saved only in this browser. Sign in to keep it and share it.',
+  'guest.signIn': 'Sign in',
+  'guest.listName': 'Guest list',
+
+  'invitations.invited': 'You\'ve been invited to {list} as {role}',
+  'invitations.sharedList': 'a shared list',
+  'invitations.join': 'Join',
+
+  'store.bought': '{count} bought',
+  'store.remaining': '{count} remaining',
+  'store.unavailable': '{count} unavailable',
+  'store.unavailableTitle': 'Out of stock or skipped - they stay on the list after Reset',
+  'store.totalTitle': 'Total of the bought items with a price',
+  'store.anyStore': 'Any store',
+  'store.reset': 'Reset',
+
+  'plan.itemsNeeded': { one: 'item needed for next trip', other: 'items needed for next trip' },
+  'plan.withoutPrice': { one: '+ {count} without price', other: '+ {count} without price' },
+  'plan.budgetLeft': '{amount} left this month',
+  'plan.budget': 'Budget',
+  'plan.setBudget': 'Set budget',
+  'plan.history': 'History',
+  'plan.historyTitle': 'Past trips',
+  'plan.meals': 'Meals',
+  'plan.mealsTitle': 'Recipes and meal plan',
+  'plan.stores': 'Stores',
+  'plan.storesTitle': 'Stores and aisle order',
+  'plan.trash': 'Trash',
+  'plan.categories': 'Categories',
+  'plan.categoriesTitle': 'Rename, hide and colour categories',
+  'plan.addCategory': 'Add Category',
+
+  'category.addTitle': 'Add New Category',
+  'category.namePlaceholder': 'Enter category name',
+  'category.exists': 'A category called "{name}" already exists',
+  'category.rename': 'Rename category',
+  'category.delete': 'Delete category',
+  'category.boughtStats': '{completed}/{total} bought',
+  'category.neededStats': '{completed}/{total} needed',
+  'category.addItemPlaceholder': 'Add item to {category}, e.g. 2 kg apples',
+  'category.emptyStore': 'No items needed from {category}',
+  'category.emptyPlan': 'No items in {category} yet',
+  'category.deleteTitle': 'Delete Category',
+  'category.deleteConfirm': 'Are you sure you want to delete the category {name}?',
+  'category.deleteNote': {
+    one: 'The category and all items in it move to the Trash, where you can restore them for {count} day.',
+    other: 'The category and all items in it move to the Trash, where you can restore them for {count} days.'
+  },
+  'category.deleteAction': 'Delete Category',
+
+  'item.unavailableTitle': 'Not available - keep it for the next trip',
+  'item.availableTitle': 'Available after all',
+  'item.notAtStore': 'Not at {store}',
+  'item.skip': 'Skip',
+  'item.skipTitle': 'Added by schedule - skip it this time',
+  'item.pricePlaceholder': 'Price',
+  'item.priceTitle': 'Price paid',
+  'item.addPrice': '+ price',
+  'item.edit': 'Edit item',
+  'item.delete': 'Delete item',
+
+  'undo.deleted': 'Deleted "{name}"',
+  'trash.emptyConfirm': 'Permanently delete everything in the Trash?',
+
+  'search.noMatch': 'No items match',
+  'search.clear': 'Clear search and filters',
+
+  'empty.storeTitle': 'No items to buy today!',
+  'empty.planTitle': 'Your shopping list is empty',
+  'empty.storeHint': 'Mark some items as needed in Plan Mode',
+  'empty.planHint': 'Add some items to get started!',
+
+  // ============ SIGN IN ============
+  'auth.subtitle': 'Sign in to manage your shopping lists',
+  'auth.subtitleGuest': 'Sign in to keep your guest list',
+  'auth.subtitleInvite': 'Sign in to join the shared shopping list',
+  'auth.continueAsGuest': 'Continue as guest',
+  'auth.guestHint': 'Your list stays in this browser until you sign in.',
+  'auth.backToGuest': 'Back to the guest list',
+  'auth.email': 'Email address',
+  'auth.emailPlaceholder': 'Your email address',
+  'auth.password': 'Your Password',
+  'auth.passwordPlaceholder': 'Your password',
+  'auth.createPassword': 'Create a Password',
+  'auth.signIn': 'Sign in',
+  'auth.signingIn': 'Signing in ...',
+  'auth.signUp': 'Sign up',
+  'auth.signingUp': 'Signing up ...',
+  'auth.signInWith': 'Sign in with {{provider}}',
+  'auth.haveAccount': 'Already have an account? Sign in',
+  'auth.noAccount': 'Don\'t have an account? Sign up',
+  'auth.signUpConfirmation': 'Check your email for the confirmation link',
+  'auth.forgotPassword': 'Forgot your password?',
+  'auth.sendReset': 'Send reset password instructions',
+  'auth.sendingReset': 'Sending reset instructions ...',
+  'auth.resetConfirmation': 'Check your email for the password reset link',
+
+  'invite.notAccepted': 'Invitation not accepted',
+  'invite.failed': 'This invitation could not be accepted',
+  'invite.goToList': 'Go to my list',
+  'invite.joining': 'Joining shared list...',
+
+  // ============ CATEGORIES ============
+  'categories.title': 'Categories',
+  'categories.hint': 'Rename, hide or delete any category and give it a colour and icon. Hidden categories keep their items.',
+  'categories.items': { one: '{count} item', other: '{count} items' },
+  'categories.hidden': 'Hidden',
+  'categories.hide': 'Hide category',
+  'categories.show': 'Show category',
+  'categories.customise': 'Colour and icon',
+  'categories.color': 'Colour',
+  'categories.icon': 'Icon',
+  'categories.restoreDefaults': 'Restore default categories',
+  'categories.restoreHint': 'Brings back the default categories that were deleted or hidden.',
+  'color.gray': 'Grey',
+  'color.red': 'Red',
+  'color.orange': 'Orange',
+  'color.amber': 'Amber',
+  'color.green': 'Green',
+  'color.teal': 'Teal',
+  'color.sky': 'Sky blue',
+  'color.blue': 'Blue',
+  'color.violet': 'Violet',
+  'color.pink': 'Pink',
+
+  // ============ BUDGET ============
+  'budget.title': 'Monthly budget',
+  'budget.placeholder': 'e.g. 400',
+  'budget.spent': 'Spent this month so far: {amount}',
+  'budget.remove': 'Remove budget',
+
+  // ============ IMPORT / EXPORT ============
+  'export.title': 'Export',
+  'export.filesHint': 'All categories and items, with their needed/bought state:',
+  'export.textHint': 'Needed items as text:',
+  'export.copied': 'Copied',
+  'export.copy': 'Copy as text',
+  'export.nothingNeeded': 'Nothing is marked as needed.',
+  'import.title': 'Import items',
+  'import.hint': 'Paste a list (one item per line), or a JSON or CSV export:',
+  'import.placeholder': 'Bread:\n- 2× baguette\nmilk (lactose-free)\n500g flour',
+  'import.chooseFile': 'Choose file',
+  'import.preview': 'Preview',
+  'import.noItems': 'No items found',
+  'import.unreadable': 'Could not read this: {message}',
+  'import.readAs': { one: 'Read as {format} · {count} item', other: 'Read as {format} · {count} items' },
+  'import.categories': 'Categories',
+  'import.noCategory': 'No category',
+  'import.newCategory': 'New: {name}',
+  'import.items': 'Items',
+  'import.duplicate': 'Already on list',
+  'import.duplicateTitle': 'Ticking it marks the existing item as needed',
+  'import.back': 'Back',
+  'import.action': { one: 'Import {count} item', other: 'Import {count} items' },
+
+  // ============ HISTORY ============
+  'history.title': 'Past trips',
+  'history.loadFailed': 'Could not load past trips',
+  'history.empty': 'No trips yet. Press Reset after shopping to record one.',
+  'history.bought': '{bought}/{needed} bought',
+  'history.left': '{count} left',
+  'history.unavailable': '{count} unavailable',
+  'history.addAll': 'Add all to next trip',
+  'history.addLeft': { one: 'Add the {count} left', other: 'Add the {count} left' },
+
+  // ============ ITEM EDITOR ============
+  'editor.name': 'Name',
+  'editor.quantity': 'Qty',
+  'editor.unit': 'Unit',
+  'editor.price': 'Price',
+  'editor.note': 'Note',
+  'editor.repeat': 'Repeat',
+  'editor.repeatNever': 'Never',
+  'editor.repeatTrip': 'Every trip',
+  'editor.repeatInterval': 'Every few days',
+  'editor.repeatWeekly': 'Weekly',
+  'editor.everyDays': { one: 'every {days} day', other: 'every {days} days' },
+  'editor.onWeekday': 'on {weekday}',
+  'editor.moveTo': 'Move to…',
+  'recurrence.trip': 'Every trip',
+  'recurrence.interval': { one: 'Every day', other: 'Every {count} days' },
+  'recurrence.weekly': 'Every {weekday}',
+
+  // ============ SEARCH ============
+  'search.placeholder': 'Search all items',
+  'search.clearQuery': 'Clear search',
+  'search.filter.needed': 'Needed only',
+  'search.filter.not-needed': 'Not needed',
+  'search.filter.recent': 'Recently added',
+  'search.matches': { one: '{count} item', other: '{count} items' },
+
+  // ============ LISTS ============
+  'lists.select': 'Select a list',
+  'lists.rename': 'Rename "{name}"',
+  'lists.archive': 'Archive this list',
+  'lists.export': 'Export this list',
+  'lists.import': 'Import items',
+  'lists.defaultName': 'My Shopping List',
+  'lists.newPlaceholder': 'New list name',
+  'lists.create': 'Create list',
+  'lists.showArchived': 'Show archived lists ({count})',
+  'lists.hideArchived': 'Hide archived lists ({count})',
+  'lists.restore': 'Restore list',
+
+  // ============ MEALS ============
+  'meals.title': 'Meal plan',
+  'meals.tab.week': 'Week',
+  'meals.tab.recipes': 'Recipes',
+  'meals.loadFailed': 'Could not load recipes',
+  'meals.recipeExists': '"{name}" already exists',
+  'meals.saveFailed': 'Could not save recipe',
+  'meals.deleteConfirm': 'Delete the recipe "{name}"? It\'s also taken off the meal plan.',
+  'meals.deleteFailed': 'Could not delete recipe',
+  'meals.noRecipes': 'No recipes yet.',
+  'meals.ingredients': { one: '{count} ingredient', other: '{count} ingredients' },
+  'meals.serves': { one: 'serves {count}', other: 'serves {count}' },
+  'meals.editRecipe': 'Edit recipe',
+  'meals.deleteRecipe': 'Delete recipe',
+  'meals.newRecipe': 'New recipe',
+  'meals.addRecipeFirst': 'Add a recipe first, then plan it on a day.',
+  'meals.addMeal': '+ Add meal',
+  'meals.planFailed': 'Could not plan meal',
+  'meals.for': 'for',
+  'meals.servingsFailed': 'Could not change servings',
+  'meals.removeMeal': 'Take off the plan',
+  'meals.removeFailed': 'Could not remove meal',
+  'meals.clearConfirm': 'Clear all meals of this week?',
+  'meals.clearFailed': 'Could not clear the plan',
+  'meals.clearWeek': 'Clear week',
+  'meals.shop': 'Shop for the plan',
+  'meals.shopHint': {
+    one: 'Ingredients of {count} planned meal, merged. Items already on the list are marked as needed, with at least the planned amount.',
+    other: 'Ingredients of {count} planned meals, merged. Items already on the list are marked as needed, with at least the planned amount.'
+  },
+  'meals.noIngredients': 'The planned recipes have no ingredients.',
+  'meals.alreadyNeeded': 'Already needed',
+  'meals.onList': 'On list',
+  'meals.addItems': { one: 'Add {count} item', other: 'Add {count} items' },
+  'recipe.name': 'Recipe name',
+  'recipe.serves': 'Serves',
+  'recipe.servesTitle': 'How many people the amounts are for',
+  'recipe.ingredients': 'Ingredients',
+  'recipe.noIngredients': 'No ingredients yet.',
+  'recipe.removeIngredient': 'Remove ingredient',
+  'recipe.ingredientPlaceholder': 'e.g. 500 g flour',
+  'recipe.addIngredient': 'Add ingredient',
+  'recipe.save': 'Save recipe',
+
+  // ============ QUICK ADD ============
+  'quickAdd.placeholder': 'Need something? e.g. 2 l milk',
+  'quickAdd.existingNeeded': 'Already on the list in {category} and needed',
+  'quickAdd.existingMark': 'Already on the list in {category} - it will be marked as needed',
+  'quickAdd.existingHidden': 'Already on the list in {category}, a hidden category - it will be marked as needed there',
+  'quickAdd.category': 'Category',
+
+  // ============ SHARING ============
+  'share.title': 'Share "{name}"',
+  'share.loadFailed': 'Could not load members',
+  'share.members': 'Members',
+  'share.unknownUser': 'Unknown user',
+  'share.you': '(you)',
+  'share.roleFailed': 'Could not change role',
+  'share.removeMember': 'Remove member',
+  'share.removeFailed': 'Could not remove member',
+  'share.invite': 'Invite',
+  'share.emailPlaceholder': 'Email address',
+  'share.invalidEmail': 'Enter a valid email address',
+  'share.alreadyMember': '{email} is already a member',
+  'share.inviteByEmail': 'Invite by email',
+  'share.inviteFailed': 'Could not send invitation',
+  'share.copyLink': 'Copy invite link',
+  'share.linkFailed': 'Could not create invite link',
+  'share.pending': 'Pending invitations',
+  'share.inviteLink': 'Invite link',
+  'share.copy': 'Copy link',
+  'share.revoke': 'Revoke invitation',
+  'share.revokeFailed': 'Could not revoke invitation',
+  'share.leave': 'Leave this list',
+  'share.leaveFailed': 'Could not leave list',
+
+  // ============ STORES ============
+  'stores.title': 'Stores & aisle order',
+  'stores.exists': '"{name}" already exists',
+  'stores.newPlaceholder': 'New store, e.g. Lidl Main St',
+  'stores.add': 'Add store',
+  'stores.addFailed': 'Could not add store',
+  'stores.delete': 'Delete store',
+  'stores.deleteFailed': 'Could not delete store',
+  'stores.orderHint': 'Put categories in the order you walk through the store.',
+  'stores.orderItems': 'Order items in this category',
+  'stores.noItems': 'No items in {category}',
+  'stores.saveOrder': 'Save order',
+  'stores.saveFailed': 'Could not save store order',
+  'stores.empty': 'Add a store to set up its aisle order.',
+  'stores.which': 'Which store?',
+  'stores.none': 'No particular store',
+  'stores.manage': 'Manage stores and aisle order',
+
+  // ============ SYNC ============
+  'sync.offline': 'Offline',
+  'sync.offlineCopy': 'Offline · last saved copy, read-only until you are back online',
+  'sync.pendingOffline': { one: '{count} change pending sync', other: '{count} changes pending sync' },
+  'sync.syncing': 'Syncing',
+  'sync.pending': 'Pending sync',
+  'sync.changes': { one: '{count} change', other: '{count} changes' },
+  'sync.undone': 'Change undone: {message}',
+  'sync.alreadyAdded': '"{name}" had already been added',
+  'sync.changedDeleted': 'An item you changed was deleted by someone else',
+  'sync.categoryChangedDeleted': 'A category you changed was deleted by someone else',
+  'sync.overridden': 'Someone else changed "{name}" at the same time, and their change was kept',
+  'sync.restoredPurged': 'An item you restored had already been deleted permanently',
+  'sync.categoryNameTaken': '"{name}" could not be restored: another category has that name now',
+  'sync.categoryPurged': '"{name}" had already been deleted permanently',
+  'sync.unknown': 'Unknown change "{type}"',
+  'sync.rejected': 'The server rejected a change',
+
+  // ============ ACTIVITY ============
+  'activity.title': 'Activity',
+  'activity.show': 'Show all activity',
+  'activity.hide': 'Show the latest only',
+  'activity.you': 'You',
+  'activity.someone': 'Someone',
+  'activity.itemAdded': 'Added',
+  'activity.itemRemoved': 'Removed',
+  'activity.itemNeeded': 'Needed',
+  'activity.itemUnneeded': 'No longer needed',
+  'activity.itemBought': 'Bought',
+  'activity.itemUnbought': 'Unticked',
+  'activity.categoryAdded': 'New category',
+  'activity.categoryDeleted': 'Category deleted',
+  'activity.tripReset': 'Trip finished',
+
+  // ============ SUGGESTIONS ============
+  'suggestions.title': 'Suggested for this trip',
+  'suggestions.every': { one: 'usually every day', other: 'usually every {count} days' },
+  'suggestions.lastBought': { one: 'last {count} day ago', other: 'last {count} days ago' },
+  'suggestions.add': 'Add to this trip',
+  'suggestions.dismiss': 'Not this time',
+
+  // ============ TRASH ============
+  'trash.title': 'Trash',
+  'trash.nameTaken': 'A category called "{name}" exists already. Rename or delete it to restore this one.',
+  'trash.hint': {
+    one: 'Deleted things are kept for {count} day, then removed for good.',
+    other: 'Deleted things are kept for {count} days, then removed for good.'
+  },
+  'trash.empty': 'The Trash is empty.',
+  'trash.categoryWith': { one: 'Category with {count} item', other: 'Category with {count} items' },
+  'trash.daysLeft': { one: '{count} day left', other: '{count} days left' },
+  'trash.restore': 'Restore',
+  'trash.purge': 'Delete permanently',
+  'trash.emptyAction': 'Empty Trash',
+  'undo.action': 'Undo',
+
+  // ============ ACCESS TOKENS ============
+  'tokens.title': 'Access tokens',
+  'tokens.hint': 'Scripts and other apps can read and change your lists through the API with a token: {header}',
+  'tokens.loadFailed': 'Could not load access tokens',
+  'tokens.namePlaceholder': 'Token name, e.g. Home assistant',
+  'tokens.nameRequired': 'Give the token a name, e.g. the script or device using it',
+  'tokens.create': 'Create',
+  'tokens.createFailed': 'Could not create access token',
+  'tokens.copyNow': 'Copy your new token now. It won\'t be shown again.',
+  'tokens.copy': 'Copy token',
+  'tokens.yours': 'Your tokens',
+  'tokens.none': 'No tokens yet',
+  'tokens.lastUsed': 'Last used {date}',
+  'tokens.neverUsed': 'Never used',
+  'tokens.revoke': 'Revoke token',
+  'tokens.revokeConfirm': 'Revoke "{name}"? Anything using it stops working.',
+  'tokens.revokeFailed': 'Could not revoke access token'
+}
+
+export default en
@@ -0,0 +1,423 @@
+/**
+ * French
+ * Counted messages: { one, other } - "one" is used for 0 and 1
+ */
+const fr = {
+  // ============ COMMON ============
+  'common.add': 'Ajouter',
+  'common.cancel': 'Annuler',
+  'common.save': 'Enregistrer',
+  'common.close': 'Fermer',
+  'common.dismiss': 'Masquer',
+  'common.loading': 'Chargement...',
+
+  'app.title': 'Liste de courses',
+  'language.label': 'Langue',
+
+  'roles.owner': 'propriétaire',
+  'roles.editor': 'éditeur',
+  'roles.viewer': 'lecteur',
+
+  'defaultCategory.refrigerated': 'Produits frais',
+  'defaultCategory.bread': 'Boulangerie',
+  'defaultCategory.produce': 'Fruits et légumes',
+  'defaultCategory.frozen': 'Surgelés',
+  'defaultCategory.bulk': 'Épicerie',
+  'defaultCategory.household': 'Entretien et hygiène',
+
+  // ============ SHOPPING LIST ============
+  'list.notFoundTitle': 'Liste introuvable',
+  'list.notFoundText': 'Cette liste n\'existe pas ou vous n\'en êtes plus membre.',
+  'list.goToLists': 'Aller à mes listes',
+  'list.loading': 'Chargement de votre liste de courses...',
+  'list.viewOnly': 'Lecture seule',
+  'list.archived': 'Cette liste est archivée.',
+  'list.restore': 'Restaurer',
+
+  'header.share': 'Partager',
+  'header.accessTokens': 'Jetons d\'accès',
+  'header.api': 'API',
+  'header.signIn': 'Se connecter',
+  'header.signInTitle': 'Connectez-vous pour garder cette liste dans votre compte',
+  'header.signOut': 'Se déconnecter',
+  'header.signedInAs': 'Connecté en tant que {email}',
+
+  'mode.store': 'Magasin',
+  'mode.plan': 'Préparer',
+
+  'budget.overWarning': 'Les courses prévues (≈ {estimate}) dépassent ce qui reste du budget du mois ({left}).',
+
+  'guest.notice': 'Vous utilisez une liste invité, enregistrée uniquement dans ce navigateur. Connectez-vous pour la garder et la partager.',
+  'guest.signIn': 'Se connecter',
+  'guest.listName': 'Liste invité',
+
+  'invitations.invited': 'Vous êtes invité à {list} en tant que {role}',
+  'invitations.sharedList': 'une liste partagée',
+  'invitations.join': 'Rejoindre',
+
+  'store.bought': { one: '{count} acheté', other: '{count} achetés' },
+  'store.remaining': { one: '{count} restant', other: '{count} restants' },
+  'store.unavailable': { one: '{count} indisponible', other: '{count} indisponibles' },
+  'store.unavailableTitle': 'En rupture ou passés - ils restent sur la liste après Terminer',
+  'store.totalTitle': 'Total des articles achetés avec un prix',
+  'store.anyStore': 'Tout magasin',
+  'store.reset': 'Terminer',
+
+  'plan.itemsNeeded': { one: 'article à acheter aux prochaines courses', other: 'articles à acheter aux prochaines courses' },
+  'plan.withoutPrice': { one: '+ {count} sans prix', other: '+ {count} sans prix' },
+  'plan.budgetLeft': 'reste {amount} ce mois-ci',
+  'plan.budget': 'Budget',
+  'plan.setBudget': 'Fixer un budget',
+  'plan.history': 'Historique',
+  'plan.historyTitle': 'Courses passées',
+  'plan.meals': 'Repas',
+  'plan.mealsTitle': 'Recettes et menu de la semaine',
+  'plan.stores': 'Magasins',
+  'plan.storesTitle': 'Magasins et ordre des rayons',
+  'plan.trash': 'Corbeille',
+  'plan.categories': 'Catégories',
+  'plan.categoriesTitle': 'Renommer, masquer et colorer les catégories',
+  'plan.addCategory': 'Ajouter une catégorie',
+
+  'category.addTitle': 'Nouvelle catégorie',
+  'category.namePlaceholder': 'Nom de la catégorie',
+  'category.exists': 'La catégorie « {name} » existe déjà',
+  'category.rename': 'Renommer la catégorie',
+  'category.delete': 'Supprimer la catégorie',
+  'category.boughtStats': '{completed}/{total} achetés',
+  'category.neededStats': '{completed}/{total} à acheter',
+  'category.addItemPlaceholder': 'Ajouter à {category}, ex. 2 kg pommes',
+  'category.emptyStore': 'Rien à acheter dans {category}',
+  'category.emptyPlan': 'Aucun article dans {category} pour l\'instant',
+  'category.deleteTitle': 'Supprimer la catégorie',
+  'category.deleteConfirm': 'Voulez-vous vraiment supprimer la catégorie {name} ?',
+  'category.deleteNote': {
+    one: 'La catégorie et tous ses articles vont dans la corbeille, où vous pouvez les restaurer pendant {count} jour.',
+    other: 'La catégorie et tous ses articles vont dans la corbeille, où vous pouvez les restaurer pendant {count} jours.'
+  },
+  'category.deleteAction': 'Supprimer la catégorie',
+
+  'item.unavailableTitle': 'Indisponible - le garder pour les prochaines courses',
+  'item.availableTitle': 'Disponible finalement',
+  'item.notAtStore': 'Pas chez {store}',
+  'item.skip': 'Passer',
+  'item.skipTitle': 'Ajouté par la répétition - le passer cette fois',
+  'item.pricePlaceholder': 'Prix',
+  'item.priceTitle': 'Prix payé',
+  'item.addPrice': '+ prix',
+  'item.edit': 'Modifier l\'article',
+  'item.delete': 'Supprimer l\'article',
+
+  'undo.deleted': '« {name} » supprimé',
+  'trash.emptyConfirm': 'Supprimer définitivement tout le contenu de la corbeille ?',
+
+  'search.noMatch': 'Aucun article trouvé',
+  'search.clear': 'Effacer la recherche et les filtres',
+
+  'empty.storeTitle': 'Rien à acheter aujourd\'hui !',
+  'empty.planTitle': 'Votre liste de courses est vide',
+  'empty.storeHint': 'Marquez des articles à acheter en mode Préparer',
+  'empty.planHint': 'Ajoutez des articles pour commencer !',
+
+  // ============ SIGN IN ============
+  'auth.subtitle': 'Connectez-vous pour gérer vos listes de courses',
+  'auth.subtitleGuest': 'Connectez-vous pour garder votre liste invité',
+  'auth.subtitleInvite': 'Connectez-vous pour rejoindre la liste partagée',
+  'auth.continueAsGuest': 'Continuer en invité',
+  'auth.guestHint': 'Votre liste reste dans ce navigateur jusqu\'à ce que vous vous connectiez.',
+  'auth.backToGuest': 'Retour à la liste invité',
+  'auth.email': 'Adresse e-mail',
+  'auth.emailPlaceholder': 'Votre adresse e-mail',
+  'auth.password': 'Votre mot de passe',
+  'auth.passwordPlaceholder': 'Votre mot de passe',
+  'auth.createPassword': 'Choisissez un mot de passe',
+  'auth.signIn': 'Se connecter',
+  'auth.signingIn': 'Connexion ...',
+  'auth.signUp': 'Créer un compte',
+  'auth.signingUp': 'Création du compte ...',
+  'auth.signInWith': 'Se connecter avec {{provider}}',
+  'auth.haveAccount': 'Déjà un compte ? Se connecter',
+  'auth.noAccount': 'Pas encore de compte ? En créer un',
+  'auth.signUpConfirmation': 'Consultez vos e-mails pour confirmer votre compte',
+  'auth.forgotPassword': 'Mot de passe oublié ?',
+  'auth.sendReset': 'Envoyer les instructions',
+  'auth.sendingReset': 'Envoi des instructions ...',
+  'auth.resetConfirmation': 'Consultez vos e-mails pour réinitialiser votre mot de passe',
+
+  'invite.notAccepted': 'Invitation non acceptée',
+  'invite.failed': 'Cette invitation n\'a pas pu être acceptée',
+  'invite.goToList': 'Aller à ma liste',
+  'invite.joining': 'Ajout à la liste partagée...',
+
+  // ============ CATEGORIES ============
+  'categories.title': 'Catégories',
+  'categories.hint': 'Renommez, masquez ou supprimez n\'importe quelle catégorie et donnez-lui une couleur et une icône. Les catégories masquées gardent leurs articles.',
+  'categories.items': { one: '{count} article', other: '{count} articles' },
+  'categories.hidden': 'Masquée',
+  'categories.hide': 'Masquer la catégorie',
+  'categories.show': 'Afficher la catégorie',
+  'categories.customise': 'Couleur et icône',
+  'categories.color': 'Couleur',
+  'categories.icon': 'Icône',
+  'categories.restoreDefaults': 'Rétablir les catégories par défaut',
+  'categories.restoreHint': 'Fait revenir les catégories par défaut supprimées ou masquées.',
+  'color.gray': 'Gris',
+  'color.red': 'Rouge',
+  'color.orange': 'Orange',
+  'color.amber': 'Ambre',
+  'color.green': 'Vert',
+  'color.teal': 'Sarcelle',
+  'color.sky': 'Bleu ciel',
+  'color.blue': 'Bleu',
+  'color.violet': 'Violet',
+  'color.pink': 'Rose',
+
+  // ============ BUDGET ============
+  'budget.title': 'Budget mensuel',
+  'budget.placeholder': 'ex. 400',
+  'budget.spent': 'Dépensé ce mois-ci : {amount}',
+  'budget.remove': 'Supprimer le budget',
+
+  // ============ IMPORT / EXPORT ============
+  'export.title': 'Exporter',
+  'export.filesHint': 'Toutes les catégories et tous les articles, avec leur état :',
+  'export.textHint': 'Articles à acheter, en texte :',
+  'export.copied': 'Copié',
+  'export.copy': 'Copier le texte',
+  'export.nothingNeeded': 'Aucun article à acheter.',
+  'import.title': 'Importer des articles',
+  'import.hint': 'Collez une liste (un article par ligne), ou un export JSON ou CSV :',
+  'import.placeholder': 'Boulangerie:\n- 2× baguette\nlait (sans lactose)\n500g farine',
+  'import.chooseFile': 'Choisir un fichier',
+  'import.preview': 'Aperçu',
+  'import.noItems': 'Aucun article trouvé',
+  'import.unreadable': 'Lecture impossible : {message}',
+  'import.readAs': { one: 'Lu comme {format} · {count} article', other: 'Lu comme {format} · {count} articles' },
+  'import.categories': 'Catégories',
+  'import.noCategory': 'Sans catégorie',
+  'import.newCategory': 'Nouvelle : {name}',
+  'import.items': 'Articles',
+  'import.duplicate': 'Déjà sur la liste',
+  'import.duplicateTitle': 'Le cocher marque l\'article existant à acheter',
+  'import.back': 'Retour',
+  'import.action': { one: 'Importer {count} article', other: 'Importer {count} articles' },
+
+  // ============ HISTORY ============
+  'history.title': 'Courses passées',
+  'history.loadFailed': 'Impossible de charger les courses passées',
+  'history.empty': 'Aucunes courses pour l\'instant. Appuyez sur Terminer après vos courses pour les enregistrer.',
+  'history.bought': '{bought}/{needed} achetés',
+  'history.left': { one: '{count} restant', other: '{count} restants' },
+  'history.unavailable': { one: '{count} indisponible', other: '{count} indisponibles' },
+  'history.addAll': 'Tout ajouter aux prochaines courses',
+  'history.addLeft': { one: 'Ajouter le restant', other: 'Ajouter les {count} restants' },
+
+  // ============ ITEM EDITOR ============
+  'editor.name': 'Nom',
+  'editor.quantity': 'Qté',
+  'editor.unit': 'Unité',
+  'editor.price': 'Prix',
+  'editor.note': 'Note',
+  'editor.repeat': 'Répéter',
+  'editor.repeatNever': 'Jamais',
+  'editor.repeatTrip': 'À chaque course',
+  'editor.repeatInterval': 'Tous les quelques jours',
+  'editor.repeatWeekly': 'Chaque semaine',
+  'editor.everyDays': { one: 'tous les {days} jour', other: 'tous les {days} jours' },
+  'editor.onWeekday': 'le {weekday}',
+  'editor.moveTo': 'Déplacer vers…',
+  'recurrence.trip': 'À chaque course',
+  'recurrence.interval': { one: 'Tous les jours', other: 'Tous les {count} jours' },
+  'recurrence.weekly': 'Chaque {weekday}',
+
+  // ============ SEARCH ============
+  'search.placeholder': 'Rechercher dans tous les articles',
+  'search.clearQuery': 'Effacer la recherche',
+  'search.filter.needed': 'À acheter',
+  'search.filter.not-needed': 'Pas à acheter',
+  'search.filter.recent': 'Ajoutés récemment',
+  'search.matches': { one: '{count} article', other: '{count} articles' },
+
+  // ============ LISTS ============
+  'lists.select': 'Choisir une liste',
+  'lists.rename': 'Renommer « {name} »',
+  'lists.archive': 'Archiver cette liste',
+  'lists.export': 'Exporter cette liste',
+  'lists.import': 'Importer des articles',
+  'lists.defaultName': 'Ma liste de courses',
+  'lists.newPlaceholder': 'Nom de la nouvelle liste',
+  'lists.create': 'Créer la liste',
+  'lists.showArchived': 'Afficher les listes archivées ({count})',
+  'lists.hideArchived': 'Masquer les listes archivées ({count})',
+  'lists.restore': 'Restaurer la liste',
+
+  // ============ MEALS ============
+  'meals.title': 'Menu de la semaine',
+  'meals.tab.week': 'Semaine',
+  'meals.tab.recipes': 'Recettes',
+  'meals.loadFailed': 'Impossible de charger les recettes',
+  'meals.recipeExists': '« {name} » existe déjà',
+  'meals.saveFailed': 'Impossible d\'enregistrer la recette',
+  'meals.deleteConfirm': 'Supprimer la recette « {name} » ? Elle est aussi retirée du menu.',
+  'meals.deleteFailed': 'Impossible de supprimer la recette',
+  'meals.noRecipes': 'Aucune recette pour l\'instant.',
+  'meals.ingredients': { one: '{count} ingrédient', other: '{count} ingrédients' },
+  'meals.serves': { one: 'pour {count} personne', other: 'pour {count} personnes' },
+  'meals.editRecipe': 'Modifier la recette',
+  'meals.deleteRecipe': 'Supprimer la recette',
+  'meals.newRecipe': 'Nouvelle recette',
+  'meals.addRecipeFirst': 'Ajoutez d\'abord une recette, puis prévoyez-la un jour.',
+  'meals.addMeal': '+ Ajouter un repas',
+  'meals.planFailed': 'Impossible de prévoir le repas',
+  'meals.for': 'pour',
+  'meals.servingsFailed': 'Impossible de changer le nombre de personnes',
+  'meals.removeMeal': 'Retirer du menu',
+  'meals.removeFailed': 'Impossible de retirer le repas',
+  'meals.clearConfirm': 'Effacer tous les repas de la semaine ?',
+  'meals.clearFailed': 'Impossible d\'effacer le menu',
+  'meals.clearWeek': 'Effacer la semaine',
+  'meals.shop': 'Faire les courses du menu',
+  'meals.shopHint': {
+    one: 'Ingrédients de {count} repas prévu, regroupés. Les articles déjà sur la liste sont marqués à acheter, avec au moins la quantité prévue.',
+    other: 'Ingrédients de {count} repas prévus, regroupés. Les articles déjà sur la liste sont marqués à acheter, avec au moins la quantité prévue.'
+  },
+  'meals.noIngredients': 'Les recettes prévues n\'ont pas d\'ingrédients.',
+  'meals.alreadyNeeded': 'Déjà à acheter',
+  'meals.onList': 'Sur la liste',
+  'meals.addItems': { one: 'Ajouter {count} article', other: 'Ajouter {count} articles' },
+  'recipe.name': 'Nom de la recette',
+  'recipe.serves': 'Pers.',
+  'recipe.servesTitle': 'Pour combien de personnes sont les quantités',
+  'recipe.ingredients': 'Ingrédients',
+  'recipe.noIngredients': 'Aucun ingrédient pour l\'instant.',
+  'recipe.removeIngredient': 'Retirer l\'ingrédient',
+  'recipe.ingredientPlaceholder': 'ex. 500 g farine',
+  'recipe.addIngredient': 'Ajouter l\'ingrédient',
+  'recipe.save': 'Enregistrer la recette',
+
+  // ============ QUICK ADD ============
+  'quickAdd.placeholder': 'Besoin de quelque chose ? ex. 2 l lait',
+  'quickAdd.existingNeeded': 'Déjà sur la liste dans {category}, à acheter',
+  'quickAdd.existingMark': 'Déjà sur la liste dans {category} - il sera marqué à acheter',
+  'quickAdd.existingHidden': 'Déjà sur la liste dans {category}, une catégorie masquée - il y sera marqué à acheter',
+  'quickAdd.category': 'Catégorie',
+
+  // ============ SHARING ============
+  'share.title': 'Partager « {name} »',
+  'share.loadFailed': 'Impossible de charger les membres',
+  'share.members': 'Membres',
+  'share.unknownUser': 'Utilisateur inconnu',
+  'share.you': '(vous)',
+  'share.roleFailed': 'Impossible de changer le rôle',
+  'share.removeMember': 'Retirer le membre',
+  'share.removeFailed': 'Impossible de retirer le membre',
+  'share.invite': 'Inviter',
+  'share.emailPlaceholder': 'Adresse e-mail',
+  'share.invalidEmail': 'Saisissez une adresse e-mail valide',
+  'share.alreadyMember': '{email} est déjà membre',
+  'share.inviteByEmail': 'Inviter par e-mail',
+  'share.inviteFailed': 'Impossible d\'envoyer l\'invitation',
+  'share.copyLink': 'Copier un lien d\'invitation',
+  'share.linkFailed': 'Impossible de créer le lien d\'invitation',
+  'share.pending': 'Invitations en attente',
+  'share.inviteLink': 'Lien d\'invitation',
+  'share.copy': 'Copier le lien',
+  'share.revoke': 'Révoquer l\'invitation',
+  'share.revokeFailed': 'Impossible de révoquer l\'invitation',
+  'share.leave': 'Quitter cette liste',
+  'share.leaveFailed': 'Impossible de quitter la liste',
+
+  // ============ STORES ============
+  'stores.title': 'Magasins et ordre des rayons',
+  'stores.exists': '« {name} » existe déjà',
+  'stores.newPlaceholder': 'Nouveau magasin, ex. Lidl centre-ville',
+  'stores.add': 'Ajouter le magasin',
+  'stores.addFailed': 'Impossible d\'ajouter le magasin',
+  'stores.delete': 'Supprimer le magasin',
+  'stores.deleteFailed': 'Impossible de supprimer le magasin',
+  'stores.orderHint': 'Rangez les catégories dans l\'ordre de votre parcours dans le magasin.',
+  'stores.orderItems': 'Ordonner les articles de cette catégorie',
+  'stores.noItems': 'Aucun article dans {category}',
+  'stores.saveOrder': 'Enregistrer l\'ordre',
+  'stores.saveFailed': 'Impossible d\'enregistrer l\'ordre du magasin',
+  'stores.empty': 'Ajoutez un magasin pour définir l\'ordre de ses rayons.',
+  'stores.which': 'Quel magasin ?',
+  'stores.none': 'Aucun magasin en particulier',
+  'stores.manage': 'Gérer les magasins et l\'ordre des rayons',
+
+  // ============ SYNC ============
+  'sync.offline': 'Hors ligne',
+  'sync.offlineCopy': 'Hors ligne · dernière copie enregistrée, en lecture seule jusqu\'au retour de la connexion',
+  'sync.pendingOffline': { one: '{count} modification en attente', other: '{count} modifications en attente' },
+  'sync.syncing': 'Synchronisation',
+  'sync.pending': 'En attente de synchronisation',
+  'sync.changes': { one: '{count} modification', other: '{count} modifications' },
+  'sync.undone': 'Modification annulée : {message}',
+  'sync.alreadyAdded': '« {name} » avait déjà été ajouté',
+  'sync.changedDeleted': 'Un article que vous avez modifié a été supprimé par quelqu\'un d\'autre',
+  'sync.categoryChangedDeleted': 'Une catégorie que vous avez modifiée a été supprimée par quelqu\'un d\'autre',
+  'sync.overridden': 'Quelqu\'un d\'autre a modifié « {name} » au même moment, et sa modification a été gardée',
+  'sync.restoredPurged': 'Un article que vous avez restauré avait déjà été supprimé définitivement',
+  'sync.categoryNameTaken': '« {name} » n\'a pas pu être restaurée : une autre catégorie porte ce nom maintenant',
+  'sync.categoryPurged': '« {name} » avait déjà été supprimé définitivement',
+  'sync.unknown': 'Modification inconnue « {type} »',
+  'sync.rejected': 'Le serveur a refusé une modification',
+
+  // ============ ACTIVITY ============
+  'activity.title': 'Activité',
+  'activity.show': 'Afficher toute l\'activité',
+  'activity.hide': 'Afficher seulement la dernière',
+  'activity.you': 'Vous',
+  'activity.someone': 'Quelqu\'un',
+  'activity.itemAdded': 'Ajouté',
+  'activity.itemRemoved': 'Supprimé',
+  'activity.itemNeeded': 'À acheter',
+  'activity.itemUnneeded': 'Plus besoin',
+  'activity.itemBought': 'Acheté',
+  'activity.itemUnbought': 'Décoché',
+  'activity.categoryAdded': 'Nouvelle catégorie',
+  'activity.categoryDeleted': 'Catégorie supprimée',
+  'activity.tripReset': 'Courses terminées',
+
+  // ============ SUGGESTIONS ============
+  'suggestions.title': 'Suggestions pour ces courses',
+  'suggestions.every': { one: 'en général tous les jours', other: 'en général tous les {count} jours' },
+  'suggestions.lastBought': { one: 'dernier achat il y a {count} jour', other: 'dernier achat il y a {count} jours' },
+  'suggestions.add': 'Ajouter à ces courses',
+  'suggestions.dismiss': 'Pas cette fois',
+
+  // ============ TRASH ============
+  'trash.title': 'Corbeille',
+  'trash.nameTaken': 'Une catégorie « {name} » existe déjà. Renommez-la ou supprimez-la pour restaurer celle-ci.',
+  'trash.hint': {
+    one: 'Les éléments supprimés sont conservés {count} jour, puis effacés définitivement.',
+    other: 'Les éléments supprimés sont conservés {count} jours, puis effacés définitivement.'
+  },
+  'trash.empty': 'La corbeille est vide.',
+  'trash.categoryWith': { one: 'Catégorie avec {count} article', other: 'Catégorie avec {count} articles' },
+  'trash.daysLeft': { one: '{count} jour restant', other: '{count} jours restants' },
+  'trash.restore': 'Restaurer',
+  'trash.purge': 'Supprimer définitivement',
+  'trash.emptyAction': 'Vider la corbeille',
+  'undo.action': 'Annuler',
+
+  // ============ ACCESS TOKENS ============
+  'tokens.title': 'Jetons d\'accès',
+  'tokens.hint': 'Les scripts et autres applications peuvent lire et modifier vos listes via l\'API avec un jeton : {header}',
+  'tokens.loadFailed': 'Impossible de charger les jetons d\'accès',
+  'tokens.namePlaceholder': 'Nom du jeton, ex. Domotique',
+  'tokens.nameRequired': 'Donnez un nom au jeton, par exemple le script ou l\'appareil qui l\'utilise',
+  'tokens.create': 'Créer',
+  'tokens.createFailed': 'Impossible de créer le jeton d\'accès',
+  'tokens.copyNow': 'Copiez votre nouveau jeton maintenant. Il ne sera plus affiché.',
+  'tokens.copy': 'Copier le jeton',
+  'tokens.yours': 'Vos jetons',
+  'tokens.none': 'Aucun jeton pour l\'instant',
+  'tokens.lastUsed': 'Dernière utilisation le {date}',
+  'tokens.neverUsed': 'Jamais utilisé',
+  'tokens.revoke': 'Révoquer le jeton',
+  'tokens.revokeConfirm': 'Révoquer « {name} » ? Tout ce qui l\'utilise cessera de fonctionner.',
+  'tokens.revokeFailed': 'Impossible de révoquer le jeton d\'accès'
+}
+
+export default fr
@@ -0,0 +1,425 @@
+/**
+ * Hebrew - written right to left
+ * Counted messages: { one, two, other }
+ */
+const he = {
+  // ============ COMMON ============
+  'common.add': 'הוספה',
+  'common.cancel': 'ביטול',
+  'common.save': 'שמירה',
+  'common.close': 'סגירה',
+  'common.dismiss': 'הסתרה',
+  'common.loading': 'טוען...',
+
+  'app.title': 'רשימת קניות',
+  'language.label': 'שפה',
+
+  'roles.owner': 'בעלים',
+  'roles.editor': 'עורך',
+  'roles.viewer': 'צופה',
+
+  'defaultCategory.refrigerated': 'מוצרי קירור',
+  'defaultCategory.bread': 'לחם ומאפים',
+  'defaultCategory.produce': 'פירות וירקות',
+  'defaultCategory.frozen': 'קפואים',
+  'defaultCategory.bulk': 'מזווה',
+  'defaultCategory.household': 'מוצרים לבית',
+
+  // ============ SHOPPING LIST ============
+  'list.notFoundTitle': 'הרשימה לא נמצאה',
+  'list.notFoundText': 'הרשימה הזו לא קיימת או שאינך חבר בה יותר.',
+  'list.goToLists': 'לרשימות שלי',
+  'list.loading': 'טוען את רשימת הקניות...',
+  'list.viewOnly': 'צפייה בלבד',
+  'list.archived': 'הרשימה הזו בארכיון.',
+  'list.restore': 'שחזור',
+
+  'header.share': 'שיתוף',
+  'header.accessTokens': 'אסימוני גישה',
+  'header.api': 'API',
+  'header.signIn': 'התחברות',
+  'header.signInTitle': 'התחברו כדי לשמור את הרשימה בחשבון',
+  'header.signOut': 'התנתקות',
+  'header.signedInAs': 'מחובר בתור {email}',
+
+  'mode.store': 'בחנות',
+  'mode.plan': 'תכנון',
+
+  'budget.overWarning': 'הקנייה המתוכננת (≈ {estimate}) גבוהה ממה שנשאר בתקציב החודש ({left}).',
+
+  'guest.notice': 'זו רשימת אורח, השמורה רק בדפדפן הזה. התחברו כדי לשמור ולשתף אותה.',
+  'guest.signIn': 'התחברות',
+  'guest.listName': 'רשימת אורח',
+
+  'invitations.invited': 'הוזמנת אל {list} בתור {role}',
+  'invitations.sharedList': 'רשימה משותפת',
+  'invitations.join': 'הצטרפות',
+
+  'store.bought': '{count} נקנו',
+  'store.remaining': '{count} נשארו',
+  'store.unavailable': '{count} לא במלאי',
+  'store.unavailableTitle': 'חסרים במלאי או שדולגו - הם נשארים ברשימה אחרי סיום',
+  'store.totalTitle': 'סך הפריטים שנקנו עם מחיר',
+  'store.anyStore': 'כל חנות',
+  'store.reset': 'סיום',
+
+  'plan.itemsNeeded': { one: 'פריט דרוש לקנייה הבאה', other: 'פריטים דרושים לקנייה הבאה' },
+  'plan.withoutPrice': { one: '+ פריט אחד בלי מחיר', other: '+ {count} בלי מחיר' },
+  'plan.budgetLeft': 'נשארו {amount} החודש',
+  'plan.budget': 'תקציב',
+  'plan.setBudget': 'הגדרת תקציב',
+  'plan.history': 'היסטוריה',
+  'plan.historyTitle': 'קניות קודמות',
+  'plan.meals': 'ארוחות',
+  'plan.mealsTitle': 'מתכונים ותפריט שבועי',
+  'plan.stores': 'חנויות',
+  'plan.storesTitle': 'חנויות וסדר מעברים',
+  'plan.trash': 'סל מחזור',
+  'plan.categories': 'קטגוריות',
+  'plan.categoriesTitle': 'שינוי שם, הסתרה וצבע של קטגוריות',
+  'plan.addCategory': 'הוספת קטגוריה',
+
+  'category.addTitle': 'קטגוריה חדשה',
+  'category.namePlaceholder': 'שם הקטגוריה',
+  'category.exists': 'כבר יש קטגוריה בשם "{name}"',
+  'category.rename': 'שינוי שם הקטגוריה',
+  'category.delete': 'מחיקת הקטגוריה',
+  'category.boughtStats': '{completed}/{total} נקנו',
+  'category.neededStats': '{completed}/{total} דרושים',
+  'category.addItemPlaceholder': 'הוספה אל {category}, למשל 2 ק"ג תפוחים',
+  'category.emptyStore': 'אין מה לקנות מ{category}',
+  'category.emptyPlan': 'אין עדיין פריטים ב{category}',
+  'category.deleteTitle': 'מחיקת קטגוריה',
+  'category.deleteConfirm': 'למחוק את הקטגוריה {name}?',
+  'category.deleteNote': {
+    one: 'הקטגוריה וכל הפריטים שבה יעברו לסל המחזור, ואפשר לשחזר אותם במשך יום אחד.',
+    two: 'הקטגוריה וכל הפריטים שבה יעברו לסל המחזור, ואפשר לשחזר אותם במשך יומיים.',
+    other: 'הקטגוריה וכל הפריטים שבה יעברו לסל המחזור, ואפשר לשחזר אותם במשך {count} ימים.'
+  },
+  'category.deleteAction': 'מחיקת הקטגוריה',
+
+  'item.unavailableTitle': 'לא במלאי - להשאיר לקנייה הבאה',
+  'item.availableTitle': 'בכל זאת במלאי',
+  'item.notAtStore': 'לא היה ב{store}',
+  'item.skip': 'דילוג',
+  'item.skipTitle': 'נוסף לפי תזמון - לדלג הפעם',
+  'item.pricePlaceholder': 'מחיר',
+  'item.priceTitle': 'המחיר ששולם',
+  'item.addPrice': '+ מחיר',
+  'item.edit': 'עריכת פריט',
+  'item.delete': 'מחיקת פריט',
+
+  'undo.deleted': '"{name}" נמחק',
+  'trash.emptyConfirm': 'למחוק לצמיתות את כל מה שבסל המחזור?',
+
+  'search.noMatch': 'לא נמצאו פריטים',
+  'search.clear': 'ניקוי החיפוש והמסננים',
+
+  'empty.storeTitle': 'אין מה לקנות היום!',
+  'empty.planTitle': 'רשימת הקניות ריקה',
+  'empty.storeHint': 'סמנו פריטים כדרושים במצב תכנון',
+  'empty.planHint': 'הוסיפו פריטים כדי להתחיל!',
+
+  // ============ SIGN IN ============
+  'auth.subtitle': 'התחברו כדי לנהל את רשימות הקניות שלכם',
+  'auth.subtitleGuest': 'התחברו כדי לשמור את רשימת האורח',
+  'auth.subtitleInvite': 'התחברו כדי להצטרף לרשימה המשותפת',
+  'auth.continueAsGuest': 'המשך כאורח',
+  'auth.guestHint': 'הרשימה נשמרת בדפדפן הזה עד שתתחברו.',
+  'auth.backToGuest': 'חזרה לרשימת האורח',
+  'auth.email': 'כתובת אימייל',
+  'auth.emailPlaceholder': 'כתובת האימייל שלך',
+  'auth.password': 'הסיסמה שלך',
+  'auth.passwordPlaceholder': 'הסיסמה שלך',
+  'auth.createPassword': 'בחירת סיסמה',
+  'auth.signIn': 'התחברות',
+  'auth.signingIn': 'מתחבר ...',
+  'auth.signUp': 'הרשמה',
+  'auth.signingUp': 'נרשם ...',
+  'auth.signInWith': 'התחברות עם {{provider}}',
+  'auth.haveAccount': 'כבר יש לך חשבון? התחברות',
+  'auth.noAccount': 'אין לך חשבון? הרשמה',
+  'auth.signUpConfirmation': 'בדקו את האימייל לקישור האישור',
+  'auth.forgotPassword': 'שכחת סיסמה?',
+  'auth.sendReset': 'שליחת הוראות לאיפוס סיסמה',
+  'auth.sendingReset': 'שולח הוראות ...',
+  'auth.resetConfirmation': 'בדקו את האימייל לקישור לאיפוס הסיסמה',
+
+  'invite.notAccepted': 'ההזמנה לא התקבלה',
+  'invite.failed': 'לא ניתן היה לקבל את ההזמנה',
+  'invite.goToList': 'לרשימה שלי',
+  'invite.joining': 'מצטרף לרשימה המשותפת...',
+
+  // ============ CATEGORIES ============
+  'categories.title': 'קטגוריות',
+  'categories.hint': 'אפשר לשנות שם, להסתיר או למחוק כל קטגוריה ולתת לה צבע וסמל. קטגוריות מוסתרות שומרות על הפריטים שלהן.',
+  'categories.items': { one: 'פריט אחד', other: '{count} פריטים' },
+  'categories.hidden': 'מוסתרת',
+  'categories.hide': 'הסתרת הקטגוריה',
+  'categories.show': 'הצגת הקטגוריה',
+  'categories.customise': 'צבע וסמל',
+  'categories.color': 'צבע',
+  'categories.icon': 'סמל',
+  'categories.restoreDefaults': 'שחזור קטגוריות ברירת המחדל',
+  'categories.restoreHint': 'מחזיר את קטגוריות ברירת המחדל שנמחקו או הוסתרו.',
+  'color.gray': 'אפור',
+  'color.red': 'אדום',
+  'color.orange': 'כתום',
+  'color.amber': 'ענבר',
+  'color.green': 'ירוק',
+  'color.teal': 'טורקיז',
+  'color.sky': 'תכלת',
+  'color.blue': 'כחול',
+  'color.violet': 'סגול',
+  'color.pink': 'ורוד',
+
+  // ============ BUDGET ============
+  'budget.title': 'תקציב חודשי',
+  'budget.placeholder': 'למשל 400',
+  'budget.spent': 'הוצאות החודש עד עכשיו: {amount}',
+  'budget.remove': 'הסרת התקציב',
+
+  // ============ IMPORT / EXPORT ============
+  'export.title': 'ייצוא',
+  'export.filesHint': 'כל הקטגוריות והפריטים, עם המצב שלהם:',
+  'export.textHint': 'הפריטים הדרושים כטקסט:',
+  'export.copied': 'הועתק',
+  'export.copy': 'העתקה כטקסט',
+  'export.nothingNeeded': 'אין פריטים שמסומנים כדרושים.',
+  'import.title': 'ייבוא פריטים',
+  'import.hint': 'הדביקו רשימה (פריט בכל שורה), או ייצוא JSON או CSV:',
+  'import.placeholder': 'לחם ומאפים:\n- 2× באגט\nחלב (ללא לקטוז)\n500 גרם קמח',
+  'import.chooseFile': 'בחירת קובץ',
+  'import.preview': 'תצוגה מקדימה',
+  'import.noItems': 'לא נמצאו פריטים',
+  'import.unreadable': 'לא ניתן לקרוא: {message}',
+  'import.readAs': { one: 'נקרא כ-{format} · פריט אחד', other: 'נקרא כ-{format} · {count} פריטים' },
+  'import.categories': 'קטגוריות',
+  'import.noCategory': 'ללא קטגוריה',
+  'import.newCategory': 'חדשה: {name}',
+  'import.items': 'פריטים',
+  'import.duplicate': 'כבר ברשימה',
+  'import.duplicateTitle': 'סימון יסמן את הפריט הקיים כדרוש',
+  'import.back': 'חזרה',
+  'import.action': { one: 'ייבוא פריט אחד', other: 'ייבוא {count} פריטים' },
+
+  // ============ HISTORY ============
+  'history.title': 'קניות קודמות',
+  'history.loadFailed': 'לא ניתן לטעון את הקניות הקודמות',
+  'history.empty': 'אין עדיין קניות. לחצו על סיום אחרי הקנייה כדי לשמור אחת.',
+  'history.bought': '{bought}/{needed} נקנו',
+  'history.left': { one: 'אחד נשאר', other: '{count} נשארו' },
+  'history.unavailable': '{count} לא במלאי',
+  'history.addAll': 'הוספת הכול לקנייה הבאה',
+  'history.addLeft': { one: 'הוספת הפריט שנשאר', other: 'הוספת {count} הפריטים שנשארו' },
+
+  // ============ ITEM EDITOR ============
+  'editor.name': 'שם',
+  'editor.quantity': 'כמות',
+  'editor.unit': 'יחידה',
+  'editor.price': 'מחיר',
+  'editor.note': 'הערה',
+  'editor.repeat': 'חזרה',
+  'editor.repeatNever': 'אף פעם',
+  'editor.repeatTrip': 'בכל קנייה',
+  'editor.repeatInterval': 'כל כמה ימים',
+  'editor.repeatWeekly': 'כל שבוע',
+  'editor.everyDays': { one: 'כל {days} יום', other: 'כל {days} ימים' },
+  'editor.onWeekday': 'ב{weekday}',
+  'editor.moveTo': 'העברה אל…',
+  'recurrence.trip': 'בכל קנייה',
+  'recurrence.interval': { one: 'כל יום', two: 'כל יומיים', other: 'כל {count} ימים' },
+  'recurrence.weekly': 'כל {weekday}',
+
+  // ============ SEARCH ============
+  'search.placeholder': 'חיפוש בכל הפריטים',
+  'search.clearQuery': 'ניקוי החיפוש',
+  'search.filter.needed': 'רק דרושים',
+  'search.filter.not-needed': 'לא דרושים',
+  'search.filter.recent': 'נוספו לאחרונה',
+  'search.matches': { one: 'פריט אחד', other: '{count} פריטים' },
+
+  // ============ LISTS ============
+  'lists.select': 'בחירת רשימה',
+  'lists.rename': 'שינוי השם של "{name}"',
+  'lists.archive': 'העברת הרשימה לארכיון',
+  'lists.export': 'ייצוא הרשימה',
+  'lists.import': 'ייבוא פריטים',
+  'lists.defaultName': 'רשימת הקניות שלי',
+  'lists.newPlaceholder': 'שם לרשימה חדשה',
+  'lists.create': 'יצירת רשימה',
+  'lists.showArchived': 'הצגת רשימות בארכיון ({count})',
+  'lists.hideArchived': 'הסתרת רשימות בארכיון ({count})',
+  'lists.restore': 'שחזור הרשימה',
+
+  // ============ MEALS ============
+  'meals.title': 'תפריט שבועי',
+  'meals.tab.week': 'שבוע',
+  'meals.tab.recipes': 'מתכונים',
+  'meals.loadFailed': 'לא ניתן לטעון את המתכונים',
+  'meals.recipeExists': '"{name}" כבר קיים',
+  'meals.saveFailed': 'לא ניתן לשמור את המתכון',
+  'meals.deleteConfirm': 'למחוק את המתכון "{name}"? הוא יוסר גם מהתפריט.',
+  'meals.deleteFailed': 'לא ניתן למחוק את המתכון',
+  'meals.noRecipes': 'אין עדיין מתכונים.',
+  'meals.ingredients': { one: 'מרכיב אחד', other: '{count} מרכיבים' },
+  'meals.serves': { one: 'לסועד אחד', other: 'ל-{count} סועדים' },
+  'meals.editRecipe': 'עריכת המתכון',
+  'meals.deleteRecipe': 'מחיקת המתכון',
+  'meals.newRecipe': 'מתכון חדש',
+  'meals.addRecipeFirst': 'הוסיפו קודם מתכון, ואז שבצו אותו ביום.',
+  'meals.addMeal': '+ הוספת ארוחה',
+  'meals.planFailed': 'לא ניתן לשבץ את הארוחה',
+  'meals.for': 'ל-',
+  'meals.servingsFailed': 'לא ניתן לשנות את מספר הסועדים',
+  'meals.removeMeal': 'הסרה מהתפריט',
+  'meals.removeFailed': 'לא ניתן להסיר את הארוחה',
+  'meals.clearConfirm': 'לנקות את כל הארוחות של השבוע?',
+  'meals.clearFailed': 'לא ניתן לנקות את התפריט',
+  'meals.clearWeek': 'ניקוי השבוע',
+  'meals.shop': 'קניות לפי התפריט',
+  'meals.shopHint': {
+    one: 'המרכיבים של ארוחה מתוכננת אחת, מאוחדים. פריטים שכבר ברשימה יסומנו כדרושים, עם הכמות המתוכננת לפחות.',
+    other: 'המרכיבים של {count} ארוחות מתוכננות, מאוחדים. פריטים שכבר ברשימה יסומנו כדרושים, עם הכמות המתוכננת לפחות.'
+  },
+  'meals.noIngredients': 'למתכונים המתוכננים אין מרכיבים.',
+  'meals.alreadyNeeded': 'כבר דרוש',
+  'meals.onList': 'ברשימה',
+  'meals.addItems': { one: 'הוספת פריט אחד', other: 'הוספת {count} פריטים' },
+  'recipe.name': 'שם המתכון',
+  'recipe.serves': 'סועדים',
+  'recipe.servesTitle': 'לכמה אנשים הכמויות',
+  'recipe.ingredients': 'מרכיבים',
+  'recipe.noIngredients': 'אין עדיין מרכיבים.',
+  'recipe.removeIngredient': 'הסרת המרכיב',
+  'recipe.ingredientPlaceholder': 'למשל 500 גרם קמח',
+  'recipe.addIngredient': 'הוספת מרכיב',
+  'recipe.save': 'שמירת המתכון',
+
+  // ============ QUICK ADD ============
+  'quickAdd.placeholder': 'צריך משהו? למשל 2 ליטר חלב',
+  'quickAdd.existingNeeded': 'כבר ברשימה ב{category} ומסומן כדרוש',
+  'quickAdd.existingMark': 'כבר ברשימה ב{category} - הוא יסומן כדרוש',
+  'quickAdd.existingHidden': 'כבר ברשימה ב{category}, קטגוריה מוסתרת - הוא יסומן שם כדרוש',
+  'quickAdd.category': 'קטגוריה',
+
+  // ============ SHARING ============
+  'share.title': 'שיתוף "{name}"',
+  'share.loadFailed': 'לא ניתן לטעון את החברים',
+  'share.members': 'חברים',
+  'share.unknownUser': 'משתמש לא ידוע',
+  'share.you': '(את/ה)',
+  'share.roleFailed': 'לא ניתן לשנות את התפקיד',
+  'share.removeMember': 'הסרת החבר',
+  'share.removeFailed': 'לא ניתן להסיר את החבר',
+  'share.invite': 'הזמנה',
+  'share.emailPlaceholder': 'כתובת אימייל',
+  'share.invalidEmail': 'נא להזין כתובת אימייל תקינה',
+  'share.alreadyMember': '{email} כבר חבר ברשימה',
+  'share.inviteByEmail': 'הזמנה באימייל',
+  'share.inviteFailed': 'לא ניתן לשלוח את ההזמנה',
+  'share.copyLink': 'העתקת קישור הזמנה',
+  'share.linkFailed': 'לא ניתן ליצור קישור הזמנה',
+  'share.pending': 'הזמנות ממתינות',
+  'share.inviteLink': 'קישור הזמנה',
+  'share.copy': 'העתקת הקישור',
+  'share.revoke': 'ביטול ההזמנה',
+  'share.revokeFailed': 'לא ניתן לבטל את ההזמנה',
+  'share.leave': 'עזיבת הרשימה',
+  'share.leaveFailed': 'לא ניתן לעזוב את הרשימה',
+
+  // ============ STORES ============
+  'stores.title': 'חנויות וסדר מעברים',
+  'stores.exists': '"{name}" כבר קיימת',
+  'stores.newPlaceholder': 'חנות חדשה, למשל שופרסל במרכז',
+  'stores.add': 'הוספת חנות',
+  'stores.addFailed': 'לא ניתן להוסיף את החנות',
+  'stores.delete': 'מחיקת החנות',
+  'stores.deleteFailed': 'לא ניתן למחוק את החנות',
+  'stores.orderHint': 'סדרו את הקטגוריות לפי המסלול שלכם בחנות.',
+  'stores.orderItems': 'סידור הפריטים בקטגוריה',
+  'stores.noItems': 'אין פריטים ב{category}',
+  'stores.saveOrder': 'שמירת הסדר',
+  'stores.saveFailed': 'לא ניתן לשמור את סדר החנות',
+  'stores.empty': 'הוסיפו חנות כדי לקבוע את סדר המעברים שלה.',
+  'stores.which': 'באיזו חנות?',
+  'stores.none': 'בלי חנות מסוימת',
+  'stores.manage': 'ניהול חנויות וסדר מעברים',
+
+  // ============ SYNC ============
+  'sync.offline': 'לא מחובר',
+  'sync.offlineCopy': 'לא מחובר · העותק השמור האחרון, לקריאה בלבד עד שהחיבור יחזור',
+  'sync.pendingOffline': { one: 'שינוי אחד ממתין לסנכרון', other: '{count} שינויים ממתינים לסנכרון' },
+  'sync.syncing': 'מסנכרן',
+  'sync.pending': 'ממתין לסנכרון',
+  'sync.changes': { one: 'שינוי אחד', other: '{count} שינויים' },
+  'sync.undone': 'השינוי בוטל: {message}',
+  'sync.alreadyAdded': '"{name}" כבר נוסף',
+  'sync.changedDeleted': 'פריט ששינית נמחק על ידי מישהו אחר',
+  'sync.categoryChangedDeleted': 'קטגוריה ששינית נמחקה על ידי מישהו אחר',
+  'sync.overridden': 'מישהו אחר שינה את "{name}" באותו זמן, והשינוי האחר נשמר',
+  'sync.restoredPurged': 'פריט ששחזרת כבר נמחק לצמיתות',
+  'sync.categoryNameTaken': 'לא ניתן לשחזר את "{name}": לקטגוריה אחרת יש עכשיו את השם הזה',
+  'sync.categoryPurged': '"{name}" כבר נמחק לצמיתות',
+  'sync.unknown': 'שינוי לא מוכר "{type}"',
+  'sync.rejected': 'השרת דחה שינוי',
+
+  // ============ ACTIVITY ============
+  'activity.title': 'פעילות',
+  'activity.show': 'הצגת כל הפעילות',
+  'activity.hide': 'הצגת האחרונה בלבד',
+  'activity.you': 'את/ה',
+  'activity.someone': 'מישהו',
+  'activity.itemAdded': 'נוסף',
+  'activity.itemRemoved': 'נמחק',
+  'activity.itemNeeded': 'צריך',
+  'activity.itemUnneeded': 'כבר לא צריך',
+  'activity.itemBought': 'נקנה',
+  'activity.itemUnbought': 'סימון בוטל',
+  'activity.categoryAdded': 'קטגוריה חדשה',
+  'activity.categoryDeleted': 'קטגוריה נמחקה',
+  'activity.tripReset': 'סיום קנייה',
+
+  // ============ SUGGESTIONS ============
+  'suggestions.title': 'הצעות לקנייה הזו',
+  'suggestions.every': { one: 'בדרך כלל כל יום', two: 'בדרך כלל כל יומיים', other: 'בדרך כלל כל {count} ימים' },
+  'suggestions.lastBought': { one: 'נקנה לאחרונה אתמול', two: 'נקנה לאחרונה לפני יומיים', other: 'נקנה לאחרונה לפני {count} ימים' },
+  'suggestions.add': 'הוספה לקנייה הזו',
+  'suggestions.dismiss': 'לא הפעם',
+
+  // ============ TRASH ============
+  'trash.title': 'סל מחזור',
+  'trash.nameTaken': 'כבר קיימת קטגוריה בשם "{name}". יש לשנות את שמה או למחוק אותה כדי לשחזר את זו.',
+  'trash.hint': {
+    one: 'דברים שנמחקו נשמרים יום אחד, ואז נמחקים לצמיתות.',
+    two: 'דברים שנמחקו נשמרים יומיים, ואז נמחקים לצמיתות.',
+    other: 'דברים שנמחקו נשמרים {count} ימים, ואז נמחקים לצמיתות.'
+  },
+  'trash.empty': 'סל המחזור ריק.',
+  'trash.categoryWith': { one: 'קטגוריה עם פריט אחד', other: 'קטגוריה עם {count} פריטים' },
+  'trash.daysLeft': { one: 'נשאר יום אחד', two: 'נשארו יומיים', other: 'נשארו {count} ימים' },
+  'trash.restore': 'שחזור',
+  'trash.purge': 'מחיקה לצמיתות',
+  'trash.emptyAction': 'ריקון סל המחזור',
+  'undo.action': 'ביטול',
+
+  // ============ ACCESS TOKENS ============
+  'tokens.title': 'אסימוני גישה',
+  'tokens.hint': 'סקריפטים ואפליקציות אחרות יכולים לקרוא ולשנות את הרשימות שלך דרך ה-API עם אסימון: {header}',
+  'tokens.loadFailed': 'לא ניתן לטעון את אסימוני הגישה',
+  'tokens.namePlaceholder': 'שם האסימון, למשל בית חכם',
+  'tokens.nameRequired': 'תנו לאסימון שם, למשל הסקריפט או המכשיר שמשתמש בו',
+  'tokens.create': 'יצירה',
+  'tokens.createFailed': 'לא ניתן ליצור את אסימון הגישה',
+  'tokens.copyNow': 'העתיקו את האסימון החדש עכשיו. הוא לא יוצג שוב.',
+  'tokens.copy': 'העתקת האסימון',
+  'tokens.yours': 'האסימונים שלך',
+  'tokens.none': 'אין עדיין אסימונים',
+  'tokens.lastUsed': 'שימוש אחרון: {date}',
+  'tokens.neverUsed': 'לא נעשה שימוש',
+  'tokens.revoke': 'ביטול האסימון',
+  'tokens.revokeConfirm': 'לבטל את "{name}"? כל מה שמשתמש בו יפסיק לעבוד.',
+  'tokens.revokeFailed': 'לא ניתן לבטל את אסימון הגישה'
+}
+
+export default he
@@ -0,0 +1,279 @@
+/**
+ * In-Memory List Repository
+ *
+ * Same interface and behaviour as the Supabase repository (see listRepository.js),
+ * kept in memory: for tests, and for trying the sync logic without a database.
+ * Writes emit the same change events Supabase realtime would, to every
+ * subscriber of the list, after the write has resolved.
+ *
+ * Like the database, every update bumps the row's version (rows without one
+ * count as version 1, the column default).
+ *
+ * Extras that only make sense in memory:
+ * - setOffline(true) makes every call fail like a dropped connection
+ * - inspect() returns a copy of all rows, including trips and activity
+ * Store profiles aren't part of it, so renameCategory only moves items.
+ */
+
+const copy = (value) => structuredClone(value)
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase()
+
+const sameInstant = (a, b) => Boolean(a && b) && Date.parse(a) === Date.parse(b)
+
+const versionOf = (row) => row.version ?? 1
+
+/**
+ * Whether a row is at the version a write expects (any, if none is given)
+ */
+const atVersion = (row, version) => version === undefined || versionOf(row) === version
+
+/**
+ * Whether a row is in the Trash and matches a { column: value, before } filter
+ */
+const trashedMatch = (row, column, value, before) =>
+  Boolean(row.deleted_at) &&
+  (value === undefined || row[column] === value) &&
+  (before === undefined || Date.parse(row.deleted_at) <= Date.parse(before))
+
+/**
+ * Create an in-memory repository, optionally seeded with rows
+ */
+export const createMemoryRepository = ({ items = [], categories = [], trips = [], activity = [] } = {}) => {
+  // table name -> rows
+  const tables = {
+    shopping_items: copy(items),
+    categories: copy(categories),
+    trips: copy(trips),
+    activity: copy(activity)
+  }
+  const subscribers = new Set()  // { listId, onChange }
+  let offline = false
+
+  // ============ HELPERS ============
+
+  /**
+   * Fail like fetch() does without a connection
+   */
+  const connection = () => {
+    if (offline) throw new TypeError('Failed to fetch')
+  }
+
+  /**
+   * Tell the list's subscribers about a change, after the current call returns
+   * Like Supabase with replica identity full (see the shared_lists migration),
+   * UPDATE and DELETE events carry the whole previous row in `old`.
+   */
+  const emit = (table, eventType, row, previous = row) => {
+    if (table === 'trips') return
+    const payload = {
+      eventType,
+      new: eventType === 'DELETE' ? {} : copy(row),
+      old: eventType === 'INSERT' ? {} : copy(previous)
+    }
+    subscribers.forEach(({ listId, onChange }) => {
+      if (row.list_id === listId) queueMicrotask(() => onChange(table, copy(payload)))
+    })
+  }
+
+  const insert = (table, row) => {
+    if (tables[table].some(existing => existing.id === row.id)) return
+    tables[table] = [...tables[table], copy(row)]
+    emit(table, 'INSERT', row)
+  }
+
+  /**
+   * Update the rows matching `where` and emit an UPDATE for each; returns how many changed
+   */
+  const update = (table, where, changes) => {
+    let count = 0
+    tables[table] = tables[table].map(row => {
+      if (!where(row)) return row
+      count++
+      const updated = { ...row, ...copy(changes), ...(table !== 'trips' && { version: versionOf(row) + 1 }) }
+      emit(table, 'UPDATE', updated, row)
+      return updated
+    })
+    return count
+  }
+
+  /**
+   * Delete the rows matching `where` and emit a DELETE for each
+   */
+  const remove = (table, where) => {
+    tables[table] = tables[table].filter(row => {
+      if (!where(row)) return true
+      emit(table, 'DELETE', row)
+      return false
+    })
+  }
+
+  const find = (table, where) => tables[table].find(where) || null
+
+  // ============ REPOSITORY ============
+
+  return {
+    async fetchList(listId) {
+      connection()
+      return {
+        items: copy(tables.shopping_items.filter(item => item.list_id === listId)),
+        categories: copy(tables.categories.filter(category => category.list_id === listId))
+      }
+    },
+
+    // ============ ITEMS ============
+
+    async findLiveItem(listId, { name, category, excludeId }) {
+      connection()
+      const item = find('shopping_items', item =>
+        item.list_id === listId && item.category === category && sameName(item.name, name) &&
+        !item.deleted_at && item.id !== excludeId
+      )
+      return item?.id || null
+    },
+
+    async fetchItem(listId, id) {
+      connection()
+      return copy(find('shopping_items', item => item.id === id && item.list_id === listId))
+    },
+
+    async insertItem(item) {
+      connection()
+      insert('shopping_items', item)
+    },
+
+    async updateItem(listId, id, changes, { version } = {}) {
+      connection()
+      return update('shopping_items', item => item.id === id && item.list_id === listId && atVersion(item, version), changes) > 0
+    },
+
+    async updateItems(listId, ids, changes) {
+      connection()
+      update('shopping_items', item => item.list_id === listId && ids.includes(item.id), changes)
+    },
+
+    async deleteItem(listId, id) {
+      connection()
+      remove('shopping_items', item => item.id === id && item.list_id === listId)
+    },
+
+    async trashCategoryItems(listId, category, deletedAt) {
+      connection()
+      update('shopping_items', item => item.list_id === listId && item.category === category && !item.deleted_at, { deleted_at: deletedAt })
+    },
+
+    async restoreCategoryItems(listId, category, deletedAt) {
+      connection()
+      update('shopping_items', item =>
+        item.list_id === listId && item.category === category && sameInstant(item.deleted_at, deletedAt),
+      { deleted_at: null })
+    },
+
+    async purgeTrashedItems(listId, { category, before } = {}) {
+      connection()
+      remove('shopping_items', item => item.list_id === listId && trashedMatch(item, 'category', category, before))
+    },
+
+    // ============ CATEGORIES ============
+
+    async fetchCategory(listId, name) {
+      connection()
+      return copy(find('categories', category => category.list_id === listId && category.name === name && !category.deleted_at))
+    },
+
+    async insertCategory(category) {
+      connection()
+      // Like the unique index on live category names
+      if (find('categories', row => row.list_id === category.list_id && row.name === category.name && !row.deleted_at)) return
+      insert('categories', category)
+    },
+
+    async renameCategory(listId, from, to) {
+      connection()
+      // Same checks as the rename_category database function
+      if (!to.trim()) throw new Error('Category name cannot be empty')
+      if (find('categories', category => category.list_id === listId && category.name === to && !category.deleted_at)) {
+        throw new Error(`A category called "${to}" already exists`)
+      }
+
+      remove('categories', category => category.list_id === listId && category.name === to && category.deleted_at)
+      update('categories', category => category.list_id === listId && category.name === from, { name: to })
+      update('shopping_items', item => item.list_id === listId && item.category === from, { category: to })
+    },
+
+    async updateCategory(listId, name, changes, { version } = {}) {
+      connection()
+      return update('categories', category =>
+        category.list_id === listId && category.name === name && !category.deleted_at && atVersion(category, version),
+      changes) > 0
+    },
+
+    async trashCategory(listId, name, deletedAt) {
+      connection()
+      update('categories', category => category.list_id === listId && category.name === name && !category.deleted_at, { deleted_at: deletedAt })
+    },
+
+    async restoreCategory(listId, { id, name }) {
+      connection()
+      const restored = (category) => category.list_id === listId && category.deleted_at && (id ? category.id === id : category.name === name)
+      const names = new Set(tables.categories.filter(restored).map(category => category.name))
+
+      // Like the unique index on live category names
+      if (tables.categories.some(category => category.list_id === listId && !category.deleted_at && names.has(category.name))) {
+        throw new Error('duplicate key value violates unique constraint "categories_list_id_name_key"')
+      }
+      return update('categories', restored, { deleted_at: null }) > 0
+    },
+
+    async purgeTrashedCategories(listId, { name, before } = {}) {
+      connection()
+      remove('categories', category => category.list_id === listId && trashedMatch(category, 'name', name, before))
+    },
+
+    // ============ TRIPS ============
+
+    async insertTrip(trip) {
+      connection()
+      insert('trips', trip)
+    },
+
+    // ============ ACTIVITY ============
+
+    async insertActivity(entries) {
+      connection()
+      entries.forEach(entry => insert('activity', entry))
+    },
+
+    async fetchActivity(listId, { limit }) {
+      connection()
+      return copy(tables.activity
+        .filter(entry => entry.list_id === listId)
+        .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+        .slice(0, limit))
+    },
+
+    // ============ REAL-TIME ============
+
+    subscribe(listId, { onChange, onStatus }) {
+      const subscriber = { listId, onChange }
+      subscribers.add(subscriber)
+      if (onStatus) queueMicrotask(() => onStatus('SUBSCRIBED'))
+      return () => subscribers.delete(subscriber)
+    },
+
+    // ============ IN MEMORY ONLY ============
+
+    setOffline(value) {
+      offline = value
+    },
+
+    inspect() {
+      return {
+        items: copy(tables.shopping_items),
+        categories: copy(tables.categories),
+        trips: copy(tables.trips),
+        activity: copy(tables.activity)
+      }
+    }
+  }
+}
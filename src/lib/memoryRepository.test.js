@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { createMemoryRepository } from './memoryRepository'
+import { applyServerChange, isNetworkError, generateId } from './syncQueue'
+
+// The in-memory repository has to behave like Supabase, change events included:
+// patching a copy of the list with its events must give what fetchList returns.
+
+let listId
+let repository
+let events
+
+const item = (name, fields = {}) => ({
+  id: generateId(),
+  list_id: listId,
+  name,
+  category: 'Bread',
+  needed: false,
+  bought: false,
+  deleted_at: null,
+  ...fields
+})
+
+/**
+ * Let queued change events arrive
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+beforeEach(() => {
+  listId = generateId()
+  repository = createMemoryRepository()
+  events = []
+})
+
+describe('change events', () => {
+  it('reports inserts, updates and deletes to subscribers of the list', async () => {
+    repository.subscribe(listId, { onChange: (table, payload) => events.push({ table, ...payload }) })
+    const bread = item('Baguette')
+
+    await repository.insertItem(bread)
+    await repository.updateItem(listId, bread.id, { needed: true })
+    await repository.deleteItem(listId, bread.id)
+    await settle()
+
+    expect(events.map(event => [event.table, event.eventType])).toEqual([
+      ['shopping_items', 'INSERT'],
+      ['shopping_items', 'UPDATE'],
+      ['shopping_items', 'DELETE']
+    ])
+    expect(events[1].new).toMatchObject({ id: bread.id, needed: true })
+    expect(events[1].old).toEqual(bread)  // Whole rows, like replica identity full
+    expect(events[2].old).toEqual(events[1].new)
+  })
+
+  it('patching a copy with the events gives the same list', async () => {
+    let patched = await repository.fetchList(listId)
+    repository.subscribe(listId, {
+      onChange: (table, payload) => { patched = applyServerChange(patched, table, payload) }
+    })
+
+    const bread = item('Baguette')
+    const rolls = item('Rolls', { category: 'Snacks' })
+    await repository.insertCategory({ id: generateId(), list_id: listId, name: 'Snacks', deleted_at: null })
+    await repository.insertItem(bread)
+    await repository.insertItem(rolls)
+    await repository.updateItems(listId, [bread.id, rolls.id], { needed: true })
+    await repository.trashCategoryItems(listId, 'Snacks', '2026-10-01T10:00:00.000Z')
+    await repository.trashCategory(listId, 'Snacks', '2026-10-01T10:00:00.000Z')
+    await repository.purgeTrashedItems(listId, { category: 'Snacks' })
+    await repository.renameCategory(listId, 'Bread', 'Bakery')
+    await settle()
+
+    expect(patched).toEqual(await repository.fetchList(listId))
+  })
+
+  it('only reports changes of the subscribed list, until unsubscribed', async () => {
+    const unsubscribe = repository.subscribe(listId, { onChange: (table, payload) => events.push(payload) })
+
+    await repository.insertItem({ ...item('Elsewhere'), list_id: generateId() })
+    await settle()
+    expect(events).toEqual([])
+
+    unsubscribe()
+    await repository.insertItem(item('Baguette'))
+    await settle()
+    expect(events).toEqual([])
+  })
+
+  it('reports the subscription as connected', async () => {
+    const statuses = []
+    repository.subscribe(listId, { onChange: () => {}, onStatus: (status) => statuses.push(status) })
+    await settle()
+
+    expect(statuses).toEqual(['SUBSCRIBED'])
+  })
+})
+
+describe('items and categories', () => {
+  it('finds live items by name regardless of case', async () => {
+    const milk = item('Milk')
+    await repository.insertItem(milk)
+    await repository.insertItem(item('Oat milk', { deleted_at: '2026-10-01T10:00:00.000Z' }))
+
+    expect(await repository.findLiveItem(listId, { name: 'MILK', category: 'Bread', excludeId: null })).toBe(milk.id)
+    expect(await repository.findLiveItem(listId, { name: 'milk', category: 'Bread', excludeId: milk.id })).toBeNull()
+    expect(await repository.findLiveItem(listId, { name: 'oat milk', category: 'Bread', excludeId: null })).toBeNull()
+  })
+
+  it('keeps its rows to itself', async () => {
+    const bread = item('Baguette')
+    await repository.insertItem(bread)
+    bread.name = 'Changed outside'
+
+    const { items } = await repository.fetchList(listId)
+    items[0].needed = true
+    expect((await repository.fetchList(listId)).items[0]).toMatchObject({ name: 'Baguette', needed: false })
+  })
+
+  it('fails like a dropped connection while offline', async () => {
+    repository.setOffline(true)
+
+    const error = await repository.fetchList(listId).catch(error => error)
+    expect(isNetworkError(error)).toBe(true)
+  })
+})
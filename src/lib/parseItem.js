@@ -0,0 +1,142 @@
+/**
+ * Item Text Parsing
+ *
+ * Turns free text typed into an "add item" field into structured fields:
+ *   "2 kg apples, organic"   -> { quantity: 2, unit: 'kg', name: 'apples', note: 'organic' }
+ *   "milk (lactose-free)"    -> { quantity: null, unit: null, name: 'milk', note: 'lactose-free' }
+ *   "500g flour"             -> { quantity: 500, unit: 'g', name: 'flour', note: null }
+ *   "eggs x12" / "3x lemons" -> { quantity: 12, name: 'eggs' } / { quantity: 3, name: 'lemons' }
+ *   "1/2 l cream"            -> { quantity: 0.5, unit: 'l', name: 'cream' }
+ *
+ * Words after a number that aren't known units stay part of the name
+ * ("2 red apples" -> 2 × "red apples").
+ */
+
+// ============ UNITS ============
+
+// Recognised units, mapped to the spelling we store
+const UNIT_ALIASES = {
+  g: 'g', gr: 'g', gram: 'g', grams: 'g',
+  kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg',
+  mg: 'mg',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  ml: 'ml', cl: 'cl', dl: 'dl',
+  oz: 'oz', lb: 'lb', lbs: 'lb',
+  pc: 'pcs', pcs: 'pcs', piece: 'pcs', pieces: 'pcs',
+  pack: 'pack', packs: 'pack', pkg: 'pack',
+  can: 'can', cans: 'can',
+  bottle: 'bottle', bottles: 'bottle',
+  bag: 'bag', bags: 'bag',
+  box: 'box', boxes: 'box',
+  jar: 'jar', jars: 'jar',
+  bunch: 'bunch', bunches: 'bunch',
+  dozen: 'dozen',
+  tbsp: 'tbsp', tsp: 'tsp',
+  cup: 'cup', cups: 'cup'
+}
+
+// Units that make sense in the unit dropdown when editing an item
+export const COMMON_UNITS = ['pcs', 'g', 'kg', 'ml', 'l', 'pack', 'can', 'bottle', 'bag', 'box', 'jar', 'bunch', 'dozen']
+
+/**
+ * Normalise a unit ("Kilos" -> "kg"); returns null for anything unknown
+ */
+export const normalizeUnit = (unit) => {
+  if (!unit) return null
+  return UNIT_ALIASES[unit.toLowerCase().replace(/\.$/, '')] || null
+}
+
+// ============ NUMBERS ============
+
+// 2, 2.5, 2,5, 1/2, 1 1/2
+const NUMBER = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:[.,]\\d+)?)'
+
+/**
+ * Parse "2", "2,5", "1/2" or "1 1/2" into a number
+ */
+const parseNumber = (text) => {
+  const value = text.trim().replace(',', '.')
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/)
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3])
+  const fraction = value.match(/^(\d+)\/(\d+)$/)
+  if (fraction) return Number(fraction[2]) === 0 ? null : Number(fraction[1]) / Number(fraction[2])
+  return Number(value)
+}
+
+// ============ PARSING ============
+
+/**
+ * Split free text into { name, quantity, unit, note }
+ * quantity, unit and note are null when not given
+ */
+export const parseItemInput = (input) => {
+  let text = (input || '').trim().replace(/\s+/g, ' ')
+  let quantity = null
+  let unit = null
+  const notes = []
+
+  // Notes in parentheses: "milk (lactose-free)"
+  text = text.replace(/\(([^)]*)\)/g, (_match, note) => {
+    if (note.trim()) notes.push(note.trim())
+    return ' '
+  }).trim()
+
+  // Everything after the first comma is a note: "apples, organic"
+  // ...skipping decimal separators ("1,5 l milk, organic")
+  const commaIndex = text.search(/(?<!\d),|,(?!\d)/)
+  if (commaIndex !== -1) {
+    const note = text.slice(commaIndex + 1).trim()
+    if (note) notes.unshift(note)
+    text = text.slice(0, commaIndex).trim()
+  }
+
+  let match
+  if ((match = text.match(new RegExp(`^${NUMBER}\\s*[x×]\\s+(.+)$`, 'i')))) {
+    // Leading count: "3x apples" / "3 x apples"
+    quantity = parseNumber(match[1])
+    text = match[2]
+  } else if ((match = text.match(new RegExp(`^${NUMBER}\\s*([a-zA-Z]+\\.?)\\s+(.+)$`))) && normalizeUnit(match[2])) {
+    // Leading amount with unit: "2 kg apples" / "500g flour"
+    quantity = parseNumber(match[1])
+    unit = normalizeUnit(match[2])
+    text = match[3]
+  } else if ((match = text.match(new RegExp(`^${NUMBER}\\s+(.+)$`)))) {
+    // Leading count: "2 apples"
+    quantity = parseNumber(match[1])
+    text = match[2]
+  } else if ((match = text.match(new RegExp(`^(.+?)\\s+[x×]\\s*${NUMBER}$`, 'i')))) {
+    // Trailing count: "apples x3"
+    quantity = parseNumber(match[2])
+    text = match[1]
+  } else if ((match = text.match(new RegExp(`^(.+?)\\s+${NUMBER}\\s*([a-zA-Z]+\\.?)$`))) && normalizeUnit(match[3])) {
+    // Trailing amount with unit: "apples 2 kg" / "flour 500g"
+    quantity = parseNumber(match[2])
+    unit = normalizeUnit(match[3])
+    text = match[1]
+  }
+
+  if (quantity !== null && !(quantity > 0)) quantity = null  // "0 apples" or "1/0" isn't a quantity
+
+  return {
+    name: text.trim(),
+    quantity,
+    unit: quantity === null ? null : unit,
+    note: notes.length > 0 ? notes.join(', ') : null
+  }
+}
+
+// ============ FORMATTING ============
+
+/**
+ * Format a number without pointless decimals: 2 -> "2", 0.5 -> "0.5", 1.333 -> "1.33"
+ */
+const formatNumber = (value) => String(Math.round(value * 100) / 100)
+
+/**
+ * Short quantity label for an item: "2 kg", "×3", or '' when there is no quantity
+ */
+export const formatQuantity = (item) => {
+  if (item.quantity === null || item.quantity === undefined || item.quantity === '') return ''
+  const amount = formatNumber(Number(item.quantity))
+  return item.unit ? `${amount} ${item.unit}` : `×${amount}`
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeUnit, parseItemInput, formatQuantity } from './parseItem'
+
+// ============ UNITS ============
+
+describe('normalizeUnit', () => {
+  it('brings spellings of a unit to its short form', () => {
+    expect(normalizeUnit('Kilos')).toBe('kg')
+    expect(normalizeUnit('kg.')).toBe('kg')
+  })
+
+  it('returns null for unknown or missing units', () => {
+    expect(normalizeUnit('handful')).toBeNull()
+    expect(normalizeUnit('')).toBeNull()
+    expect(normalizeUnit(null)).toBeNull()
+  })
+})
+
+// ============ PARSING ============
+
+describe('parseItemInput', () => {
+  it('reads quantity, unit, name and note', () => {
+    expect(parseItemInput('2 kg apples, organic')).toEqual({ name: 'apples', quantity: 2, unit: 'kg', note: 'organic' })
+  })
+
+  it('reads a note in brackets', () => {
+    expect(parseItemInput('milk (lactose-free)')).toMatchObject({ name: 'milk', quantity: null, note: 'lactose-free' })
+  })
+
+  it('reads a unit written against the number', () => {
+    expect(parseItemInput('500g flour')).toMatchObject({ name: 'flour', quantity: 500, unit: 'g' })
+  })
+
+  it('reads counts written with x, before or after the name', () => {
+    expect(parseItemInput('eggs x12')).toMatchObject({ name: 'eggs', quantity: 12, unit: null })
+    expect(parseItemInput('3x lemons')).toMatchObject({ name: 'lemons', quantity: 3, unit: null })
+  })
+
+  it('reads fractions, mixed numbers and decimal commas', () => {
+    expect(parseItemInput('1/2 l cream')).toMatchObject({ name: 'cream', quantity: 0.5, unit: 'l' })
+    expect(parseItemInput('1 1/2 kg sugar')).toMatchObject({ name: 'sugar', quantity: 1.5, unit: 'kg' })
+    expect(parseItemInput('1,5 l milk')).toMatchObject({ name: 'milk', quantity: 1.5, unit: 'l' })
+  })
+
+  it('reads a note after a quantity with a decimal comma', () => {
+    expect(parseItemInput('1,5 l milk, organic')).toEqual({ name: 'milk', quantity: 1.5, unit: 'l', note: 'organic' })
+    expect(parseItemInput('milk 1,5 l, organic')).toEqual({ name: 'milk', quantity: 1.5, unit: 'l', note: 'organic' })
+  })
+
+  it('keeps a word that is not a unit in the name', () => {
+    expect(parseItemInput('2 red apples')).toMatchObject({ name: 'red apples', quantity: 2, unit: null })
+  })
+
+  it('reads an amount after the name', () => {
+    expect(parseItemInput('apples 2 kg')).toMatchObject({ name: 'apples', quantity: 2, unit: 'kg' })
+  })
+
+  it('ignores a quantity of zero', () => {
+    expect(parseItemInput('0 apples')).toMatchObject({ quantity: null })
+  })
+})
+
+// ============ FORMATTING ============
+
+describe('formatQuantity', () => {
+  it('writes an amount with its unit, or as a count', () => {
+    expect(formatQuantity({ quantity: 2, unit: 'kg' })).toBe('2 kg')
+    expect(formatQuantity({ quantity: 3, unit: null })).toBe('×3')
+  })
+
+  it('rounds to two decimals', () => {
+    expect(formatQuantity({ quantity: 1.3333, unit: 'l' })).toBe('1.33 l')
+  })
+
+  it('writes nothing without a quantity', () => {
+    expect(formatQuantity({ quantity: null, unit: null })).toBe('')
+  })
+})
@@ -0,0 +1,38 @@
+/**
+ * Prices and Budget
+ *
+ * An item's `price` is what was paid for it (the whole line, e.g. for "2 kg apples")
+ * the last time it was bought. It stays on the item across trips, so the next
+ * trip can be estimated from it.
+ */
+
+/**
+ * Parse a typed price ("2.50", "2,50", "€3") into a number; null when empty or invalid
+ */
+export const parsePrice = (text) => {
+  const cleaned = String(text ?? '').replace(/[^\d.,]/g, '').replace(',', '.')
+  if (!cleaned) return null
+  const value = Number(cleaned)
+  return Number.isFinite(value) && value >= 0 ? Math.round(value * 100) / 100 : null
+}
+
+/**
+ * Format an amount with two decimals in the user's locale ("12.40")
+ */
+export const formatPrice = (value) =>
+  Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+/**
+ * Total price of some items: { total, missing } where `missing` counts items without a price
+ */
+export const sumPrices = (items) => items.reduce(
+  (sum, item) => item.price === null || item.price === undefined
+    ? { ...sum, missing: sum.missing + 1 }
+    : { ...sum, total: sum.total + Number(item.price) },
+  { total: 0, missing: 0 }
+)
+
+/**
+ * First moment of the current month (local time), as an ISO string
+ */
+export const startOfMonth = (now = new Date()) => new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
@@ -0,0 +1,305 @@
+import { supabase } from './supabase'
+import { readCache, writeCache } from './localDb'
+import { isNetworkError } from './syncQueue'
+import { formatQuantity } from './parseItem'
+
+/**
+ * Recipes and Meal Plan
+ *
+ * A recipe is a named list of ingredients in the same shape as list items:
+ *   { name, category, quantity, unit, note }
+ * The meal plan puts recipes on days of the week. "Shop for the plan" adds
+ * up the ingredients of every planned meal (scaled to its servings), merges
+ * amounts of the same ingredient - converting g/kg and ml/l where needed - and
+ * matches them to items already on the list, so nothing ends up there twice.
+ */
+
+// Days of the plan in display order, as weekday numbers (0 = Sunday, see recurrence.js)
+export const PLAN_DAYS = [1, 2, 3, 4, 5, 6, 0]
+
+// ============ DATABASE OPERATIONS ============
+
+/**
+ * Fetch the recipes of a list, by name
+ * Offline, the recipes from the last successful fetch are returned instead
+ */
+export const fetchRecipes = async (listId) => {
+  const { data, error } = await supabase
+    .from('recipes')
+    .select('*')
+    .eq('list_id', listId)
+    .order('name', { ascending: true })
+
+  if (error) {
+    const cached = isNetworkError(error) && await readCache(`recipes:${listId}`)
+    if (cached) return cached
+    throw error
+  }
+
+  await writeCache(`recipes:${listId}`, data || [])
+  return data || []
+}
+
+/**
+ * Create a recipe ({ name, servings, ingredients })
+ */
+export const createRecipe = async (listId, userId, recipe) => {
+  const { data, error } = await supabase
+    .from('recipes')
+    .insert([{ ...recipe, list_id: listId, created_by: userId }])
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Update a recipe (name, servings, ingredients)
+ */
+export const updateRecipe = async (recipeId, changes) => {
+  const { error } = await supabase
+    .from('recipes')
+    .update(changes)
+    .eq('id', recipeId)
+
+  if (error) throw error
+}
+
+/**
+ * Delete a recipe; it's taken off the meal plan too
+ */
+export const deleteRecipe = async (recipeId) => {
+  const { error } = await supabase
+    .from('recipes')
+    .delete()
+    .eq('id', recipeId)
+
+  if (error) throw error
+}
+
+/**
+ * Fetch the planned meals of a list
+ * Offline, the plan from the last successful fetch is returned instead
+ */
+export const fetchMealPlan = async (listId) => {
+  const { data, error } = await supabase
+    .from('meal_plan')
+    .select('*')
+    .eq('list_id', listId)
+    .order('created_at', { ascending: true })
+
+  if (error) {
+    const cached = isNetworkError(error) && await readCache(`meal-plan:${listId}`)
+    if (cached) return cached
+    throw error
+  }
+
+  await writeCache(`meal-plan:${listId}`, data || [])
+  return data || []
+}
+
+/**
+ * Plan a recipe on a day of the week
+ */
+export const addMeal = async (listId, recipeId, weekday) => {
+  const { error } = await supabase
+    .from('meal_plan')
+    .insert([{ list_id: listId, recipe_id: recipeId, weekday }])
+
+  if (error) throw error
+}
+
+/**
+ * Change the servings of a planned meal (null = the recipe's own servings)
+ */
+export const updateMeal = async (mealId, changes) => {
+  const { error } = await supabase
+    .from('meal_plan')
+    .update(changes)
+    .eq('id', mealId)
+
+  if (error) throw error
+}
+
+/**
+ * Take a meal off the plan
+ */
+export const removeMeal = async (mealId) => {
+  const { error } = await supabase
+    .from('meal_plan')
+    .delete()
+    .eq('id', mealId)
+
+  if (error) throw error
+}
+
+/**
+ * Clear the whole week
+ */
+export const clearMealPlan = async (listId) => {
+  const { error } = await supabase
+    .from('meal_plan')
+    .delete()
+    .eq('list_id', listId)
+
+  if (error) throw error
+}
+
+// ============ AMOUNTS ============
+
+// Units that can be added up, as [base unit, factor]; no unit counts pieces
+const UNIT_BASES = {
+  mg: ['g', 0.001], g: ['g', 1], kg: ['g', 1000],
+  ml: ['ml', 1], cl: ['ml', 10], dl: ['ml', 100], l: ['ml', 1000],
+  pcs: ['pcs', 1], dozen: ['pcs', 12]
+}
+
+const unitBase = (unit) => UNIT_BASES[unit || 'pcs'] || [unit, 1]
+
+const round = (value) => Math.round(value * 1000) / 1000
+
+/**
+ * Add two amounts ({ quantity, unit }), in the unit of the first one
+ * A missing quantity adds nothing; returns null when the units don't mix (g + can)
+ */
+export const addAmounts = (a, b) => {
+  if (b.quantity === null || b.quantity === undefined) return { quantity: a.quantity ?? null, unit: a.unit || null }
+  if (a.quantity === null || a.quantity === undefined) return { quantity: b.quantity, unit: b.unit || null }
+
+  const [baseA, factorA] = unitBase(a.unit)
+  const [baseB, factorB] = unitBase(b.unit)
+  if (baseA !== baseB) return null
+  return { quantity: round(a.quantity + b.quantity * factorB / factorA), unit: a.unit || null }
+}
+
+/**
+ * Add an amount to a total that may already hold amounts in other units:
+ * { quantity, unit, extra: [amounts that couldn't be added to the main one] }
+ */
+const addToTotal = (total, amount) => {
+  const sum = addAmounts(total, amount)
+  if (sum) return { ...total, ...sum }
+
+  const index = total.extra.findIndex(extra => addAmounts(extra, amount))
+  const extra = index === -1
+    ? [...total.extra, amount]
+    : total.extra.map((existing, position) => position === index ? addAmounts(existing, amount) : existing)
+  return { ...total, extra }
+}
+
+/**
+ * The larger of two amounts, or null when the units don't mix
+ * A missing quantity is the smaller one.
+ */
+const largerAmount = (a, b) => {
+  if (b.quantity === null || b.quantity === undefined) return { quantity: a.quantity ?? null, unit: a.unit || null }
+  if (a.quantity === null || a.quantity === undefined) return { quantity: b.quantity, unit: b.unit || null }
+
+  const [baseA, factorA] = unitBase(a.unit)
+  const [baseB, factorB] = unitBase(b.unit)
+  if (baseA !== baseB) return null
+  const larger = a.quantity * factorA >= b.quantity * factorB ? a : b
+  return { quantity: larger.quantity, unit: larger.unit || null }
+}
+
+/**
+ * Raise a total (see addToTotal) to at least an amount
+ */
+const raiseTotal = (total, amount) => {
+  const larger = largerAmount(total, amount)
+  if (larger) return { ...total, ...larger }
+
+  const index = total.extra.findIndex(extra => largerAmount(extra, amount))
+  const extra = index === -1
+    ? [...total.extra, amount]
+    : total.extra.map((existing, position) => position === index ? largerAmount(existing, amount) : existing)
+  return { ...total, extra }
+}
+
+/**
+ * Note for amounts that couldn't be merged: "pesto, + 2 jar"
+ * Amounts the note already mentions aren't repeated.
+ */
+const noteWithExtras = (note, extra) => {
+  const parts = note ? note.split(', ') : []
+  const added = extra.map(amount => `+ ${formatQuantity(amount)}`).filter(part => !parts.includes(part))
+  return [...parts, ...added].join(', ') || null
+}
+
+// ============ SHOPPING FROM THE PLAN ============
+
+const nameKey = (name) => name.trim().toLowerCase()
+
+/**
+ * All ingredients of the planned meals, one entry per ingredient name:
+ *   [{ name, category, quantity, unit, note, extra, recipes }]
+ * Meals with their own servings scale the recipe's amounts.
+ */
+export const planIngredients = (meals, recipes) => {
+  const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]))
+  const totals = new Map()
+
+  meals.forEach(meal => {
+    const recipe = recipesById.get(meal.recipe_id)
+    if (!recipe) return
+    const scale = meal.servings && recipe.servings ? meal.servings / recipe.servings : 1
+
+    recipe.ingredients.forEach(ingredient => {
+      const key = nameKey(ingredient.name)
+      const amount = {
+        quantity: ingredient.quantity === null || ingredient.quantity === undefined ? null : round(ingredient.quantity * scale),
+        unit: ingredient.unit || null
+      }
+
+      const total = totals.get(key) || {
+        name: ingredient.name.trim(),
+        category: ingredient.category,
+        quantity: null,
+        unit: null,
+        note: ingredient.note || null,
+        extra: [],
+        recipes: []
+      }
+      const updated = addToTotal(total, amount)
+      totals.set(key, {
+        ...updated,
+        recipes: updated.recipes.includes(recipe.name) ? updated.recipes : [...updated.recipes, recipe.name]
+      })
+    })
+  })
+
+  return [...totals.values()]
+}
+
+/**
+ * What shopping for the plan does to the list, one entry per ingredient:
+ *   [{ name, category, quantity, unit, note, recipes, existing }]
+ * `existing` is the list item with the same name (same category first); its
+ * amount is what it will be set to - at least the planned one, so a needed
+ * item keeps a larger amount and shopping for the same plan twice changes nothing.
+ * Entries without `existing` are new items.
+ */
+export const shoppingFromPlan = (meals, recipes, items) =>
+  planIngredients(meals, recipes).map(ingredient => {
+    const sameName = items.filter(item => nameKey(item.name) === nameKey(ingredient.name))
+    const existing = sameName.find(item => item.category === ingredient.category) || sameName[0] || null
+    const { extra, ...entry } = ingredient
+
+    if (!existing) return { ...entry, note: noteWithExtras(entry.note, extra), existing: null }
+
+    // A needed item keeps its amount when that's enough for the plan
+    const start = existing.needed
+      ? { quantity: existing.quantity ?? null, unit: existing.unit || null, extra: [] }
+      : { quantity: null, unit: null, extra: [] }
+    const total = [{ quantity: entry.quantity, unit: entry.unit }, ...extra].reduce(raiseTotal, start)
+
+    return {
+      ...entry,
+      category: existing.category,
+      quantity: total.quantity,
+      unit: total.unit,
+      note: noteWithExtras(existing.note || null, total.extra),
+      existing
+    }
+  })
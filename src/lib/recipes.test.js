@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from 'vitest'
+import { addAmounts, planIngredients, shoppingFromPlan } from './recipes'
+
+vi.mock('./supabase', () => ({ supabase: {} }))
+
+const ingredient = (name, quantity = null, unit = null, fields = {}) => ({ name, category: 'Bulk', quantity, unit, note: null, ...fields })
+
+const RECIPES = [
+  {
+    id: 'pasta',
+    name: 'Pasta',
+    servings: 2,
+    ingredients: [ingredient('spaghetti', 250, 'g'), ingredient('tomatoes', 4, null, { category: 'Fruit/Veggie' }), ingredient('basil')]
+  },
+  {
+    id: 'pizza',
+    name: 'Pizza',
+    servings: 4,
+    ingredients: [ingredient('flour', 0.5, 'kg'), ingredient('Tomatoes ', 1, 'can', { category: 'Fruit/Veggie' }), ingredient('flour', 100, 'g')]
+  }
+]
+
+const meal = (recipeId, servings = null) => ({ recipe_id: recipeId, servings })
+
+// ============ AMOUNTS ============
+
+describe('addAmounts', () => {
+  it('adds amounts in the unit of the first one', () => {
+    expect(addAmounts({ quantity: 1, unit: 'kg' }, { quantity: 250, unit: 'g' })).toEqual({ quantity: 1.25, unit: 'kg' })
+    expect(addAmounts({ quantity: 500, unit: 'ml' }, { quantity: 1, unit: 'l' })).toEqual({ quantity: 1500, unit: 'ml' })
+    expect(addAmounts({ quantity: 6, unit: null }, { quantity: 1, unit: 'dozen' })).toEqual({ quantity: 18, unit: null })
+  })
+
+  it('adds nothing for a missing quantity', () => {
+    expect(addAmounts({ quantity: 2, unit: 'kg' }, { quantity: null, unit: null })).toEqual({ quantity: 2, unit: 'kg' })
+    expect(addAmounts({ quantity: null, unit: null }, { quantity: 3, unit: 'l' })).toEqual({ quantity: 3, unit: 'l' })
+  })
+
+  it('does not mix units that cannot be converted', () => {
+    expect(addAmounts({ quantity: 200, unit: 'g' }, { quantity: 1, unit: 'can' })).toBeNull()
+  })
+})
+
+// ============ PLAN ============
+
+describe('planIngredients', () => {
+  it('scales recipes to the servings of the meal and adds up the same ingredients', () => {
+    const totals = planIngredients([meal('pasta', 4), meal('pasta')], RECIPES)
+
+    expect(totals.find(total => total.name === 'spaghetti')).toMatchObject({ quantity: 750, unit: 'g', recipes: ['Pasta'] })
+    expect(totals.find(total => total.name === 'basil')).toMatchObject({ quantity: null, unit: null })
+  })
+
+  it('keeps amounts that cannot be added up apart', () => {
+    const totals = planIngredients([meal('pasta'), meal('pizza')], RECIPES)
+
+    expect(totals.find(total => total.name === 'tomatoes')).toMatchObject({
+      quantity: 4,
+      unit: null,
+      extra: [{ quantity: 1, unit: 'can' }],
+      recipes: ['Pasta', 'Pizza']
+    })
+    expect(totals.find(total => total.name === 'flour')).toMatchObject({ quantity: 0.6, unit: 'kg', recipes: ['Pizza'] })
+  })
+
+  it('skips meals of deleted recipes', () => {
+    expect(planIngredients([meal('soup')], RECIPES)).toEqual([])
+  })
+})
+
+describe('shoppingFromPlan', () => {
+  it('adds ingredients that are not on the list as new items', () => {
+    const [spaghetti] = shoppingFromPlan([meal('pasta')], RECIPES, [])
+
+    expect(spaghetti).toEqual({ name: 'spaghetti', category: 'Bulk', quantity: 250, unit: 'g', note: null, recipes: ['Pasta'], existing: null })
+  })
+
+  it('writes amounts that cannot be added up into the note', () => {
+    const entries = shoppingFromPlan([meal('pasta'), meal('pizza')], RECIPES, [])
+
+    expect(entries.find(entry => entry.name === 'tomatoes')).toMatchObject({ quantity: 4, unit: null, note: '+ 1 can' })
+  })
+
+  it('keeps the amount of a needed item of the same name when it is enough', () => {
+    const items = [{ id: 'item-1', name: 'Spaghetti', category: 'Pantry', quantity: 1, unit: 'kg', note: 'whole wheat', needed: true }]
+    const [spaghetti] = shoppingFromPlan([meal('pasta')], RECIPES, items)
+
+    expect(spaghetti).toMatchObject({ category: 'Pantry', quantity: 1, unit: 'kg', note: 'whole wheat', existing: items[0] })
+  })
+
+  it('raises a needed item to the planned amount', () => {
+    const items = [{ id: 'item-1', name: 'spaghetti', category: 'Bulk', quantity: 100, unit: 'g', note: null, needed: true }]
+    const [spaghetti] = shoppingFromPlan([meal('pasta', 4)], RECIPES, items)
+
+    expect(spaghetti).toMatchObject({ quantity: 500, unit: 'g' })
+  })
+
+  it('changes nothing when shopping for the same plan twice', () => {
+    const items = [
+      { id: 'item-1', name: 'spaghetti', category: 'Bulk', quantity: 100, unit: 'g', note: null, needed: true },
+      { id: 'item-2', name: 'tomatoes', category: 'Fruit/Veggie', quantity: null, unit: null, note: 'ripe', needed: false }
+    ]
+    const meals = [meal('pasta'), meal('pizza')]
+
+    // Shop the way the app does: existing items take the entry's amount and note
+    const shop = (current) => shoppingFromPlan(meals, RECIPES, current).reduce((rows, { existing, quantity, unit, note }) =>
+      rows.map(row => row === existing ? { ...row, needed: true, quantity, unit, note } : row), current)
+
+    const once = shop(items)
+    expect(once.find(row => row.id === 'item-2')).toMatchObject({ quantity: 4, unit: null, note: 'ripe, + 1 can' })
+    expect(shop(once)).toEqual(once)
+  })
+
+  it('replaces the old amount of an item that is not needed', () => {
+    const items = [{ id: 'item-1', name: 'spaghetti', category: 'Bulk', quantity: 1, unit: 'kg', note: null, needed: false }]
+    const [spaghetti] = shoppingFromPlan([meal('pasta')], RECIPES, items)
+
+    expect(spaghetti).toMatchObject({ quantity: 250, unit: 'g', existing: items[0] })
+  })
+
+  it('prefers the item in the same category', () => {
+    const items = [
+      { id: 'other', name: 'basil', category: 'Deli', quantity: null, unit: null, note: null, needed: false },
+      { id: 'same', name: 'basil', category: 'Bulk', quantity: null, unit: null, note: null, needed: false }
+    ]
+    const entries = shoppingFromPlan([meal('pasta')], RECIPES, items)
+
+    expect(entries.find(entry => entry.name === 'basil').existing).toBe(items[1])
+  })
+})
@@ -0,0 +1,83 @@
+import { translate, weekdayNames } from './i18n'
+
+/**
+ * Recurring Items
+ *
+ * An item's `recurrence` rule marks it as needed again automatically:
+ *   { type: 'trip' }                     - after every Reset
+ *   { type: 'interval', days: 7 }        - every N days
+ *   { type: 'weekly', weekday: 1 }       - every week on a given day (0 = Sunday, local time)
+ * `recurrence_anchor` is the last occurrence. When the next one has passed,
+ * the item becomes needed with `auto_needed` set, and the anchor moves to that
+ * occurrence - so skipping it (unmarking the item) lasts until the one after.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Short description of a rule in a language: "Every trip", "Every 3 days", "Every Monday"
+ */
+export const describeRecurrence = (recurrence, locale) => {
+  if (!recurrence) return null
+  switch (recurrence.type) {
+    case 'trip':
+      return translate(locale, 'recurrence.trip')
+    case 'interval':
+      return translate(locale, 'recurrence.interval', { count: recurrence.days })
+    case 'weekly':
+      return translate(locale, 'recurrence.weekly', { weekday: weekdayNames(locale)[recurrence.weekday] })
+    default:
+      return null
+  }
+}
+
+/**
+ * The most recent occurrence of a timed rule at or before `now` (a Date), or null
+ * if there hasn't been one since the anchor. Rules without a schedule ('trip') return null.
+ */
+export const latestOccurrence = (recurrence, anchor, now = new Date()) => {
+  if (!recurrence || !anchor) return null
+  const anchorTime = Date.parse(anchor)
+
+  if (recurrence.type === 'interval' && recurrence.days > 0) {
+    const period = recurrence.days * DAY_MS
+    const periods = Math.floor((now.getTime() - anchorTime) / period)
+    return periods >= 1 ? new Date(anchorTime + periods * period) : null
+  }
+
+  if (recurrence.type === 'weekly') {
+    // Midnight of the last matching weekday, local time
+    const occurrence = new Date(now.getFullYear(), now.getMonth(), now.getDate())
+    occurrence.setDate(occurrence.getDate() - ((occurrence.getDay() - recurrence.weekday + 7) % 7))
+    return occurrence.getTime() > anchorTime ? occurrence : null
+  }
+
+  return null
+}
+
+/**
+ * Changes that bring a recurring item up to date, or null when nothing is due
+ * An item that's already needed only has its anchor moved along.
+ */
+export const dueChanges = (item, now = new Date()) => {
+  const occurrence = latestOccurrence(item.recurrence, item.recurrence_anchor, now)
+  if (!occurrence) return null
+
+  const anchor = occurrence.toISOString()
+  return item.needed
+    ? { recurrence_anchor: anchor }
+    : { needed: true, auto_needed: true, recurrence_anchor: anchor }
+}
+
+/**
+ * Whether an item comes back on the list after every Reset
+ */
+export const recursEveryTrip = (item) => item.recurrence?.type === 'trip'
+
+/**
+ * Whether two rules are the same (rules read back from the database may list their keys in another order)
+ */
+export const sameRecurrence = (a, b) => {
+  if (!a || !b) return !a && !b
+  return a.type === b.type && (a.days ?? null) === (b.days ?? null) && (a.weekday ?? null) === (b.weekday ?? null)
+}
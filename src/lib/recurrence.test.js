@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest'
+import { describeRecurrence, latestOccurrence, dueChanges, recursEveryTrip, sameRecurrence } from './recurrence'
+
+// Local time, like the weekly rule (19 October 2026 is a Monday)
+const MONDAY = new Date(2026, 9, 19, 8, 0)
+const daysBefore = (date, days) => new Date(date.getTime() - days * 24 * 60 * 60 * 1000)
+
+// ============ DESCRIPTIONS ============
+
+describe('describeRecurrence', () => {
+  it('describes each kind of rule', () => {
+    expect(describeRecurrence({ type: 'trip' }, 'en')).toBe('Every trip')
+    expect(describeRecurrence({ type: 'interval', days: 1 }, 'en')).toBe('Every day')
+    expect(describeRecurrence({ type: 'interval', days: 3 }, 'en')).toBe('Every 3 days')
+    expect(describeRecurrence({ type: 'weekly', weekday: 1 }, 'en')).toBe('Every Monday')
+  })
+
+  it('describes nothing without a rule', () => {
+    expect(describeRecurrence(null, 'en')).toBeNull()
+  })
+})
+
+// ============ SCHEDULE ============
+
+describe('latestOccurrence', () => {
+  it('counts whole intervals from the anchor', () => {
+    const anchor = daysBefore(MONDAY, 8)
+    const occurrence = latestOccurrence({ type: 'interval', days: 3 }, anchor.toISOString(), MONDAY)
+
+    expect(occurrence.getTime()).toBe(daysBefore(MONDAY, 2).getTime())
+  })
+
+  it('has no occurrence before the first interval is over', () => {
+    expect(latestOccurrence({ type: 'interval', days: 3 }, daysBefore(MONDAY, 2).toISOString(), MONDAY)).toBeNull()
+  })
+
+  it('finds midnight of the last matching weekday', () => {
+    const anchor = daysBefore(MONDAY, 10).toISOString()
+
+    expect(latestOccurrence({ type: 'weekly', weekday: 1 }, anchor, MONDAY)).toEqual(new Date(2026, 9, 19))
+    expect(latestOccurrence({ type: 'weekly', weekday: 5 }, anchor, MONDAY)).toEqual(new Date(2026, 9, 16))
+  })
+
+  it('has no weekly occurrence since the anchor', () => {
+    expect(latestOccurrence({ type: 'weekly', weekday: 1 }, MONDAY.toISOString(), MONDAY)).toBeNull()
+  })
+
+  it('has no schedule for trip rules', () => {
+    expect(latestOccurrence({ type: 'trip' }, daysBefore(MONDAY, 30).toISOString(), MONDAY)).toBeNull()
+  })
+})
+
+describe('dueChanges', () => {
+  const recurring = (fields) => ({
+    recurrence: { type: 'interval', days: 7 },
+    recurrence_anchor: daysBefore(MONDAY, 7).toISOString(),
+    needed: false,
+    ...fields
+  })
+
+  it('marks a due item as needed and moves the anchor', () => {
+    expect(dueChanges(recurring(), MONDAY)).toEqual({ needed: true, auto_needed: true, recurrence_anchor: MONDAY.toISOString() })
+  })
+
+  it('only moves the anchor of an item that is already needed', () => {
+    expect(dueChanges(recurring({ needed: true }), MONDAY)).toEqual({ recurrence_anchor: MONDAY.toISOString() })
+  })
+
+  it('changes nothing before the item is due', () => {
+    expect(dueChanges(recurring({ recurrence_anchor: daysBefore(MONDAY, 6).toISOString() }), MONDAY)).toBeNull()
+  })
+})
+
+// ============ RULES ============
+
+describe('recursEveryTrip', () => {
+  it('is true for trip rules only', () => {
+    expect(recursEveryTrip({ recurrence: { type: 'trip' } })).toBe(true)
+    expect(recursEveryTrip({ recurrence: { type: 'interval', days: 7 } })).toBe(false)
+    expect(recursEveryTrip({ recurrence: null })).toBe(false)
+  })
+})
+
+describe('sameRecurrence', () => {
+  it('compares rules whatever the order of their keys', () => {
+    expect(sameRecurrence({ type: 'weekly', weekday: 2 }, { weekday: 2, type: 'weekly' })).toBe(true)
+    expect(sameRecurrence({ type: 'weekly', weekday: 2 }, { type: 'weekly', weekday: 3 })).toBe(false)
+  })
+
+  it('treats two missing rules as the same', () => {
+    expect(sameRecurrence(null, undefined)).toBe(true)
+    expect(sameRecurrence(null, { type: 'trip' })).toBe(false)
+  })
+})
@@ -0,0 +1,87 @@
+/**
+ * Item Search and Filters
+ *
+ * Plan Mode can narrow the list down to matching items across all categories:
+ * - Search is case- and diacritic-insensitive ("creme" finds "Crème fraîche")
+ *   and forgives a typo per word ("tahni" finds "tahini")
+ * - Filters keep only needed items, items not needed, or recently added ones
+ */
+
+// Items added within this many days count as "recently added"
+export const RECENT_DAYS = 7
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// ============ TEXT MATCHING ============
+
+/**
+ * Lower case without accents or other combining marks: "Crème Fraîche" -> "creme fraiche"
+ */
+export const normalizeText = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .trim()
+
+const wordsOf = (text) => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+
+/**
+ * Whether two words are at most one typo apart (a letter added, missing or different)
+ */
+const withinOneEdit = (a, b) => {
+  if (Math.abs(a.length - b.length) > 1) return false
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a]
+
+  let index = 0
+  while (index < shorter.length && shorter[index] === longer[index]) index++
+  if (shorter.length === longer.length) return shorter.slice(index + 1) === longer.slice(index + 1)
+  return shorter.slice(index) === longer.slice(index + 1)
+}
+
+/**
+ * Whether a query word matches a word of the text: contained in it, or - for
+ * words of 4+ letters - one typo away from the word or from its start
+ */
+const wordMatches = (part, word) =>
+  word.includes(part) ||
+  (part.length >= 4 && (withinOneEdit(part, word) || withinOneEdit(part, word.slice(0, part.length))))
+
+/**
+ * Whether a text matches a search query; every word of the query has to match
+ */
+export const matchesQuery = (query, text) => {
+  const normalizedQuery = normalizeText(query)
+  if (!normalizedQuery) return true
+  const normalizedText = normalizeText(text)
+  if (normalizedText.includes(normalizedQuery)) return true
+
+  const words = wordsOf(normalizedText)
+  return wordsOf(normalizedQuery).every(part => words.some(word => wordMatches(part, word)))
+}
+
+/**
+ * Whether an item matches a search query, by name or note
+ */
+export const itemMatchesQuery = (item, query) =>
+  matchesQuery(query, item.name) || Boolean(item.note && matchesQuery(query, item.note))
+
+// ============ FILTERS ============
+
+// Filter ids; their labels are the messages "search.filter.<id>"
+export const ITEM_FILTERS = ['needed', 'not-needed', 'recent']
+
+/**
+ * Whether an item passes a filter (null = no filter)
+ */
+export const itemMatchesFilter = (item, filter, now = Date.now()) => {
+  switch (filter) {
+    case 'needed':
+      return Boolean(item.needed)
+    case 'not-needed':
+      return !item.needed
+    case 'recent':
+      return Boolean(item.created_at) && now - Date.parse(item.created_at) <= RECENT_DAYS * DAY_MS
+    default:
+      return true
+  }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeText, matchesQuery, itemMatchesQuery, itemMatchesFilter, RECENT_DAYS } from './search'
+
+// ============ TEXT MATCHING ============
+
+describe('normalizeText', () => {
+  it('lowers the case and drops accents', () => {
+    expect(normalizeText('  Crème Fraîche ')).toBe('creme fraiche')
+  })
+})
+
+describe('matchesQuery', () => {
+  it('ignores case and accents', () => {
+    expect(matchesQuery('creme', 'Crème fraîche')).toBe(true)
+    expect(matchesQuery('CAFÉ', 'cafe')).toBe(true)
+  })
+
+  it('needs every word of the query, in any order', () => {
+    expect(matchesQuery('fraiche creme', 'Crème fraîche')).toBe(true)
+    expect(matchesQuery('creme sure', 'Crème fraîche')).toBe(false)
+  })
+
+  it('forgives a typo in words of four letters or more', () => {
+    expect(matchesQuery('tahni', 'tahini')).toBe(true)
+    expect(matchesQuery('tomatp', 'cherry tomatoes')).toBe(true)
+    expect(matchesQuery('mlk', 'milk')).toBe(false)
+  })
+
+  it('matches everything with an empty query', () => {
+    expect(matchesQuery('  ', 'anything')).toBe(true)
+  })
+})
+
+describe('itemMatchesQuery', () => {
+  it('searches the name and the note', () => {
+    const item = { name: 'Yoghurt', note: 'greek, 0%' }
+
+    expect(itemMatchesQuery(item, 'yog')).toBe(true)
+    expect(itemMatchesQuery(item, 'greek')).toBe(true)
+    expect(itemMatchesQuery({ ...item, note: null }, 'greek')).toBe(false)
+  })
+})
+
+// ============ FILTERS ============
+
+describe('itemMatchesFilter', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z')
+  const daysAgo = (days) => new Date(now - days * 24 * 60 * 60 * 1000).toISOString()
+
+  it('keeps needed or not needed items', () => {
+    expect(itemMatchesFilter({ needed: true }, 'needed', now)).toBe(true)
+    expect(itemMatchesFilter({ needed: true }, 'not-needed', now)).toBe(false)
+    expect(itemMatchesFilter({ needed: false }, 'not-needed', now)).toBe(true)
+  })
+
+  it('keeps items added in the last days', () => {
+    expect(itemMatchesFilter({ created_at: daysAgo(RECENT_DAYS - 1) }, 'recent', now)).toBe(true)
+    expect(itemMatchesFilter({ created_at: daysAgo(RECENT_DAYS + 1) }, 'recent', now)).toBe(false)
+    expect(itemMatchesFilter({ created_at: null }, 'recent', now)).toBe(false)
+  })
+
+  it('keeps everything without a filter', () => {
+    expect(itemMatchesFilter({ needed: false }, null, now)).toBe(true)
+  })
+})
@@ -0,0 +1,140 @@
+import { supabase } from './supabase'
+import { readCache, writeCache } from './localDb'
+import { isNetworkError } from './syncQueue'
+
+/**
+ * Store Profiles
+ *
+ * A store profile remembers the walking order of a specific shop:
+ * - category_order: category names in the order you pass them
+ * - item_order:     optional item ids in the order they're picked up
+ * Store Mode lists categories (and items) in the chosen store's order.
+ * Categories or items missing from the order follow afterwards in their usual order.
+ */
+
+// ============ DATABASE OPERATIONS ============
+
+/**
+ * Fetch the store profiles of a list
+ * Offline, the profiles from the last successful fetch are returned instead
+ */
+export const fetchStores = async (listId) => {
+  const { data, error } = await supabase
+    .from('stores')
+    .select('*')
+    .eq('list_id', listId)
+    .order('name', { ascending: true })
+
+  if (error) {
+    const cached = isNetworkError(error) && await readCache(`stores:${listId}`)
+    if (cached) return cached
+    throw error
+  }
+
+  await writeCache(`stores:${listId}`, data || [])
+  return data || []
+}
+
+/**
+ * Create a store profile, starting from the given category order
+ */
+export const createStore = async (listId, name, categoryOrder = []) => {
+  const { data, error } = await supabase
+    .from('stores')
+    .insert([{ list_id: listId, name, category_order: categoryOrder }])
+    .select()
+    .single()
+
+  if (error) throw error
+  return data
+}
+
+/**
+ * Update a store profile (name, category_order, item_order)
+ */
+export const updateStore = async (storeId, changes) => {
+  const { error } = await supabase
+    .from('stores')
+    .update(changes)
+    .eq('id', storeId)
+
+  if (error) throw error
+}
+
+/**
+ * Delete a store profile
+ */
+export const deleteStore = async (storeId) => {
+  const { error } = await supabase
+    .from('stores')
+    .delete()
+    .eq('id', storeId)
+
+  if (error) throw error
+}
+
+// ============ SELECTED STORE ============
+
+const selectedStoreKey = (listId) => `shopping-list:store:${listId}`
+
+/**
+ * The store last picked for a list on this device (null = no particular store)
+ */
+export const loadSelectedStore = (listId) => {
+  try {
+    return localStorage.getItem(selectedStoreKey(listId))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Remember the store picked for a list on this device
+ */
+export const saveSelectedStore = (listId, storeId) => {
+  try {
+    if (storeId) {
+      localStorage.setItem(selectedStoreKey(listId), storeId)
+    } else {
+      localStorage.removeItem(selectedStoreKey(listId))
+    }
+  } catch {
+    // Not critical - the picker simply asks again
+  }
+}
+
+// ============ ORDERING ============
+
+/**
+ * Sort values by their position in `order`; values not in it keep their
+ * relative order and go last (Array.prototype.sort is stable)
+ */
+const sortByOrder = (values, order, getKey = value => value) => {
+  const position = new Map(order.map((key, index) => [key, index]))
+  const rank = (value) => position.has(getKey(value)) ? position.get(getKey(value)) : Infinity
+  return [...values].sort((a, b) => rank(a) - rank(b))
+}
+
+/**
+ * Categories in the store's walking order
+ */
+export const orderCategories = (categories, store) =>
+  store ? sortByOrder(categories, store.category_order || []) : categories
+
+/**
+ * Items in the store's picking order (items must already be in their default order)
+ */
+export const orderItems = (items, store) =>
+  store ? sortByOrder(items, store.item_order || [], item => item.id) : items
+
+/**
+ * Move an entry of an array up (-1) or down (+1), returning a new array
+ */
+export const moveEntry = (values, index, direction) => {
+  const target = index + direction
+  if (target < 0 || target >= values.length) return values
+  const moved = [...values]
+  const [entry] = moved.splice(index, 1)
+  moved.splice(target, 0, entry)
+  return moved
+}
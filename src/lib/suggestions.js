@@ -0,0 +1,123 @@
+import { translate } from './i18n'
+
+/**
+ * Purchase Suggestions
+ *
+ * Every recorded trip (see trips.js) says which items were bought and when.
+ * From those bought events we learn each item's usual purchase interval and
+ * suggest the items that are due - or overdue - for the next trip:
+ *   overdue = time since last bought / usual interval   (1 = exactly due)
+ * Nothing external is used; suggestions only come from this list's own trips.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// An item needs this many purchases before we trust its interval
+const MIN_PURCHASES = 3
+
+// Suggest items from this point on (slightly early is more useful than late)
+const SUGGEST_FROM = 0.9
+
+// At most this many suggestions at a time
+const MAX_SUGGESTIONS = 6
+
+/**
+ * Median of a list of numbers
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Name-based key, so an item that was deleted and added again keeps its history
+ */
+const nameKey = (item) => `${item.category}\n${item.name.trim().toLowerCase()}`
+
+/**
+ * When each item was bought, from the recorded trips: Map of key -> [timestamps]
+ * Items are known both by id and by name within their category.
+ */
+const collectPurchases = (trips) => {
+  const purchases = new Map()
+  const record = (key, time) => {
+    const times = purchases.get(key) || []
+    if (!times.includes(time)) purchases.set(key, [...times, time])
+  }
+
+  trips.forEach(trip => {
+    const time = Date.parse(trip.finished_at)
+    trip.items.filter(item => item.bought).forEach(item => {
+      record(item.item_id, time)
+      record(nameKey(item), time)
+    })
+  })
+  return purchases
+}
+
+/**
+ * Items worth adding to the next trip, most overdue first:
+ *   [{ item, lastBought, interval, overdue }]   (times in ms, interval in ms)
+ * Items already needed, recurring items (their schedule handles them) and
+ * dismissed suggestions are left out. `dismissed` maps item id -> the purchase
+ * time it was dismissed at, so a suggestion only comes back after the next purchase.
+ */
+export const suggestItems = (items, trips, dismissed = {}, now = Date.now()) => {
+  const purchases = collectPurchases(trips)
+
+  return items
+    .filter(item => !item.needed && !item.recurrence)
+    .map(item => {
+      const byId = purchases.get(item.id) || []
+      const byName = purchases.get(nameKey(item)) || []
+      const times = [...new Set([...byId, ...byName])].sort((a, b) => a - b)
+      if (times.length < MIN_PURCHASES) return null
+
+      const gaps = times.slice(1).map((time, index) => time - times[index])
+      const interval = median(gaps)
+      const lastBought = times[times.length - 1]
+      if (interval <= 0 || dismissed[item.id] === lastBought) return null
+
+      return { item, lastBought, interval, overdue: (now - lastBought) / interval }
+    })
+    .filter(suggestion => suggestion && suggestion.overdue >= SUGGEST_FROM)
+    .sort((a, b) => b.overdue - a.overdue)
+    .slice(0, MAX_SUGGESTIONS)
+}
+
+/**
+ * "usually every 7 days · last 9 days ago", in a language
+ */
+export const describeSuggestion = ({ lastBought, interval }, locale, now = Date.now()) => {
+  const days = (ms) => Math.max(1, Math.round(ms / DAY_MS))
+  const every = days(interval)
+  const ago = days(now - lastBought)
+  return `${translate(locale, 'suggestions.every', { count: every })} · ${translate(locale, 'suggestions.lastBought', { count: ago })}`
+}
+
+// ============ DISMISSED SUGGESTIONS ============
+
+const dismissedKey = (listId) => `shopping-list:dismissed-suggestions:${listId}`
+
+/**
+ * Suggestions dismissed on this device: { itemId: lastBought }
+ */
+export const loadDismissedSuggestions = (listId) => {
+  try {
+    return JSON.parse(localStorage.getItem(dismissedKey(listId))) || {}
+  } catch {
+    return {}
+  }
+}
+
+/**
+ * Remember dismissed suggestions on this device
+ */
+export const saveDismissedSuggestions = (listId, dismissed) => {
+  try {
+    localStorage.setItem(dismissedKey(listId), JSON.stringify(dismissed))
+  } catch {
+    // Not critical - the suggestion just shows up again
+  }
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest'
+import { suggestItems, describeSuggestion, loadDismissedSuggestions, saveDismissedSuggestions } from './suggestions'
+
+// Local storage, as far as suggestions.js uses it
+const storage = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value))
+})
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = Date.parse('2026-10-19T12:00:00Z')
+
+const item = (name, fields = {}) => ({ id: name, category: 'Bulk', name, needed: false, recurrence: null, ...fields })
+
+/**
+ * Trips that bought the items `[item, ...]` on each of the given days ago
+ */
+const tripsOn = (daysAgo, items) => daysAgo.map(days => ({
+  finished_at: new Date(NOW - days * DAY_MS).toISOString(),
+  items: items.map(({ id, category, name }) => ({ item_id: id, category, name, bought: true }))
+}))
+
+// ============ SUGGESTING ============
+
+describe('suggestItems', () => {
+  it('suggests items that are due, by their usual interval', () => {
+    const rice = item('rice')
+    const [suggestion] = suggestItems([rice], tripsOn([21, 14, 7], [rice]), {}, NOW)
+
+    expect(suggestion).toMatchObject({ item: rice, interval: 7 * DAY_MS, lastBought: NOW - 7 * DAY_MS })
+    expect(suggestion.overdue).toBeCloseTo(1)
+  })
+
+  it('waits for enough purchases and for the item to be nearly due', () => {
+    const rice = item('rice')
+
+    expect(suggestItems([rice], tripsOn([14, 7], [rice]), {}, NOW)).toEqual([])
+    expect(suggestItems([rice], tripsOn([30, 20, 10, 3], [rice]), {}, NOW)).toEqual([])
+  })
+
+  it('leaves out needed and recurring items', () => {
+    const needed = item('rice', { needed: true })
+    const recurring = item('oats', { recurrence: { type: 'trip' } })
+
+    expect(suggestItems([needed, recurring], tripsOn([21, 14, 7], [needed, recurring]), {}, NOW)).toEqual([])
+  })
+
+  it('keeps the history of an item that was deleted and added again', () => {
+    const before = item('Coffee', { id: 'old-coffee' })
+    const again = item('coffee ', { id: 'new-coffee' })
+
+    expect(suggestItems([again], tripsOn([21, 14, 7], [before]), {}, NOW)).toHaveLength(1)
+  })
+
+  it('leaves out a dismissed suggestion until the item is bought again', () => {
+    const rice = item('rice')
+    const dismissed = { rice: NOW - 7 * DAY_MS }
+
+    expect(suggestItems([rice], tripsOn([21, 14, 7], [rice]), dismissed, NOW)).toEqual([])
+    expect(suggestItems([rice], tripsOn([28, 21, 14, 7], [rice]), { rice: NOW - 14 * DAY_MS }, NOW)).toHaveLength(1)
+  })
+
+  it('puts the most overdue items first', () => {
+    const rice = item('rice')
+    const tea = item('tea')
+    const trips = [...tripsOn([21, 14, 7], [rice]), ...tripsOn([40, 30, 20], [tea])]
+
+    expect(suggestItems([rice, tea], trips, {}, NOW).map(suggestion => suggestion.item)).toEqual([tea, rice])
+  })
+})
+
+describe('describeSuggestion', () => {
+  it('says how often the item is bought and when it was last', () => {
+    expect(describeSuggestion({ interval: 7 * DAY_MS, lastBought: NOW - 9 * DAY_MS }, 'en', NOW))
+      .toBe('usually every 7 days · last 9 days ago')
+  })
+})
+
+// ============ DISMISSED SUGGESTIONS ============
+
+describe('dismissed suggestions', () => {
+  it('are remembered per list', () => {
+    saveDismissedSuggestions('list-1', { rice: 123 })
+
+    expect(loadDismissedSuggestions('list-1')).toEqual({ rice: 123 })
+    expect(loadDismissedSuggestions('list-2')).toEqual({})
+  })
+})
@@ -0,0 +1,21 @@
+import { createClient } from '@supabase/supabase-js'
+
+/**
+ * Supabase client with the service role key, for the REST API route handlers only.
+ * It bypasses row level security, so callers check list membership themselves
+ * (see api.js). Never import this from client components: the key must stay on the server.
+ */
+
+let adminClient = null
+
+export const getSupabaseAdmin = () => {
+  if (!adminClient) {
+    const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+    if (!serviceRoleKey) throw new Error('SUPABASE_SERVICE_ROLE_KEY is not set')
+
+    adminClient = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, serviceRoleKey, {
+      auth: { persistSession: false, autoRefreshToken: false }
+    })
+  }
+  return adminClient
+}
@@ -0,0 +1,648 @@
+import { getMutations, removeMutation, updateMutation } from './localDb'
+import { DEFAULT_LOCALE, translate } from './i18n'
+
+/**
+ * Sync Queue
+ *
+ * Every change to a list is recorded as a mutation, applied to the local state
+ * straight away and queued in IndexedDB. The queue is replayed against the server
+ * in order whenever we're online, so the app keeps working in a supermarket
+ * with no reception. The server side is a list repository (listRepository.js):
+ * Supabase in the app, in memory in the tests.
+ *
+ * Mutations always carry explicit values ("set needed to true"), never flips,
+ * so replaying them later gives the same result as applying them immediately.
+ * Updates also carry the row's version and the values they were made against
+ * (see itemUpdate); the database bumps a row's version on every write.
+ *
+ * Conflict handling when replaying against the server:
+ * - Adding an item that someone else already added merges into their item
+ * - Updating an item or category that was deleted elsewhere is discarded
+ * - Updating a row that changed since (its version moved on) keeps what the
+ *   other person changed: our fields that they changed too are dropped and
+ *   reported as overridden; the rest is applied. Two people setting the same
+ *   value is not a conflict, so simultaneous taps don't cancel each other out
+ * - Category names are unique per list (enforced by the database); adding
+ *   one that someone else added meanwhile keeps theirs
+ * - Reset only clears the items that were on the trip when Reset was pressed,
+ *   so items others marked as needed in the meantime survive
+ * - Deletes are soft (deleted_at), so restoring from the Trash is just another update
+ * - Renaming a category to a name someone else took meanwhile is rejected
+ *   by the server (rename_category) and discarded
+ * - Changes the server rejects (e.g. lost edit permission) are discarded
+ * Discarded mutations are rolled back locally and reported so the UI can tell the user.
+ *
+ * Realtime events are patched straight into the local state (applyServerChange)
+ * instead of re-selecting the whole list. Our own writes come back as realtime
+ * "echoes"; the EchoTracker recognises them so a late echo can't undo a newer
+ * local change.
+ */
+
+// ============ MUTATION TYPES ============
+// payload shapes:
+//   addItem        { item }                  - full row including a client-generated id
+//   updateItem     { id, changes, version, before }
+//                                            - e.g. { needed: true }, made against that version
+//                                              of the item whose fields had the `before` values
+//   deleteItem      { id }                   - moves the item to the Trash
+//   restoreItem     { id }
+//   purgeItem       { id }                   - permanently deletes an item from the Trash
+//   resetTrip       { itemIds, recurringIds, carriedIds, carriedStore, trip }
+//                                            - items to set back to needed/bought false, items that
+//                                              recur every trip and become needed again, items the
+//                                              store didn't have that stay needed (tagged with the
+//                                              store's name, or null), and the trip record to
+//                                              archive first (see trips.js)
+//   addCategory     { category }             - full row including a client-generated id
+//   renameCategory  { from, to }             - renames the category and moves its items along
+//   updateCategory  { name, changes, version, before }
+//                                            - e.g. { color: 'green' } or { hidden: true }, like updateItem
+//   deleteCategory  { name }                 - moves the category and all its items to the Trash
+//   restoreCategory { id, name, deletedAt }  - restores the trashed category row `id` with the items deleted
+//                                              along with it (none if deletedAt is null)
+//   purgeCategory   { name }                 - permanently deletes it and its items in the Trash
+//   emptyTrash      { before }               - permanently deletes everything trashed before `before`
+// Deletions are stamped with the mutation's createdAt, so a replay keeps the original time.
+// A mutation may also carry `activity`, the entries of the activity feed for the
+// change (see activity.js); they're recorded once the server has accepted it.
+
+/**
+ * Create a mutation for a list
+ */
+export const createMutation = (listId, type, payload) => ({
+  listId,
+  type,
+  payload,
+  createdAt: new Date().toISOString()
+})
+
+/**
+ * Generate an id for rows created on this device
+ * Client-side ids let queued follow-up changes refer to rows that don't exist on the server yet
+ */
+export const generateId = () => crypto.randomUUID()
+
+// ============ VERSIONS ============
+
+// Timestamps come back from Postgres in a different notation
+const TIMESTAMP_FIELDS = ['deleted_at', 'recurrence_anchor']
+
+/**
+ * Whether two timestamps are the same instant
+ * (Postgres returns "+00:00" where JavaScript writes "Z")
+ */
+const sameInstant = (a, b) => Boolean(a && b) && Date.parse(a) === Date.parse(b)
+
+/**
+ * Whether a field has the same value in both (missing counts as null)
+ */
+const sameValue = (field, a, b) =>
+  (TIMESTAMP_FIELDS.includes(field) && sameInstant(a, b)) || JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+/**
+ * The version of a row; rows inserted without one start at 1 (the column default)
+ */
+const versionOf = (row) => row.version ?? 1
+
+/**
+ * A row after a write, with its version bumped like the database does
+ */
+const written = (row, changes) => ({ ...row, ...changes, version: versionOf(row) + 1 })
+
+/**
+ * The current values of the fields a change is about to set
+ */
+const valuesBefore = (row, changes) =>
+  Object.fromEntries(Object.keys(changes).map(field => [field, row[field] ?? null]))
+
+/**
+ * Payload of an updateItem mutation for an item as the user sees it
+ */
+export const itemUpdate = (item, changes) => ({
+  id: item.id,
+  changes,
+  version: versionOf(item),
+  before: valuesBefore(item, changes)
+})
+
+/**
+ * Payload of an updateCategory mutation for a category row as the user sees it
+ */
+export const categoryUpdate = (category, changes) => ({
+  name: category.name,
+  changes,
+  version: versionOf(category),
+  before: valuesBefore(category, changes)
+})
+
+/**
+ * Split a change made against an older version of a row into the fields that
+ * can still be applied and those someone else changed meanwhile (overridden)
+ * Fields that already have our value are left out of both.
+ */
+export const rebaseChanges = (row, changes, before = {}) => {
+  const applicable = {}
+  const overridden = []
+  Object.entries(changes).forEach(([field, value]) => {
+    if (sameValue(field, row[field], value)) return
+    if (field in before && !sameValue(field, row[field], before[field])) {
+      overridden.push(field)
+    } else {
+      applicable[field] = value
+    }
+  })
+  return { applicable, overridden }
+}
+
+// ============ LOCAL APPLICATION ============
+
+// What Reset does to the items of the trip, to items that recur every trip,
+// and to items that were unavailable (they stay needed for the next trip)
+const CLEAR_ON_RESET = { needed: false, bought: false, auto_needed: false, unavailable: false, unavailable_store: null }
+const RECUR_ON_RESET = { needed: true, bought: false, auto_needed: true, unavailable: false, unavailable_store: null }
+const carryOnReset = (store) => ({ needed: true, bought: false, unavailable: false, unavailable_store: store || null })
+
+/**
+ * The changes Reset makes, per item: [[id, changes]]
+ * An item that recurs every trip is needed again anyway, so it isn't tagged.
+ */
+const resetChanges = ({ itemIds, recurringIds = [], carriedIds = [], carriedStore = null }) => {
+  const special = new Set([...recurringIds, ...carriedIds])
+  const carried = carryOnReset(carriedStore)
+  return [
+    ...itemIds.filter(id => !special.has(id)).map(id => [id, CLEAR_ON_RESET]),
+    ...carriedIds.filter(id => !recurringIds.includes(id)).map(id => [id, carried]),
+    ...recurringIds.map(id => [id, RECUR_ON_RESET])
+  ]
+}
+
+/**
+ * Whether a restoreCategory payload is about this category row
+ * (changes queued before ids were recorded only have the name)
+ */
+const restoresCategory = ({ id, name }, category) =>
+  Boolean(category.deleted_at) && (id ? category.id === id : category.name === name)
+
+/**
+ * Whether a row was trashed before the given time
+ */
+const trashedBefore = (row, before) => Boolean(row.deleted_at) && Date.parse(row.deleted_at) <= Date.parse(before)
+
+/**
+ * Apply a mutation to local state ({ items, categories }) and return the new state
+ * Pure function: used for immediate UI updates and to re-apply queued
+ * mutations on top of freshly fetched server data
+ */
+export const applyMutation = (state, mutation) => {
+  const { items, categories } = state
+  const { type, payload, createdAt } = mutation
+
+  switch (type) {
+    case 'addItem':
+      if (items.some(item => item.id === payload.item.id)) return state
+      return { ...state, items: [...items, payload.item] }
+
+    case 'updateItem':
+      return {
+        ...state,
+        items: items.map(item => item.id === payload.id ? written(item, payload.changes) : item)
+      }
+
+    case 'deleteItem':
+    case 'restoreItem': {
+      const deletedAt = type === 'deleteItem' ? createdAt : null
+      return {
+        ...state,
+        items: items.map(item => item.id === payload.id ? written(item, { deleted_at: deletedAt }) : item)
+      }
+    }
+
+    case 'purgeItem':
+      return { ...state, items: items.filter(item => item.id !== payload.id) }
+
+    case 'resetTrip': {
+      const changes = new Map(resetChanges(payload))
+      return {
+        ...state,
+        items: items.map(item => changes.has(item.id) ? written(item, changes.get(item.id)) : item)
+      }
+    }
+
+    case 'addCategory': {
+      // A category of the same name in the Trash makes way for the new one
+      const kept = categories.filter(category => !(category.name === payload.category.name && category.deleted_at))
+      if (kept.some(category => category.name === payload.category.name)) return { ...state, categories: kept }
+      return { ...state, categories: [...kept, payload.category] }
+    }
+
+    case 'renameCategory':
+      return {
+        ...state,
+        items: items.map(item => item.category === payload.from ? written(item, { category: payload.to }) : item),
+        categories: categories
+          .filter(category => !(category.name === payload.to && category.deleted_at))
+          .map(category => category.name === payload.from ? written(category, { name: payload.to }) : category)
+      }
+
+    case 'updateCategory':
+      return {
+        ...state,
+        categories: categories.map(category =>
+          category.name === payload.name && !category.deleted_at ? written(category, payload.changes) : category
+        )
+      }
+
+    case 'deleteCategory':
+      // Items already in the Trash keep their own deletion time
+      return {
+        ...state,
+        items: items.map(item => item.category === payload.name && !item.deleted_at ? written(item, { deleted_at: createdAt }) : item),
+        categories: categories.map(category =>
+          category.name === payload.name && !category.deleted_at ? written(category, { deleted_at: createdAt }) : category
+        )
+      }
+
+    case 'restoreCategory':
+      return {
+        ...state,
+        items: items.map(item =>
+          item.category === payload.name && sameInstant(item.deleted_at, payload.deletedAt) ? written(item, { deleted_at: null }) : item
+        ),
+        categories: categories.map(category => restoresCategory(payload, category) ? written(category, { deleted_at: null }) : category)
+      }
+
+    case 'purgeCategory':
+      return {
+        ...state,
+        items: items.filter(item => !(item.category === payload.name && item.deleted_at)),
+        categories: categories.filter(category => !(category.name === payload.name && category.deleted_at))
+      }
+
+    case 'emptyTrash':
+      return {
+        ...state,
+        items: items.filter(item => !trashedBefore(item, payload.before)),
+        categories: categories.filter(category => !trashedBefore(category, payload.before))
+      }
+
+    default:
+      console.error('Unknown mutation type:', type)
+      return state
+  }
+}
+
+// ============ REALTIME PATCHING ============
+
+const upsertRow = (rows, row) =>
+  rows.some(existing => existing.id === row.id)
+    ? rows.map(existing => existing.id === row.id ? row : existing)
+    : [...rows, row]
+
+/**
+ * Apply a realtime change event to the server state and return the new state
+ * `table` is 'shopping_items' or 'categories' (others are ignored); the payload is passed through as received
+ */
+export const applyServerChange = (state, table, { eventType, new: newRow, old: oldRow }) => {
+  if (table !== 'shopping_items' && table !== 'categories') return state
+  const key = table === 'categories' ? 'categories' : 'items'
+  const rows = state[key]
+
+  switch (eventType) {
+    case 'INSERT':
+    case 'UPDATE':
+      return { ...state, [key]: upsertRow(rows, newRow) }
+    case 'DELETE':
+      return { ...state, [key]: rows.filter(row => row.id !== oldRow.id) }
+    default:
+      return state
+  }
+}
+
+// How long to wait for the echo of one of our own writes before giving up on it
+const ECHO_TIMEOUT_MS = 15000
+
+/**
+ * Recognises realtime UPDATE events caused by this device
+ *
+ * Before a mutation is sent we note which values each row will get. When an
+ * UPDATE arrives whose row matches the oldest expectation for that row, it's
+ * our own echo: the change is already in local state, so the event is dropped.
+ * This matters when the same item is tapped twice quickly - the echo of the
+ * first tap would otherwise arrive after the second and flip the item back.
+ * The same goes for deleting an item and pressing Undo straight away.
+ * (INSERT and DELETE echoes are harmless to re-apply and aren't tracked.)
+ */
+export const createEchoTracker = () => {
+  const expected = new Map()  // row id -> [{ changes, at }]
+
+  const expectedChanges = ({ type, payload, createdAt }) => {
+    if (type === 'updateItem') return [[payload.id, payload.changes]]
+    if (type === 'resetTrip') return resetChanges(payload)
+    if (type === 'deleteItem') return [[payload.id, { deleted_at: createdAt }]]
+    if (type === 'restoreItem') return [[payload.id, { deleted_at: null }]]
+    return []
+  }
+
+  const matches = (row, field, value) => row[field] === value || sameValue(field, row[field], value)
+
+  return {
+    /**
+     * Remember the echoes a mutation is about to cause
+     */
+    expect(mutation) {
+      const at = Date.now()
+      expectedChanges(mutation).forEach(([id, changes]) => {
+        expected.set(id, [...(expected.get(id) || []), { changes, at }])
+      })
+    },
+
+    /**
+     * Whether an UPDATE row is the echo of our own write (consumes the expectation)
+     */
+    isEcho(row) {
+      const now = Date.now()
+      const pending = (expected.get(row.id) || []).filter(entry => now - entry.at < ECHO_TIMEOUT_MS)
+      const index = pending.findIndex(entry =>
+        Object.entries(entry.changes).every(([field, value]) => matches(row, field, value))
+      )
+
+      if (index !== -1) pending.splice(index, 1)
+      if (pending.length > 0) {
+        expected.set(row.id, pending)
+      } else {
+        expected.delete(row.id)
+      }
+      return index !== -1
+    }
+  }
+}
+
+// ============ SERVER REPLAY ============
+
+/**
+ * Whether an error means "couldn't reach the server" (retry later)
+ * rather than "the server said no" (discard)
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true
+  return /failed to fetch|networkerror|network request failed|load failed/i.test(error?.message || '')
+}
+
+/**
+ * Result of a mutation that can't be applied: `reason` in English (for logs and
+ * the API) and `notice`, the message id and params to show it in any language
+ */
+const discarded = (key, params = {}) => ({
+  status: 'discarded',
+  reason: translate(DEFAULT_LOCALE, key, params),
+  notice: { key, params }
+})
+
+// How often a change is re-checked when its row keeps changing while we apply it
+const REBASE_ATTEMPTS = 3
+
+/**
+ * Apply an update made against an older version of a row (see rebaseChanges)
+ * `fetch()` reads the row as it is now, `update(changes, version)` writes it if
+ * it's still at that version. Returns null when the row is gone.
+ */
+const applyRebased = async ({ fetch, update, changes, before }) => {
+  let row
+  for (let attempt = 0; attempt < REBASE_ATTEMPTS; attempt++) {
+    row = await fetch()
+    if (!row) return null
+
+    const { applicable, overridden } = rebaseChanges(row, changes, before)
+    if (Object.keys(applicable).length === 0 || await update(applicable, versionOf(row))) {
+      return overridden.length > 0 ? discarded('sync.overridden', { name: row.name }) : { status: 'done' }
+    }
+  }
+  return discarded('sync.overridden', { name: row.name })  // Still changing: the others win
+}
+
+/**
+ * Send one mutation to the list repository (see listRepository.js)
+ * Returns { status: 'done' } or a discarded() result, plus `mergedInto`
+ * when an added item turned out to exist already. Network errors are thrown.
+ */
+export const sendMutation = async (repository, mutation) => {
+  const result = await applyToServer(repository, mutation)
+  if (result.status !== 'done' || !mutation.activity?.length) return result
+
+  // Recording the entries again on a replay is harmless
+  try {
+    await repository.insertActivity(mutation.activity)
+  } catch (error) {
+    if (isNetworkError(error)) throw error
+    console.error('Error recording activity:', error)  // The change itself went through
+  }
+  return result
+}
+
+/**
+ * Make the change of a mutation through the repository (see sendMutation)
+ */
+const applyToServer = async (repository, { listId, type, payload, createdAt }) => {
+  switch (type) {
+    case 'addItem': {
+      const { item } = payload
+
+      // Someone else may have added the same item while we were offline
+      const existingId = await repository.findLiveItem(listId, { name: item.name, category: item.category, excludeId: item.id })
+      if (existingId) {
+        return { ...discarded('sync.alreadyAdded', { name: item.name }), mergedInto: existingId }
+      }
+
+      await repository.insertItem(item)
+      return { status: 'done' }
+    }
+
+    case 'updateItem': {
+      const { id, changes, version, before } = payload
+      if (await repository.updateItem(listId, id, changes, { version })) return { status: 'done' }
+
+      // Changed by someone else since (queued before versions were recorded: just gone)
+      const result = version !== undefined && await applyRebased({
+        fetch: () => repository.fetchItem(listId, id),
+        update: (applicable, current) => repository.updateItem(listId, id, applicable, { version: current }),
+        changes,
+        before
+      })
+      return result || discarded('sync.changedDeleted')
+    }
+
+    case 'deleteItem':
+    case 'restoreItem': {
+      // Trashing something that was purged meanwhile is fine; restoring it isn't possible
+      const found = await repository.updateItem(listId, payload.id, { deleted_at: type === 'deleteItem' ? createdAt : null })
+      if (!found && type === 'restoreItem') {
+        return discarded('sync.restoredPurged')
+      }
+      return { status: 'done' }
+    }
+
+    case 'purgeItem':
+      // Deleting something that is already gone is fine
+      await repository.deleteItem(listId, payload.id)
+      return { status: 'done' }
+
+    case 'resetTrip': {
+      // Archive the trip first; inserting it again on a replay is harmless
+      if (payload.trip) await repository.insertTrip(payload.trip)
+
+      // Items with the same changes are updated together
+      const groups = new Map()
+      resetChanges(payload).forEach(([id, changes]) => groups.set(changes, [...(groups.get(changes) || []), id]))
+      for (const [changes, ids] of groups) {
+        await repository.updateItems(listId, ids, changes)
+      }
+      return { status: 'done' }
+    }
+
+    case 'addCategory': {
+      const { category } = payload
+
+      // A category of the same name in the Trash makes way for the new one
+      await repository.purgeTrashedCategories(listId, { name: category.name })
+
+      // Same category added elsewhere meanwhile: the database keeps theirs
+      await repository.insertCategory(category)
+      return { status: 'done' }
+    }
+
+    case 'renameCategory':
+      await repository.renameCategory(listId, payload.from, payload.to)
+      return { status: 'done' }
+
+    case 'updateCategory': {
+      const { name, changes, version, before } = payload
+      if (await repository.updateCategory(listId, name, changes, { version })) return { status: 'done' }
+
+      const result = version !== undefined && await applyRebased({
+        fetch: () => repository.fetchCategory(listId, name),
+        update: (applicable, current) => repository.updateCategory(listId, name, applicable, { version: current }),
+        changes,
+        before
+      })
+      return result || discarded('sync.categoryChangedDeleted')
+    }
+
+    case 'deleteCategory':
+      // First the items in this category, then the category itself
+      await repository.trashCategoryItems(listId, payload.name, createdAt)
+      await repository.trashCategory(listId, payload.name, createdAt)
+      return { status: 'done' }
+
+    case 'restoreCategory': {
+      // Names are unique among live categories: one of the same name added meanwhile stays
+      const live = await repository.fetchCategory(listId, payload.name)
+      if (live) {
+        return live.id === payload.id ? { status: 'done' } : discarded('sync.categoryNameTaken', { name: payload.name })
+      }
+
+      const found = await repository.restoreCategory(listId, { id: payload.id, name: payload.name })
+      if (!found) {
+        return discarded('sync.categoryPurged', { name: payload.name })
+      }
+
+      // Bring back the items that were deleted together with the category
+      if (payload.deletedAt) await repository.restoreCategoryItems(listId, payload.name, payload.deletedAt)
+      return { status: 'done' }
+    }
+
+    case 'purgeCategory':
+      await repository.purgeTrashedItems(listId, { category: payload.name })
+      await repository.purgeTrashedCategories(listId, { name: payload.name })
+      return { status: 'done' }
+
+    case 'emptyTrash':
+      await repository.purgeTrashedItems(listId, { before: payload.before })
+      await repository.purgeTrashedCategories(listId, { before: payload.before })
+      return { status: 'done' }
+
+    default:
+      return discarded('sync.unknown', { type })
+  }
+}
+
+/**
+ * Point queued mutations at the existing item after an add was merged into it
+ */
+const remapItemId = (mutation, fromId, toId) => {
+  const remapped = remapPayloadItemId(mutation, fromId, toId)
+  if (remapped === mutation || !mutation.activity) return remapped
+  return {
+    ...remapped,
+    activity: mutation.activity.map(entry => entry.item_id === fromId ? { ...entry, item_id: toId } : entry)
+  }
+}
+
+/**
+ * Point a mutation's payload at the existing item (see remapItemId)
+ */
+const remapPayloadItemId = (mutation, fromId, toId) => {
+  if (mutation.payload.id === fromId) {
+    return { ...mutation, payload: { ...mutation.payload, id: toId } }
+  }
+  const { itemIds = [], recurringIds = [], carriedIds = [] } = mutation.type === 'resetTrip' ? mutation.payload : {}
+  if ([...itemIds, ...recurringIds, ...carriedIds].includes(fromId)) {
+    const { trip } = mutation.payload
+    const remap = (id) => id === fromId ? toId : id
+    return {
+      ...mutation,
+      payload: {
+        ...mutation.payload,
+        itemIds: itemIds.map(remap),
+        recurringIds: recurringIds.map(remap),
+        carriedIds: carriedIds.map(remap),
+        trip: trip && { ...trip, items: trip.items.map(item => item.item_id === fromId ? { ...item, item_id: toId } : item) }
+      }
+    }
+  }
+  return mutation
+}
+
+/**
+ * Replay the queued mutations of a list in order against a repository
+ *
+ * Stops at the first network error, leaving the rest queued for the next attempt.
+ * `onSend(mutation)` is called right before a mutation is sent, and
+ * `onSettled(mutation, result)` after it leaves the queue.
+ * Resolves to true when the queue was fully drained.
+ */
+export const replayQueue = async (listId, repository, { onSend, onSettled }) => {
+  let queue = await getMutations(listId)
+
+  while (queue.length > 0) {
+    const [mutation, ...rest] = queue
+    let result
+
+    try {
+      onSend(mutation)
+      result = await sendMutation(repository, mutation)
+    } catch (error) {
+      if (isNetworkError(error)) return false
+      console.error('Error syncing change:', error)
+      // The server's own words go to `reason` (for logs); the notice is shown translated
+      const rejected = discarded('sync.rejected')
+      result = { ...rejected, reason: error.message || rejected.reason }
+    }
+
+    // An add merged into an existing item: later changes must target that item instead
+    if (result.mergedInto) {
+      for (const [index, queued] of rest.entries()) {
+        const remapped = remapItemId(queued, mutation.payload.item.id, result.mergedInto)
+        if (remapped !== queued) {
+          rest[index] = remapped
+          await updateMutation(remapped)
+        }
+      }
+    }
+
+    await removeMutation(mutation.seq)
+    onSettled(mutation, result)
+    queue = rest
+  }
+
+  return true
+}
@@ -0,0 +1,532 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { addMutation, getMutations } from './localDb'
+import { createMutation, applyMutation, replayQueue, generateId, itemUpdate, categoryUpdate } from './syncQueue'
+import { createMemoryRepository } from './memoryRepository'
+import { withActivity } from './activity'
+
+// Mutations are made the way useListData makes them: applied to the local
+// state, queued, and replayed against the (in-memory) repository. After each
+// replay the local state must match what the repository has.
+
+let listId
+let repository
+let local     // { items, categories } as the app shows them
+let results   // Result of every replayed mutation, in order
+
+const item = (name, fields = {}) => ({
+  id: generateId(),
+  list_id: listId,
+  name,
+  category: 'Bread',
+  needed: false,
+  bought: false,
+  deleted_at: null,
+  ...fields
+})
+
+const category = (name, fields = {}) => ({
+  id: generateId(),
+  list_id: listId,
+  name,
+  deleted_at: null,
+  ...fields
+})
+
+/**
+ * Start from the given rows, known both to the repository and locally
+ */
+const seed = ({ items = [], categories = [] }) => {
+  repository = createMemoryRepository({ items, categories })
+  local = { items, categories }
+}
+
+/**
+ * Record a change without sending it (`at` overrides its timestamp)
+ */
+const queue = async (type, payload, at) => {
+  const mutation = { ...createMutation(listId, type, payload), ...(at && { createdAt: at }) }
+  await addMutation(mutation)
+  local = applyMutation(local, mutation)
+}
+
+const replay = () => replayQueue(listId, repository, {
+  onSend: () => {},
+  onSettled: (_mutation, result) => results.push(result)
+})
+
+const change = async (type, payload, at) => {
+  await queue(type, payload, at)
+  await replay()
+}
+
+const byId = (rows) => [...rows].sort((a, b) => a.id.localeCompare(b.id))
+
+const expectInSync = async () => {
+  const server = await repository.fetchList(listId)
+  expect(byId(server.items)).toEqual(byId(local.items))
+  expect(byId(server.categories)).toEqual(byId(local.categories))
+}
+
+const serverItem = async (id) => (await repository.fetchList(listId)).items.find(row => row.id === id)
+
+beforeEach(() => {
+  vi.restoreAllMocks()
+  listId = generateId()
+  results = []
+  seed({})
+})
+
+// ============ ADDING ============
+
+describe('adding items', () => {
+  it('adds an item to the list', async () => {
+    const bread = item('Baguette')
+    await change('addItem', { item: bread })
+
+    expect(results).toEqual([{ status: 'done' }])
+    expect(await serverItem(bread.id)).toEqual(bread)
+    await expectInSync()
+  })
+
+  it('adding the same item twice is harmless', async () => {
+    const bread = item('Baguette')
+    await change('addItem', { item: bread })
+    await change('addItem', { item: bread })
+
+    expect((await repository.fetchList(listId)).items).toHaveLength(1)
+  })
+
+  it('merges into an item someone else added meanwhile, and later changes follow it', async () => {
+    const theirs = item('Milk', { category: 'Refrigerated items' })
+    repository = createMemoryRepository({ items: [theirs] })  // Added on another device; not known here yet
+
+    repository.setOffline(true)
+    const mine = item('milk', { category: 'Refrigerated items' })
+    await change('addItem', { item: mine })
+    await change('updateItem', { id: mine.id, changes: { needed: true } })
+    expect(await getMutations(listId)).toHaveLength(2)  // Still queued while offline
+
+    repository.setOffline(false)
+    await replay()
+
+    expect(results[0]).toMatchObject({ status: 'discarded', mergedInto: theirs.id })
+    expect(results[1]).toEqual({ status: 'done' })
+    const server = await repository.fetchList(listId)
+    expect(server.items).toHaveLength(1)
+    expect(server.items[0]).toMatchObject({ id: theirs.id, needed: true })
+  })
+
+  it('saves the changes that follow a merged add with the existing item', async () => {
+    const theirs = item('Milk', { category: 'Refrigerated items' })
+    repository = createMemoryRepository({ items: [theirs] })
+
+    repository.setOffline(true)
+    const mine = item('milk', { category: 'Refrigerated items' })
+    await change('addItem', { item: mine })
+    await change('updateItem', { id: mine.id, changes: { needed: true } })
+    repository.setOffline(false)
+
+    // The connection drops again before the update goes out; a reload finds it in the queue
+    await replayQueue(listId, repository, {
+      onSend: (mutation) => repository.setOffline(mutation.type === 'updateItem'),
+      onSettled: () => {}
+    })
+
+    expect((await getMutations(listId)).map(mutation => mutation.payload.id)).toEqual([theirs.id])
+  })
+
+  it('adds an item of the same name in another category', async () => {
+    seed({ items: [item('Rolls')] })
+    await change('addItem', { item: item('Rolls', { category: 'Frozen' }) })
+
+    expect(results).toEqual([{ status: 'done' }])
+    await expectInSync()
+  })
+})
+
+// ============ TOGGLING ============
+
+describe('toggling items', () => {
+  it('marks an item as needed, bought and back', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+
+    await change('updateItem', { id: bread.id, changes: { needed: true } })
+    await change('updateItem', { id: bread.id, changes: { bought: true } })
+    expect(await serverItem(bread.id)).toMatchObject({ needed: true, bought: true })
+
+    await change('updateItem', { id: bread.id, changes: { needed: false, bought: false } })
+    expect(await serverItem(bread.id)).toMatchObject({ needed: false, bought: false })
+    await expectInSync()
+  })
+
+  it('discards a change to an item deleted elsewhere', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+    await repository.deleteItem(listId, bread.id)
+
+    await change('updateItem', { id: bread.id, changes: { needed: true } })
+
+    expect(results[0]).toMatchObject({ status: 'discarded' })
+    expect(await repository.fetchList(listId)).toEqual({ items: [], categories: [] })
+  })
+})
+
+// ============ CONCURRENT EDITS ============
+
+describe('concurrent edits', () => {
+  it('applies a change to an item nobody else touched', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+
+    await change('updateItem', itemUpdate(bread, { needed: true }))
+
+    expect(results).toEqual([{ status: 'done' }])
+    expect(await serverItem(bread.id)).toMatchObject({ needed: true, version: 2 })
+    await expectInSync()
+  })
+
+  it('does not undo the same change made elsewhere at the same time', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+    await repository.updateItem(listId, bread.id, { needed: true })  // The other phone was quicker
+
+    await change('updateItem', itemUpdate(bread, { needed: true }))
+
+    expect(results).toEqual([{ status: 'done' }])
+    expect(await serverItem(bread.id)).toMatchObject({ needed: true })
+  })
+
+  it('applies a change to fields nobody else changed meanwhile', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+    await repository.updateItem(listId, bread.id, { note: 'sliced' })
+
+    await change('updateItem', itemUpdate(bread, { needed: true }))
+
+    expect(results).toEqual([{ status: 'done' }])
+    expect(await serverItem(bread.id)).toMatchObject({ needed: true, note: 'sliced' })
+  })
+
+  it('keeps what someone else set meanwhile and reports it', async () => {
+    const bread = item('Baguette', { price: null, note: null })
+    seed({ items: [bread] })
+    await repository.updateItem(listId, bread.id, { price: 3 })
+
+    await change('updateItem', itemUpdate(bread, { price: 2.5, note: 'sliced' }))
+
+    expect(results[0]).toMatchObject({ status: 'discarded', notice: { key: 'sync.overridden', params: { name: 'Baguette' } } })
+    expect(await serverItem(bread.id)).toMatchObject({ price: 3, note: 'sliced' })
+  })
+
+  it('does the same for categories', async () => {
+    const snacks = category('Snacks', { color: 'gray', hidden: false })
+    seed({ categories: [snacks] })
+    await repository.updateCategory(listId, 'Snacks', { color: 'pink' })
+
+    await change('updateCategory', categoryUpdate(snacks, { color: 'green', hidden: true }))
+
+    expect(results[0]).toMatchObject({ status: 'discarded', notice: { key: 'sync.overridden' } })
+    expect((await repository.fetchList(listId)).categories[0]).toMatchObject({ color: 'pink', hidden: true })
+  })
+
+  it('keeps one category when two people add the same name', async () => {
+    const theirs = category('Snacks')
+    await repository.insertCategory(theirs)
+
+    await change('addCategory', { category: category('Snacks') })
+
+    expect(results).toEqual([{ status: 'done' }])
+    expect((await repository.fetchList(listId)).categories).toEqual([theirs])
+  })
+})
+
+// ============ DELETING ============
+
+describe('deleting items', () => {
+  it('moves an item to the Trash and restores it', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+
+    await change('deleteItem', { id: bread.id }, '2026-10-01T10:00:00.000Z')
+    expect(await serverItem(bread.id)).toMatchObject({ deleted_at: '2026-10-01T10:00:00.000Z' })
+    await expectInSync()
+
+    await change('restoreItem', { id: bread.id })
+    expect(await serverItem(bread.id)).toMatchObject({ deleted_at: null })
+    await expectInSync()
+  })
+
+  it('deletes an item from the Trash permanently', async () => {
+    const bread = item('Baguette', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    seed({ items: [bread] })
+
+    await change('purgeItem', { id: bread.id })
+
+    expect(await serverItem(bread.id)).toBeUndefined()
+    await expectInSync()
+  })
+
+  it('cannot restore an item that was deleted permanently', async () => {
+    const bread = item('Baguette', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    seed({ items: [bread] })
+    await repository.deleteItem(listId, bread.id)
+
+    await change('restoreItem', { id: bread.id })
+
+    expect(results[0]).toMatchObject({ status: 'discarded' })
+  })
+
+  it('empties the Trash up to a point in time', async () => {
+    const old = item('Old', { deleted_at: '2026-09-01T10:00:00.000Z' })
+    const recent = item('Recent', { deleted_at: '2026-10-15T10:00:00.000Z' })
+    const live = item('Live')
+    const oldCategory = category('Snacks', { deleted_at: '2026-09-01T10:00:00.000Z' })
+    seed({ items: [old, recent, live], categories: [oldCategory] })
+
+    await change('emptyTrash', { before: '2026-10-01T00:00:00.000Z' })
+
+    const server = await repository.fetchList(listId)
+    expect(server.items.map(row => row.name).sort()).toEqual(['Live', 'Recent'])
+    expect(server.categories).toEqual([])
+    await expectInSync()
+  })
+})
+
+// ============ RESET ============
+
+describe('resetting a trip', () => {
+  it('clears the items of the trip and archives it', async () => {
+    const bought = item('Baguette', { needed: true, bought: true })
+    const left = item('Rolls', { needed: true })
+    const untouched = item('Bagels')
+    seed({ items: [bought, left, untouched] })
+    const trip = { id: generateId(), list_id: listId, items: [{ item_id: bought.id, bought: true }] }
+
+    await change('resetTrip', { itemIds: [bought.id, left.id], recurringIds: [], trip })
+
+    const server = await repository.fetchList(listId)
+    server.items.forEach(row => expect(row).toMatchObject({ needed: false, bought: false }))
+    expect(repository.inspect().trips).toEqual([trip])
+    await expectInSync()
+  })
+
+  it('keeps items that were marked as needed after Reset was pressed', async () => {
+    const onTrip = item('Baguette', { needed: true, bought: true })
+    const later = item('Rolls')
+    seed({ items: [onTrip, later] })
+
+    repository.setOffline(true)
+    await change('resetTrip', { itemIds: [onTrip.id], recurringIds: [], trip: null })
+    repository.setOffline(false)
+    await repository.updateItem(listId, later.id, { needed: true })  // Someone else, meanwhile
+    await replay()
+
+    expect(await serverItem(later.id)).toMatchObject({ needed: true })
+    expect(await serverItem(onTrip.id)).toMatchObject({ needed: false, bought: false })
+  })
+
+  it('marks items that recur every trip as needed again', async () => {
+    const coffee = item('Coffee', { needed: true, bought: true, recurrence: { type: 'trip' } })
+    seed({ items: [coffee] })
+
+    await change('resetTrip', { itemIds: [coffee.id], recurringIds: [coffee.id], trip: null })
+
+    expect(await serverItem(coffee.id)).toMatchObject({ needed: true, bought: false, auto_needed: true })
+    await expectInSync()
+  })
+
+  it('keeps items the store did not have, tagged with the store', async () => {
+    const bought = item('Baguette', { needed: true, bought: true, unavailable_store: 'Corner shop' })
+    const missing = item('Rye bread', { needed: true, unavailable: true })
+    seed({ items: [bought, missing] })
+
+    await change('resetTrip', { itemIds: [bought.id, missing.id], recurringIds: [], carriedIds: [missing.id], carriedStore: 'Market', trip: null })
+
+    expect(await serverItem(missing.id)).toMatchObject({ needed: true, bought: false, unavailable: false, unavailable_store: 'Market' })
+    expect(await serverItem(bought.id)).toMatchObject({ needed: false, unavailable_store: null })
+    await expectInSync()
+  })
+})
+
+// ============ CATEGORIES ============
+
+describe('category cascade', () => {
+  it('moves a category to the Trash together with its items', async () => {
+    const snacks = category('Snacks')
+    const chips = item('Chips', { category: 'Snacks' })
+    const nuts = item('Nuts', { category: 'Snacks', deleted_at: '2026-09-01T10:00:00.000Z' })
+    const bread = item('Baguette')
+    seed({ items: [chips, nuts, bread], categories: [snacks] })
+
+    await change('deleteCategory', { name: 'Snacks' }, '2026-10-01T10:00:00.000Z')
+
+    const server = await repository.fetchList(listId)
+    expect(server.categories[0].deleted_at).toBe('2026-10-01T10:00:00.000Z')
+    expect(await serverItem(chips.id)).toMatchObject({ deleted_at: '2026-10-01T10:00:00.000Z' })
+    expect(await serverItem(nuts.id)).toMatchObject({ deleted_at: '2026-09-01T10:00:00.000Z' })  // Keeps its own time
+    expect(await serverItem(bread.id)).toMatchObject({ deleted_at: null })
+    await expectInSync()
+  })
+
+  it('restores a category with the items deleted along with it', async () => {
+    const snacks = category('Snacks')
+    const chips = item('Chips', { category: 'Snacks' })
+    const nuts = item('Nuts', { category: 'Snacks', deleted_at: '2026-09-01T10:00:00.000Z' })
+    seed({ items: [chips, nuts], categories: [snacks] })
+
+    await change('deleteCategory', { name: 'Snacks' }, '2026-10-01T10:00:00.000Z')
+    await change('restoreCategory', { id: snacks.id, name: 'Snacks', deletedAt: '2026-10-01T10:00:00.000Z' })
+
+    const server = await repository.fetchList(listId)
+    expect(server.categories[0].deleted_at).toBeNull()
+    expect(await serverItem(chips.id)).toMatchObject({ deleted_at: null })
+    expect(await serverItem(nuts.id)).toMatchObject({ deleted_at: '2026-09-01T10:00:00.000Z' })
+    await expectInSync()
+  })
+
+  it('restores only the category that was picked', async () => {
+    const older = category('Snacks', { deleted_at: '2026-09-01T10:00:00.000Z' })
+    const newer = category('Snacks', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    seed({ categories: [older, newer] })
+
+    await change('restoreCategory', { id: newer.id, name: 'Snacks', deletedAt: null })
+
+    const server = await repository.fetchList(listId)
+    expect(server.categories.find(row => row.id === newer.id).deleted_at).toBeNull()
+    expect(server.categories.find(row => row.id === older.id).deleted_at).toBe('2026-09-01T10:00:00.000Z')
+    await expectInSync()
+  })
+
+  it('reports a category that cannot be restored because its name is taken', async () => {
+    const trashed = category('Snacks', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    seed({ categories: [trashed] })
+    repository = createMemoryRepository({ categories: [trashed, category('Snacks')] })  // Added elsewhere meanwhile
+
+    await change('restoreCategory', { id: trashed.id, name: 'Snacks', deletedAt: null })
+
+    expect(results[0]).toMatchObject({ status: 'discarded', notice: { key: 'sync.categoryNameTaken', params: { name: 'Snacks' } } })
+    expect((await repository.fetchList(listId)).categories.find(row => row.id === trashed.id).deleted_at).not.toBeNull()
+  })
+
+  it('deletes a trashed category and its trashed items permanently', async () => {
+    const at = '2026-10-01T10:00:00.000Z'
+    const snacks = category('Snacks', { deleted_at: at })
+    const chips = item('Chips', { category: 'Snacks', deleted_at: at })
+    const bread = item('Baguette', { deleted_at: at })
+    seed({ items: [chips, bread], categories: [snacks] })
+
+    await change('purgeCategory', { name: 'Snacks' })
+
+    const server = await repository.fetchList(listId)
+    expect(server.categories).toEqual([])
+    expect(server.items.map(row => row.id)).toEqual([bread.id])
+    await expectInSync()
+  })
+
+  it('renames a category and moves its items along', async () => {
+    const snacks = category('Snacks')
+    const chips = item('Chips', { category: 'Snacks' })
+    seed({ items: [chips], categories: [snacks] })
+
+    await change('renameCategory', { from: 'Snacks', to: 'Treats' })
+
+    expect(await serverItem(chips.id)).toMatchObject({ category: 'Treats' })
+    expect((await repository.fetchList(listId)).categories[0].name).toBe('Treats')
+    await expectInSync()
+  })
+
+  it('rejects renaming to a name another category has', async () => {
+    seed({ categories: [category('Snacks'), category('Treats')] })
+    vi.spyOn(console, 'error').mockImplementation(() => {})  // The rejection is logged
+
+    await change('renameCategory', { from: 'Snacks', to: 'Treats' })
+
+    expect(results[0]).toMatchObject({
+      status: 'discarded',
+      reason: 'A category called "Treats" already exists',
+      notice: { key: 'sync.rejected' }
+    })
+  })
+
+  it('changes the colour, icon and visibility of a category', async () => {
+    seed({ categories: [category('Snacks')] })
+
+    await change('updateCategory', { name: 'Snacks', changes: { color: 'pink', icon: 'cookie', hidden: true } })
+
+    expect((await repository.fetchList(listId)).categories[0]).toMatchObject({ color: 'pink', icon: 'cookie', hidden: true })
+    await expectInSync()
+  })
+
+  it('discards changes to a category deleted elsewhere', async () => {
+    seed({ categories: [category('Snacks', { deleted_at: '2026-10-01T10:00:00.000Z' })] })
+
+    await change('updateCategory', { name: 'Snacks', changes: { hidden: true } })
+
+    expect(results[0]).toMatchObject({ status: 'discarded', notice: { key: 'sync.categoryChangedDeleted' } })
+    await expectInSync()
+  })
+
+  it('adding a category replaces a trashed one of the same name', async () => {
+    const trashed = category('Snacks', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    seed({ categories: [trashed] })
+    const snacks = category('Snacks')
+
+    await change('addCategory', { category: snacks })
+
+    expect((await repository.fetchList(listId)).categories).toEqual([snacks])
+    await expectInSync()
+  })
+})
+
+// ============ ACTIVITY ============
+
+describe('activity', () => {
+  const actor = { id: 'user-1', email: 'anna@example.com' }
+
+  /**
+   * Make a change the way a signed-in user does, with its activity entries
+   */
+  const changeAs = async (type, payload) => {
+    const mutation = withActivity(createMutation(listId, type, payload), local.items, actor)
+    await addMutation(mutation)
+    local = applyMutation(local, mutation)
+    await replay()
+  }
+
+  it('records who made a change once the server accepted it', async () => {
+    const bread = item('Baguette')
+    seed({ items: [bread] })
+
+    await changeAs('updateItem', itemUpdate(bread, { needed: true }))
+
+    expect(repository.inspect().activity).toEqual([
+      expect.objectContaining({ list_id: listId, actor_id: 'user-1', actor_email: 'anna@example.com', action: 'itemNeeded', item_id: bread.id, name: 'Baguette' })
+    ])
+  })
+
+  it('records nothing for a change that was discarded', async () => {
+    const bread = item('Baguette', { deleted_at: '2026-10-01T10:00:00.000Z' })
+    seed({ items: [bread] })
+    await repository.deleteItem(listId, bread.id)  // Deleted for good elsewhere
+
+    await changeAs('updateItem', itemUpdate(bread, { needed: true }))
+
+    expect(results[0]).toMatchObject({ status: 'discarded' })
+    expect(repository.inspect().activity).toEqual([])
+  })
+
+  it('points the activity at the existing item when an add was merged into it', async () => {
+    const theirs = item('Milk')
+    repository = createMemoryRepository({ items: [theirs] })
+
+    repository.setOffline(true)
+    const mine = item('milk')
+    await changeAs('addItem', { item: mine })
+    await changeAs('updateItem', itemUpdate(mine, { bought: true }))
+    repository.setOffline(false)
+    await replay()
+
+    expect(repository.inspect().activity.map(entry => [entry.action, entry.item_id])).toEqual([['itemBought', theirs.id]])
+  })
+})
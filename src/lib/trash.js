@@ -0,0 +1,53 @@
+/**
+ * Trash
+ *
+ * Deleted items and categories keep a `deleted_at` timestamp and stay in the
+ * Trash for TRASH_RETENTION_DAYS, after which they are purged for good.
+ */
+
+// How long deleted things can still be restored
+export const TRASH_RETENTION_DAYS = 30
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Anything deleted before this moment is due for purging
+ */
+export const trashCutoff = (now = Date.now()) => new Date(now - TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+
+/**
+ * Days left (rounded up) before a deleted row is purged
+ */
+export const daysLeft = (deletedAt, now = Date.now()) =>
+  Math.max(0, Math.ceil((Date.parse(deletedAt) + TRASH_RETENTION_DAYS * DAY_MS - now) / DAY_MS))
+
+/**
+ * Group the Trash into entries for display, newest first:
+ *   { type: 'category', category, items }  - a category with the items deleted along with it
+ *   { type: 'item', item, categoryDeleted } - an item deleted on its own
+ */
+export const groupTrash = ({ items, categories }) => {
+  const categoryEntries = categories.map(category => ({
+    type: 'category',
+    category,
+    deletedAt: category.deleted_at,
+    items: items.filter(item =>
+      item.category === category.name && Date.parse(item.deleted_at) === Date.parse(category.deleted_at)
+    )
+  }))
+
+  const grouped = new Set(categoryEntries.flatMap(entry => entry.items.map(item => item.id)))
+  const trashedNames = new Set(categories.map(category => category.name))
+
+  const itemEntries = items
+    .filter(item => !grouped.has(item.id))
+    .map(item => ({
+      type: 'item',
+      item,
+      deletedAt: item.deleted_at,
+      categoryDeleted: trashedNames.has(item.category)  // Restoring it brings its category back too
+    }))
+
+  return [...categoryEntries, ...itemEntries]
+    .sort((a, b) => Date.parse(b.deletedAt) - Date.parse(a.deletedAt))
+}
@@ -0,0 +1,94 @@
+import { supabase } from './supabase'
+import { readCache, writeCache } from './localDb'
+import { generateId, isNetworkError } from './syncQueue'
+import { sumPrices } from './prices'
+
+/**
+ * Shopping Trips
+ *
+ * Reset archives the finished trip before clearing the list. A trip record keeps
+ * the store it was done in and a snapshot of each item that was on it:
+ *   { item_id, name, category, quantity, unit, note, price, needed, bought, unavailable }
+ * The record travels with the queued resetTrip mutation, so trips finished
+ * offline are archived once the queue is replayed.
+ */
+
+// How many past trips the History screen shows
+const HISTORY_LIMIT = 50
+
+/**
+ * Build the record of a trip from the list's current items
+ */
+export const createTripRecord = ({ listId, userId, store, items }) => ({
+  id: generateId(),
+  list_id: listId,
+  store_id: store?.id || null,
+  store_name: store?.name || null,
+  items: items
+    .filter(item => item.needed || item.bought)
+    .map(item => ({
+      item_id: item.id,
+      name: item.name,
+      category: item.category,
+      quantity: item.quantity ?? null,
+      unit: item.unit || null,
+      note: item.note || null,
+      price: item.price ?? null,
+      needed: Boolean(item.needed),
+      bought: Boolean(item.bought),
+      unavailable: Boolean(item.unavailable)  // The store didn't have it
+    })),
+  finished_by: userId,
+  finished_at: new Date().toISOString()
+})
+
+/**
+ * Counts for a trip: items needed, bought, and left unbought (of which the
+ * store didn't have `unavailable`), plus what the bought items cost
+ */
+export const summarizeTrip = (trip) => {
+  const boughtItems = trip.items.filter(item => item.bought)
+  return {
+    needed: trip.items.length,
+    bought: boughtItems.length,
+    unbought: trip.items.length - boughtItems.length,
+    unavailable: trip.items.filter(item => item.unavailable && !item.bought).length,
+    spent: sumPrices(boughtItems).total
+  }
+}
+
+/**
+ * Fetch the most recent trips of a list, newest first
+ * Offline, the trips from the last successful fetch are returned instead
+ */
+export const fetchTrips = async (listId) => {
+  const { data, error } = await supabase
+    .from('trips')
+    .select('*')
+    .eq('list_id', listId)
+    .order('finished_at', { ascending: false })
+    .limit(HISTORY_LIMIT)
+
+  if (error) {
+    const cached = isNetworkError(error) && await readCache(`trips:${listId}`)
+    if (cached) return cached
+    throw error
+  }
+
+  await writeCache(`trips:${listId}`, data || [])
+  return data || []
+}
+
+/**
+ * Total spent on the trips finished since the given time (e.g. this month)
+ */
+export const fetchSpentSince = async (listId, since) => {
+  const { data, error } = await supabase
+    .from('trips')
+    .select('items')
+    .eq('list_id', listId)
+    .gte('finished_at', since)
+
+  if (error) throw error
+  return (data || []).reduce((sum, trip) => sum + summarizeTrip(trip).spent, 0)
+}
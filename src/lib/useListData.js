@@ -0,0 +1,343 @@
+'use client'
+
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { createSupabaseRepository } from './listRepository'
+import { readCache, writeCache, addMutation, getMutations } from './localDb'
+import {
+  applyMutation,
+  applyServerChange,
+  createEchoTracker,
+  createMutation,
+  generateId,
+  isNetworkError,
+  replayQueue
+} from './syncQueue'
+import { ACTIVITY_LIMIT, HIGHLIGHT_MS, addActivity, withActivity } from './activity'
+
+const EMPTY_STATE = { items: [], categories: [] }
+
+const cacheKey = (listId) => `list:${listId}`
+
+// Where lists are read from and written to, unless a hook caller passes another repository
+const defaultRepository = createSupabaseRepository()
+
+// This app session, in the activity it records: changes from any other device are highlighted
+const DEVICE_ID = generateId()
+
+/**
+ * Offline-first data for one list
+ *
+ * - Shows the cached copy of the list immediately, then refreshes it from Supabase
+ * - Changes go through mutate(): applied locally at once, queued in IndexedDB
+ *   and replayed in order whenever we're online (see syncQueue.js).
+ *   A change the server rejects is rolled back and reported in `notices`.
+ * - Realtime changes from other devices and members are patched into the
+ *   local state directly; the whole list is only re-fetched after being offline
+ *
+ * Returns the list's items and category rows (with queued changes applied),
+ * what's in the Trash, plus sync status for the "pending sync" indicator
+ * and the ids of items with changes still queued (`pendingItemIds`).
+ * `cachedOnly` is true while what's shown is the cached copy because the
+ * server couldn't be reached since the list was opened (e.g. the app was
+ * started offline): it may be out of date, so callers show it read-only.
+ * `repository` is the backend (see listRepository.js); Supabase by default.
+ * Pass the same repository and actor objects on every render: the sync and
+ * the realtime subscription restart when they change.
+ *
+ * With an `actor` (the signed-in user: { id, email }) changes are recorded in
+ * the list's activity feed (see activity.js). `activity` is the feed, newest
+ * first; `highlighted` holds the ids of items just changed on another device
+ * (by another member, or by the same user elsewhere).
+ */
+export function useListData(listId, repository = defaultRepository, actor = null) {
+  // ============ STATE MANAGEMENT ============
+
+  // Last known server state: { items, categories }
+  const [server, setServer] = useState(EMPTY_STATE)
+
+  // Mutations made on this device that haven't reached the server yet
+  const [pending, setPending] = useState([])
+
+  const [loading, setLoading] = useState(true)
+  const [online, setOnline] = useState(true)
+  const [fetched, setFetched] = useState(false)  // Server state loaded since the list was opened
+  const [syncing, setSyncing] = useState(false)
+
+  // Changes that were discarded during sync, shown to the user: [{ id, message, key?, params? }]
+  // (key and params translate the message; server errors only have the message)
+  const [notices, setNotices] = useState([])
+
+  const [activity, setActivity] = useState([])
+  const [highlighted, setHighlighted] = useState(() => new Set())
+
+  // Only one replay may run at a time; changes made during a replay trigger another pass
+  const flushingRef = useRef(false)
+  const flushAgainRef = useRef(false)
+
+  // Set when we may have missed realtime events (offline), so the next sync re-fetches
+  const staleRef = useRef(false)
+
+  // Recognises the realtime echoes of our own writes
+  const echoesRef = useRef(null)
+  if (!echoesRef.current) echoesRef.current = createEchoTracker()
+
+  // What the user sees: server state with the queued changes re-applied on top,
+  // split into live rows and rows in the Trash
+  const { items, categories, trash } = useMemo(() => {
+    const state = pending.reduce(applyMutation, server)
+    return {
+      items: state.items.filter(item => !item.deleted_at),
+      categories: state.categories.filter(category => !category.deleted_at),
+      trash: {
+        items: state.items.filter(item => item.deleted_at),
+        categories: state.categories.filter(category => category.deleted_at)
+      }
+    }
+  }, [server, pending])
+
+  // Ids of the items that queued changes are about
+  const pendingItemIds = useMemo(
+    () => new Set(pending.map(({ payload }) => payload.id || payload.item?.id).filter(Boolean)),
+    [pending]
+  )
+
+  // The list that `server` holds; the cache is only written for that list,
+  // so switching lists can't store one list's rows under another's key
+  const serverListRef = useRef(null)
+
+  // Items as the user sees them, for mutate() to describe changes without depending on every render
+  const visibleItemsRef = useRef([])
+  useEffect(() => {
+    visibleItemsRef.current = [...items, ...trash.items]
+  }, [items, trash])
+
+  // ============ SERVER ============
+
+  /**
+   * Fetch the most recent activity (a feed that can't be loaded just stays as it is)
+   */
+  const fetchActivity = useCallback(async () => {
+    try {
+      const entries = await repository.fetchActivity(listId, { limit: ACTIVITY_LIMIT })
+      setActivity(feed => addActivity(feed, entries))
+    } catch (error) {
+      if (!isNetworkError(error)) console.error('Error fetching activity:', error)
+    }
+  }, [listId, repository])
+
+  /**
+   * Fetch items and categories from the repository (cached for offline use by the effect below)
+   */
+  const fetchServer = useCallback(async () => {
+    try {
+      setServer(await repository.fetchList(listId))
+      serverListRef.current = listId
+      setOnline(true)
+      setFetched(true)
+      staleRef.current = false
+    } catch (error) {
+      if (isNetworkError(error)) {
+        setOnline(false)  // Keep showing the cached copy
+        staleRef.current = true
+      } else {
+        console.error('Error fetching list:', error)
+      }
+      return
+    }
+
+    if (actor) fetchActivity()
+  }, [listId, repository, actor, fetchActivity])
+
+  /**
+   * Replay queued mutations
+   * Successful changes move into the server state; rejected ones are rolled back
+   * simply by leaving the pending list. After being offline the list is re-fetched.
+   */
+  const flush = useCallback(async () => {
+    if (flushingRef.current) {
+      flushAgainRef.current = true
+      return
+    }
+
+    flushingRef.current = true
+    setSyncing(true)
+    try {
+      let drained
+      do {
+        flushAgainRef.current = false
+        drained = await replayQueue(listId, repository, {
+          onSend: (mutation) => echoesRef.current.expect(mutation),
+          onSettled: (mutation, result) => {
+            // Move the change from "pending" into the known server state
+            if (result.status === 'done') {
+              setServer(state => applyMutation(state, mutation))
+              if (mutation.activity) setActivity(feed => addActivity(feed, mutation.activity))
+            } else {
+              setNotices(current => [...current, { id: mutation.seq, message: result.reason, ...result.notice }])
+            }
+            setPending(queue => queue.filter(queued => queued.seq !== mutation.seq))
+          }
+        })
+      } while (drained && flushAgainRef.current)
+
+      if (!drained) {
+        setOnline(false)
+        staleRef.current = true
+      } else if (staleRef.current) {
+        await fetchServer()  // Catch up on realtime events missed while offline
+      }
+    } finally {
+      flushingRef.current = false
+      setSyncing(false)
+    }
+  }, [listId, repository, fetchServer])
+
+  // ============ MUTATIONS ============
+
+  /**
+   * Record a change: applied to the UI immediately and synced when possible
+   * Stable for a list, so effects can depend on it.
+   */
+  const mutate = useCallback(async (type, payload) => {
+    const mutation = withActivity(createMutation(listId, type, payload), visibleItemsRef.current, actor && { ...actor, deviceId: DEVICE_ID })
+    const seq = await addMutation(mutation)
+    setPending(queue => [...queue, { ...mutation, seq }])
+    flush()
+  }, [listId, actor, flush])
+
+  const dismissNotice = (id) => {
+    setNotices(current => current.filter(notice => notice.id !== id))
+  }
+
+  // ============ INITIALIZATION ============
+
+  /**
+   * Keep the cached copy in line with the patched server state
+   */
+  useEffect(() => {
+    if (!listId || loading || serverListRef.current !== listId) return
+    writeCache(cacheKey(listId), server)
+  }, [listId, server, loading])
+
+  /**
+   * Show the cached list and queued changes first, then sync with the server
+   */
+  useEffect(() => {
+    if (!listId) return
+    let cancelled = false
+
+    const initialize = async () => {
+      setLoading(true)
+      setFetched(false)
+      setActivity([])
+      const [cached, queued] = await Promise.all([readCache(cacheKey(listId)), getMutations(listId)])
+      if (cancelled) return
+
+      setPending(queued)
+      if (cached) {
+        setServer(cached)
+        serverListRef.current = listId
+        setLoading(false)  // Cached data is good enough to start with
+      }
+
+      await fetchServer()
+      if (cancelled) return
+      setLoading(false)
+      flush()
+    }
+
+    initialize()
+    return () => { cancelled = true }
+  }, [listId, fetchServer, flush])
+
+  /**
+   * Track connectivity and replay the queue as soon as we're back online
+   */
+  useEffect(() => {
+    if (!listId) return
+
+    const handleOnline = () => {
+      setOnline(true)
+      flush()
+    }
+    const handleOffline = () => {
+      setOnline(false)
+      staleRef.current = true
+    }
+
+    setOnline(navigator.onLine)
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+    }
+  }, [listId, flush])
+
+  // ============ REAL-TIME SUBSCRIPTIONS ============
+
+  /**
+   * Highlight an item for a moment
+   */
+  const highlight = useCallback((id) => {
+    setHighlighted(ids => new Set(ids).add(id))
+    setTimeout(() => {
+      setHighlighted(ids => {
+        const rest = new Set(ids)
+        rest.delete(id)
+        return rest
+      })
+    }, HIGHLIGHT_MS)
+  }, [])
+
+  /**
+   * Patch items and categories as they change on other devices
+   * Our own UPDATE echoes are dropped; everything else is applied as received.
+   * New activity goes into the feed, and highlights the item when it was changed on another device.
+   * When the channel reconnects we may have missed events, so re-fetch once.
+   */
+  useEffect(() => {
+    if (!listId) return
+
+    const handleChange = (table, payload) => {
+      if (table === 'activity') {
+        if (!actor) return
+        setActivity(feed => addActivity(feed, [payload.new]))
+        if (payload.new.item_id && payload.new.device_id !== DEVICE_ID) highlight(payload.new.item_id)
+        return
+      }
+      if (payload.eventType === 'UPDATE' && echoesRef.current.isEcho(payload.new)) return
+      setServer(state => applyServerChange(state, table, payload))
+    }
+
+    let subscribedOnce = false
+    const handleStatus = (status) => {
+      if (status !== 'SUBSCRIBED') return
+      if (subscribedOnce) fetchServer()  // Reconnected after a drop
+      subscribedOnce = true
+    }
+
+    // Unsubscribe when the component unmounts or the list changes
+    return repository.subscribe(listId, {
+      onChange: handleChange,
+      onStatus: handleStatus
+    })
+  }, [listId, repository, actor, fetchServer, highlight])
+
+  return {
+    items,
+    categories,
+    trash,
+    loading,
+    online,
+    cachedOnly: !fetched && !online,
+    syncing,
+    pendingCount: pending.length,
+    pendingItemIds,
+    notices,
+    dismissNotice,
+    activity,
+    highlighted,
+    mutate
+  }
+}
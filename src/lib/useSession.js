@@ -0,0 +1,33 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { supabase } from './supabase'
+
+/**
+ * Track the current Supabase auth session
+ * Returns { session, loading } and stays up to date on sign in / sign out
+ */
+export function useSession() {
+  const [session, setSession] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    // Get initial session
+    supabase.auth.getSession().then(({ data: { session } }) => {
+      setSession(session)
+      setLoading(false)
+    })
+
+    // Listen for auth changes
+    const {
+      data: { subscription },
+    } = supabase.auth.onAuthStateChange((_event, session) => {
+      setSession(session)
+      setLoading(false)
+    })
+
+    return () => subscription.unsubscribe()
+  }, [])
+
+  return { session, loading }
+}
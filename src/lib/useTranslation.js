@@ -0,0 +1,25 @@
+'use client'
+
+import { createContext, useContext, useCallback, Fragment, createElement } from 'react'
+import { DEFAULT_LOCALE, translate, translateParts, localeDirection } from './i18n'
+
+/**
+ * The current language and a way to change it, provided by LocaleProvider
+ */
+export const LocaleContext = createContext({ locale: DEFAULT_LOCALE, setLocale: () => {} })
+
+/**
+ * UI text in the user's language
+ * Returns { t, rich, locale, dir, setLocale }:
+ * - t('plan.itemsNeeded', { count: 3 }) gives a string
+ * - rich('category.deleteConfirm', { name: <strong>Garden</strong> }) keeps elements in the text
+ */
+export function useTranslation() {
+  const { locale, setLocale } = useContext(LocaleContext)
+  const t = useCallback((key, params) => translate(locale, key, params), [locale])
+  const rich = useCallback(
+    (key, params) => translateParts(locale, key, params).map((part, index) => createElement(Fragment, { key: index }, part)),
+    [locale]
+  )
+  return { t, rich, locale, dir: localeDirection(locale), setLocale }
+}
@@ -0,0 +1,45 @@
+import { supabase } from './supabase'
+import { readCache, writeCache } from './localDb'
+import { isNetworkError } from './syncQueue'
+
+/**
+ * User Settings
+ *
+ * Per-user preferences stored in the user_settings table, so they follow the
+ * user to every device: { locale }. Missing settings are null.
+ */
+
+const EMPTY_SETTINGS = { locale: null }
+
+/**
+ * Fetch the user's settings
+ * Offline, the settings from the last successful fetch are returned instead
+ */
+export const fetchUserSettings = async (userId) => {
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('locale')
+    .eq('user_id', userId)
+    .maybeSingle()
+
+  if (error) {
+    const cached = isNetworkError(error) && await readCache(`settings:${userId}`)
+    if (cached) return cached
+    throw error
+  }
+
+  const settings = { ...EMPTY_SETTINGS, ...data }
+  await writeCache(`settings:${userId}`, settings)
+  return settings
+}
+
+/**
+ * Change some of the user's settings: saveUserSettings(userId, { locale: 'fr' })
+ */
+export const saveUserSettings = async (userId, changes) => {
+  const { error } = await supabase
+    .from('user_settings')
+    .upsert({ user_id: userId, ...changes, updated_at: new Date().toISOString() })
+
+  if (error) throw error
+}
@@ -0,0 +1,239 @@
+-- ============ SHARED LISTS ============
+-- Moves ownership of items and categories from a single user to a list.
+-- A list has members with one of three roles:
+--   owner  - full access, manages members and invitations
+--   editor - can add, toggle and delete items and categories
+--   viewer - read-only access (sees Store Mode progress live)
+--
+-- Existing data is migrated into one personal list per user, so nothing is lost.
+
+-- ============ TABLES ============
+
+create table if not exists public.lists (
+  id uuid primary key default gen_random_uuid(),
+  name text not null default 'My Shopping List',
+  owner_id uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.list_members (
+  list_id uuid not null references public.lists (id) on delete cascade,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  email text,                                   -- Copied at join time; auth.users is not readable from the client
+  role text not null check (role in ('owner', 'editor', 'viewer')),
+  created_at timestamptz not null default now(),
+  primary key (list_id, user_id)
+);
+
+-- An invitation is either addressed to an email (single use) or is a
+-- shareable link (email is null, reusable until revoked).
+create table if not exists public.list_invitations (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.lists (id) on delete cascade,
+  email text,
+  role text not null check (role in ('editor', 'viewer')),
+  token text not null unique default encode(gen_random_bytes(16), 'hex'),
+  invited_by uuid not null references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  accepted_at timestamptz,
+  accepted_by uuid references auth.users (id) on delete set null
+);
+
+alter table public.shopping_items add column if not exists list_id uuid references public.lists (id) on delete cascade;
+alter table public.categories add column if not exists list_id uuid references public.lists (id) on delete cascade;
+
+-- ============ DATA MIGRATION ============
+-- One personal list per user who already has items or categories
+
+insert into public.lists (owner_id)
+select distinct user_id from (
+  select user_id from public.shopping_items
+  union
+  select user_id from public.categories
+) existing_users;
+
+insert into public.list_members (list_id, user_id, email, role)
+select l.id, l.owner_id, u.email, 'owner'
+from public.lists l
+join auth.users u on u.id = l.owner_id
+on conflict do nothing;
+
+update public.shopping_items s set list_id = l.id from public.lists l where l.owner_id = s.user_id and s.list_id is null;
+update public.categories c set list_id = l.id from public.lists l where l.owner_id = c.user_id and c.list_id is null;
+
+alter table public.shopping_items alter column list_id set not null;
+alter table public.categories alter column list_id set not null;
+
+create index if not exists shopping_items_list_id_idx on public.shopping_items (list_id);
+create index if not exists categories_list_id_idx on public.categories (list_id);
+
+-- Realtime needs the full row on UPDATE/DELETE so list_id filters match
+alter table public.shopping_items replica identity full;
+alter table public.categories replica identity full;
+alter table public.list_members replica identity full;
+alter publication supabase_realtime add table public.list_members;
+
+-- ============ HELPERS ============
+
+-- Role of the current user in a list, or null when not a member.
+-- SECURITY DEFINER so policies on list_members can call it without recursion.
+create or replace function public.list_role(p_list_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.list_members where list_id = p_list_id and user_id = auth.uid()
+$$;
+
+-- The creator of a list automatically becomes its owner
+create or replace function public.add_list_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.list_members (list_id, user_id, email, role)
+  values (new.id, new.owner_id, auth.jwt() ->> 'email', 'owner')
+  on conflict do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists lists_add_owner on public.lists;
+create trigger lists_add_owner
+after insert on public.lists
+for each row execute function public.add_list_owner();
+
+-- Accept an invitation by token and return the list id.
+-- Email invitations only work for the addressed user and are single use;
+-- link invitations can be used by anyone who has the link.
+create or replace function public.accept_list_invitation(p_token text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  invitation public.list_invitations;
+  user_email text := auth.jwt() ->> 'email';
+begin
+  select * into invitation from public.list_invitations where token = p_token;
+
+  if invitation.id is null then
+    raise exception 'Invitation not found or revoked';
+  end if;
+  if invitation.email is not null and lower(invitation.email) <> lower(user_email) then
+    raise exception 'This invitation was sent to a different email address';
+  end if;
+  if invitation.email is not null and invitation.accepted_at is not null then
+    raise exception 'This invitation has already been used';
+  end if;
+
+  -- Never downgrade an existing member (e.g. the owner opening their own link)
+  insert into public.list_members (list_id, user_id, email, role)
+  values (invitation.list_id, auth.uid(), user_email, invitation.role)
+  on conflict (list_id, user_id) do nothing;
+
+  if invitation.email is not null then
+    update public.list_invitations
+    set accepted_at = now(), accepted_by = auth.uid()
+    where id = invitation.id;
+  end if;
+
+  return invitation.list_id;
+end;
+$$;
+
+-- ============ ROW LEVEL SECURITY ============
+
+alter table public.lists enable row level security;
+alter table public.list_members enable row level security;
+alter table public.list_invitations enable row level security;
+alter table public.shopping_items enable row level security;
+alter table public.categories enable row level security;
+
+-- Lists: members (and pending invitees) read, anyone creates their own,
+-- owner renames/deletes. The owner_id check lets a new list be read back
+-- straight after the insert, before the trigger has made its creator a member.
+drop policy if exists "Members can view lists" on public.lists;
+create policy "Members can view lists" on public.lists
+  for select using (
+    owner_id = auth.uid()
+    or public.list_role(id) is not null
+    or exists (
+      select 1 from public.list_invitations i
+      where i.list_id = lists.id  -- Qualified: a bare "id" would be the invitation's
+        and i.accepted_at is null
+        and lower(i.email) = lower(auth.jwt() ->> 'email')
+    )
+  );
+drop policy if exists "Users can create lists" on public.lists;
+create policy "Users can create lists" on public.lists
+  for insert with check (owner_id = auth.uid());
+drop policy if exists "Owners can update lists" on public.lists;
+create policy "Owners can update lists" on public.lists
+  for update using (public.list_role(id) = 'owner');
+drop policy if exists "Owners can delete lists" on public.lists;
+create policy "Owners can delete lists" on public.lists
+  for delete using (public.list_role(id) = 'owner');
+
+-- Members: everyone on the list sees who else is on it, owner manages,
+-- and any member may leave (delete their own row) except the owner.
+-- The owner can't change their own role, so a list always keeps its owner.
+drop policy if exists "Members can view members" on public.list_members;
+create policy "Members can view members" on public.list_members
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Owners can change roles" on public.list_members;
+create policy "Owners can change roles" on public.list_members
+  for update using (public.list_role(list_id) = 'owner' and user_id <> auth.uid())
+  with check (role <> 'owner');
+drop policy if exists "Owners remove members, members leave" on public.list_members;
+create policy "Owners remove members, members leave" on public.list_members
+  for delete using (
+    role <> 'owner'
+    and (public.list_role(list_id) = 'owner' or user_id = auth.uid())
+  );
+
+-- Invitations: owner manages; the addressed user can see their pending ones
+drop policy if exists "Owners and invitees can view invitations" on public.list_invitations;
+create policy "Owners and invitees can view invitations" on public.list_invitations
+  for select using (
+    public.list_role(list_id) = 'owner'
+    or lower(email) = lower(auth.jwt() ->> 'email')
+  );
+drop policy if exists "Owners can create invitations" on public.list_invitations;
+create policy "Owners can create invitations" on public.list_invitations
+  for insert with check (public.list_role(list_id) = 'owner' and invited_by = auth.uid());
+drop policy if exists "Owners can revoke invitations" on public.list_invitations;
+create policy "Owners can revoke invitations" on public.list_invitations
+  for delete using (public.list_role(list_id) = 'owner');
+
+-- Items and categories: members read, owners and editors write
+drop policy if exists "Members can view items" on public.shopping_items;
+create policy "Members can view items" on public.shopping_items
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Editors can add items" on public.shopping_items;
+create policy "Editors can add items" on public.shopping_items
+  for insert with check (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can update items" on public.shopping_items;
+create policy "Editors can update items" on public.shopping_items
+  for update using (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can delete items" on public.shopping_items;
+create policy "Editors can delete items" on public.shopping_items
+  for delete using (public.list_role(list_id) in ('owner', 'editor'));
+
+drop policy if exists "Members can view categories" on public.categories;
+create policy "Members can view categories" on public.categories
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Editors can add categories" on public.categories;
+create policy "Editors can add categories" on public.categories
+  for insert with check (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can update categories" on public.categories;
+create policy "Editors can update categories" on public.categories
+  for update using (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can delete categories" on public.categories;
+create policy "Editors can delete categories" on public.categories
+  for delete using (public.list_role(list_id) in ('owner', 'editor'));
@@ -0,0 +1,10 @@
+-- ============ NAMED LISTS ============
+-- Users can keep several lists ("Weekly groceries", "Hardware store", ...).
+-- Archived lists are hidden from the list switcher but keep their items.
+
+alter table public.lists add column if not exists archived_at timestamptz;
+
+-- Renames and archiving show up live in every member's list switcher
+alter table public.lists replica identity full;
+alter publication supabase_realtime add table public.lists;
+
@@ -0,0 +1,6 @@
+-- ============ ITEM DETAILS ============
+-- Optional quantity, unit and free-form note per item ("2 kg apples, organic")
+
+alter table public.shopping_items add column if not exists quantity numeric check (quantity is null or quantity > 0);
+alter table public.shopping_items add column if not exists unit text;
+alter table public.shopping_items add column if not exists note text;
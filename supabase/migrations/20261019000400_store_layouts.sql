@@ -0,0 +1,31 @@
+-- ============ STORE LAYOUTS ============
+-- Each list can have store profiles ("Lidl Main St", "Hardware store") that
+-- remember the order of categories (and optionally items) along the route
+-- through that shop. Store Mode shows the list in the chosen store's order.
+
+create table if not exists public.stores (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.lists (id) on delete cascade,
+  name text not null,
+  category_order text[] not null default '{}',   -- Category names in walking order
+  item_order uuid[] not null default '{}',       -- Optional item ids in walking order
+  created_at timestamptz not null default now(),
+  unique (list_id, name)
+);
+
+create index if not exists stores_list_id_idx on public.stores (list_id);
+
+alter table public.stores enable row level security;
+
+drop policy if exists "Members can view stores" on public.stores;
+create policy "Members can view stores" on public.stores
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Editors can add stores" on public.stores;
+create policy "Editors can add stores" on public.stores
+  for insert with check (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can update stores" on public.stores;
+create policy "Editors can update stores" on public.stores
+  for update using (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can delete stores" on public.stores;
+create policy "Editors can delete stores" on public.stores
+  for delete using (public.list_role(list_id) in ('owner', 'editor'));
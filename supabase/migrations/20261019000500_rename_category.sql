@@ -0,0 +1,29 @@
+-- ============ RENAME CATEGORY ============
+-- Renames a category together with every item filed under it (and its
+-- position in store layouts) in a single transaction, so nobody ever sees
+-- items pointing at a category that no longer exists.
+
+create or replace function public.rename_category(p_list_id uuid, p_old_name text, p_new_name text)
+returns void
+language plpgsql
+security invoker   -- Runs with the caller's permissions, so RLS still applies
+set search_path = public
+as $$
+begin
+  if public.list_role(p_list_id) not in ('owner', 'editor') then
+    raise exception 'You are not allowed to edit this list';
+  end if;
+  if trim(p_new_name) = '' then
+    raise exception 'Category name cannot be empty';
+  end if;
+  if exists (select 1 from public.categories where list_id = p_list_id and name = p_new_name) then
+    raise exception 'A category called "%" already exists', p_new_name;
+  end if;
+
+  update public.categories set name = p_new_name where list_id = p_list_id and name = p_old_name;
+  update public.shopping_items set category = p_new_name where list_id = p_list_id and category = p_old_name;
+  update public.stores
+    set category_order = array_replace(category_order, p_old_name, p_new_name)
+    where list_id = p_list_id;
+end;
+$$;
@@ -0,0 +1,47 @@
+-- ============ TRASH ============
+-- Deleting an item or category only sets deleted_at, so it can be restored
+-- from the Trash. The app purges rows that have been in the Trash longer
+-- than the retention period (see src/lib/trash.js).
+
+alter table public.shopping_items add column if not exists deleted_at timestamptz;
+alter table public.categories add column if not exists deleted_at timestamptz;
+
+create index if not exists shopping_items_deleted_at_idx on public.shopping_items (list_id, deleted_at)
+  where deleted_at is not null;
+create index if not exists categories_deleted_at_idx on public.categories (list_id, deleted_at)
+  where deleted_at is not null;
+
+-- ============ RENAME CATEGORY ============
+-- A category in the Trash no longer blocks its name: it is purged when a
+-- live category is renamed to that name. Items keep following their category.
+
+create or replace function public.rename_category(p_list_id uuid, p_old_name text, p_new_name text)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+begin
+  if public.list_role(p_list_id) not in ('owner', 'editor') then
+    raise exception 'You are not allowed to edit this list';
+  end if;
+  if trim(p_new_name) = '' then
+    raise exception 'Category name cannot be empty';
+  end if;
+  if exists (
+    select 1 from public.categories
+    where list_id = p_list_id and name = p_new_name and deleted_at is null
+  ) then
+    raise exception 'A category called "%" already exists', p_new_name;
+  end if;
+
+  delete from public.categories
+    where list_id = p_list_id and name = p_new_name and deleted_at is not null;
+
+  update public.categories set name = p_new_name where list_id = p_list_id and name = p_old_name;
+  update public.shopping_items set category = p_new_name where list_id = p_list_id and category = p_old_name;
+  update public.stores
+    set category_order = array_replace(category_order, p_old_name, p_new_name)
+    where list_id = p_list_id;
+end;
+$$;
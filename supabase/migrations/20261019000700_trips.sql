@@ -0,0 +1,27 @@
+-- ============ SHOPPING TRIPS ============
+-- Reset archives the finished trip before clearing the list: when it happened,
+-- in which store, and a snapshot of every item that was on it.
+
+create table if not exists public.trips (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.lists (id) on delete cascade,
+  store_id uuid references public.stores (id) on delete set null,
+  store_name text,                                  -- Kept even if the store profile is deleted
+  items jsonb not null default '[]',                -- [{ item_id, name, category, quantity, unit, note, needed, bought }]
+  finished_by uuid references auth.users (id) on delete set null,
+  finished_at timestamptz not null default now()
+);
+
+create index if not exists trips_list_id_idx on public.trips (list_id, finished_at desc);
+
+alter table public.trips enable row level security;
+
+drop policy if exists "Members can view trips" on public.trips;
+create policy "Members can view trips" on public.trips
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Editors can record trips" on public.trips;
+create policy "Editors can record trips" on public.trips
+  for insert with check (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can delete trips" on public.trips;
+create policy "Editors can delete trips" on public.trips
+  for delete using (public.list_role(list_id) in ('owner', 'editor'));
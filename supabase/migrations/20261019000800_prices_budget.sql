@@ -0,0 +1,6 @@
+-- ============ PRICES AND BUDGET ============
+-- Optional price per item: what was paid for it last time (kept across trips),
+-- and an optional monthly budget per list.
+
+alter table public.shopping_items add column if not exists price numeric check (price is null or price >= 0);
+alter table public.lists add column if not exists monthly_budget numeric check (monthly_budget is null or monthly_budget > 0);
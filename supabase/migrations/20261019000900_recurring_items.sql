@@ -0,0 +1,9 @@
+-- ============ RECURRING ITEMS ============
+-- Items can mark themselves as needed on a schedule (see src/lib/recurrence.js):
+--   recurrence         { "type": "trip" } | { "type": "interval", "days": 7 } | { "type": "weekly", "weekday": 1 }
+--   recurrence_anchor  the last occurrence; the next one is counted from here
+--   auto_needed        the item is needed because the schedule said so (shown in the UI, can be skipped)
+
+alter table public.shopping_items add column if not exists recurrence jsonb;
+alter table public.shopping_items add column if not exists recurrence_anchor timestamptz;
+alter table public.shopping_items add column if not exists auto_needed boolean not null default false;
@@ -0,0 +1,57 @@
+-- ============ RECIPES AND MEAL PLAN ============
+-- Recipes keep their ingredients in the same shape as list items, so planned
+-- meals can be turned into needed items. The meal plan puts recipes on days
+-- of the week; it stays until it's cleared, so a regular week can be reused.
+
+create table if not exists public.recipes (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.lists (id) on delete cascade,
+  name text not null,
+  servings integer check (servings > 0),           -- Null when the recipe isn't per person
+  ingredients jsonb not null default '[]',         -- [{ name, category, quantity, unit, note }]
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (list_id, name)
+);
+
+create index if not exists recipes_list_id_idx on public.recipes (list_id);
+
+create table if not exists public.meal_plan (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.lists (id) on delete cascade,
+  recipe_id uuid not null references public.recipes (id) on delete cascade,
+  weekday smallint not null check (weekday between 0 and 6),  -- 0 = Sunday
+  servings integer check (servings > 0),           -- Null = the recipe's own servings
+  created_at timestamptz not null default now()
+);
+
+create index if not exists meal_plan_list_id_idx on public.meal_plan (list_id);
+
+alter table public.recipes enable row level security;
+alter table public.meal_plan enable row level security;
+
+drop policy if exists "Members can view recipes" on public.recipes;
+create policy "Members can view recipes" on public.recipes
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Editors can add recipes" on public.recipes;
+create policy "Editors can add recipes" on public.recipes
+  for insert with check (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can update recipes" on public.recipes;
+create policy "Editors can update recipes" on public.recipes
+  for update using (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can delete recipes" on public.recipes;
+create policy "Editors can delete recipes" on public.recipes
+  for delete using (public.list_role(list_id) in ('owner', 'editor'));
+
+drop policy if exists "Members can view the meal plan" on public.meal_plan;
+create policy "Members can view the meal plan" on public.meal_plan
+  for select using (public.list_role(list_id) is not null);
+drop policy if exists "Editors can plan meals" on public.meal_plan;
+create policy "Editors can plan meals" on public.meal_plan
+  for insert with check (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can update planned meals" on public.meal_plan;
+create policy "Editors can update planned meals" on public.meal_plan
+  for update using (public.list_role(list_id) in ('owner', 'editor'));
+drop policy if exists "Editors can remove planned meals" on public.meal_plan;
+create policy "Editors can remove planned meals" on public.meal_plan
+  for delete using (public.list_role(list_id) in ('owner', 'editor'));
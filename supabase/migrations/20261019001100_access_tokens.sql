@@ -0,0 +1,30 @@
+-- ============ PERSONAL ACCESS TOKENS ============
+-- Tokens let scripts, phone shortcuts and other devices use the REST API
+-- (src/app/api) on behalf of a user. Only a SHA-256 hash of each token is
+-- stored; the token itself is shown once when it's created. Revoking a token
+-- deletes it. The API looks tokens up with the service role key and checks
+-- list membership itself.
+
+create table if not exists public.access_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,                               -- What the token is for, e.g. "Kitchen tablet"
+  token_hash text not null unique,                  -- SHA-256 of the token, hex encoded
+  token_prefix text not null,                       -- First characters, to recognise a token in the list
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
+
+create index if not exists access_tokens_user_id_idx on public.access_tokens (user_id);
+
+alter table public.access_tokens enable row level security;
+
+drop policy if exists "Users can view their tokens" on public.access_tokens;
+create policy "Users can view their tokens" on public.access_tokens
+  for select using (user_id = auth.uid());
+drop policy if exists "Users can create their tokens" on public.access_tokens;
+create policy "Users can create their tokens" on public.access_tokens
+  for insert with check (user_id = auth.uid());
+drop policy if exists "Users can revoke their tokens" on public.access_tokens;
+create policy "Users can revoke their tokens" on public.access_tokens
+  for delete using (user_id = auth.uid());
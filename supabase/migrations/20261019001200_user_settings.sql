@@ -0,0 +1,22 @@
+-- ============ USER SETTINGS ============
+-- Preferences that follow a user to every device they sign in on,
+-- one row per user. Starts with the language of the app; a user without
+-- a row uses the language of their browser.
+
+create table if not exists public.user_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  locale text check (locale is null or locale in ('en', 'fr', 'he')),  -- App language, see src/lib/i18n.js
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_settings enable row level security;
+
+drop policy if exists "Users can view their settings" on public.user_settings;
+create policy "Users can view their settings" on public.user_settings
+  for select using (user_id = auth.uid());
+drop policy if exists "Users can create their settings" on public.user_settings;
+create policy "Users can create their settings" on public.user_settings
+  for insert with check (user_id = auth.uid());
+drop policy if exists "Users can change their settings" on public.user_settings;
+create policy "Users can change their settings" on public.user_settings
+  for update using (user_id = auth.uid());
@@ -0,0 +1,35 @@
+-- ============ CUSTOMISABLE CATEGORIES ============
+-- The default categories used to be built into the app; now every category
+-- of a list is a row, so each one can be renamed, hidden or deleted, and
+-- given a colour and icon (see src/lib/categories.js for the allowed values).
+-- New lists get the starter categories from the app when they are created.
+
+alter table public.categories add column if not exists color text;
+alter table public.categories add column if not exists icon text;
+alter table public.categories add column if not exists hidden boolean not null default false;  -- Kept with its items, but not shown
+
+-- Existing lists get rows for the starter categories they don't have yet,
+-- dated before their other categories so they keep their place at the top.
+-- Same names, colours and icons as the starter template in src/lib/categories.js.
+insert into public.categories (id, list_id, user_id, name, color, icon, created_at)
+select
+  gen_random_uuid(),
+  l.id,
+  l.owner_id,
+  t.name,
+  t.color,
+  t.icon,
+  least(l.created_at, coalesce((select min(c.created_at) from public.categories c where c.list_id = l.id), l.created_at))
+    - interval '1 minute' + t.position * interval '1 second'
+from public.lists l
+cross join (values
+  (1, 'Refrigerated items', 'sky', 'milk'),
+  (2, 'Bread', 'amber', 'croissant'),
+  (3, 'Fruit/Veggie', 'green', 'apple'),
+  (4, 'Frozen', 'teal', 'snowflake'),
+  (5, 'Bulk', 'orange', 'wheat'),
+  (6, 'Household items', 'violet', 'spray-can')
+) as t (position, name, color, icon)
+where not exists (
+  select 1 from public.categories c where c.list_id = l.id and c.name = t.name
+);
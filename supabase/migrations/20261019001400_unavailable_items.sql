@@ -0,0 +1,9 @@
+-- ============ UNAVAILABLE ITEMS ============
+-- In Store Mode an item can be marked as unavailable (out of stock, or skipped)
+-- instead of bought. Reset keeps such items needed for the next trip:
+--   unavailable        the store didn't have it, on the trip in progress
+--   unavailable_store  name of the store that didn't have it last time (null when
+--                      no store was picked); cleared once the item is bought or no longer needed
+
+alter table public.shopping_items add column if not exists unavailable boolean not null default false;
+alter table public.shopping_items add column if not exists unavailable_store text;
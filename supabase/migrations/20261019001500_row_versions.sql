@@ -0,0 +1,48 @@
+-- ============ ROW VERSIONS ============
+-- Every write to an item or category bumps its version (and updated_at), so a
+-- change made on a device can be applied only if the row is still the version
+-- the user saw; otherwise the app checks field by field what someone else
+-- changed meanwhile (see rebaseChanges in src/lib/syncQueue.js).
+
+alter table public.shopping_items add column if not exists version integer not null default 1;
+alter table public.shopping_items add column if not exists updated_at timestamptz not null default now();
+alter table public.categories add column if not exists version integer not null default 1;
+alter table public.categories add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.bump_row_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists shopping_items_bump_version on public.shopping_items;
+create trigger shopping_items_bump_version
+  before update on public.shopping_items
+  for each row execute function public.bump_row_version();
+
+drop trigger if exists categories_bump_version on public.categories;
+create trigger categories_bump_version
+  before update on public.categories
+  for each row execute function public.bump_row_version();
+
+-- ============ UNIQUE CATEGORY NAMES ============
+-- One live category per name in a list (the Trash may hold older ones).
+-- Duplicates that slipped in while this was only checked by the app are
+-- dropped, keeping the oldest; items refer to categories by name, so none move.
+
+delete from public.categories c
+using public.categories older
+where older.list_id = c.list_id
+  and older.name = c.name
+  and older.deleted_at is null
+  and c.deleted_at is null
+  and (older.created_at, older.id) < (c.created_at, c.id);
+
+create unique index if not exists categories_list_id_name_key
+  on public.categories (list_id, name)
+  where deleted_at is null;
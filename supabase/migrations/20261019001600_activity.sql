@@ -0,0 +1,35 @@
+-- ============ ACTIVITY FEED ============
+-- Who changed what in a list: items added, removed, marked as needed or
+-- bought, categories added or deleted, trips finished. The app records an
+-- entry once the server has accepted the change (see src/lib/activity.js),
+-- and members see new entries through realtime.
+
+create table if not exists public.activity (
+  id uuid primary key default gen_random_uuid(),
+  list_id uuid not null references public.lists (id) on delete cascade,
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_email text,                                 -- Kept for the feed, like list_members.email
+  device_id text,                                   -- App session that made the change (null: the API)
+  action text not null,                             -- itemAdded, itemBought, categoryDeleted, tripReset...
+  item_id uuid,                                     -- Not a foreign key: items are purged, their activity stays
+  name text,                                        -- Item or category name at the time, or the trip's store
+  created_at timestamptz not null default now()
+);
+
+create index if not exists activity_list_id_idx on public.activity (list_id, created_at desc);
+
+alter table public.activity enable row level security;
+
+drop policy if exists "Members can view activity" on public.activity;
+create policy "Members can view activity" on public.activity
+  for select using (public.list_role(list_id) is not null);
+-- Entries are recorded under the editor's own id and email (the feed names people by their email)
+drop policy if exists "Editors can record their activity" on public.activity;
+create policy "Editors can record their activity" on public.activity
+  for insert with check (
+    public.list_role(list_id) in ('owner', 'editor')
+    and actor_id = auth.uid()
+    and actor_email is not distinct from (auth.jwt() ->> 'email')
+  );
+
+alter publication supabase_realtime add table public.activity;
@@ -0,0 +1,32 @@
+-- ============ CREATE LIST ============
+-- Creates a list together with its starter categories in a single
+-- transaction, so a failure half-way never leaves a list without its
+-- categories. The lists_add_owner trigger makes the caller its owner.
+-- The categories come from the app's starter template (see starterCategories
+-- in src/lib/categories.js): [{ id, name, color, icon, hidden, created_at }]
+
+create or replace function public.create_list(p_name text, p_categories jsonb)
+returns public.lists
+language plpgsql
+security invoker   -- Runs with the caller's permissions, so RLS still applies
+set search_path = public
+as $$
+declare
+  created public.lists;
+begin
+  if trim(coalesce(p_name, '')) = '' then
+    raise exception 'List name cannot be empty';
+  end if;
+
+  insert into public.lists (name, owner_id)
+  values (trim(p_name), auth.uid())
+  returning * into created;
+
+  insert into public.categories (id, list_id, user_id, name, color, icon, hidden, created_at)
+  select c.id, created.id, auth.uid(), c.name, c.color, c.icon, coalesce(c.hidden, false), coalesce(c.created_at, now())
+  from jsonb_to_recordset(coalesce(p_categories, '[]'::jsonb))
+    as c(id uuid, name text, color text, icon text, hidden boolean, created_at timestamptz);
+
+  return created;
+end;
+$$;